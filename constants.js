@@ -37,6 +37,12 @@ export const ELEMENT_IDS = {
     PLAYER_3_INPUT: 'player3Input',
     PLAYER_4_INPUT: 'player4Input',
     
+    // Player handicaps (used by handicap games such as Quota)
+    PLAYER_1_HANDICAP: 'player1Handicap',
+    PLAYER_2_HANDICAP: 'player2Handicap',
+    PLAYER_3_HANDICAP: 'player3Handicap',
+    PLAYER_4_HANDICAP: 'player4Handicap',
+    
     // Team selection
     TEAM_1_PLAYER_1: 'team1Player1',
     TEAM_1_PLAYER_2: 'team1Player2',
@@ -51,6 +57,25 @@ export const ELEMENT_IDS = {
     KP_PAGE: 'kpPage',
     SNAKE_PAGE: 'snakePage',
     WOLF_PAGE: 'wolfPage',
+    NASSAU_PAGE: 'nassauPage',
+    BINGO_PAGE: 'bingoPage',
+    VEGAS_PAGE: 'vegasPage',
+    SIXES_PAGE: 'sixesPage',
+    HAMMER_PAGE: 'hammerPage',
+    JUNK_PAGE: 'junkPage',
+    RABBIT_PAGE: 'rabbitPage',
+    STABLEFORD_PAGE: 'stablefordPage',
+    NINE_POINT_PAGE: 'ninePointPage',
+    BANKER_PAGE: 'bankerPage',
+    MATCH_PLAY_PAGE: 'matchPlayPage',
+    QUOTA_PAGE: 'quotaPage',
+    DEFENDER_PAGE: 'defenderPage',
+    MONEY_BALL_PAGE: 'moneyBallPage',
+    SCOTCH_PAGE: 'scotchPage',
+    ACEY_DEUCEY_PAGE: 'aceyDeuceyPage',
+    LONGEST_DRIVE_PAGE: 'longestDrivePage',
+    UMBRELLA_PAGE: 'umbrellaPage',
+    LOW_BALL_PAGE: 'lowBallPage',
     COMBINED_PAGE: 'combinedPage',
     FINAL_RESULTS: 'finalResults',
     
@@ -60,6 +85,25 @@ export const ELEMENT_IDS = {
     NAV_KP: 'navKP',
     NAV_SNAKE: 'navSnake',
     NAV_WOLF: 'navWolf',
+    NAV_NASSAU: 'navNassau',
+    NAV_BINGO: 'navBingo',
+    NAV_VEGAS: 'navVegas',
+    NAV_SIXES: 'navSixes',
+    NAV_HAMMER: 'navHammer',
+    NAV_JUNK: 'navJunk',
+    NAV_RABBIT: 'navRabbit',
+    NAV_STABLEFORD: 'navStableford',
+    NAV_NINE_POINT: 'navNinePoint',
+    NAV_BANKER: 'navBanker',
+    NAV_MATCH_PLAY: 'navMatchPlay',
+    NAV_QUOTA: 'navQuota',
+    NAV_DEFENDER: 'navDefender',
+    NAV_MONEY_BALL: 'navMoneyBall',
+    NAV_SCOTCH: 'navScotch',
+    NAV_ACEY_DEUCEY: 'navAceyDeucey',
+    NAV_LONGEST_DRIVE: 'navLongestDrive',
+    NAV_UMBRELLA: 'navUmbrella',
+    NAV_LOW_BALL: 'navLowBall',
     NAV_COMBINED: 'navCombined',
     
     // Back navigation
@@ -68,6 +112,25 @@ export const ELEMENT_IDS = {
     BACK_TO_NAV_KP: 'backToNavKP',
     BACK_TO_NAV_SNAKE: 'backToNavSnake',
     BACK_TO_NAV_WOLF: 'backToNavWolf',
+    BACK_TO_NAV_NASSAU: 'backToNavNassau',
+    BACK_TO_NAV_BINGO: 'backToNavBingo',
+    BACK_TO_NAV_VEGAS: 'backToNavVegas',
+    BACK_TO_NAV_SIXES: 'backToNavSixes',
+    BACK_TO_NAV_HAMMER: 'backToNavHammer',
+    BACK_TO_NAV_JUNK: 'backToNavJunk',
+    BACK_TO_NAV_RABBIT: 'backToNavRabbit',
+    BACK_TO_NAV_STABLEFORD: 'backToNavStableford',
+    BACK_TO_NAV_NINE_POINT: 'backToNavNinePoint',
+    BACK_TO_NAV_BANKER: 'backToNavBanker',
+    BACK_TO_NAV_MATCH_PLAY: 'backToNavMatchPlay',
+    BACK_TO_NAV_QUOTA: 'backToNavQuota',
+    BACK_TO_NAV_DEFENDER: 'backToNavDefender',
+    BACK_TO_NAV_MONEY_BALL: 'backToNavMoneyBall',
+    BACK_TO_NAV_SCOTCH: 'backToNavScotch',
+    BACK_TO_NAV_ACEY_DEUCEY: 'backToNavAceyDeucey',
+    BACK_TO_NAV_LONGEST_DRIVE: 'backToNavLongestDrive',
+    BACK_TO_NAV_UMBRELLA: 'backToNavUmbrella',
+    BACK_TO_NAV_LOW_BALL: 'backToNavLowBall',
     BACK_TO_NAV_3: 'backToNav3',
     BACK_TO_NAV_4: 'backToNav4',
     
@@ -77,6 +140,25 @@ export const ELEMENT_IDS = {
     GAME_KP: 'gameKP',
     GAME_SNAKE: 'gameSnake',
     GAME_WOLF: 'gameWolf',
+    GAME_NASSAU: 'gameNassau',
+    GAME_BINGO: 'gameBingo',
+    GAME_VEGAS: 'gameVegas',
+    GAME_SIXES: 'gameSixes',
+    GAME_HAMMER: 'gameHammer',
+    GAME_JUNK: 'gameJunk',
+    GAME_RABBIT: 'gameRabbit',
+    GAME_STABLEFORD: 'gameStableford',
+    GAME_NINE_POINT: 'gameNinePoint',
+    GAME_BANKER: 'gameBanker',
+    GAME_MATCH_PLAY: 'gameMatchPlay',
+    GAME_QUOTA: 'gameQuota',
+    GAME_DEFENDER: 'gameDefender',
+    GAME_MONEY_BALL: 'gameMoneyBall',
+    GAME_SCOTCH: 'gameScotch',
+    GAME_ACEY_DEUCEY: 'gameAceyDeucey',
+    GAME_LONGEST_DRIVE: 'gameLongestDrive',
+    GAME_UMBRELLA: 'gameUmbrella',
+    GAME_LOW_BALL: 'gameLowBall',
     
     // Bet amounts
     MURPH_BET_AMOUNT: 'murphBetAmount',
@@ -84,6 +166,25 @@ export const ELEMENT_IDS = {
     KP_BET_AMOUNT: 'kpBetAmount',
     SNAKE_BET_AMOUNT: 'snakeBetAmount',
     WOLF_BET_AMOUNT: 'wolfBetAmount',
+    NASSAU_BET_AMOUNT: 'nassauBetAmount',
+    BINGO_BET_AMOUNT: 'bingoBetAmount',
+    VEGAS_BET_AMOUNT: 'vegasBetAmount',
+    SIXES_BET_AMOUNT: 'sixesBetAmount',
+    HAMMER_BET_AMOUNT: 'hammerBetAmount',
+    JUNK_BET_AMOUNT: 'junkBetAmount',
+    RABBIT_BET_AMOUNT: 'rabbitBetAmount',
+    STABLEFORD_BET_AMOUNT: 'stablefordBetAmount',
+    NINE_POINT_BET_AMOUNT: 'ninePointBetAmount',
+    BANKER_BET_AMOUNT: 'bankerBetAmount',
+    MATCH_PLAY_BET_AMOUNT: 'matchPlayBetAmount',
+    QUOTA_BET_AMOUNT: 'quotaBetAmount',
+    DEFENDER_BET_AMOUNT: 'defenderBetAmount',
+    MONEY_BALL_BET_AMOUNT: 'moneyBallBetAmount',
+    SCOTCH_BET_AMOUNT: 'scotchBetAmount',
+    ACEY_DEUCEY_BET_AMOUNT: 'aceyDeuceyBetAmount',
+    LONGEST_DRIVE_BET_AMOUNT: 'longestDriveBetAmount',
+    UMBRELLA_BET_AMOUNT: 'umbrellaBetAmount',
+    LOW_BALL_BET_AMOUNT: 'lowBallBetAmount',
     
     // Game action buttons
     CALL_MURPH: 'callMurph',
@@ -91,6 +192,25 @@ export const ELEMENT_IDS = {
     RECORD_KP: 'recordKP',
     RECORD_SNAKE: 'recordSnake',
     RECORD_WOLF: 'recordWolf',
+    RECORD_NASSAU: 'recordNassau',
+    RECORD_BINGO: 'recordBingo',
+    RECORD_VEGAS: 'recordVegas',
+    RECORD_SIXES: 'recordSixes',
+    RECORD_HAMMER: 'recordHammer',
+    RECORD_JUNK: 'recordJunk',
+    RECORD_RABBIT: 'recordRabbit',
+    RECORD_STABLEFORD: 'recordStableford',
+    RECORD_NINE_POINT: 'recordNinePoint',
+    RECORD_BANKER: 'recordBanker',
+    RECORD_MATCH_PLAY: 'recordMatchPlay',
+    RECORD_QUOTA: 'recordQuota',
+    RECORD_DEFENDER: 'recordDefender',
+    RECORD_MONEY_BALL: 'recordMoneyBall',
+    RECORD_SCOTCH: 'recordScotch',
+    RECORD_ACEY_DEUCEY: 'recordAceyDeucey',
+    RECORD_LONGEST_DRIVE: 'recordLongestDrive',
+    RECORD_UMBRELLA: 'recordUmbrella',
+    RECORD_LOW_BALL: 'recordLowBall',
     
     // Modals
     MURPH_MODAL: 'murphModal',
@@ -98,6 +218,25 @@ export const ELEMENT_IDS = {
     KP_MODAL: 'kpModal',
     SNAKE_MODAL: 'snakeModal',
     WOLF_MODAL: 'wolfModal',
+    NASSAU_MODAL: 'nassauModal',
+    BINGO_MODAL: 'bingoModal',
+    VEGAS_MODAL: 'vegasModal',
+    SIXES_MODAL: 'sixesModal',
+    HAMMER_MODAL: 'hammerModal',
+    JUNK_MODAL: 'junkModal',
+    RABBIT_MODAL: 'rabbitModal',
+    STABLEFORD_MODAL: 'stablefordModal',
+    NINE_POINT_MODAL: 'ninePointModal',
+    BANKER_MODAL: 'bankerModal',
+    MATCH_PLAY_MODAL: 'matchPlayModal',
+    QUOTA_MODAL: 'quotaModal',
+    DEFENDER_MODAL: 'defenderModal',
+    MONEY_BALL_MODAL: 'moneyBallModal',
+    SCOTCH_MODAL: 'scotchModal',
+    ACEY_DEUCEY_MODAL: 'aceyDeuceyModal',
+    LONGEST_DRIVE_MODAL: 'longestDriveModal',
+    UMBRELLA_MODAL: 'umbrellaModal',
+    LOW_BALL_MODAL: 'lowBallModal',
     
     // Modal actions
     SAVE_MURPH: 'saveMurph',
@@ -110,6 +249,44 @@ export const ELEMENT_IDS = {
     CANCEL_SNAKE: 'cancelSnake',
     SAVE_WOLF: 'saveWolf',
     CANCEL_WOLF: 'cancelWolf',
+    SAVE_NASSAU: 'saveNassau',
+    CANCEL_NASSAU: 'cancelNassau',
+    SAVE_BINGO: 'saveBingo',
+    CANCEL_BINGO: 'cancelBingo',
+    SAVE_VEGAS: 'saveVegas',
+    CANCEL_VEGAS: 'cancelVegas',
+    SAVE_SIXES: 'saveSixes',
+    CANCEL_SIXES: 'cancelSixes',
+    SAVE_HAMMER: 'saveHammer',
+    CANCEL_HAMMER: 'cancelHammer',
+    SAVE_JUNK: 'saveJunk',
+    CANCEL_JUNK: 'cancelJunk',
+    SAVE_RABBIT: 'saveRabbit',
+    CANCEL_RABBIT: 'cancelRabbit',
+    SAVE_STABLEFORD: 'saveStableford',
+    CANCEL_STABLEFORD: 'cancelStableford',
+    SAVE_NINE_POINT: 'saveNinePoint',
+    CANCEL_NINE_POINT: 'cancelNinePoint',
+    SAVE_BANKER: 'saveBanker',
+    CANCEL_BANKER: 'cancelBanker',
+    SAVE_MATCH_PLAY: 'saveMatchPlay',
+    CANCEL_MATCH_PLAY: 'cancelMatchPlay',
+    SAVE_QUOTA: 'saveQuota',
+    CANCEL_QUOTA: 'cancelQuota',
+    SAVE_DEFENDER: 'saveDefender',
+    CANCEL_DEFENDER: 'cancelDefender',
+    SAVE_MONEY_BALL: 'saveMoneyBall',
+    CANCEL_MONEY_BALL: 'cancelMoneyBall',
+    SAVE_SCOTCH: 'saveScotch',
+    CANCEL_SCOTCH: 'cancelScotch',
+    SAVE_ACEY_DEUCEY: 'saveAceyDeucey',
+    CANCEL_ACEY_DEUCEY: 'cancelAceyDeucey',
+    SAVE_LONGEST_DRIVE: 'saveLongestDrive',
+    CANCEL_LONGEST_DRIVE: 'cancelLongestDrive',
+    SAVE_UMBRELLA: 'saveUmbrella',
+    CANCEL_UMBRELLA: 'cancelUmbrella',
+    SAVE_LOW_BALL: 'saveLowBall',
+    CANCEL_LOW_BALL: 'cancelLowBall',
     
     // Game selectors in modals
     MURPH_PLAYER: 'murphPlayer',
@@ -120,6 +297,60 @@ export const ELEMENT_IDS = {
     WOLF_CHOICE: 'wolfChoice',
     WOLF_PARTNER: 'wolfPartner',
     WOLF_RESULT: 'wolfResult',
+    NASSAU_WINNER: 'nassauWinner',
+    BINGO_PLAYER: 'bingoPlayer',
+    BANGO_PLAYER: 'bangoPlayer',
+    BONGO_PLAYER: 'bongoPlayer',
+    VEGAS_PAR: 'vegasPar',
+    VEGAS_SCORES: 'vegasScores',
+    SIXES_WINNER: 'sixesWinner',
+    SIXES_SCHEDULE: 'sixesSchedule',
+    HAMMER_ROWS: 'hammerRows',
+    HAMMER_WINNER: 'hammerWinner',
+    HAMMER_VALUE: 'hammerValue',
+    JUNK_DOT_GRID: 'junkDotGrid',
+    JUNK_TALLY: 'junkTally',
+    RABBIT_WINNER: 'rabbitWinner',
+    RABBIT_NINES: 'rabbitNines',
+    STABLEFORD_PAR: 'stablefordPar',
+    STABLEFORD_SCORES: 'stablefordScores',
+    STABLEFORD_STANDINGS: 'stablefordStandings',
+    NINE_POINT_SCORES: 'ninePointScores',
+    NINE_POINT_STANDINGS: 'ninePointStandings',
+    BANKER_HOLE: 'bankerHole',
+    BANKER_BETS: 'bankerBets',
+    BANKER_MAX_STAKE: 'bankerMaxStake',
+    BANKER_STANDINGS: 'bankerStandings',
+    MATCH_PLAY_WINNER: 'matchPlayWinner',
+    MATCH_PLAY_STATUS_PANEL: 'matchPlayStatusPanel',
+    QUOTA_PAR: 'quotaPar',
+    QUOTA_SCORES: 'quotaScores',
+    QUOTA_STANDINGS: 'quotaStandings',
+    DEFENDER_RESULT: 'defenderResult',
+    DEFENDER_SCHEDULE: 'defenderSchedule',
+    MONEY_BALL_SCORES: 'moneyBallScores',
+    MONEY_BALL_LOST: 'moneyBallLost',
+    MONEY_BALL_STATUS_PANEL: 'moneyBallStatusPanel',
+    SCOTCH_TEAMS: 'scotchTeams',
+    SCOTCH_PAR: 'scotchPar',
+    SCOTCH_SCORES: 'scotchScores',
+    SCOTCH_PROX: 'scotchProx',
+    SCOTCH_STANDINGS: 'scotchStandings',
+    ACEY_DEUCEY_ACE: 'aceyDeuceyAce',
+    ACEY_DEUCEY_DEUCE: 'aceyDeuceyDeuce',
+    ACEY_DEUCEY_STANDINGS: 'aceyDeuceyStandings',
+    LONGEST_DRIVE_HOLES: 'longestDriveHoles',
+    LONGEST_DRIVE_WINNER: 'longestDriveWinner',
+    LONGEST_DRIVE_DISTANCE: 'longestDriveDistance',
+    LONGEST_DRIVE_SCHEDULE: 'longestDriveSchedule',
+    LONGEST_DRIVE_REMINDER: 'longestDriveReminder',
+    UMBRELLA_POINTS: 'umbrellaPoints',
+    UMBRELLA_TALLY: 'umbrellaTally',
+    LOW_BALL_SCORES: 'lowBallScores',
+    LOW_BALL_STANDINGS: 'lowBallStandings',
+    
+    // Team selection container (shared by all team games)
+    TEAM_SELECTION: 'teamSelection',
     
     // Display areas
     PAYMENT_INSTRUCTIONS_COMBINED: 'paymentInstructionsCombined'
@@ -134,7 +365,26 @@ export const GAME_TYPES = {
     SKINS: 'skins',
     KP: 'kp',
     SNAKE: 'snake',
-    WOLF: 'wolf'
+    WOLF: 'wolf',
+    NASSAU: 'nassau',
+    BINGO: 'bingo',
+    VEGAS: 'vegas',
+    SIXES: 'sixes',
+    HAMMER: 'hammer',
+    JUNK: 'junk',
+    RABBIT: 'rabbit',
+    STABLEFORD: 'stableford',
+    NINE_POINT: 'ninePoint',
+    BANKER: 'banker',
+    MATCH_PLAY: 'matchPlay',
+    QUOTA: 'quota',
+    DEFENDER: 'defender',
+    MONEY_BALL: 'moneyBall',
+    SCOTCH: 'scotch',
+    ACEY_DEUCEY: 'aceyDeucey',
+    LONGEST_DRIVE: 'longestDrive',
+    UMBRELLA: 'umbrella',
+    LOW_BALL: 'lowBall'
 };
 
 export const GAME_NAMES = {
@@ -142,7 +392,26 @@ export const GAME_NAMES = {
     [GAME_TYPES.SKINS]: 'Skins',
     [GAME_TYPES.KP]: 'KP',
     [GAME_TYPES.SNAKE]: 'Snake',
-    [GAME_TYPES.WOLF]: 'Wolf'
+    [GAME_TYPES.WOLF]: 'Wolf',
+    [GAME_TYPES.NASSAU]: 'Nassau',
+    [GAME_TYPES.BINGO]: 'Bingo Bango Bongo',
+    [GAME_TYPES.VEGAS]: 'Vegas',
+    [GAME_TYPES.SIXES]: 'Sixes',
+    [GAME_TYPES.HAMMER]: 'Hammer',
+    [GAME_TYPES.JUNK]: 'Junk',
+    [GAME_TYPES.RABBIT]: 'Rabbit',
+    [GAME_TYPES.STABLEFORD]: 'Stableford',
+    [GAME_TYPES.NINE_POINT]: 'Nine Point',
+    [GAME_TYPES.BANKER]: 'Banker',
+    [GAME_TYPES.MATCH_PLAY]: 'Match Play',
+    [GAME_TYPES.QUOTA]: 'Quota',
+    [GAME_TYPES.DEFENDER]: 'Defender',
+    [GAME_TYPES.MONEY_BALL]: 'Money Ball',
+    [GAME_TYPES.SCOTCH]: 'Scotch',
+    [GAME_TYPES.ACEY_DEUCEY]: 'Acey Deucey',
+    [GAME_TYPES.LONGEST_DRIVE]: 'Longest Drive',
+    [GAME_TYPES.UMBRELLA]: 'Umbrella',
+    [GAME_TYPES.LOW_BALL]: 'Low Ball / Low Total'
 };
 
 export const PAGE_NAMES = {
@@ -153,6 +422,25 @@ export const PAGE_NAMES = {
     KP: 'kp',
     SNAKE: 'snake',
     WOLF: 'wolf',
+    NASSAU: 'nassau',
+    BINGO: 'bingo',
+    VEGAS: 'vegas',
+    SIXES: 'sixes',
+    HAMMER: 'hammer',
+    JUNK: 'junk',
+    RABBIT: 'rabbit',
+    STABLEFORD: 'stableford',
+    NINE_POINT: 'ninePoint',
+    BANKER: 'banker',
+    MATCH_PLAY: 'matchPlay',
+    QUOTA: 'quota',
+    DEFENDER: 'defender',
+    MONEY_BALL: 'moneyBall',
+    SCOTCH: 'scotch',
+    ACEY_DEUCEY: 'aceyDeucey',
+    LONGEST_DRIVE: 'longestDrive',
+    UMBRELLA: 'umbrella',
+    LOW_BALL: 'lowBall',
     COMBINED: 'combined',
     FINAL: 'final'
 };
@@ -166,7 +454,9 @@ export const DEFAULTS = {
     MIN_PLAYERS: 2,
     MAX_PLAYERS: 4,
     STARTING_HOLE: 1,
-    MAX_HOLES: 18,
+    ROUND_LENGTH: 18, // Holes in a round unless another length is picked in the setup
+    ROUND_LENGTHS: [9, 18, 27, 36],
+    COURSE_HOLES: 18, // Holes on a course card; longer rounds go round the card again
     BET_AMOUNT: 2.00
 };
 
@@ -213,6 +503,25 @@ export const MESSAGES = {
         KP_RECORDED: 'KP result recorded!',
         SNAKE_RECORDED: 'Snake recorded!',
         WOLF_RECORDED: 'Wolf hole recorded!',
+        NASSAU_RECORDED: 'Nassau hole recorded!',
+        BINGO_RECORDED: 'Bingo Bango Bongo points recorded!',
+        VEGAS_RECORDED: 'Vegas hole recorded!',
+        SIXES_RECORDED: 'Sixes hole recorded!',
+        HAMMER_RECORDED: 'Hammer hole recorded!',
+        JUNK_RECORDED: 'Junk recorded!',
+        RABBIT_RECORDED: 'Rabbit hole recorded!',
+        STABLEFORD_RECORDED: 'Stableford hole recorded!',
+        NINE_POINT_RECORDED: 'Nine Point hole recorded!',
+        BANKER_RECORDED: 'Banker hole recorded!',
+        MATCH_PLAY_RECORDED: 'Match Play hole recorded!',
+        QUOTA_RECORDED: 'Quota hole recorded!',
+        DEFENDER_RECORDED: 'Defender hole recorded!',
+        MONEY_BALL_RECORDED: 'Money Ball hole recorded!',
+        SCOTCH_RECORDED: 'Scotch hole recorded!',
+        ACEY_DEUCEY_RECORDED: 'Acey Deucey hole recorded!',
+        LONGEST_DRIVE_RECORDED: 'Longest drive recorded!',
+        UMBRELLA_RECORDED: 'Umbrella hole recorded!',
+        LOW_BALL_RECORDED: 'Low Ball / Low Total hole recorded!',
         GAME_COMPLETED: 'Game completed! Results are now locked.',
         GAME_RESET: 'New game started!'
     },
@@ -230,7 +539,25 @@ export const TEAM_CONFIG = {
     TEAM_1_NAME: 'Team 1',
     TEAM_2_NAME: 'Team 2',
     TEAM_IDS: ['team1Player1', 'team1Player2', 'team2Player1', 'team2Player2'],
-    SELECT_PLACEHOLDER: 'Select player...'
+    SELECT_PLACEHOLDER: 'Select player...',
+    // Games that split 4 players into two teams of two
+    TEAM_GAME_TYPES: [GAME_TYPES.SKINS, GAME_TYPES.NASSAU, GAME_TYPES.VEGAS, GAME_TYPES.HAMMER, GAME_TYPES.MATCH_PLAY, GAME_TYPES.MONEY_BALL, GAME_TYPES.SCOTCH, GAME_TYPES.UMBRELLA, GAME_TYPES.LOW_BALL]
+};
+
+// Player counts each game supports (games not listed accept any count)
+export const GAME_PLAYER_COUNTS = {
+    [GAME_TYPES.NASSAU]: [2, 4],
+    [GAME_TYPES.VEGAS]: [4],
+    [GAME_TYPES.SIXES]: [4],
+    [GAME_TYPES.HAMMER]: [2, 4],
+    [GAME_TYPES.NINE_POINT]: [3],
+    [GAME_TYPES.MATCH_PLAY]: [2, 4],
+    [GAME_TYPES.DEFENDER]: [3],
+    [GAME_TYPES.MONEY_BALL]: [4],
+    [GAME_TYPES.SCOTCH]: [4],
+    [GAME_TYPES.ACEY_DEUCEY]: [4],
+    [GAME_TYPES.UMBRELLA]: [4],
+    [GAME_TYPES.LOW_BALL]: [4]
 };
 
 // =============================================================================
@@ -269,10 +596,414 @@ export const WOLF_CONFIG = {
     PARTNER_TEXT: 'Partner',
     WOLF_WINS: 'wolf_wins',
     PARTNERS_WIN: 'partners_win',
-    WOLF_ROTATION: [1, 2, 3, 4], // Which player is wolf on holes 1-4, 5-8, 9-12, 13-16
+    WOLF_ROTATION: [1, 2, 3, 4], // Which player is wolf on holes 1-4, 5-8, 9-12, 13-16 (again on 17-32 in a 36-hole round)
     HOLES_PER_WOLF: 4
 };
 
+// =============================================================================
+// NASSAU GAME CONFIGURATION
+// =============================================================================
+
+export const NASSAU_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    HALVED_VALUE: 'halved',
+    HALVED_TEXT: 'Halved',
+    PRESS_TRIGGER: 2, // A bet that goes this many holes down starts a press
+    MATCHES: {
+        FRONT: 'front',
+        BACK: 'back',
+        OVERALL: 'overall'
+    },
+    MATCH_NAMES: {
+        front: 'Front Nine',
+        back: 'Back Nine',
+        overall: 'Overall'
+    }
+};
+
+// =============================================================================
+// BINGO BANGO BONGO GAME CONFIGURATION
+// =============================================================================
+
+export const BINGO_CONFIG = {
+    POINTS: ['bingo', 'bango', 'bongo'],
+    POINT_NAMES: {
+        bingo: 'Bingo',
+        bango: 'Bango',
+        bongo: 'Bongo'
+    },
+    POINT_DESCRIPTIONS: {
+        bingo: 'First on the green',
+        bango: 'Closest to the pin once all balls are on',
+        bongo: 'First in the hole'
+    }
+};
+
+// =============================================================================
+// VEGAS GAME CONFIGURATION
+// =============================================================================
+
+export const VEGAS_CONFIG = {
+    TEAM_1_VALUE: 'team1',
+    TEAM_2_VALUE: 'team2',
+    PAR_OPTIONS: [3, 4, 5],
+    DEFAULT_PAR: 4,
+    MAX_SCORE: 15,
+    DOUBLE_DIGIT_SCORE: 10 // A score this high goes first in the team number
+};
+
+// =============================================================================
+// SIXES GAME CONFIGURATION
+// =============================================================================
+
+export const SIXES_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    HALVED_VALUE: 'halved',
+    HALVED_TEXT: 'Halved',
+    // Player positions for each segment (a third of the round): 1&2 vs 3&4, 1&3 vs 2&4, 1&4 vs 2&3
+    PAIRINGS: [
+        [[0, 1], [2, 3]],
+        [[0, 2], [1, 3]],
+        [[0, 3], [1, 2]]
+    ]
+};
+
+// =============================================================================
+// HAMMER GAME CONFIGURATION
+// =============================================================================
+
+export const HAMMER_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    HALVED_VALUE: 'halved',
+    HALVED_TEXT: 'Halved',
+    MULTIPLIER: 2, // Every accepted hammer doubles the hole
+    MAX_HAMMERS: 6,
+    RESPONSES: {
+        ACCEPTED: 'accepted',
+        DECLINED: 'declined'
+    },
+    RESPONSE_NAMES: {
+        accepted: 'Accepted',
+        declined: 'Laid down'
+    }
+};
+
+// =============================================================================
+// JUNK GAME CONFIGURATION
+// =============================================================================
+
+export const JUNK_CONFIG = {
+    // Catalog of dots the group can choose from in the game setup
+    CATALOG: [
+        { id: 'greenie', name: 'Greenie', icon: '🟢', description: 'On the green in one on a par 3 and makes par', defaultPoints: 1 },
+        { id: 'sandie', name: 'Sandie', icon: '🏖️', description: 'Up and down from a bunker for par', defaultPoints: 1 },
+        { id: 'barkie', name: 'Barkie', icon: '🌳', description: 'Hits a tree and still makes par', defaultPoints: 1 },
+        { id: 'polie', name: 'Polie', icon: '🚩', description: 'Holes a putt longer than the flagstick', defaultPoints: 1 },
+        { id: 'chipin', name: 'Chip-in', icon: '⛳', description: 'Holes out from off the green', defaultPoints: 1 },
+        { id: 'birdie', name: 'Birdie', icon: '🐦', description: 'Makes birdie or better', defaultPoints: 1 }
+    ],
+    MAX_POINTS: 10
+};
+
+// =============================================================================
+// RABBIT GAME CONFIGURATION
+// =============================================================================
+
+export const RABBIT_CONFIG = {
+    TIE_VALUE: 'tie',
+    TIE_TEXT: 'Tie (no outright winner)',
+    FREE_TEXT: 'Free',
+    HOLES_PER_NINE: 9, // The rabbit holder collects at the end of each nine
+    NINE_NAMES: ['Front Nine', 'Back Nine'],
+    EVENTS: {
+        CAUGHT: 'caught',
+        KEPT: 'kept',
+        FREED: 'freed',
+        TIE: 'tie'
+    }
+};
+
+// =============================================================================
+// STABLEFORD GAME CONFIGURATION
+// =============================================================================
+
+export const STABLEFORD_CONFIG = {
+    // Points by score relative to par; scores beyond the table use its best or worst entry
+    TABLES: {
+        standard: {
+            name: 'Standard',
+            points: { '-3': 5, '-2': 4, '-1': 3, '0': 2, '1': 1, '2': 0 }
+        },
+        modified: {
+            name: 'Modified',
+            points: { '-3': 8, '-2': 5, '-1': 2, '0': 0, '1': -1, '2': -3 }
+        }
+    },
+    DEFAULT_TABLE: 'standard',
+    SCORE_NAMES: {
+        '-3': 'Albatross',
+        '-2': 'Eagle',
+        '-1': 'Birdie',
+        '0': 'Par',
+        '1': 'Bogey',
+        '2': 'Double bogey or worse'
+    },
+    MIN_POINTS: -10,
+    MAX_POINTS: 10,
+    PAR_OPTIONS: [3, 4, 5],
+    DEFAULT_PAR: 4,
+    MAX_SCORE: 15
+};
+
+// =============================================================================
+// NINE POINT GAME CONFIGURATION
+// =============================================================================
+
+export const NINE_POINT_CONFIG = {
+    POINTS: [5, 3, 1], // Points for 1st, 2nd and 3rd on each hole
+    POINTS_PER_HOLE: 9,
+    MAX_SCORE: 15
+};
+
+// =============================================================================
+// BANKER GAME CONFIGURATION
+// =============================================================================
+
+export const BANKER_CONFIG = {
+    HOLES_PER_BANKER: 1, // The banker rotates through the players every hole
+    DEFAULT_MAX_STAKE: 5,
+    MAX_SCORE: 15,
+    RESULTS: {
+        PLAYER: 'player',
+        BANKER: 'banker',
+        PUSH: 'push'
+    },
+    PUSH_TEXT: 'Push'
+};
+
+// =============================================================================
+// MATCH PLAY GAME CONFIGURATION
+// =============================================================================
+
+export const MATCH_PLAY_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    HALVED_VALUE: 'halved',
+    HALVED_TEXT: 'Halved',
+    ALL_SQUARE_TEXT: 'AS',
+    DORMIE_TEXT: 'dormie',
+    HALVED_MATCH_TEXT: 'Match halved'
+};
+
+// =============================================================================
+// QUOTA GAME CONFIGURATION
+// =============================================================================
+
+export const QUOTA_CONFIG = {
+    // Each player's quota is the base quota minus their handicap
+    BASE_QUOTA: 36,
+    // Points by score relative to par; better than eagle scores as an eagle, worse than bogey scores 0
+    POINTS: { '-2': 8, '-1': 4, '0': 2, '1': 1 },
+    BEST_DIFF: -2,
+    PAR_OPTIONS: [3, 4, 5],
+    DEFAULT_PAR: 4,
+    MAX_SCORE: 15
+};
+
+// =============================================================================
+// DEFENDER GAME CONFIGURATION
+// =============================================================================
+
+export const DEFENDER_CONFIG = {
+    HOLES_PER_DEFENDER: 1, // The defender changes every hole: players 1, 2, 3, 1, 2, 3...
+    DEFAULT_WIN_POINTS: 2,
+    DEFAULT_LOSS_POINTS: 1,
+    MIN_POINTS: 1,
+    MAX_POINTS: 10,
+    RESULTS: {
+        DEFENDER: 'defender_wins',
+        OPPONENTS: 'opponents_win',
+        PUSH: 'push'
+    },
+    PUSH_TEXT: 'Push'
+};
+
+// =============================================================================
+// MONEY BALL GAME CONFIGURATION
+// =============================================================================
+
+export const MONEY_BALL_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    HALVED_VALUE: 'halved',
+    HALVED_TEXT: 'Halved',
+    ACTIONS: {
+        SCORE: 'score',
+        LOST: 'lost'
+    },
+    DEFAULT_BONUS: 5.00, // Paid by each player on a team that lost its money ball
+    MAX_SCORE: 15
+};
+
+// =============================================================================
+// SCOTCH GAME CONFIGURATION
+// =============================================================================
+
+export const SCOTCH_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    // 6 points a hole
+    CATEGORIES: {
+        lowBall: { name: 'Low ball', points: 2 },
+        lowTotal: { name: 'Low total', points: 2 },
+        prox: { name: 'Prox', points: 1 },
+        birdie: { name: 'Birdie', points: 1 }
+    },
+    UMBRELLA_MULTIPLIER: 2, // A team that wins every category doubles its points
+    // Player positions for each way to split four players: 1&2 vs 3&4, 1&3 vs 2&4, 1&4 vs 2&3
+    PAIRINGS: [
+        [[0, 1], [2, 3]],
+        [[0, 2], [1, 3]],
+        [[0, 3], [1, 2]]
+    ],
+    PAR_OPTIONS: [3, 4, 5],
+    DEFAULT_PAR: 4,
+    MAX_SCORE: 15
+};
+
+// =============================================================================
+// ACEY DEUCEY GAME CONFIGURATION
+// =============================================================================
+
+export const ACEY_DEUCEY_CONFIG = {
+    TIE_VALUE: 'tie',
+    LOW_TIE_TEXT: 'Tied for low - no ace',
+    HIGH_TIE_TEXT: 'Tied for high - no deuce'
+};
+
+// =============================================================================
+// LONGEST DRIVE GAME CONFIGURATION
+// =============================================================================
+
+export const LONGEST_DRIVE_CONFIG = {
+    ELIGIBLE_PARS: [4, 5], // Par 3s are left out once the course par is known
+    MAX_DISTANCE: 500, // Yards
+    DISTANCE_UNIT: 'yds'
+};
+
+// =============================================================================
+// UMBRELLA GAME CONFIGURATION
+// =============================================================================
+
+export const UMBRELLA_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    NO_WINNER_VALUE: 'none',
+    NO_WINNER_TEXT: 'Nobody',
+    // A point per category every hole
+    CATEGORIES: {
+        lowBall: { name: 'Low ball', points: 1 },
+        lowTotal: { name: 'Low total', points: 1 },
+        kp: { name: 'KP', points: 1 },
+        birdie: { name: 'Birdie', points: 1 }
+    },
+    UMBRELLA_MULTIPLIER: 2 // A team that wins every category doubles its points
+};
+
+// =============================================================================
+// LOW BALL / LOW TOTAL GAME CONFIGURATION
+// =============================================================================
+
+export const LOW_BALL_CONFIG = {
+    SIDE_1_VALUE: 'team1',
+    SIDE_2_VALUE: 'team2',
+    PUSH_VALUE: 'push',
+    PUSH_TEXT: 'Push',
+    MAX_SCORE: 15
+};
+
+// =============================================================================
+// KP (CLOSEST TO THE PIN) GAME CONFIGURATION
+// =============================================================================
+
+export const KP_CONFIG = {
+    NO_WINNER_VALUE: 'none',
+    NO_WINNER_TEXT: 'Nobody on the green',
+    // A hole can have a KP for each of these shots (e.g. closest second shot on a par 5)
+    SHOTS: {
+        tee: 'Tee shot',
+        second: 'Second shot',
+        third: 'Third shot'
+    },
+    DEFAULT_SHOT: 'tee',
+    MAX_DISTANCE: 100, // Feet
+    DISTANCE_UNIT: 'ft',
+    KP_PAR: 3, // Tee shot KPs are played on the par 3s
+    DEFAULT_PAR_3_HOLES: [3, 7, 12, 16] // Used when the round has no course
+};
+
+// =============================================================================
+// SCORECARD CONFIGURATION
+// =============================================================================
+
+export const SCORECARD_CONFIG = {
+    MAX_STROKES: 15,
+    MAX_PUTTS: 10
+};
+
+// =============================================================================
+// HANDICAP CONFIGURATION
+// =============================================================================
+
+export const HANDICAP_CONFIG = {
+    MIN_INDEX: -10, // Plus handicaps are entered as negative indexes
+    MAX_INDEX: 54,
+    STANDARD_SLOPE: 113,
+    MIN_SLOPE: 55,
+    MAX_SLOPE: 155,
+    DEFAULT_RATING: 72,
+    MIN_RATING: 25,
+    MAX_RATING: 85,
+    DEFAULT_PAR: 72,
+    MIN_PAR: 27,
+    MAX_PAR: 80,
+    ALLOWANCES: [100, 95, 90, 85, 80, 75], // Percent of the course handicap each player gets
+    DEFAULT_ALLOWANCE: 100,
+    HANDICAP_HOLES: 18, // A handicap index (and the course handicap from it) is for 18 holes
+    // Hardest hole is 1; odd indexes on the front nine, even on the back
+    DEFAULT_STROKE_INDEXES: [7, 15, 1, 11, 3, 17, 9, 13, 5, 8, 16, 2, 12, 4, 18, 10, 14, 6],
+    STROKE_DOT: '•'
+};
+
+// =============================================================================
+// COURSE CONFIGURATION
+// =============================================================================
+
+export const COURSE_CONFIG = {
+    PAR_OPTIONS: [3, 4, 5, 6],
+    MAX_YARDAGE: 800,
+    NAME_MAX_LENGTH: 40,
+    NO_COURSE_TEXT: 'No course (enter pars as you go)',
+    // CSV imports need a header row; yardage is optional
+    CSV_COLUMNS: {
+        course: 'course',
+        tee: 'tee',
+        slope: 'slope',
+        rating: 'rating',
+        hole: 'hole',
+        par: 'par',
+        strokeindex: 'strokeIndex',
+        si: 'strokeIndex',
+        hcp: 'strokeIndex',
+        yardage: 'yardage',
+        yards: 'yardage'
+    },
+    REQUIRED_CSV_COLUMNS: ['course', 'tee', 'slope', 'rating', 'hole', 'par', 'strokeIndex']
+};
+
 // =============================================================================
 // HTML TEMPLATES
 // =============================================================================
@@ -292,5 +1023,7 @@ export const VALIDATION_RULES = {
     MAX_BET_AMOUNT: 999.99,
     PLAYER_NAME_MIN_LENGTH: 1,
     PLAYER_NAME_MAX_LENGTH: 20,
+    MIN_HANDICAP: 0,
+    MAX_HANDICAP: 54,
     REQUIRED_TEAM_PLAYERS: 4
 };
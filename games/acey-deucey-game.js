@@ -0,0 +1,104 @@
+/**
+ * Acey Deucey Game Class
+ * Handles Acey Deucey game logic, calculations, and validation
+ * On every hole the outright low score (the ace) collects from everyone and the outright
+ * high score (the deuce) pays everyone. A tie for low or high cancels that payout.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, ACEY_DEUCEY_CONFIG } from '../constants.js';
+
+export class AceyDeuceyGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.ACEY_DEUCEY, players, config);
+        this.requiredPlayers = 4; // Acey Deucey game requires exactly 4 players
+    }
+
+    /**
+     * Calculate player balances for Acey Deucey game
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const betAmount = this.getBetAmount();
+
+        this.actions.forEach(action => {
+            // The ace collects the bet from every other player
+            if (action.ace !== ACEY_DEUCEY_CONFIG.TIE_VALUE) {
+                this.collectFromOtherPlayers(playerBalances, action.ace, betAmount);
+            }
+
+            // The deuce pays the bet to every other player
+            if (action.deuce !== ACEY_DEUCEY_CONFIG.TIE_VALUE) {
+                this.players.forEach(player => {
+                    if (player !== action.deuce) {
+                        playerBalances[player] += betAmount;
+                        playerBalances[action.deuce] -= betAmount;
+                    }
+                });
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate an Acey Deucey action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.ace || !action.deuce) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Low and high are each a player, or tied
+        const validResults = [...this.players, ACEY_DEUCEY_CONFIG.TIE_VALUE];
+        if (!validResults.includes(action.ace) || !validResults.includes(action.deuce)) {
+            return false;
+        }
+
+        // One player can't have both the low and the high score
+        return action.ace === ACEY_DEUCEY_CONFIG.TIE_VALUE || action.ace !== action.deuce;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Acey Deucey-specific statistics
+     * @returns {Object} Acey Deucey game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+
+        // Count aces and deuces per player
+        const playerAces = {};
+        const playerDeuces = {};
+        this.players.forEach(player => {
+            playerAces[player] = this.actions.filter(action => action.ace === player).length;
+            playerDeuces[player] = this.actions.filter(action => action.deuce === player).length;
+        });
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            playerAces,
+            playerDeuces,
+            totalAces: this.actions.filter(action => action.ace !== ACEY_DEUCEY_CONFIG.TIE_VALUE).length,
+            totalDeuces: this.actions.filter(action => action.deuce !== ACEY_DEUCEY_CONFIG.TIE_VALUE).length
+        };
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Banker Game Class
+ * Handles Banker game logic, calculations, and validation
+ * The banker rotates every hole. Each other player sets their own stake against the banker
+ * (within the agreed minimum and maximum) and settles head to head with the banker on net score.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, BANKER_CONFIG } from '../constants.js';
+
+export class BankerGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.BANKER, players, {
+            maxStake: BANKER_CONFIG.DEFAULT_MAX_STAKE,
+            holesPerBanker: BANKER_CONFIG.HOLES_PER_BANKER,
+            ...config
+        });
+    }
+
+    /**
+     * Calculate player balances for Banker game
+     * Every stake is won or lost head to head with the banker; pushes carry no money
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+
+        this.actions.forEach(action => {
+            action.bets.forEach(bet => {
+                const result = this.getBetResult(action, bet);
+                if (result === BANKER_CONFIG.RESULTS.PLAYER) {
+                    this.settleBetweenSides(playerBalances, [bet.player], [action.banker], bet.stake);
+                } else if (result === BANKER_CONFIG.RESULTS.BANKER) {
+                    this.settleBetweenSides(playerBalances, [action.banker], [bet.player], bet.stake);
+                }
+            });
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Banker action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.banker || !action.scores || !Array.isArray(action.bets)) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Validate that the banker for this hole matches the rotation
+        if (action.banker !== this.getBankerForHole(action.hole)) {
+            return false;
+        }
+
+        // Every other player bets against the banker exactly once
+        const bettors = action.bets.map(bet => bet.player);
+        const expectedBettors = this.getPlayersAgainstBanker(action.hole);
+        if (bettors.length !== expectedBettors.length || !expectedBettors.every(player => bettors.includes(player))) {
+            return false;
+        }
+
+        if (!action.bets.every(bet => this.isValidStake(bet.stake))) {
+            return false;
+        }
+
+        // Every player needs a score to settle on
+        return this.players.every(player => {
+            const score = action.scores[player];
+            return Number.isInteger(score) && score >= 1 && score <= BANKER_CONFIG.MAX_SCORE;
+        });
+    }
+
+    /**
+     * Get the result of one player's bet against the banker
+     * The lower net score wins the stake; equal net scores push
+     * @param {Object} action - Banker action { hole, banker, scores, bets }
+     * @param {Object} bet - Bet { player, stake }
+     * @returns {string} A BANKER_CONFIG.RESULTS value
+     */
+    getBetResult(action, bet) {
+        const scores = this.getNetScores(action.hole, action.scores);
+        if (scores[bet.player] < scores[action.banker]) {
+            return BANKER_CONFIG.RESULTS.PLAYER;
+        }
+        if (scores[bet.player] > scores[action.banker]) {
+            return BANKER_CONFIG.RESULTS.BANKER;
+        }
+        return BANKER_CONFIG.RESULTS.PUSH;
+    }
+
+    /**
+     * Get which player is the banker for a given hole
+     * The rotation follows play order from the starting hole
+     * @param {number} hole - The hole number
+     * @returns {string} Player name who is the banker
+     */
+    getBankerForHole(hole) {
+        const bankerIndex = Math.floor((this.getPlaySequence(hole) - 1) / this.config.holesPerBanker);
+        return this.players[bankerIndex % this.players.length];
+    }
+
+    /**
+     * Get the players betting against the banker on a hole
+     * @param {number} hole - The hole number
+     * @returns {Array} Player names other than the banker
+     */
+    getPlayersAgainstBanker(hole) {
+        const banker = this.getBankerForHole(hole);
+        return this.players.filter(player => player !== banker);
+    }
+
+    /**
+     * Get the smallest stake a player can set (the game's bet amount)
+     * @returns {number} Minimum stake
+     */
+    getMinStake() {
+        return this.getBetAmount();
+    }
+
+    /**
+     * Get the largest stake a player can set
+     * @returns {number} Maximum stake
+     */
+    getMaxStake() {
+        return this.config.maxStake;
+    }
+
+    /**
+     * Check if a stake is within the agreed minimum and maximum
+     * @param {number} stake - Stake amount
+     * @returns {boolean} True if valid
+     */
+    isValidStake(stake) {
+        return typeof stake === 'number' && stake >= this.getMinStake() && stake <= this.getMaxStake();
+    }
+
+    /**
+     * Get what the banker won or lost on a hole
+     * @param {Object} action - Banker action { hole, banker, scores, bets }
+     * @returns {number} Banker's net for the hole
+     */
+    getBankerNet(action) {
+        return action.bets.reduce((total, bet) => {
+            const result = this.getBetResult(action, bet);
+            if (result === BANKER_CONFIG.RESULTS.BANKER) {
+                return total + bet.stake;
+            }
+            if (result === BANKER_CONFIG.RESULTS.PLAYER) {
+                return total - bet.stake;
+            }
+            return total;
+        }, 0);
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Banker-specific statistics
+     * @returns {Object} Banker game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const bankerNetByPlayer = {};
+        this.players.forEach(player => {
+            bankerNetByPlayer[player] = 0;
+        });
+
+        let biggestStake = 0;
+        this.actions.forEach(action => {
+            bankerNetByPlayer[action.banker] += this.getBankerNet(action);
+            action.bets.forEach(bet => {
+                biggestStake = Math.max(biggestStake, bet.stake);
+            });
+        });
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            bankerNetByPlayer,
+            biggestStake
+        };
+    }
+}
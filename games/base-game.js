@@ -4,6 +4,7 @@
  */
 
 import { GAME_TYPES, DEFAULTS } from '../constants.js';
+import { PlayOrderUtils } from '../utils/play-order.js';
 
 export class BaseGame {
     constructor(gameType, players, config = {}) {
@@ -12,9 +13,14 @@ export class BaseGame {
         this.config = {
             enabled: false,
             betAmount: DEFAULTS.BET_AMOUNT,
+            roundLength: DEFAULTS.ROUND_LENGTH, // Holes in the round, set by the GameManager
+            startingHole: DEFAULTS.STARTING_HOLE, // Hole the round starts on, set by the GameManager
+            playoffHoles: 0, // Sudden-death holes added after the last hole, set by the GameManager
             ...config
         };
         this.actions = [];
+        this.scorecard = null; // Round scorecard, attached by the GameManager
+        this.playsOff = false; // Games that can end tied set this to carry on into playoff holes
     }
 
     /**
@@ -115,6 +121,211 @@ export class BaseGame {
         return balances;
     }
 
+    /**
+     * Pay a winner the amount from every other player
+     * @param {Object} playerBalances - Player balances object
+     * @param {string} winner - Player who won
+     * @param {number} amount - Amount each other player pays
+     */
+    collectFromOtherPlayers(playerBalances, winner, amount) {
+        const numOtherPlayers = this.players.length - 1;
+
+        this.players.forEach(player => {
+            if (player !== winner) {
+                playerBalances[player] -= amount;
+            }
+        });
+        playerBalances[winner] += numOtherPlayers * amount;
+    }
+
+    /**
+     * Settle an amount between two sides: every winner collects it and every loser pays it
+     * @param {Object} playerBalances - Player balances object
+     * @param {Array} winners - Players on the winning side
+     * @param {Array} losers - Players on the losing side
+     * @param {number} amount - Amount each player wins or loses
+     */
+    settleBetweenSides(playerBalances, winners, losers, amount) {
+        winners.forEach(player => {
+            playerBalances[player] += amount;
+        });
+
+        losers.forEach(player => {
+            playerBalances[player] -= amount;
+        });
+    }
+
+    /**
+     * Get each side's net scores on a hole, with its best ball and team total
+     * @param {number} hole - The hole number
+     * @param {Object} scores - Gross strokes by player { playerName: strokes }
+     * @param {Array} sides - Array of two player arrays [side1, side2]
+     * @returns {Array} Side scores [{ scores, low, total }, { scores, low, total }]
+     */
+    getSideScores(hole, scores, sides) {
+        const netScores = this.getNetScores(hole, scores);
+
+        return sides.map(side => {
+            const sideScores = side.map(player => netScores[player]);
+            return {
+                scores: sideScores,
+                low: Math.min(...sideScores),
+                total: sideScores.reduce((total, score) => total + score, 0)
+            };
+        });
+    }
+
+    /**
+     * Get the side with the lower value; a tie goes to neither side
+     * @param {number} side1Value - Side 1's value (score, total...)
+     * @param {number} side2Value - Side 2's value
+     * @param {Object} sideConfig - Game config with SIDE_1_VALUE and SIDE_2_VALUE
+     * @param {*} tieValue - Value returned on a tie
+     * @returns {*} The lower side's value, or the tie value
+     */
+    getLowerSide(side1Value, side2Value, sideConfig, tieValue = null) {
+        if (side1Value < side2Value) {
+            return sideConfig.SIDE_1_VALUE;
+        }
+        if (side2Value < side1Value) {
+            return sideConfig.SIDE_2_VALUE;
+        }
+        return tieValue;
+    }
+
+    /**
+     * Add up the points each side won across a hole's point categories
+     * A side that wins every category sweeps the hole and has its points multiplied
+     * @param {Object} winners - Winning side by category (any other value awards nobody)
+     * @param {Object} categories - Point categories { category: { points } }
+     * @param {Object} sideConfig - Game config with SIDE_1_VALUE and SIDE_2_VALUE
+     * @param {number} sweepMultiplier - Multiplier for a sweep (1 to leave sweeps alone)
+     * @returns {Object} Hole points { side1Points, side2Points, sweep }
+     */
+    getCategoryPoints(winners, categories, sideConfig, sweepMultiplier = 1) {
+        let side1Points = 0;
+        let side2Points = 0;
+
+        Object.entries(categories).forEach(([category, { points }]) => {
+            if (winners[category] === sideConfig.SIDE_1_VALUE) {
+                side1Points += points;
+            } else if (winners[category] === sideConfig.SIDE_2_VALUE) {
+                side2Points += points;
+            }
+        });
+
+        const categoryWinners = Object.keys(categories).map(category => winners[category]);
+        const sweep = [sideConfig.SIDE_1_VALUE, sideConfig.SIDE_2_VALUE]
+            .some(side => categoryWinners.every(winner => winner === side));
+
+        return {
+            side1Points: sweep ? side1Points * sweepMultiplier : side1Points,
+            side2Points: sweep ? side2Points * sweepMultiplier : side2Points,
+            sweep
+        };
+    }
+
+    /**
+     * Attach the round scorecard so games can read everyone's strokes
+     * @param {ScorecardManager} scorecard - The round scorecard
+     */
+    setScorecard(scorecard) {
+        this.scorecard = scorecard;
+    }
+
+    /**
+     * Get the gross strokes entered on the scorecard for a hole
+     * @param {number} hole - The hole number
+     * @returns {Object} Gross strokes by player { playerName: strokes }
+     */
+    getHoleScores(hole) {
+        return this.scorecard ? this.scorecard.getHoleScores(hole) : {};
+    }
+
+    /**
+     * Get the scores a hole is played on: net of handicap strokes when the round is played net
+     * @param {number} hole - The hole number
+     * @param {Object} scores - Gross strokes by player { playerName: strokes }
+     * @returns {Object} Strokes by player { playerName: strokes }
+     */
+    getNetScores(hole, scores) {
+        return this.scorecard ? this.scorecard.getNetScores(hole, scores) : { ...scores };
+    }
+
+    /**
+     * Get the number of holes in the round
+     * @returns {number} Round length
+     */
+    getRoundLength() {
+        return this.config.roundLength;
+    }
+
+    /**
+     * Get the last hole this game is played on
+     * Only games that play off go on into the sudden-death playoff holes
+     * @returns {number} Last hole
+     */
+    getLastHole() {
+        return this.config.roundLength + (this.playsOff ? this.config.playoffHoles : 0);
+    }
+
+    /**
+     * Check if a hole can be recorded for this game
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if the hole is in the round (or a playoff hole this game plays)
+     */
+    isValidHole(hole) {
+        return hole >= 1 && hole <= this.getLastHole();
+    }
+
+    /**
+     * Check if a hole is a sudden-death playoff hole
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if the hole comes after the last hole of the round
+     */
+    isPlayoffHole(hole) {
+        return hole > this.config.roundLength;
+    }
+
+    /**
+     * Get where a hole comes in the order of play
+     * Rounds can start on any hole and wrap round to hole 1, so anything that depends on
+     * which hole came first (carryovers, rotations, the last hole played) uses this, not the hole number
+     * @param {number} hole - The hole number
+     * @returns {number} Play sequence (1 for the starting hole)
+     */
+    getPlaySequence(hole) {
+        return PlayOrderUtils.getSequence(hole, this.config.startingHole, this.config.roundLength);
+    }
+
+    /**
+     * Get the hole played at a point in the order of play
+     * @param {number} sequence - Play sequence (1 for the starting hole)
+     * @returns {number} The hole number
+     */
+    getHoleAtSequence(sequence) {
+        return PlayOrderUtils.getHole(sequence, this.config.startingHole, this.config.roundLength);
+    }
+
+    /**
+     * Sort actions into the order their holes were played
+     * Actions on the same hole keep the order they were recorded in
+     * @param {Array} actions - Actions with a hole (defaults to this game's actions)
+     * @returns {Array} Sorted copy of the actions
+     */
+    sortByPlayOrder(actions = this.actions) {
+        return [...actions].sort((a, b) => this.getPlaySequence(a.hole) - this.getPlaySequence(b.hole));
+    }
+
+    /**
+     * Check if the game has ended tied and needs a sudden-death playoff hole
+     * Games that play off override this
+     * @returns {boolean} True if another playoff hole is needed
+     */
+    needsPlayoff() {
+        return false;
+    }
+
     /**
      * Check if the game is enabled
      * @returns {boolean} True if enabled
@@ -0,0 +1,113 @@
+/**
+ * Bingo Bango Bongo Game Class
+ * Handles Bingo Bango Bongo game logic, calculations, and validation
+ * Three points are up for grabs on every hole: Bingo (first on the green),
+ * Bango (closest to the pin once all balls are on) and Bongo (first in the hole).
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, BINGO_CONFIG } from '../constants.js';
+
+export class BingoGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.BINGO, players, config);
+    }
+
+    /**
+     * Calculate player balances for Bingo Bango Bongo game
+     * Each point is paid like a KP: the winner collects the bet from every other player
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+
+        this.actions.forEach(action => {
+            this.getAwardedPoints(action).forEach(({ player }) => {
+                this.collectFromOtherPlayers(playerBalances, player, this.getBetAmount());
+            });
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Bingo Bango Bongo action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // At least one point must be awarded
+        const awardedPoints = this.getAwardedPoints(action);
+        if (awardedPoints.length === 0) {
+            return false;
+        }
+
+        // Validate every point winner exists
+        return awardedPoints.every(({ player }) => this.players.includes(player));
+    }
+
+    /**
+     * Get the points awarded in an action
+     * @param {Object} action - Bingo Bango Bongo action
+     * @returns {Array} Awarded points [{ point, player }]
+     */
+    getAwardedPoints(action) {
+        return BINGO_CONFIG.POINTS
+            .filter(point => action[point])
+            .map(point => ({ point, player: action[point] }));
+    }
+
+    /**
+     * Count the points won by each player
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getPointsByPlayer() {
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = 0;
+        });
+
+        this.actions.forEach(action => {
+            this.getAwardedPoints(action).forEach(({ player }) => {
+                points[player]++;
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Bingo Bango Bongo-specific statistics
+     * @returns {Object} Bingo Bango Bongo game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const pointsByPlayer = this.getPointsByPlayer();
+
+        return {
+            ...baseStats,
+            pointsByPlayer,
+            totalPoints: Object.values(pointsByPlayer).reduce((total, points) => total + points, 0),
+            holesPlayed: this.actions.length
+        };
+    }
+}
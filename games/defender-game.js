@@ -0,0 +1,142 @@
+/**
+ * Defender Game Class
+ * Handles Defender game logic, calculations, and validation
+ * Defender is a 3-player take on Wolf: the defender rotates every hole and plays alone against the other two
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, DEFENDER_CONFIG } from '../constants.js';
+
+export class DefenderGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.DEFENDER, players, {
+            holesPerDefender: DEFENDER_CONFIG.HOLES_PER_DEFENDER,
+            winPoints: DEFENDER_CONFIG.DEFAULT_WIN_POINTS,
+            lossPoints: DEFENDER_CONFIG.DEFAULT_LOSS_POINTS,
+            ...config
+        });
+        this.requiredPlayers = 3; // Defender game requires exactly 3 players
+    }
+
+    /**
+     * Calculate player balances for Defender game
+     * A winning defender collects the win points from each opponent; a losing defender pays the loss points to each
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const betAmount = this.getBetAmount();
+
+        this.actions.forEach(action => {
+            if (action.result === DEFENDER_CONFIG.RESULTS.DEFENDER) {
+                this.collectFromOtherPlayers(playerBalances, action.defender, betAmount * this.config.winPoints);
+            } else if (action.result === DEFENDER_CONFIG.RESULTS.OPPONENTS) {
+                // Each opponent collects the loss points from the defender
+                this.getOpponents(action.hole).forEach(opponent => {
+                    playerBalances[opponent] += betAmount * this.config.lossPoints;
+                    playerBalances[action.defender] -= betAmount * this.config.lossPoints;
+                });
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Defender action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.defender || !action.result) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Validate result
+        if (!Object.values(DEFENDER_CONFIG.RESULTS).includes(action.result)) {
+            return false;
+        }
+
+        // Validate that the defender for this hole matches the rotation
+        return action.defender === this.getDefenderForHole(action.hole);
+    }
+
+    /**
+     * Get which player should be the defender for a given hole
+     * The rotation follows play order from the starting hole
+     * @param {number} hole - The hole number
+     * @returns {string} Player name who defends the hole
+     */
+    getDefenderForHole(hole) {
+        const defenderIndex = Math.floor((this.getPlaySequence(hole) - 1) / this.config.holesPerDefender);
+        return this.players[defenderIndex % this.players.length];
+    }
+
+    /**
+     * Get the two players playing against the defender on a hole
+     * @param {number} hole - The hole number
+     * @returns {Array} Player names
+     */
+    getOpponents(hole) {
+        const defender = this.getDefenderForHole(hole);
+        return this.players.filter(player => player !== defender);
+    }
+
+    /**
+     * Get the holes each player defends
+     * @returns {Array} Array of defender assignments [{ player, holes }] with the holes in play order
+     */
+    getDefenderSchedule() {
+        const schedule = this.players.map(player => ({ player, holes: [] }));
+        for (let sequence = 1; sequence <= this.getRoundLength(); sequence++) {
+            const hole = this.getHoleAtSequence(sequence);
+            const defender = this.getDefenderForHole(hole);
+            schedule.find(entry => entry.player === defender).holes.push(hole);
+        }
+        return schedule;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Defender-specific statistics
+     * @returns {Object} Defender game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const { DEFENDER, OPPONENTS, PUSH } = DEFENDER_CONFIG.RESULTS;
+
+        // Calculate defender performance by player
+        const defenderPerformance = {};
+        this.players.forEach(player => {
+            const playerDefenderActions = this.actions.filter(action => action.defender === player);
+            defenderPerformance[player] = {
+                totalHoles: playerDefenderActions.length,
+                wins: playerDefenderActions.filter(action => action.result === DEFENDER).length,
+                losses: playerDefenderActions.filter(action => action.result === OPPONENTS).length
+            };
+        });
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            defenderWins: this.actions.filter(action => action.result === DEFENDER).length,
+            opponentWins: this.actions.filter(action => action.result === OPPONENTS).length,
+            pushes: this.actions.filter(action => action.result === PUSH).length,
+            defenderPerformance
+        };
+    }
+}
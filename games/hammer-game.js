@@ -0,0 +1,228 @@
+/**
+ * Hammer Game Class
+ * Handles Hammer game logic, calculations, and validation
+ * Either side can "hammer" on a hole to double its value. The hammered side accepts and plays on
+ * at double (and now holds the hammer), or lays down and concedes the hole at its current value.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, HAMMER_CONFIG } from '../constants.js';
+
+export class HammerGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.HAMMER, players, {
+            teams: [],
+            teamNames: {},
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+    }
+
+    /**
+     * Calculate player balances for Hammer game
+     * The side that wins a hole collects the hole value from each player on the other side
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const [side1, side2] = this.getSides();
+
+        this.actions.forEach(action => {
+            const result = this.calculateHoleResult(action);
+
+            if (result.winner === HAMMER_CONFIG.SIDE_1_VALUE) {
+                this.settleBetweenSides(playerBalances, side1, side2, result.value);
+            } else if (result.winner === HAMMER_CONFIG.SIDE_2_VALUE) {
+                this.settleBetweenSides(playerBalances, side2, side1, result.value);
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Hammer action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.winner) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Validate winner is a side or a halved hole
+        const validResults = [
+            HAMMER_CONFIG.SIDE_1_VALUE,
+            HAMMER_CONFIG.SIDE_2_VALUE,
+            HAMMER_CONFIG.HALVED_VALUE
+        ];
+        if (!validResults.includes(action.winner)) {
+            return false;
+        }
+
+        return this.validateHammers(action.hammers || [], action.winner);
+    }
+
+    /**
+     * Validate the hammers thrown on a hole
+     * Hammers alternate (the hammered side holds the hammer next), only the last hammer can be
+     * laid down, and a laid-down hole is won by the side that threw the hammer
+     * @param {Array} hammers - Hammers in the order thrown [{ by, response }]
+     * @param {string} winner - Hole result
+     * @returns {boolean} True if valid
+     */
+    validateHammers(hammers, winner) {
+        if (!Array.isArray(hammers) || hammers.length > HAMMER_CONFIG.MAX_HAMMERS) {
+            return false;
+        }
+
+        const sides = [HAMMER_CONFIG.SIDE_1_VALUE, HAMMER_CONFIG.SIDE_2_VALUE];
+        const responses = Object.values(HAMMER_CONFIG.RESPONSES);
+
+        return hammers.every((hammer, index) => {
+            if (!sides.includes(hammer.by) || !responses.includes(hammer.response)) {
+                return false;
+            }
+
+            // The same side can't hammer twice in a row
+            if (index > 0 && hammers[index - 1].by === hammer.by) {
+                return false;
+            }
+
+            if (hammer.response === HAMMER_CONFIG.RESPONSES.DECLINED) {
+                return index === hammers.length - 1 && winner === hammer.by;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Get the two sides playing the game
+     * 4 players play as the configured teams, 2 players play head to head
+     * @returns {Array} Array of two player arrays [side1, side2]
+     */
+    getSides() {
+        if (this.config.teams && this.config.teams.length === 2) {
+            return this.config.teams;
+        }
+        return [[this.players[0]], [this.players[1]]];
+    }
+
+    /**
+     * Get the display name for a side
+     * @param {string} side - Side value (team1 or team2)
+     * @returns {string} Team name or player name
+     */
+    getSideName(side) {
+        if (this.config.teamNames && this.config.teamNames[side]) {
+            return this.config.teamNames[side];
+        }
+        const [side1, side2] = this.getSides();
+        const players = side === HAMMER_CONFIG.SIDE_1_VALUE ? side1 : side2;
+        return players.join(' & ');
+    }
+
+    /**
+     * Get the side that can throw the next hammer
+     * @param {Array} hammers - Hammers thrown so far
+     * @returns {string|null} Side value, or null if either side can hammer first
+     */
+    getNextHammerSide(hammers) {
+        if (!hammers || hammers.length === 0) {
+            return null;
+        }
+        return hammers[hammers.length - 1].by === HAMMER_CONFIG.SIDE_1_VALUE ?
+            HAMMER_CONFIG.SIDE_2_VALUE : HAMMER_CONFIG.SIDE_1_VALUE;
+    }
+
+    /**
+     * Get the hole value for a set of hammers
+     * Every accepted hammer doubles the value; a laid-down hammer doesn't
+     * @param {Array} hammers - Hammers in the order thrown [{ by, response }]
+     * @returns {number} Hole value in dollars
+     */
+    calculateHoleValue(hammers = []) {
+        const accepted = hammers.filter(hammer => hammer.response === HAMMER_CONFIG.RESPONSES.ACCEPTED).length;
+        return this.getBetAmount() * Math.pow(HAMMER_CONFIG.MULTIPLIER, accepted);
+    }
+
+    /**
+     * Work out the result for a hole
+     * @param {Object} action - Hammer action { hole, hammers, winner }
+     * @returns {Object} Hole result { winner, value, laidDown }
+     */
+    calculateHoleResult(action) {
+        const hammers = action.hammers || [];
+        const lastHammer = hammers[hammers.length - 1];
+        const laidDown = !!lastHammer && lastHammer.response === HAMMER_CONFIG.RESPONSES.DECLINED;
+
+        return {
+            winner: laidDown ? lastHammer.by : action.winner,
+            value: this.calculateHoleValue(hammers),
+            laidDown
+        };
+    }
+
+    /**
+     * Get the hammer history for a hole
+     * @param {number} hole - The hole number
+     * @returns {Array} Hammers in the order thrown { by, byName, response, value }, where value is the hole value after the hammer
+     */
+    getHammerHistory(hole) {
+        const action = this.getActionsForHole(hole)[0];
+        if (!action || !action.hammers) {
+            return [];
+        }
+
+        return action.hammers.map((hammer, index) => ({
+            ...hammer,
+            byName: this.getSideName(hammer.by),
+            value: this.calculateHoleValue(action.hammers.slice(0, index + 1))
+        }));
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Hammer-specific statistics
+     * @returns {Object} Hammer game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        let hammersThrown = 0;
+        let laydowns = 0;
+        let biggestHole = 0;
+
+        this.actions.forEach(action => {
+            const result = this.calculateHoleResult(action);
+            hammersThrown += (action.hammers || []).length;
+            if (result.laidDown) {
+                laydowns++;
+            }
+            if (result.winner !== HAMMER_CONFIG.HALVED_VALUE) {
+                biggestHole = Math.max(biggestHole, result.value);
+            }
+        });
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            hammersThrown,
+            laydowns,
+            biggestHole
+        };
+    }
+}
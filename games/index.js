@@ -9,6 +9,25 @@ export { SkinsGame } from './skins-game.js';
 export { KPGame } from './kp-game.js';
 export { SnakeGame } from './snake-game.js';
 export { WolfGame } from './wolf-game.js';
+export { NassauGame } from './nassau-game.js';
+export { BingoGame } from './bingo-game.js';
+export { VegasGame } from './vegas-game.js';
+export { SixesGame } from './sixes-game.js';
+export { HammerGame } from './hammer-game.js';
+export { JunkGame } from './junk-game.js';
+export { RabbitGame } from './rabbit-game.js';
+export { StablefordGame } from './stableford-game.js';
+export { NinePointGame } from './nine-point-game.js';
+export { BankerGame } from './banker-game.js';
+export { MatchPlayGame } from './match-play-game.js';
+export { QuotaGame } from './quota-game.js';
+export { DefenderGame } from './defender-game.js';
+export { MoneyBallGame } from './money-ball-game.js';
+export { ScotchGame } from './scotch-game.js';
+export { AceyDeuceyGame } from './acey-deucey-game.js';
+export { LongestDriveGame } from './longest-drive-game.js';
+export { UmbrellaGame } from './umbrella-game.js';
+export { LowBallGame } from './low-ball-game.js';
 
 // Game factory function
 import { GAME_TYPES } from '../constants.js';
@@ -17,6 +36,25 @@ import { SkinsGame } from './skins-game.js';
 import { KPGame } from './kp-game.js';
 import { SnakeGame } from './snake-game.js';
 import { WolfGame } from './wolf-game.js';
+import { NassauGame } from './nassau-game.js';
+import { BingoGame } from './bingo-game.js';
+import { VegasGame } from './vegas-game.js';
+import { SixesGame } from './sixes-game.js';
+import { HammerGame } from './hammer-game.js';
+import { JunkGame } from './junk-game.js';
+import { RabbitGame } from './rabbit-game.js';
+import { StablefordGame } from './stableford-game.js';
+import { NinePointGame } from './nine-point-game.js';
+import { BankerGame } from './banker-game.js';
+import { MatchPlayGame } from './match-play-game.js';
+import { QuotaGame } from './quota-game.js';
+import { DefenderGame } from './defender-game.js';
+import { MoneyBallGame } from './money-ball-game.js';
+import { ScotchGame } from './scotch-game.js';
+import { AceyDeuceyGame } from './acey-deucey-game.js';
+import { LongestDriveGame } from './longest-drive-game.js';
+import { UmbrellaGame } from './umbrella-game.js';
+import { LowBallGame } from './low-ball-game.js';
 
 /**
  * Create a game instance of the specified type
@@ -37,6 +75,44 @@ export function createGame(gameType, players, config = {}) {
             return new SnakeGame(players, config);
         case GAME_TYPES.WOLF:
             return new WolfGame(players, config);
+        case GAME_TYPES.NASSAU:
+            return new NassauGame(players, config);
+        case GAME_TYPES.BINGO:
+            return new BingoGame(players, config);
+        case GAME_TYPES.VEGAS:
+            return new VegasGame(players, config);
+        case GAME_TYPES.SIXES:
+            return new SixesGame(players, config);
+        case GAME_TYPES.HAMMER:
+            return new HammerGame(players, config);
+        case GAME_TYPES.JUNK:
+            return new JunkGame(players, config);
+        case GAME_TYPES.RABBIT:
+            return new RabbitGame(players, config);
+        case GAME_TYPES.STABLEFORD:
+            return new StablefordGame(players, config);
+        case GAME_TYPES.NINE_POINT:
+            return new NinePointGame(players, config);
+        case GAME_TYPES.BANKER:
+            return new BankerGame(players, config);
+        case GAME_TYPES.MATCH_PLAY:
+            return new MatchPlayGame(players, config);
+        case GAME_TYPES.QUOTA:
+            return new QuotaGame(players, config);
+        case GAME_TYPES.DEFENDER:
+            return new DefenderGame(players, config);
+        case GAME_TYPES.MONEY_BALL:
+            return new MoneyBallGame(players, config);
+        case GAME_TYPES.SCOTCH:
+            return new ScotchGame(players, config);
+        case GAME_TYPES.ACEY_DEUCEY:
+            return new AceyDeuceyGame(players, config);
+        case GAME_TYPES.LONGEST_DRIVE:
+            return new LongestDriveGame(players, config);
+        case GAME_TYPES.UMBRELLA:
+            return new UmbrellaGame(players, config);
+        case GAME_TYPES.LOW_BALL:
+            return new LowBallGame(players, config);
         default:
             throw new Error(`Unknown game type: ${gameType}`);
     }
@@ -0,0 +1,154 @@
+/**
+ * Junk Game Class
+ * Handles Junk (Dots) game logic, calculations, and validation
+ * Players earn "dots" for trash bets like greenies, sandies and chip-ins. The group picks which
+ * items are in play from a catalog and what each one is worth.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, JUNK_CONFIG } from '../constants.js';
+
+export class JunkGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.JUNK, players, {
+            // Every catalog item at its default value unless the setup says otherwise
+            items: Object.fromEntries(JUNK_CONFIG.CATALOG.map(item => [item.id, item.defaultPoints])),
+            ...config
+        });
+    }
+
+    /**
+     * Calculate player balances for Junk game
+     * Each dot pays its points times the bet from every other player, like a successful Murph
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+
+        this.actions.forEach(action => {
+            action.awards.forEach(({ player, dot }) => {
+                this.collectFromOtherPlayers(playerBalances, player, this.getDotPoints(dot) * this.getBetAmount());
+            });
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Junk action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !Array.isArray(action.awards) || action.awards.length === 0) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Every dot must be in play and awarded to a player in the game
+        return action.awards.every(({ player, dot }) =>
+            this.players.includes(player) && this.isDotEnabled(dot)
+        );
+    }
+
+    /**
+     * Check if a dot is in play for this round
+     * @param {string} dot - Dot id from the catalog
+     * @returns {boolean} True if enabled
+     */
+    isDotEnabled(dot) {
+        return Object.prototype.hasOwnProperty.call(this.config.items, dot);
+    }
+
+    /**
+     * Get the point value of a dot
+     * @param {string} dot - Dot id from the catalog
+     * @returns {number} Points the dot is worth (0 if not in play)
+     */
+    getDotPoints(dot) {
+        return this.isDotEnabled(dot) ? this.config.items[dot] : 0;
+    }
+
+    /**
+     * Get the dots in play for this round, in catalog order
+     * @returns {Array} Enabled catalog items { id, name, icon, description, points }
+     */
+    getEnabledDots() {
+        return JUNK_CONFIG.CATALOG
+            .filter(item => this.isDotEnabled(item.id))
+            .map(item => ({ ...item, points: this.getDotPoints(item.id) }));
+    }
+
+    /**
+     * Get the display name for a dot
+     * @param {string} dot - Dot id from the catalog
+     * @returns {string} Dot name
+     */
+    getDotName(dot) {
+        const item = JUNK_CONFIG.CATALOG.find(item => item.id === dot);
+        return item ? item.name : dot;
+    }
+
+    /**
+     * Count the dots won by each player, by category
+     * @returns {Object} Dots by player { playerName: { dotId: count } }
+     */
+    getDotsByPlayer() {
+        const dotsByPlayer = {};
+        this.players.forEach(player => {
+            dotsByPlayer[player] = {};
+            this.getEnabledDots().forEach(item => {
+                dotsByPlayer[player][item.id] = 0;
+            });
+        });
+
+        this.actions.forEach(action => {
+            action.awards.forEach(({ player, dot }) => {
+                dotsByPlayer[player][dot]++;
+            });
+        });
+
+        return dotsByPlayer;
+    }
+
+    /**
+     * Total the points won by each player
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getPointsByPlayer() {
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = 0;
+        });
+
+        this.actions.forEach(action => {
+            action.awards.forEach(({ player, dot }) => {
+                points[player] += this.getDotPoints(dot);
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Get Junk-specific statistics
+     * @returns {Object} Junk game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const totalDots = this.actions.reduce((total, action) => total + action.awards.length, 0);
+
+        return {
+            ...baseStats,
+            dotsByPlayer: this.getDotsByPlayer(),
+            pointsByPlayer: this.getPointsByPlayer(),
+            totalDots,
+            holesPlayed: new Set(this.actions.map(action => action.hole)).size
+        };
+    }
+}
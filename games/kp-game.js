@@ -1,14 +1,20 @@
 /**
  * KP (Closest to the Pin) Game Class
  * Handles KP game logic, calculations, and validation
+ * A hole can have more than one KP (one per shot), and an unclaimed KP can carry to the next one.
  */
 
 import { BaseGame } from './base-game.js';
-import { GAME_TYPES } from '../constants.js';
+import { GAME_TYPES, KP_CONFIG } from '../constants.js';
 
 export class KPGame extends BaseGame {
     constructor(players, config = {}) {
-        super(GAME_TYPES.KP, players, config);
+        super(GAME_TYPES.KP, players, {
+            carryover: false, // Carry the KP forward when nobody wins it
+            mustMakePar: false, // The KP only pays when the winner makes par (a validated greenie)
+            pars: [], // Par for each hole when course data is available
+            ...config
+        });
     }
 
     /**
@@ -17,21 +23,14 @@ export class KPGame extends BaseGame {
      */
     calculateSummary() {
         const playerBalances = this.initializePlayerBalances();
-        
-        this.actions.forEach(kp => {
-            const betAmount = this.getBetAmount();
-            const numOtherPlayers = this.players.length - 1;
-            
-            // KP winner gets paid by all other players - handle both 'winner' and 'player' fields
-            const winner = kp.winner || kp.player;
-            this.players.forEach(player => {
-                if (player !== winner) {
-                    playerBalances[player] -= betAmount;
-                }
-            });
-            playerBalances[winner] += numOtherPlayers * betAmount;
+
+        this.getKPResults().forEach(result => {
+            // KP winner gets paid by all other players, including any carried KPs
+            if (result.paid) {
+                this.collectFromOtherPlayers(playerBalances, result.winner, result.value * this.getBetAmount());
+            }
         });
-        
+
         return playerBalances;
     }
 
@@ -47,36 +46,118 @@ export class KPGame extends BaseGame {
             return false;
         }
 
-        // Validate player exists
-        if (!this.players.includes(player)) {
+        // Validate player exists, unless nobody hit the green
+        if (player !== KP_CONFIG.NO_WINNER_VALUE && !this.players.includes(player)) {
             return false;
         }
 
         // Validate hole is valid
-        if (action.hole < 1 || action.hole > 18) {
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Validate shot when given (own keys only, so names like "constructor" aren't taken for shots)
+        if (action.shot !== undefined && !Object.prototype.hasOwnProperty.call(KP_CONFIG.SHOTS, action.shot)) {
             return false;
         }
 
+        // Each shot on a hole pays one KP; paying it twice would break the carryover chain
+        if (this.hasKPForHole(action.hole, this.getShot(action))) {
+            return false;
+        }
+
+        // Distance is optional, but must be a sensible number of feet when given
+        if (action.distance !== undefined && action.distance !== null) {
+            return Number.isFinite(action.distance) &&
+                   action.distance > 0 && action.distance <= KP_CONFIG.MAX_DISTANCE;
+        }
+
         return true;
     }
 
+    /**
+     * Get the winner of a KP action
+     * @param {Object} action - KP action
+     * @returns {string|null} Winner name or null if nobody hit the green
+     */
+    getWinner(action) {
+        const winner = action.winner || action.player;
+        return winner === KP_CONFIG.NO_WINNER_VALUE ? null : winner;
+    }
+
+    /**
+     * Get the shot a KP action was for
+     * @param {Object} action - KP action
+     * @returns {string} Shot key (tee, second or third)
+     */
+    getShot(action) {
+        return action.shot || KP_CONFIG.DEFAULT_SHOT;
+    }
+
+    /**
+     * Get the KP actions in play order (hole, then shot)
+     * @returns {Array} Sorted KP actions
+     */
+    getOrderedActions() {
+        const shotOrder = Object.keys(KP_CONFIG.SHOTS);
+        return [...this.actions].sort((a, b) =>
+            this.getPlaySequence(a.hole) - this.getPlaySequence(b.hole) ||
+            shotOrder.indexOf(this.getShot(a)) - shotOrder.indexOf(this.getShot(b)));
+    }
+
+    /**
+     * Work out what every KP pays, following the carryover chain
+     * A KP with no winner, or one lost by missing par, carries forward when carryover is on
+     * @returns {Array} Results in play order [{ action, winner, paid, value, carried }]
+     */
+    getKPResults() {
+        let carried = 0;
+
+        return this.getOrderedActions().map(action => {
+            const winner = this.getWinner(action);
+            const missedPar = this.config.mustMakePar && action.madePar === false;
+
+            if (!winner || missedPar) {
+                if (this.config.carryover) {
+                    carried++;
+                }
+                return { action, winner, paid: false, value: 0, carried };
+            }
+
+            const value = 1 + carried;
+            carried = 0;
+            return { action, winner, paid: true, value, carried };
+        });
+    }
+
+    /**
+     * Get the number of KPs waiting to be won
+     * @returns {number} KPs carried into the next KP
+     */
+    getCarryover() {
+        const results = this.getKPResults();
+        return results.length > 0 ? results[results.length - 1].carried : 0;
+    }
+
     /**
      * Get KP-specific statistics
      * @returns {Object} KP game statistics
      */
     getStats() {
         const baseStats = super.getStats();
-        
+        const paid = this.getKPResults().filter(result => result.paid);
+
         // Count wins per player
         const playerWins = {};
         this.players.forEach(player => {
-            playerWins[player] = this.actions.filter(action => (action.winner || action.player) === player).length;
+            playerWins[player] = paid.filter(result => result.winner === player).length;
         });
-        
+
         return {
             ...baseStats,
             playerWins,
-            totalKPs: this.actions.length
+            totalKPs: paid.length,
+            carryover: this.getCarryover()
         };
     }
 
@@ -89,32 +170,58 @@ export class KPGame extends BaseGame {
         return this.actions.filter(action => (action.winner || action.player) === playerName);
     }
 
+    /**
+     * Get the par 3 holes (the usual KP holes)
+     * Without course pars, the holes most courses have their par 3s on are assumed
+     * @returns {Array} Hole numbers
+     */
+    getPar3Holes() {
+        if (this.config.pars.length === 0) {
+            return [...KP_CONFIG.DEFAULT_PAR_3_HOLES];
+        }
+
+        return this.config.pars
+            .map((par, index) => par === KP_CONFIG.KP_PAR ? index + 1 : null)
+            .filter(hole => hole !== null);
+    }
+
     /**
      * Get KP actions for Par 3 holes (typical KP holes)
-     * Note: This assumes Par 3 holes are holes 3, 7, 12, 16 but can be customized
-     * @param {Array} par3Holes - Array of hole numbers that are Par 3 (optional)
+     * @param {Array} par3Holes - Array of hole numbers that are Par 3 (defaults to the course's par 3s)
      * @returns {Array} Array of KP actions on Par 3 holes
      */
-    getPar3KPs(par3Holes = [3, 7, 12, 16]) {
+    getPar3KPs(par3Holes = this.getPar3Holes()) {
         return this.actions.filter(action => par3Holes.includes(action.hole));
     }
 
     /**
-     * Check if a hole already has a KP recorded
+     * Check if a hole is a par 3 still waiting for its tee shot KP
+     * Only known once the round has course pars
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if the course says the hole is a par 3 and no KP is recorded yet
+     */
+    isAwaitingKP(hole) {
+        return this.config.pars[hole - 1] === KP_CONFIG.KP_PAR && !this.hasKPForHole(hole);
+    }
+
+    /**
+     * Check if a hole already has a KP recorded for a shot
      * @param {number} hole - The hole number
-     * @returns {boolean} True if hole already has a KP
+     * @param {string} shot - The shot (defaults to the tee shot)
+     * @returns {boolean} True if hole already has a KP for the shot
      */
-    hasKPForHole(hole) {
-        return this.actions.some(action => action.hole === hole);
+    hasKPForHole(hole, shot = KP_CONFIG.DEFAULT_SHOT) {
+        return this.actions.some(action => action.hole === hole && this.getShot(action) === shot);
     }
 
     /**
      * Get the KP winner for a specific hole
      * @param {number} hole - The hole number
+     * @param {string} shot - The shot (defaults to the tee shot)
      * @returns {string|null} Winner name or null if no KP for this hole
      */
-    getKPWinnerForHole(hole) {
-        const kpAction = this.actions.find(action => action.hole === hole);
-        return kpAction ? kpAction.winner : null;
+    getKPWinnerForHole(hole, shot = KP_CONFIG.DEFAULT_SHOT) {
+        const kpAction = this.actions.find(action => action.hole === hole && this.getShot(action) === shot);
+        return kpAction ? this.getWinner(kpAction) : null;
     }
 }
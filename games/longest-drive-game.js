@@ -0,0 +1,148 @@
+/**
+ * Longest Drive Game Class
+ * Handles Longest Drive game logic, calculations, and validation
+ * The longest drive on each designated hole collects from everyone, the same way KP pays out.
+ * Once course pars are known, only par 4s and par 5s can be designated.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, LONGEST_DRIVE_CONFIG } from '../constants.js';
+
+export class LongestDriveGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.LONGEST_DRIVE, players, {
+            holes: [], // Designated longest drive holes chosen in the game setup
+            pars: [], // Par for each hole when course data is available
+            ...config
+        });
+    }
+
+    /**
+     * Calculate player balances for Longest Drive game
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+
+        this.actions.forEach(drive => {
+            // Longest drive winner gets paid by all other players
+            this.collectFromOtherPlayers(playerBalances, drive.winner, this.getBetAmount());
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Longest Drive action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.winner || !action.hole) {
+            return false;
+        }
+
+        // Validate player exists
+        if (!this.players.includes(action.winner)) {
+            return false;
+        }
+
+        // Validate hole is valid and designated
+        if (!this.isValidHole(action.hole) || !this.isDesignatedHole(action.hole)) {
+            return false;
+        }
+
+        // Distance is optional, but must be a sensible number of yards when given
+        if (action.distance !== undefined && action.distance !== null) {
+            return Number.isFinite(action.distance) &&
+                   action.distance > 0 && action.distance <= LONGEST_DRIVE_CONFIG.MAX_DISTANCE;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check if a hole can be a longest drive hole
+     * Every hole qualifies until the course par is known; then only par 4s and par 5s do
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if the hole can be designated
+     */
+    isEligibleHole(hole) {
+        const par = this.config.pars[hole - 1];
+        return !par || LONGEST_DRIVE_CONFIG.ELIGIBLE_PARS.includes(par);
+    }
+
+    /**
+     * Get the designated longest drive holes
+     * @returns {Array} Hole numbers in order
+     */
+    getDesignatedHoles() {
+        return this.config.holes
+            .filter(hole => this.isEligibleHole(hole))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Check if a hole is a designated longest drive hole
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if the hole is designated
+     */
+    isDesignatedHole(hole) {
+        return this.getDesignatedHoles().includes(hole);
+    }
+
+    /**
+     * Check if a hole already has a longest drive recorded
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole already has a longest drive
+     */
+    hasLongestDriveForHole(hole) {
+        return this.actions.some(action => action.hole === hole);
+    }
+
+    /**
+     * Get the longest drive recorded on a specific hole
+     * @param {number} hole - The hole number
+     * @returns {Object|null} Longest drive action or null if nothing is recorded
+     */
+    getLongestDriveForHole(hole) {
+        return this.actions.find(action => action.hole === hole) || null;
+    }
+
+    /**
+     * Check if a hole is a designated hole still waiting for its longest drive
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if the hole is designated and nothing is recorded yet
+     */
+    isAwaitingLongestDrive(hole) {
+        return this.isDesignatedHole(hole) && !this.hasLongestDriveForHole(hole);
+    }
+
+    /**
+     * Get Longest Drive-specific statistics
+     * @returns {Object} Longest Drive game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+
+        // Count wins per player
+        const playerWins = {};
+        this.players.forEach(player => {
+            playerWins[player] = this.actions.filter(action => action.winner === player).length;
+        });
+
+        // The longest measured drive of the round
+        const measured = this.actions.filter(action => action.distance);
+        const longestDrive = measured.length > 0 ?
+            measured.reduce((longest, action) => action.distance > longest.distance ? action : longest) : null;
+
+        return {
+            ...baseStats,
+            playerWins,
+            totalDrives: this.actions.length,
+            designatedHoles: this.getDesignatedHoles(),
+            longestDrive
+        };
+    }
+}
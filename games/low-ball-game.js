@@ -0,0 +1,144 @@
+/**
+ * Low Ball / Low Total Game Class
+ * Handles Low Ball / Low Total game logic, calculations, and validation
+ * Two teams play for two points on every hole: one for the best individual score (low ball)
+ * and one for the best combined team score (low total). A tied point pushes.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, LOW_BALL_CONFIG } from '../constants.js';
+
+export class LowBallGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.LOW_BALL, players, {
+            teams: [],
+            teamNames: {},
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+    }
+
+    /**
+     * Calculate player balances for Low Ball / Low Total game
+     * Each point won collects the bet from each player on the other team
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const [side1, side2] = this.getSides();
+        const betAmount = this.getBetAmount();
+
+        this.actions.forEach(action => {
+            const result = this.calculateHoleResult(action);
+            const difference = result.side1Points - result.side2Points;
+
+            if (difference > 0) {
+                this.settleBetweenSides(playerBalances, side1, side2, difference * betAmount);
+            } else if (difference < 0) {
+                this.settleBetweenSides(playerBalances, side2, side1, -difference * betAmount);
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Low Ball / Low Total action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.scores) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Every player needs a score
+        return this.players.every(player => {
+            const score = action.scores[player];
+            return Number.isInteger(score) && score >= 1 && score <= LOW_BALL_CONFIG.MAX_SCORE;
+        });
+    }
+
+    /**
+     * Get the two teams
+     * @returns {Array} Array of two player arrays [side1, side2]
+     */
+    getSides() {
+        if (this.config.teams && this.config.teams.length === 2) {
+            return this.config.teams;
+        }
+        return [this.players.slice(0, 2), this.players.slice(2)];
+    }
+
+    /**
+     * Get the display name for a team
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {string} Team name or player names
+     */
+    getSideName(team) {
+        if (this.config.teamNames && this.config.teamNames[team]) {
+            return this.config.teamNames[team];
+        }
+        const [side1, side2] = this.getSides();
+        return (team === LOW_BALL_CONFIG.SIDE_1_VALUE ? side1 : side2).join(' & ');
+    }
+
+    /**
+     * Calculate the result of a hole
+     * @param {Object} action - Low Ball / Low Total action { hole, scores }
+     * @returns {Object} Result { side1Low, side2Low, side1Total, side2Total, lowBall, lowTotal, side1Points, side2Points }
+     */
+    calculateHoleResult(action) {
+        const [side1, side2] = this.getSideScores(action.hole, action.scores, this.getSides());
+
+        // Lower wins the point; a tie pushes
+        const lowBall = this.getLowerSide(side1.low, side2.low, LOW_BALL_CONFIG, LOW_BALL_CONFIG.PUSH_VALUE);
+        const lowTotal = this.getLowerSide(side1.total, side2.total, LOW_BALL_CONFIG, LOW_BALL_CONFIG.PUSH_VALUE);
+        const pointsFor = team => [lowBall, lowTotal].filter(winner => winner === team).length;
+
+        return {
+            side1Low: side1.low,
+            side2Low: side2.low,
+            side1Total: side1.total,
+            side2Total: side2.total,
+            lowBall,
+            lowTotal,
+            side1Points: pointsFor(LOW_BALL_CONFIG.SIDE_1_VALUE),
+            side2Points: pointsFor(LOW_BALL_CONFIG.SIDE_2_VALUE)
+        };
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Low Ball / Low Total-specific statistics
+     * @returns {Object} Low Ball / Low Total game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const results = this.actions.map(action => this.calculateHoleResult(action));
+        const total = key => results.reduce((sum, result) => sum + result[key], 0);
+
+        return {
+            ...baseStats,
+            holesPlayed: results.length,
+            side1Points: total('side1Points'),
+            side2Points: total('side2Points'),
+            pushes: results.reduce((sum, result) =>
+                sum + [result.lowBall, result.lowTotal].filter(winner => winner === LOW_BALL_CONFIG.PUSH_VALUE).length, 0)
+        };
+    }
+}
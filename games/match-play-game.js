@@ -0,0 +1,207 @@
+/**
+ * Match Play Game Class
+ * Handles Match Play game logic, calculations, and validation
+ * A single match over the round, played head to head by 2 players or as a best-ball team match by 4.
+ * The match ends as soon as one side is up by more holes than are left to play (e.g. "4&3").
+ * A match that ends all square can go on to sudden-death playoff holes, where the first hole won decides it.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, MATCH_PLAY_CONFIG } from '../constants.js';
+
+export class MatchPlayGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.MATCH_PLAY, players, {
+            teams: [],
+            teamNames: {},
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+        this.playsOff = true;
+    }
+
+    /**
+     * Calculate player balances for Match Play game
+     * Once the match is decided, each player on the winning side collects the bet from the other side
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const [side1, side2] = this.getSides();
+        const match = this.getMatchStatus();
+
+        if (match.winner === MATCH_PLAY_CONFIG.SIDE_1_VALUE) {
+            this.settleBetweenSides(playerBalances, side1, side2, this.getBetAmount());
+        } else if (match.winner === MATCH_PLAY_CONFIG.SIDE_2_VALUE) {
+            this.settleBetweenSides(playerBalances, side2, side1, this.getBetAmount());
+        }
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Match Play action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.winner) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // No more holes are played once the match is over (a hole skipped earlier can still be filled in)
+        const match = this.getMatchStatus();
+        if (match.finished && this.getPlaySequence(action.hole) > match.lastSequence) {
+            return false;
+        }
+
+        // Validate winner is a side or a halved hole
+        const validResults = [
+            MATCH_PLAY_CONFIG.SIDE_1_VALUE,
+            MATCH_PLAY_CONFIG.SIDE_2_VALUE,
+            MATCH_PLAY_CONFIG.HALVED_VALUE
+        ];
+        return validResults.includes(action.winner);
+    }
+
+    /**
+     * Get the two sides playing the match
+     * 4 players play as the configured teams, 2 players play head to head
+     * @returns {Array} Array of two player arrays [side1, side2]
+     */
+    getSides() {
+        if (this.config.teams && this.config.teams.length === 2) {
+            return this.config.teams;
+        }
+        return [[this.players[0]], [this.players[1]]];
+    }
+
+    /**
+     * Get the display name for a side
+     * @param {string} side - Side value (team1 or team2)
+     * @returns {string} Team name or player name
+     */
+    getSideName(side) {
+        if (this.config.teamNames && this.config.teamNames[side]) {
+            return this.config.teamNames[side];
+        }
+        const [side1, side2] = this.getSides();
+        const players = side === MATCH_PLAY_CONFIG.SIDE_1_VALUE ? side1 : side2;
+        return players.join(' & ');
+    }
+
+    /**
+     * Play the match through the recorded holes in order
+     * Holes remaining count from the last hole recorded, so a hole that was never entered doesn't hold the match open
+     * @returns {Object} Match status {
+     *   standing, holesPlayed, holesRemaining, lastSequence, leader, dormie, finished, winner, closedOnHole, status
+     * }
+     */
+    getMatchStatus() {
+        const roundLength = this.getRoundLength();
+        let standing = 0; // Positive when side 1 is up, negative when side 2 is up
+        let holesPlayed = 0;
+        let lastSequence = 0; // Play sequence of the last hole counted
+        let closedOnHole = null;
+
+        this.sortByPlayOrder().forEach(action => {
+            if (closedOnHole) return;
+
+            if (action.winner === MATCH_PLAY_CONFIG.SIDE_1_VALUE) {
+                standing++;
+            } else if (action.winner === MATCH_PLAY_CONFIG.SIDE_2_VALUE) {
+                standing--;
+            }
+            holesPlayed++;
+            lastSequence = this.getPlaySequence(action.hole);
+
+            // The match is closed out once the lead can't be caught (on a playoff hole, by any lead)
+            if (Math.abs(standing) > Math.max(roundLength - lastSequence, 0)) {
+                closedOnHole = action.hole;
+            }
+        });
+
+        const holesRemaining = Math.max(roundLength - lastSequence, 0);
+        const leader = standing > 0 ? MATCH_PLAY_CONFIG.SIDE_1_VALUE :
+                       standing < 0 ? MATCH_PLAY_CONFIG.SIDE_2_VALUE : null;
+        const finished = closedOnHole !== null || lastSequence >= this.getLastHole();
+
+        const match = {
+            standing,
+            holesPlayed,
+            holesRemaining,
+            lastSequence,
+            leader,
+            dormie: !finished && leader !== null && Math.abs(standing) === holesRemaining,
+            finished,
+            winner: finished ? (leader || MATCH_PLAY_CONFIG.HALVED_VALUE) : null,
+            closedOnHole
+        };
+
+        return { ...match, status: this.formatStatus(match) };
+    }
+
+    /**
+     * Format the match status for display
+     * @param {Object} match - Match status from getMatchStatus()
+     * @returns {string} Status text such as "AS", "Mike 2 UP (dormie)" or "Mike wins 4&3"
+     */
+    formatStatus(match) {
+        const up = Math.abs(match.standing);
+
+        if (match.finished) {
+            if (!match.leader) {
+                return MATCH_PLAY_CONFIG.HALVED_MATCH_TEXT;
+            }
+            const result = match.holesRemaining > 0 ? `${up}&${match.holesRemaining}` :
+                           this.isPlayoffHole(match.closedOnHole) ? `on playoff hole ${match.closedOnHole}` : `${up} UP`;
+            return `${this.getSideName(match.leader)} wins ${result}`;
+        }
+
+        if (!match.leader) {
+            return MATCH_PLAY_CONFIG.ALL_SQUARE_TEXT;
+        }
+        return `${this.getSideName(match.leader)} ${up} UP${match.dormie ? ` (${MATCH_PLAY_CONFIG.DORMIE_TEXT})` : ''}`;
+    }
+
+    /**
+     * Check if the match has ended all square and needs a sudden-death playoff hole
+     * @returns {boolean} True if another playoff hole is needed
+     */
+    needsPlayoff() {
+        const match = this.getMatchStatus();
+        return match.finished && !match.leader;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Match Play-specific statistics
+     * @returns {Object} Match Play game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            side1Holes: this.actions.filter(action => action.winner === MATCH_PLAY_CONFIG.SIDE_1_VALUE).length,
+            side2Holes: this.actions.filter(action => action.winner === MATCH_PLAY_CONFIG.SIDE_2_VALUE).length,
+            halvedHoles: this.actions.filter(action => action.winner === MATCH_PLAY_CONFIG.HALVED_VALUE).length,
+            match: this.getMatchStatus()
+        };
+    }
+}
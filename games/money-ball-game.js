@@ -0,0 +1,244 @@
+/**
+ * Money Ball Game Class
+ * Handles Money Ball (Pink Ball) game logic, calculations, and validation
+ * Two teams each play a money ball, carried by a different team member every hole in player order.
+ * A team's score is the money ball score plus the best of its other scores, and the lower team
+ * score wins the hole. A team that keeps its money ball in play all round collects the bonus.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, MONEY_BALL_CONFIG } from '../constants.js';
+
+export class MoneyBallGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.MONEY_BALL, players, {
+            teams: [],
+            teamNames: {},
+            bonusAmount: MONEY_BALL_CONFIG.DEFAULT_BONUS,
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+    }
+
+    /**
+     * Calculate player balances for Money Ball game
+     * The team that wins a hole collects the bet from each player on the other team. Once the
+     * round is complete, a team still playing its money ball collects the bonus if the other team lost theirs.
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const [side1, side2] = this.getSides();
+        const betAmount = this.getBetAmount();
+
+        this.getScoreActions().forEach(action => {
+            const result = this.calculateHoleResult(action);
+
+            if (result.winner === MONEY_BALL_CONFIG.SIDE_1_VALUE) {
+                this.settleBetweenSides(playerBalances, side1, side2, betAmount);
+            } else if (result.winner === MONEY_BALL_CONFIG.SIDE_2_VALUE) {
+                this.settleBetweenSides(playerBalances, side2, side1, betAmount);
+            }
+        });
+
+        const bonusWinner = this.getBonusWinner();
+        if (bonusWinner === MONEY_BALL_CONFIG.SIDE_1_VALUE) {
+            this.settleBetweenSides(playerBalances, side1, side2, this.config.bonusAmount);
+        } else if (bonusWinner === MONEY_BALL_CONFIG.SIDE_2_VALUE) {
+            this.settleBetweenSides(playerBalances, side2, side1, this.config.bonusAmount);
+        }
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Money Ball action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.type) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        if (action.type === MONEY_BALL_CONFIG.ACTIONS.SCORE) {
+            // Every player needs a score
+            return !!action.scores && this.players.every(player => {
+                const score = action.scores[player];
+                return Number.isInteger(score) && score >= 1 && score <= MONEY_BALL_CONFIG.MAX_SCORE;
+            });
+        }
+
+        if (action.type === MONEY_BALL_CONFIG.ACTIONS.LOST) {
+            // Each team loses its money ball once, and only the player carrying it can lose it
+            if (![MONEY_BALL_CONFIG.SIDE_1_VALUE, MONEY_BALL_CONFIG.SIDE_2_VALUE].includes(action.team)) {
+                return false;
+            }
+            if (this.getLostAction(action.team)) {
+                return false;
+            }
+            return action.player === this.getMoneyBallPlayer(action.team, action.hole);
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the two teams
+     * @returns {Array} Array of two player arrays [side1, side2]
+     */
+    getSides() {
+        if (this.config.teams && this.config.teams.length === 2) {
+            return this.config.teams;
+        }
+        return [this.players.slice(0, 2), this.players.slice(2)];
+    }
+
+    /**
+     * Get the players on a team
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {Array} Player names
+     */
+    getTeamPlayers(team) {
+        const [side1, side2] = this.getSides();
+        return team === MONEY_BALL_CONFIG.SIDE_1_VALUE ? side1 : side2;
+    }
+
+    /**
+     * Get the display name for a team
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {string} Team name or player names
+     */
+    getSideName(team) {
+        if (this.config.teamNames && this.config.teamNames[team]) {
+            return this.config.teamNames[team];
+        }
+        return this.getTeamPlayers(team).join(' & ');
+    }
+
+    /**
+     * Get which team member plays the money ball on a hole
+     * Team members take turns in player order from the starting hole, the same way the Wolf rotation follows the players
+     * @param {string} team - Team value (team1 or team2)
+     * @param {number} hole - The hole number
+     * @returns {string} Player name carrying the money ball
+     */
+    getMoneyBallPlayer(team, hole) {
+        const teamPlayers = this.players.filter(player => this.getTeamPlayers(team).includes(player));
+        return teamPlayers[(this.getPlaySequence(hole) - 1) % teamPlayers.length];
+    }
+
+    /**
+     * Get the hole score actions
+     * @returns {Array} Score actions
+     */
+    getScoreActions() {
+        return this.actions.filter(action => action.type === MONEY_BALL_CONFIG.ACTIONS.SCORE);
+    }
+
+    /**
+     * Get the action recording a team losing its money ball
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {Object|undefined} Lost ball action
+     */
+    getLostAction(team) {
+        return this.actions.find(action => action.type === MONEY_BALL_CONFIG.ACTIONS.LOST && action.team === team);
+    }
+
+    /**
+     * Check if a team's money ball is still in play
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {boolean} True until the team loses its money ball
+     */
+    hasMoneyBall(team) {
+        return !this.getLostAction(team);
+    }
+
+    /**
+     * Get a team's score for a hole: the money ball score plus the best of the team's other scores
+     * @param {Object} action - Score action { hole, scores }
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {number} Team score
+     */
+    getTeamScore(action, team) {
+        const moneyBallPlayer = this.getMoneyBallPlayer(team, action.hole);
+        const scores = this.getNetScores(action.hole, action.scores);
+        const otherScores = this.getTeamPlayers(team)
+            .filter(player => player !== moneyBallPlayer)
+            .map(player => scores[player]);
+        return scores[moneyBallPlayer] + Math.min(...otherScores);
+    }
+
+    /**
+     * Calculate the result of a hole
+     * @param {Object} action - Score action { hole, scores }
+     * @returns {Object} Result { side1Score, side2Score, winner }
+     */
+    calculateHoleResult(action) {
+        const side1Score = this.getTeamScore(action, MONEY_BALL_CONFIG.SIDE_1_VALUE);
+        const side2Score = this.getTeamScore(action, MONEY_BALL_CONFIG.SIDE_2_VALUE);
+        const winner = side1Score < side2Score ? MONEY_BALL_CONFIG.SIDE_1_VALUE :
+                       side2Score < side1Score ? MONEY_BALL_CONFIG.SIDE_2_VALUE : MONEY_BALL_CONFIG.HALVED_VALUE;
+
+        return { side1Score, side2Score, winner };
+    }
+
+    /**
+     * Get the team that wins the money ball bonus
+     * The bonus is decided once the last hole of the round has been scored, so a hole left
+     * without a score doesn't hold it up
+     * @returns {string|null} Team value, or null when nobody wins the bonus (yet)
+     */
+    getBonusWinner() {
+        const lastSequence = Math.max(0, ...this.getScoreActions().map(action => this.getPlaySequence(action.hole)));
+        if (lastSequence < this.getRoundLength()) {
+            return null;
+        }
+
+        const side1Kept = this.hasMoneyBall(MONEY_BALL_CONFIG.SIDE_1_VALUE);
+        const side2Kept = this.hasMoneyBall(MONEY_BALL_CONFIG.SIDE_2_VALUE);
+        if (side1Kept === side2Kept) {
+            return null;
+        }
+        return side1Kept ? MONEY_BALL_CONFIG.SIDE_1_VALUE : MONEY_BALL_CONFIG.SIDE_2_VALUE;
+    }
+
+    /**
+     * Check if a hole has already been scored
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has a score action
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).some(action => action.type === MONEY_BALL_CONFIG.ACTIONS.SCORE);
+    }
+
+    /**
+     * Get Money Ball-specific statistics
+     * @returns {Object} Money Ball game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const results = this.getScoreActions().map(action => this.calculateHoleResult(action));
+        const lostOnHole = team => {
+            const lostAction = this.getLostAction(team);
+            return lostAction ? lostAction.hole : null;
+        };
+
+        return {
+            ...baseStats,
+            holesPlayed: results.length,
+            side1Holes: results.filter(result => result.winner === MONEY_BALL_CONFIG.SIDE_1_VALUE).length,
+            side2Holes: results.filter(result => result.winner === MONEY_BALL_CONFIG.SIDE_2_VALUE).length,
+            halvedHoles: results.filter(result => result.winner === MONEY_BALL_CONFIG.HALVED_VALUE).length,
+            side1LostOnHole: lostOnHole(MONEY_BALL_CONFIG.SIDE_1_VALUE),
+            side2LostOnHole: lostOnHole(MONEY_BALL_CONFIG.SIDE_2_VALUE),
+            bonusWinner: this.getBonusWinner()
+        };
+    }
+}
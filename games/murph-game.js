@@ -64,7 +64,7 @@ export class MurphGame extends BaseGame {
         }
 
         // Validate hole is valid
-        if (action.hole < 1 || action.hole > 18) {
+        if (!this.isValidHole(action.hole)) {
             return false;
         }
 
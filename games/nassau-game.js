@@ -0,0 +1,300 @@
+/**
+ * Nassau Game Class
+ * Handles Nassau game logic, calculations, and validation
+ * Nassau is three match-play bets in one: the front nine, the back nine and the overall 18
+ * (the two halves of the round and the whole round for other lengths).
+ * Any bet that falls 2 holes down automatically starts a press (a new bet) on the next hole.
+ * An overall match that ends all square can go on to sudden-death playoff holes.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, NASSAU_CONFIG, DEFAULTS } from '../constants.js';
+
+export class NassauGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.NASSAU, players, {
+            teams: [],
+            teamNames: {},
+            autoPress: true,
+            pressTrigger: NASSAU_CONFIG.PRESS_TRIGGER,
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+        this.playsOff = true;
+    }
+
+    /**
+     * Calculate player balances for Nassau game
+     * Every bet (including presses) that is currently up pays the bet amount
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const [side1, side2] = this.getSides();
+        const betAmount = this.getBetAmount();
+
+        Object.values(this.getMatchStatus()).forEach(match => {
+            match.bets.forEach(bet => {
+                if (bet.standing > 0) {
+                    this.settleBetweenSides(playerBalances, side1, side2, betAmount);
+                } else if (bet.standing < 0) {
+                    this.settleBetweenSides(playerBalances, side2, side1, betAmount);
+                }
+            });
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Nassau action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.winner) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Playoff holes only decide an overall match that is still all square
+        if (this.isPlayoffHole(action.hole) && !this.isOverallTiedBefore(action.hole)) {
+            return false;
+        }
+
+        // Validate winner is a side or a halved hole
+        const validResults = [
+            NASSAU_CONFIG.SIDE_1_VALUE,
+            NASSAU_CONFIG.SIDE_2_VALUE,
+            NASSAU_CONFIG.HALVED_VALUE
+        ];
+        return validResults.includes(action.winner);
+    }
+
+    /**
+     * Get the two sides playing the match
+     * 4 players play as the configured teams, 2 players play head to head
+     * @returns {Array} Array of two player arrays [side1, side2]
+     */
+    getSides() {
+        if (this.config.teams && this.config.teams.length === 2) {
+            return this.config.teams;
+        }
+        return [[this.players[0]], [this.players[1]]];
+    }
+
+    /**
+     * Get the display name for a side
+     * @param {string} side - Side value (team1 or team2)
+     * @returns {string} Team name or player name
+     */
+    getSideName(side) {
+        if (this.config.teamNames && this.config.teamNames[side]) {
+            return this.config.teamNames[side];
+        }
+        const [side1, side2] = this.getSides();
+        const players = side === NASSAU_CONFIG.SIDE_1_VALUE ? side1 : side2;
+        return players.join(' & ');
+    }
+
+    /**
+     * Get the recorded result for each hole (the latest entry wins if a hole was recorded twice)
+     * @returns {Object} Results by hole { hole: winner }
+     */
+    getHoleResults() {
+        const results = {};
+        this.actions.forEach(action => {
+            results[action.hole] = action.winner;
+        });
+        return results;
+    }
+
+    /**
+     * Play out one match and any presses it triggers
+     * Matches run in play order, so they are bounded by play sequence rather than hole number
+     * @param {number} startSequence - Play sequence of the first hole of the match
+     * @param {number} endSequence - Play sequence of the last hole of the match
+     * @returns {Array} Bets in the order they started { startHole, endHole, standing, holesPlayed, isPress }
+     */
+    calculateMatch(startSequence, endSequence) {
+        const holeResults = this.getHoleResults();
+        const endHole = this.getHoleAtSequence(endSequence);
+        const bets = [this.createBet(this.getHoleAtSequence(startSequence), endHole, false)];
+
+        for (let sequence = startSequence; sequence <= endSequence; sequence++) {
+            const result = holeResults[this.getHoleAtSequence(sequence)];
+            if (!result) continue;
+
+            const swing = result === NASSAU_CONFIG.SIDE_1_VALUE ? 1 :
+                          result === NASSAU_CONFIG.SIDE_2_VALUE ? -1 : 0;
+
+            // Only bets that have started by this hole are affected
+            const activeBets = bets.filter(bet => this.getPlaySequence(bet.startHole) <= sequence);
+            activeBets.forEach(bet => {
+                bet.standing += swing;
+                bet.holesPlayed++;
+            });
+
+            // A bet that goes 2 down presses once, starting on the next hole
+            if (this.config.autoPress && sequence < endSequence) {
+                activeBets.forEach(bet => {
+                    if (!bet.pressed && Math.abs(bet.standing) >= this.config.pressTrigger) {
+                        bet.pressed = true;
+                        bets.push(this.createBet(this.getHoleAtSequence(sequence + 1), endHole, true));
+                    }
+                });
+            }
+        }
+
+        return bets;
+    }
+
+    /**
+     * Get where the front match ends in play order (half the round, rounded down)
+     * @returns {number} Play sequence
+     */
+    getFrontEnd() {
+        return Math.floor(this.getRoundLength() / 2);
+    }
+
+    /**
+     * Play the overall bet on through the playoff holes while it is all square
+     * Presses end with the round, so only the overall bet is played off
+     * @param {Object} bet - Overall bet from calculateMatch()
+     * @param {number} lastHole - Last playoff hole to play
+     */
+    playOff(bet, lastHole = this.getLastHole()) {
+        const holeResults = this.getHoleResults();
+
+        for (let hole = this.getRoundLength() + 1; hole <= lastHole && bet.standing === 0; hole++) {
+            const result = holeResults[hole];
+            if (!result) break;
+
+            bet.standing += result === NASSAU_CONFIG.SIDE_1_VALUE ? 1 :
+                            result === NASSAU_CONFIG.SIDE_2_VALUE ? -1 : 0;
+            bet.holesPlayed++;
+        }
+    }
+
+    /**
+     * Check if the overall match is all square with every hole before a playoff hole played
+     * @param {number} hole - Playoff hole
+     * @returns {boolean} True if the playoff hole is still needed
+     */
+    isOverallTiedBefore(hole) {
+        const overall = this.calculateMatch(1, this.getRoundLength())[0];
+        this.playOff(overall, hole - 1);
+        return overall.standing === 0 && overall.holesPlayed >= hole - 1;
+    }
+
+    /**
+     * Check if the overall match has ended all square and needs a sudden-death playoff hole
+     * @returns {boolean} True if another playoff hole is needed
+     */
+    needsPlayoff() {
+        return this.isOverallTiedBefore(this.getLastHole() + 1);
+    }
+
+    /**
+     * Create a new bet record
+     * @param {number} startHole - First hole of the bet
+     * @param {number} endHole - Last hole of the bet
+     * @param {boolean} isPress - True if the bet is a press
+     * @returns {Object} Bet record
+     */
+    createBet(startHole, endHole, isPress) {
+        return {
+            startHole,
+            endHole,
+            standing: 0, // Positive when side 1 is up, negative when side 2 is up
+            holesPlayed: 0,
+            pressed: false,
+            isPress
+        };
+    }
+
+    /**
+     * Get the status of the front nine, back nine and overall matches
+     * @returns {Object} Matches by key { front, back, overall } with their bets
+     */
+    getMatchStatus() {
+        const roundLength = this.getRoundLength();
+        const frontEnd = this.getFrontEnd();
+        const overall = this.calculateMatch(1, roundLength);
+        this.playOff(overall[0]);
+
+        const matches = {
+            [NASSAU_CONFIG.MATCHES.FRONT]: this.calculateMatch(1, frontEnd),
+            [NASSAU_CONFIG.MATCHES.BACK]: this.calculateMatch(frontEnd + 1, roundLength),
+            [NASSAU_CONFIG.MATCHES.OVERALL]: overall
+        };
+
+        // The usual names only fit an 18-hole round started on the 1st
+        const isStandardRound = roundLength === DEFAULTS.ROUND_LENGTH && this.config.startingHole === DEFAULTS.STARTING_HOLE;
+        const names = isStandardRound ? NASSAU_CONFIG.MATCH_NAMES : {
+            [NASSAU_CONFIG.MATCHES.FRONT]: `Holes ${this.getHoleAtSequence(1)}-${this.getHoleAtSequence(frontEnd)}`,
+            [NASSAU_CONFIG.MATCHES.BACK]: `Holes ${this.getHoleAtSequence(frontEnd + 1)}-${this.getHoleAtSequence(roundLength)}`,
+            [NASSAU_CONFIG.MATCHES.OVERALL]: NASSAU_CONFIG.MATCH_NAMES[NASSAU_CONFIG.MATCHES.OVERALL]
+        };
+
+        const status = {};
+        Object.entries(matches).forEach(([key, bets]) => {
+            status[key] = {
+                name: names[key],
+                bets: bets.map(bet => ({
+                    ...bet,
+                    status: this.formatStanding(bet.standing)
+                }))
+            };
+        });
+        return status;
+    }
+
+    /**
+     * Format a bet standing for display
+     * @param {number} standing - Holes up (positive for side 1, negative for side 2)
+     * @returns {string} Status text such as "All Square" or "Mike 2 UP"
+     */
+    formatStanding(standing) {
+        if (standing === 0) {
+            return 'All Square';
+        }
+        const leader = standing > 0 ? NASSAU_CONFIG.SIDE_1_VALUE : NASSAU_CONFIG.SIDE_2_VALUE;
+        return `${this.getSideName(leader)} ${Math.abs(standing)} UP`;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Nassau-specific statistics
+     * @returns {Object} Nassau game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const matchStatus = this.getMatchStatus();
+        const totalPresses = Object.values(matchStatus).reduce(
+            (total, match) => total + match.bets.filter(bet => bet.isPress).length, 0
+        );
+
+        return {
+            ...baseStats,
+            holesPlayed: Object.keys(this.getHoleResults()).length,
+            side1Holes: this.actions.filter(action => action.winner === NASSAU_CONFIG.SIDE_1_VALUE).length,
+            side2Holes: this.actions.filter(action => action.winner === NASSAU_CONFIG.SIDE_2_VALUE).length,
+            halvedHoles: this.actions.filter(action => action.winner === NASSAU_CONFIG.HALVED_VALUE).length,
+            totalPresses
+        };
+    }
+}
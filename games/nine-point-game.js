@@ -0,0 +1,138 @@
+/**
+ * Nine Point Game Class
+ * Handles Nine Point (5-3-1) game logic, calculations, and validation
+ * A game for threesomes: 9 points are shared on every hole, 5 for the best score, 3 for second
+ * and 1 for third, with tied players splitting the points for their places.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, NINE_POINT_CONFIG } from '../constants.js';
+
+export class NinePointGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.NINE_POINT, players, config);
+    }
+
+    /**
+     * Calculate player balances for Nine Point game
+     * Each player is paid their points above (or pays their points below) an even share of 3 per hole
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const pointsByPlayer = this.getPointsByPlayer();
+        const evenShare = this.getEvenShare();
+
+        this.players.forEach(player => {
+            playerBalances[player] = (pointsByPlayer[player] - evenShare) * this.getBetAmount();
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Nine Point action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.scores) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Nine Point is only played by threesomes
+        if (this.players.length !== NINE_POINT_CONFIG.POINTS.length) {
+            return false;
+        }
+
+        // Every player needs a score
+        return this.players.every(player => {
+            const score = action.scores[player];
+            return Number.isInteger(score) && score >= 1 && score <= NINE_POINT_CONFIG.MAX_SCORE;
+        });
+    }
+
+    /**
+     * Share out the points for a hole
+     * Tied players split the points for the places they cover (5/3/1 becomes 4/4/1 or 3/3/3)
+     * @param {Object} action - Nine Point action { hole, scores }
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getHolePoints(action) {
+        const points = {};
+        const scores = this.getNetScores(action.hole, action.scores);
+        const ranked = [...this.players].sort((a, b) => scores[a] - scores[b]);
+
+        let place = 0;
+        while (place < ranked.length) {
+            const tied = ranked.filter(player => scores[player] === scores[ranked[place]]);
+            const placePoints = NINE_POINT_CONFIG.POINTS.slice(place, place + tied.length);
+            const share = placePoints.reduce((total, value) => total + value, 0) / tied.length;
+
+            tied.forEach(player => {
+                points[player] = share;
+            });
+            place += tied.length;
+        }
+
+        return points;
+    }
+
+    /**
+     * Total the points earned by each player
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getPointsByPlayer() {
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = 0;
+        });
+
+        this.actions.forEach(action => {
+            const holePoints = this.getHolePoints(action);
+            this.players.forEach(player => {
+                points[player] += holePoints[player];
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Get each player's even share of the points played so far (54 over an 18-hole round)
+     * @returns {number} Even share of points
+     */
+    getEvenShare() {
+        return this.actions.length * NINE_POINT_CONFIG.POINTS_PER_HOLE / this.players.length;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Nine Point-specific statistics
+     * @returns {Object} Nine Point game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            pointsByPlayer: this.getPointsByPlayer(),
+            evenShare: this.getEvenShare()
+        };
+    }
+}
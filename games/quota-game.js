@@ -0,0 +1,178 @@
+/**
+ * Quota Game Class
+ * Handles Quota (Chicago) game logic, calculations, and validation
+ * Each player's quota is 36 minus their handicap. Scores earn points against par (bogey 1, par 2,
+ * birdie 4, eagle 8) and players are paid for how far they finish above or below their quota.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, QUOTA_CONFIG } from '../constants.js';
+
+export class QuotaGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.QUOTA, players, {
+            handicaps: {},
+            pars: [], // Par for each hole when course data is available
+            ...config
+        });
+    }
+
+    /**
+     * Calculate player balances for Quota game
+     * Every pair of players settles the difference in how far they are above or below quota
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const overQuota = this.getPointsOverQuota();
+        const betAmount = this.getBetAmount();
+
+        this.players.forEach((player, index) => {
+            this.players.slice(index + 1).forEach(opponent => {
+                const amount = (overQuota[player] - overQuota[opponent]) * betAmount;
+                playerBalances[player] += amount;
+                playerBalances[opponent] -= amount;
+            });
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Quota action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.scores) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Par comes from the action, or from the course when it isn't entered
+        if (!QUOTA_CONFIG.PAR_OPTIONS.includes(this.getParForHole(action))) {
+            return false;
+        }
+
+        // Every player needs a score
+        return this.players.every(player => {
+            const score = action.scores[player];
+            return Number.isInteger(score) && score >= 1 && score <= QUOTA_CONFIG.MAX_SCORE;
+        });
+    }
+
+    /**
+     * Get the par for a recorded hole
+     * @param {Object} action - Quota action { hole, par, scores }
+     * @returns {number|undefined} Par entered with the hole, otherwise the course par for the hole
+     */
+    getParForHole(action) {
+        return action.par || this.config.pars[action.hole - 1];
+    }
+
+    /**
+     * Get a player's quota for the round
+     * @param {string} player - Player name
+     * @returns {number} Points the player needs to break even
+     */
+    getQuota(player) {
+        return QUOTA_CONFIG.BASE_QUOTA - (this.config.handicaps[player] || 0);
+    }
+
+    /**
+     * Convert a score into quota points
+     * Eagles or better earn the eagle points, double bogeys or worse earn nothing
+     * @param {number} score - Strokes taken
+     * @param {number} par - Par for the hole
+     * @returns {number} Points earned
+     */
+    getPoints(score, par) {
+        const diff = Math.max(score - par, QUOTA_CONFIG.BEST_DIFF);
+        return QUOTA_CONFIG.POINTS[diff] || 0;
+    }
+
+    /**
+     * Get the points each player earned on a hole
+     * @param {Object} action - Quota action { hole, par, scores }
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getHolePoints(action) {
+        const par = this.getParForHole(action);
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = this.getPoints(action.scores[player], par);
+        });
+        return points;
+    }
+
+    /**
+     * Total the points earned by each player
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getPointsByPlayer() {
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = 0;
+        });
+
+        this.actions.forEach(action => {
+            const holePoints = this.getHolePoints(action);
+            this.players.forEach(player => {
+                points[player] += holePoints[player];
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Get how far each player is above (positive) or below (negative) their quota
+     * @returns {Object} Points over quota by player { playerName: points }
+     */
+    getPointsOverQuota() {
+        const pointsByPlayer = this.getPointsByPlayer();
+        const overQuota = {};
+        this.players.forEach(player => {
+            overQuota[player] = pointsByPlayer[player] - this.getQuota(player);
+        });
+        return overQuota;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Quota-specific statistics
+     * @returns {Object} Quota game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const overQuota = this.getPointsOverQuota();
+        const bestOverQuota = Math.max(...Object.values(overQuota));
+        const quotas = {};
+        this.players.forEach(player => {
+            quotas[player] = this.getQuota(player);
+        });
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            quotas,
+            pointsByPlayer: this.getPointsByPlayer(),
+            overQuota,
+            leaders: this.actions.length > 0 ?
+                this.players.filter(player => overQuota[player] === bestOverQuota) : []
+        };
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Rabbit Game Class
+ * Handles Rabbit game logic, calculations, and validation
+ * Winning a hole outright catches a free rabbit. The holder keeps it until another player wins a
+ * hole outright, which sets it free again. Whoever holds the rabbit at the end of each nine collects.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, RABBIT_CONFIG, DEFAULTS } from '../constants.js';
+
+export class RabbitGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.RABBIT, players, {
+            // The holder collects at the end of every nine in the round, counted in play order
+            settleHoles: Array.from(
+                { length: Math.ceil((config.roundLength || DEFAULTS.ROUND_LENGTH) / RABBIT_CONFIG.HOLES_PER_NINE) },
+                (_, index) => (index + 1) * RABBIT_CONFIG.HOLES_PER_NINE
+            ),
+            ...config
+        });
+    }
+
+    /**
+     * Calculate player balances for Rabbit game
+     * The holder at the end of each finished nine collects the bet from every other player
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+
+        this.getNineResults().forEach(nine => {
+            if (nine.settled && nine.holder) {
+                this.collectFromOtherPlayers(playerBalances, nine.holder, this.getBetAmount());
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Rabbit action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.winner) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Validate winner is a player or a tie
+        return action.winner === RABBIT_CONFIG.TIE_VALUE || this.players.includes(action.winner);
+    }
+
+    /**
+     * Get the stretches of holes the rabbit is played over
+     * Nines follow play order, so a round started on the 10th plays its first nine on holes 10-18
+     * @returns {Array} Nines { name, startHole, endHole }
+     */
+    getNines() {
+        return this.config.settleHoles.map((endSequence, index) => {
+            const startSequence = index === 0 ? 1 : this.config.settleHoles[index - 1] + 1;
+            const startHole = this.getHoleAtSequence(startSequence);
+            const endHole = this.getHoleAtSequence(endSequence);
+            const namedNine = this.config.startingHole === DEFAULTS.STARTING_HOLE && RABBIT_CONFIG.NINE_NAMES[index];
+            return {
+                name: namedNine || `Holes ${startHole}-${endHole}`,
+                startHole,
+                endHole
+            };
+        });
+    }
+
+    /**
+     * Check if a hole is played in a nine
+     * @param {Object} nine - Nine from getNines()
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if the hole is part of the nine
+     */
+    isHoleInNine(nine, hole) {
+        const sequence = this.getPlaySequence(hole);
+        return sequence >= this.getPlaySequence(nine.startHole) && sequence <= this.getPlaySequence(nine.endHole);
+    }
+
+    /**
+     * Play the rabbit through one nine
+     * @param {Object} nine - Nine from getNines()
+     * @returns {Object} { holder, events } where events are { hole, winner, event, holder } in play order
+     */
+    playNine(nine) {
+        let holder = null; // The rabbit starts every nine free
+        const events = [];
+
+        this.sortByPlayOrder(this.actions.filter(action => this.isHoleInNine(nine, action.hole)))
+            .forEach(action => {
+                let event;
+                if (action.winner === RABBIT_CONFIG.TIE_VALUE) {
+                    event = RABBIT_CONFIG.EVENTS.TIE;
+                } else if (!holder) {
+                    holder = action.winner;
+                    event = RABBIT_CONFIG.EVENTS.CAUGHT;
+                } else if (action.winner === holder) {
+                    event = RABBIT_CONFIG.EVENTS.KEPT;
+                } else {
+                    holder = null;
+                    event = RABBIT_CONFIG.EVENTS.FREED;
+                }
+
+                events.push({ hole: action.hole, winner: action.winner, event, holder });
+            });
+
+        return { holder, events };
+    }
+
+    /**
+     * Get the rabbit result for each nine
+     * A nine is settled once its last hole (or any hole played after it) has been recorded
+     * @returns {Array} Nines { name, startHole, endHole, holder, settled }
+     */
+    getNineResults() {
+        const lastSequence = Math.max(0, ...this.actions.map(action => this.getPlaySequence(action.hole)));
+
+        return this.getNines().map(nine => ({
+            ...nine,
+            holder: this.playNine(nine).holder,
+            settled: lastSequence >= this.getPlaySequence(nine.endHole)
+        }));
+    }
+
+    /**
+     * Get what happened to the rabbit on a hole
+     * @param {number} hole - The hole number
+     * @returns {Object|null} Event { hole, winner, event, holder } or null if the hole hasn't been played
+     */
+    getHoleEvent(hole) {
+        const nine = this.getNines().find(nine => this.isHoleInNine(nine, hole));
+        if (!nine) {
+            return null;
+        }
+        return this.playNine(nine).events.find(event => event.hole === hole) || null;
+    }
+
+    /**
+     * Get who is holding the rabbit in the nine being played
+     * @returns {string|null} Player name, or null if the rabbit is free
+     */
+    getCurrentHolder() {
+        if (this.actions.length === 0) {
+            return null;
+        }
+        const lastAction = this.sortByPlayOrder()[this.actions.length - 1];
+        const event = this.getHoleEvent(lastAction.hole);
+        return event ? event.holder : null;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Rabbit-specific statistics
+     * @returns {Object} Rabbit game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const catchesByPlayer = {};
+        this.players.forEach(player => {
+            catchesByPlayer[player] = 0;
+        });
+
+        this.getNines().forEach(nine => {
+            this.playNine(nine).events
+                .filter(event => event.event === RABBIT_CONFIG.EVENTS.CAUGHT)
+                .forEach(event => {
+                    catchesByPlayer[event.holder]++;
+                });
+        });
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            catchesByPlayer,
+            currentHolder: this.getCurrentHolder(),
+            nineResults: this.getNineResults()
+        };
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Scotch Game Class
+ * Handles Scotch (Six Point) game logic, calculations, and validation
+ * Two teams of two play for 6 points a hole: low ball 2, low team total 2, proximity 1 and birdie 1.
+ * With the umbrella on, a team that sweeps every point doubles them.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, SCOTCH_CONFIG } from '../constants.js';
+
+export class ScotchGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.SCOTCH, players, {
+            teams: [],
+            umbrella: true,
+            pars: [], // Par for each hole when course data is available
+            ...config
+        });
+        this.requiredPlayers = 4; // Scotch is played by two teams of two
+    }
+
+    /**
+     * Calculate player balances for Scotch game
+     * Each hole the team with more points collects the difference times the bet from each opponent
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const betAmount = this.getBetAmount();
+
+        this.actions.forEach(action => {
+            const [side1, side2] = action.teams;
+            const result = this.getHolePoints(action);
+            const difference = result.side1Points - result.side2Points;
+
+            if (difference > 0) {
+                this.settleBetweenSides(playerBalances, side1, side2, difference * betAmount);
+            } else if (difference < 0) {
+                this.settleBetweenSides(playerBalances, side2, side1, -difference * betAmount);
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Scotch action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.teams || !action.scores) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // The teams must split the players two against two
+        if (this.getPairingIndex(action.teams) === -1) {
+            return false;
+        }
+
+        // Par comes from the action, or from the course when it isn't entered
+        if (!SCOTCH_CONFIG.PAR_OPTIONS.includes(this.getParForHole(action))) {
+            return false;
+        }
+
+        // Proximity is optional, but must be a player when given
+        if (action.prox && !this.players.includes(action.prox)) {
+            return false;
+        }
+
+        // Every player needs a score
+        return this.players.every(player => {
+            const score = action.scores[player];
+            return Number.isInteger(score) && score >= 1 && score <= SCOTCH_CONFIG.MAX_SCORE;
+        });
+    }
+
+    /**
+     * Get the par for a recorded hole
+     * @param {Object} action - Scotch action { hole, par, teams, scores, prox }
+     * @returns {number|undefined} Par entered with the hole, otherwise the course par for the hole
+     */
+    getParForHole(action) {
+        return action.par || this.config.pars[action.hole - 1];
+    }
+
+    /**
+     * Get the teams for a pairing
+     * @param {number} index - Pairing index in SCOTCH_CONFIG.PAIRINGS
+     * @returns {Array} Array of two player arrays [team1, team2]
+     */
+    getPairingTeams(index) {
+        return SCOTCH_CONFIG.PAIRINGS[index].map(team => team.map(position => this.players[position]));
+    }
+
+    /**
+     * Find the pairing that matches a pair of teams
+     * @param {Array} teams - Array of two player arrays
+     * @returns {number} Pairing index, or -1 if the teams aren't a 2v2 split of the players
+     */
+    getPairingIndex(teams) {
+        if (!Array.isArray(teams) || teams.length !== 2) {
+            return -1;
+        }
+
+        const sameTeam = (a, b) => a.length === b.length &&
+            a.every(player => b.includes(player)) && b.every(player => a.includes(player));
+        return SCOTCH_CONFIG.PAIRINGS.findIndex((pairing, index) => {
+            const [team1, team2] = this.getPairingTeams(index);
+            return (sameTeam(teams[0], team1) && sameTeam(teams[1], team2)) ||
+                   (sameTeam(teams[0], team2) && sameTeam(teams[1], team1));
+        });
+    }
+
+    /**
+     * Get the teams to offer for a hole: the teams from the last hole played before it,
+     * or the teams picked in the game setup
+     * @param {number} hole - The hole number
+     * @returns {Array} Array of two player arrays [team1, team2]
+     */
+    getDefaultTeams(hole) {
+        const sequence = this.getPlaySequence(hole);
+        const previousHoles = this.sortByPlayOrder().filter(action => this.getPlaySequence(action.hole) < sequence);
+        if (previousHoles.length > 0) {
+            return previousHoles[previousHoles.length - 1].teams;
+        }
+
+        const setupIndex = this.getPairingIndex(this.config.teams);
+        return this.getPairingTeams(setupIndex === -1 ? 0 : setupIndex);
+    }
+
+    /**
+     * Get the side a player is on for a hole
+     * @param {Object} action - Scotch action
+     * @param {string} player - Player name
+     * @returns {string} Side value (team1 or team2)
+     */
+    getPlayerSide(action, player) {
+        return action.teams[0].includes(player) ? SCOTCH_CONFIG.SIDE_1_VALUE : SCOTCH_CONFIG.SIDE_2_VALUE;
+    }
+
+    /**
+     * Award each point category for a hole
+     * @param {Object} action - Scotch action { hole, par, teams, scores, prox }
+     * @returns {Object} Winning side (or null when tied) by category { lowBall, lowTotal, prox, birdie }
+     */
+    getCategoryWinners(action) {
+        const [side1, side2] = this.getSideScores(action.hole, action.scores, action.teams);
+        const par = this.getParForHole(action);
+        const birdies = side => side.scores.filter(score => score < par).length;
+
+        // Lower wins; a tie awards nobody
+        return {
+            lowBall: this.getLowerSide(side1.low, side2.low, SCOTCH_CONFIG),
+            lowTotal: this.getLowerSide(side1.total, side2.total, SCOTCH_CONFIG),
+            prox: action.prox ? this.getPlayerSide(action, action.prox) : null,
+            birdie: this.getLowerSide(-birdies(side1), -birdies(side2), SCOTCH_CONFIG)
+        };
+    }
+
+    /**
+     * Get the points each side earned on a hole
+     * @param {Object} action - Scotch action { hole, par, teams, scores, prox }
+     * @returns {Object} Hole points { side1Points, side2Points, categories, umbrella }
+     */
+    getHolePoints(action) {
+        const categories = this.getCategoryWinners(action);
+
+        // The umbrella doubles a sweep of every category
+        const multiplier = this.config.umbrella ? SCOTCH_CONFIG.UMBRELLA_MULTIPLIER : 1;
+        const { side1Points, side2Points, sweep } = this.getCategoryPoints(
+            categories, SCOTCH_CONFIG.CATEGORIES, SCOTCH_CONFIG, multiplier
+        );
+
+        return { side1Points, side2Points, categories, umbrella: !!this.config.umbrella && sweep };
+    }
+
+    /**
+     * Total the points won by each player's team
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getPointsByPlayer() {
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = 0;
+        });
+
+        this.actions.forEach(action => {
+            const result = this.getHolePoints(action);
+            this.players.forEach(player => {
+                points[player] += this.getPlayerSide(action, player) === SCOTCH_CONFIG.SIDE_1_VALUE ?
+                    result.side1Points : result.side2Points;
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Scotch-specific statistics
+     * @returns {Object} Scotch game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            pointsByPlayer: this.getPointsByPlayer(),
+            umbrellas: this.actions.filter(action => this.getHolePoints(action).umbrella).length
+        };
+    }
+}
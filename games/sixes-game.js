@@ -0,0 +1,192 @@
+/**
+ * Sixes Game Class
+ * Handles Sixes (Round Robin) game logic, calculations, and validation
+ * The 4 players rotate through all three possible pairings, a third of the round each (six holes over 18).
+ * Each segment is a best-ball match that pays the bet amount to the side that is up.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, SIXES_CONFIG, DEFAULTS } from '../constants.js';
+
+export class SixesGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.SIXES, players, {
+            pairings: SIXES_CONFIG.PAIRINGS,
+            holesPerSegment: (config.roundLength || DEFAULTS.ROUND_LENGTH) / SIXES_CONFIG.PAIRINGS.length,
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+    }
+
+    /**
+     * Calculate player balances for Sixes game
+     * Every segment a side is up in pays the bet amount from each losing player
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const betAmount = this.getBetAmount();
+
+        this.getSegmentResults().forEach(segment => {
+            if (segment.standing > 0) {
+                this.settleBetweenSides(playerBalances, segment.team1, segment.team2, betAmount);
+            } else if (segment.standing < 0) {
+                this.settleBetweenSides(playerBalances, segment.team2, segment.team1, betAmount);
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Sixes action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.winner) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Validate winner is a side or a halved hole
+        const validResults = [
+            SIXES_CONFIG.SIDE_1_VALUE,
+            SIXES_CONFIG.SIDE_2_VALUE,
+            SIXES_CONFIG.HALVED_VALUE
+        ];
+        return validResults.includes(action.winner);
+    }
+
+    /**
+     * Get the segment index for a hole
+     * Segments follow play order, so a round started on the 10th plays its first segment on holes 10-15
+     * @param {number} hole - The hole number
+     * @returns {number} Segment index (0 for holes 1-6, 1 for 7-12, 2 for 13-18 over 18 holes from the 1st)
+     */
+    getSegmentForHole(hole) {
+        return Math.floor((this.getPlaySequence(hole) - 1) / this.config.holesPerSegment);
+    }
+
+    /**
+     * Get the two teams playing a hole
+     * @param {number} hole - The hole number
+     * @returns {Array|null} Array of two player arrays [team1, team2], or null for holes outside the rotation
+     */
+    getTeamsForHole(hole) {
+        const pairing = this.config.pairings[this.getSegmentForHole(hole)];
+        if (!pairing) {
+            return null;
+        }
+        return pairing.map(team => team.map(index => this.players[index]));
+    }
+
+    /**
+     * Get the display name for a side on a hole
+     * @param {number} hole - The hole number
+     * @param {string} side - Side value (team1 or team2)
+     * @returns {string} Team name, e.g. "Daniel & Bill"
+     */
+    getSideName(hole, side) {
+        const teams = this.getTeamsForHole(hole);
+        if (!teams) {
+            return '';
+        }
+        return teams[side === SIXES_CONFIG.SIDE_1_VALUE ? 0 : 1].join(' & ');
+    }
+
+    /**
+     * Get the partner rotation schedule
+     * @returns {Array} Array of segments { holes, startHole, endHole, team1, team2 }
+     */
+    getSixesSchedule() {
+        return this.config.pairings.map((pairing, index) => {
+            const startSequence = index * this.config.holesPerSegment + 1;
+            const endSequence = Math.min(startSequence + this.config.holesPerSegment - 1, this.getRoundLength());
+            const startHole = this.getHoleAtSequence(startSequence);
+            const endHole = this.getHoleAtSequence(endSequence);
+            const [team1, team2] = pairing.map(team => team.map(playerIndex => this.players[playerIndex]));
+
+            return {
+                holes: `${startHole}-${endHole}`,
+                startHole,
+                endHole,
+                team1,
+                team2
+            };
+        });
+    }
+
+    /**
+     * Play out the best-ball match for each segment
+     * @returns {Array} Segments with results { holes, team1, team2, standing, holesPlayed, status }
+     */
+    getSegmentResults() {
+        return this.getSixesSchedule().map((segment, index) => {
+            let standing = 0; // Positive when team 1 is up, negative when team 2 is up
+            let holesPlayed = 0;
+
+            this.actions
+                .filter(action => this.getSegmentForHole(action.hole) === index)
+                .forEach(action => {
+                    holesPlayed++;
+                    if (action.winner === SIXES_CONFIG.SIDE_1_VALUE) {
+                        standing++;
+                    } else if (action.winner === SIXES_CONFIG.SIDE_2_VALUE) {
+                        standing--;
+                    }
+                });
+
+            return {
+                ...segment,
+                standing,
+                holesPlayed,
+                status: this.formatStanding(segment, standing)
+            };
+        });
+    }
+
+    /**
+     * Format a segment standing for display
+     * @param {Object} segment - Segment from the schedule
+     * @param {number} standing - Holes up (positive for team 1, negative for team 2)
+     * @returns {string} Status text such as "All Square" or "Daniel & Bill 2 UP"
+     */
+    formatStanding(segment, standing) {
+        if (standing === 0) {
+            return 'All Square';
+        }
+        const leaders = standing > 0 ? segment.team1 : segment.team2;
+        return `${leaders.join(' & ')} ${Math.abs(standing)} UP`;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Sixes-specific statistics
+     * @returns {Object} Sixes game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const segments = this.getSegmentResults();
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            segmentsWon: segments.filter(segment => segment.standing !== 0).length,
+            halvedHoles: this.actions.filter(action => action.winner === SIXES_CONFIG.HALVED_VALUE).length
+        };
+    }
+}
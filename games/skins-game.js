@@ -1,6 +1,8 @@
 /**
  * Skins Game Class
  * Handles Skins game logic, calculations, and validation
+ * Skins are either picked by hand each hole or worked out from the scorecard.
+ * Skins still carried over at the end of the round can be played for on sudden-death playoff holes.
  */
 
 import { BaseGame } from './base-game.js';
@@ -10,11 +12,13 @@ export class SkinsGame extends BaseGame {
     constructor(players, config = {}) {
         super(GAME_TYPES.SKINS, players, {
             carryoverCount: 1,
+            fromScorecard: false, // Work out each hole's winner from the scorecard instead of recording it
             teams: [],
             teamNames: [],
             ...config
         });
         this.requiredPlayers = config.requiredPlayers || 4;
+        this.playsOff = true;
     }
 
     /**
@@ -24,7 +28,7 @@ export class SkinsGame extends BaseGame {
     calculateSummary() {
         const playerBalances = this.initializePlayerBalances();
         
-        this.actions.forEach(skin => {
+        this.getResults().forEach(skin => {
             if (skin.winner === SKINS_CONFIG.CARRYOVER_VALUE) {
                 // No money changes hands on carryovers
                 return;
@@ -33,7 +37,7 @@ export class SkinsGame extends BaseGame {
             const betAmount = this.getBetAmount();
             const skinsWon = skin.skinsWon || 1;
             
-            if (this.requiredPlayers === 4 && this.config.teams && this.config.teams.length > 0) {
+            if (this.isTeamBased()) {
                 // 4 players: Handle team-based skins
                 this.handleTeamBasedSkin(playerBalances, skin, betAmount, skinsWon);
             } else {
@@ -103,13 +107,23 @@ export class SkinsGame extends BaseGame {
      * @returns {boolean} True if valid
      */
     validateAction(action) {
+        // Results come from the scorecard, so nothing is recorded by hand
+        if (this.config.fromScorecard) {
+            return false;
+        }
+
         // Required fields
         if (!action.winner || !action.hole) {
             return false;
         }
 
         // Validate hole is valid
-        if (action.hole < 1 || action.hole > 18) {
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Playoff holes are only played for skins carried over from the round
+        if (this.isPlayoffHole(action.hole) && !this.isCarriedInto(action.hole)) {
             return false;
         }
 
@@ -119,7 +133,7 @@ export class SkinsGame extends BaseGame {
         }
 
         // For team-based play (4 players)
-        if (this.requiredPlayers === 4 && this.config.teams && this.config.teams.length > 0) {
+        if (this.isTeamBased()) {
             return [SKINS_CONFIG.TEAM_1_VALUE, SKINS_CONFIG.TEAM_2_VALUE].includes(action.winner);
         } else {
             // For individual play (2-3 players)
@@ -157,7 +171,108 @@ export class SkinsGame extends BaseGame {
      * @returns {number} Current carryover count
      */
     getCarryoverCount() {
-        return this.config.carryoverCount;
+        if (!this.config.fromScorecard) {
+            return this.config.carryoverCount;
+        }
+
+        const results = this.getScorecardResults();
+        const lastResult = results[results.length - 1];
+        return lastResult && lastResult.winner === SKINS_CONFIG.CARRYOVER_VALUE ? lastResult.carryoverCount + 1 : 1;
+    }
+
+    /**
+     * Check if skins are played between the two teams
+     * @returns {boolean} True for 4-player team skins
+     */
+    isTeamBased() {
+        return this.requiredPlayers === 4 && this.config.teams && this.config.teams.length > 0;
+    }
+
+    /**
+     * Get the skins results for the round
+     * @returns {Array} Skin results, worked out from the scorecard or as recorded
+     */
+    getResults() {
+        return this.config.fromScorecard ? this.getScorecardResults() : this.actions;
+    }
+
+    /**
+     * Work out the skins from the scorecard
+     * Only holes everyone has a score on count, played net when the round has handicaps.
+     * The chain is rebuilt every time in play order, so a corrected score moves any carryover with it.
+     * @returns {Array} Results in play order [{ hole, winner, score, carryoverCount, skinsWon }]
+     */
+    getScorecardResults() {
+        if (!this.scorecard) {
+            return [];
+        }
+
+        const results = [];
+        let carryoverCount = 1;
+        this.scorecard.getScoredHoles()
+            .filter(hole => this.scorecard.isHoleComplete(hole) && this.isValidHole(hole))
+            .sort((a, b) => this.getPlaySequence(a) - this.getPlaySequence(b))
+            .forEach(hole => {
+                // Scores on a playoff hole only count while skins are still carried over
+                if (this.isPlayoffHole(hole) && !this.isCarriedInto(hole, results)) {
+                    return;
+                }
+
+                const { winner, score } = this.getHoleWinner(this.scorecard.getNetScores(hole));
+                const isCarryover = winner === SKINS_CONFIG.CARRYOVER_VALUE;
+                results.push({ hole, winner, score, carryoverCount, skinsWon: isCarryover ? 0 : carryoverCount });
+
+                carryoverCount = isCarryover ? carryoverCount + 1 : 1;
+            });
+        return results;
+    }
+
+    /**
+     * Check if the skins are carried over into a hole (the hole played before it was a carryover)
+     * @param {number} hole - The hole number
+     * @param {Array} results - Results so far (defaults to the round's results)
+     * @returns {boolean} True if the hole played before was recorded as a carryover
+     */
+    isCarriedInto(hole, results = this.getResults()) {
+        const sequence = this.getPlaySequence(hole);
+        if (sequence <= 1) {
+            return false;
+        }
+
+        const previousHole = this.getHoleAtSequence(sequence - 1);
+        const previous = results.filter(result => result.hole === previousHole).pop();
+        return !!previous && previous.winner === SKINS_CONFIG.CARRYOVER_VALUE;
+    }
+
+    /**
+     * Check if skins are still carried over at the end of the round and need a sudden-death playoff hole
+     * @returns {boolean} True if another playoff hole is needed
+     */
+    needsPlayoff() {
+        return this.isCarriedInto(this.getLastHole() + 1);
+    }
+
+    /**
+     * Work out who wins the skin on a hole
+     * The outright low score wins (low team best ball with 4 players); a tie carries over
+     * @param {Object} scores - Strokes by player { playerName: strokes }
+     * @returns {Object} Hole winner { winner, score }
+     */
+    getHoleWinner(scores) {
+        const entries = this.isTeamBased() ?
+            [
+                [SKINS_CONFIG.TEAM_1_VALUE, Math.min(...this.config.teams[0].map(player => scores[player]))],
+                [SKINS_CONFIG.TEAM_2_VALUE, Math.min(...this.config.teams[1].map(player => scores[player]))]
+            ] :
+            this.players.map(player => [player, scores[player]]);
+
+        const score = Math.min(...entries.map(([, entryScore]) => entryScore));
+        const lowEntries = entries.filter(([, entryScore]) => entryScore === score);
+
+        return {
+            winner: lowEntries.length === 1 ? lowEntries[0][0] : SKINS_CONFIG.CARRYOVER_VALUE,
+            score
+        };
     }
 
     /**
@@ -187,14 +302,15 @@ export class SkinsGame extends BaseGame {
      */
     getStats() {
         const baseStats = super.getStats();
-        const carryovers = this.actions.filter(action => action.winner === SKINS_CONFIG.CARRYOVER_VALUE).length;
-        const actualWins = this.actions.length - carryovers;
+        const results = this.getResults();
+        const carryovers = results.filter(action => action.winner === SKINS_CONFIG.CARRYOVER_VALUE).length;
+        const actualWins = results.length - carryovers;
         
         return {
             ...baseStats,
             carryovers,
             actualWins,
-            currentCarryover: this.config.carryoverCount,
+            currentCarryover: this.getCarryoverCount(),
             isTeamBased: this.requiredPlayers === 4 && this.config.teams.length > 0
         };
     }
@@ -48,7 +48,7 @@ export class SnakeGame extends BaseGame {
             // Each snake player does NOT pay individually - they just increase the pot
             
             // The last player to get a snake owes the entire pot to the other players
-            const lastSnake = this.actions[this.actions.length - 1];
+            const lastSnake = this.getLastSnake();
             playerBalances[lastSnake.player] -= snakePot;
             
             // The other players each get paid the pot amount divided by (num players - 1)
@@ -82,7 +82,7 @@ export class SnakeGame extends BaseGame {
         }
 
         // Validate hole is valid
-        if (action.hole < 1 || action.hole > 18) {
+        if (!this.isValidHole(action.hole)) {
             return false;
         }
 
@@ -104,7 +104,7 @@ export class SnakeGame extends BaseGame {
         
         const totalSnakes = this.actions.length;
         const snakePot = totalSnakes * this.getBetAmount();
-        const lastSnakePlayer = totalSnakes > 0 ? this.actions[totalSnakes - 1].player : null;
+        const lastSnakePlayer = this.getLastSnakePlayer();
         
         return {
             ...baseStats,
@@ -132,13 +132,24 @@ export class SnakeGame extends BaseGame {
         return this.actions.length * this.getBetAmount();
     }
 
+    /**
+     * Get the last snake in play order
+     * Snakes on the same hole count in the order they were recorded
+     * @returns {Object|null} Last snake action or null if no snakes
+     */
+    getLastSnake() {
+        if (this.actions.length === 0) return null;
+        const snakes = this.sortByPlayOrder();
+        return snakes[snakes.length - 1];
+    }
+
     /**
      * Get the last snake player
      * @returns {string|null} Last snake player name or null if no snakes
      */
     getLastSnakePlayer() {
-        if (this.actions.length === 0) return null;
-        return this.actions[this.actions.length - 1].player;
+        const lastSnake = this.getLastSnake();
+        return lastSnake ? lastSnake.player : null;
     }
 
     /**
@@ -165,7 +176,7 @@ export class SnakeGame extends BaseGame {
      */
     getSnakesByHole() {
         const snakesByHole = {};
-        for (let hole = 1; hole <= 18; hole++) {
+        for (let hole = 1; hole <= this.getRoundLength(); hole++) {
             snakesByHole[hole] = this.getSnakesForHole(hole).length;
         }
         return snakesByHole;
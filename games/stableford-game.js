@@ -0,0 +1,152 @@
+/**
+ * Stableford Game Class
+ * Handles Stableford game logic, calculations, and validation
+ * Each player's score relative to par is converted into points using the standard table or a
+ * modified one. Players settle the difference in points with every other player.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, STABLEFORD_CONFIG } from '../constants.js';
+
+export class StablefordGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.STABLEFORD, players, {
+            points: STABLEFORD_CONFIG.TABLES[STABLEFORD_CONFIG.DEFAULT_TABLE].points,
+            pars: [], // Par for each hole when course data is available
+            ...config
+        });
+    }
+
+    /**
+     * Calculate player balances for Stableford game
+     * Every pair of players settles the difference in their points times the bet
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const pointsByPlayer = this.getPointsByPlayer();
+        const betAmount = this.getBetAmount();
+
+        this.players.forEach((player, index) => {
+            this.players.slice(index + 1).forEach(opponent => {
+                const amount = (pointsByPlayer[player] - pointsByPlayer[opponent]) * betAmount;
+                playerBalances[player] += amount;
+                playerBalances[opponent] -= amount;
+            });
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Stableford action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.scores) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Par comes from the action, or from the course when it isn't entered
+        if (!STABLEFORD_CONFIG.PAR_OPTIONS.includes(this.getParForHole(action))) {
+            return false;
+        }
+
+        // Every player needs a score
+        return this.players.every(player => {
+            const score = action.scores[player];
+            return Number.isInteger(score) && score >= 1 && score <= STABLEFORD_CONFIG.MAX_SCORE;
+        });
+    }
+
+    /**
+     * Get the par for a recorded hole
+     * @param {Object} action - Stableford action { hole, par, scores }
+     * @returns {number|undefined} Par entered with the hole, otherwise the course par for the hole
+     */
+    getParForHole(action) {
+        return action.par || this.config.pars[action.hole - 1];
+    }
+
+    /**
+     * Convert a score into Stableford points
+     * Scores better or worse than the table covers earn the table's best or worst points
+     * @param {number} score - Strokes taken
+     * @param {number} par - Par for the hole
+     * @returns {number} Points earned
+     */
+    getPoints(score, par) {
+        const diffs = Object.keys(this.config.points).map(Number);
+        const diff = Math.min(Math.max(score - par, Math.min(...diffs)), Math.max(...diffs));
+        return this.config.points[diff];
+    }
+
+    /**
+     * Get the points each player earned on a hole
+     * @param {Object} action - Stableford action { hole, par, scores }
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getHolePoints(action) {
+        const par = this.getParForHole(action);
+        const scores = this.getNetScores(action.hole, action.scores);
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = this.getPoints(scores[player], par);
+        });
+        return points;
+    }
+
+    /**
+     * Total the points earned by each player
+     * @returns {Object} Points by player { playerName: points }
+     */
+    getPointsByPlayer() {
+        const points = {};
+        this.players.forEach(player => {
+            points[player] = 0;
+        });
+
+        this.actions.forEach(action => {
+            const holePoints = this.getHolePoints(action);
+            this.players.forEach(player => {
+                points[player] += holePoints[player];
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Stableford-specific statistics
+     * @returns {Object} Stableford game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const pointsByPlayer = this.getPointsByPlayer();
+        const topPoints = Math.max(...Object.values(pointsByPlayer));
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            pointsByPlayer,
+            leaders: this.actions.length > 0 ?
+                this.players.filter(player => pointsByPlayer[player] === topPoints) : []
+        };
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Umbrella Game Class
+ * Handles Umbrella game logic, calculations, and validation
+ * Two teams play for a point in each category on every hole: low ball, low total, KP and birdie.
+ * A team that wins every category on a hole opens the umbrella and doubles its points.
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, UMBRELLA_CONFIG } from '../constants.js';
+
+export class UmbrellaGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.UMBRELLA, players, {
+            teams: [],
+            teamNames: {},
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+    }
+
+    /**
+     * Calculate player balances for Umbrella game
+     * The team with more points over the round collects the difference times the bet from each opponent
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const [side1, side2] = this.getSides();
+        const { side1Points, side2Points } = this.getTeamTotals();
+        const difference = side1Points - side2Points;
+
+        if (difference > 0) {
+            this.settleBetweenSides(playerBalances, side1, side2, difference * this.getBetAmount());
+        } else if (difference < 0) {
+            this.settleBetweenSides(playerBalances, side2, side1, -difference * this.getBetAmount());
+        }
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate an Umbrella action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.winners) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Every category goes to a team, or to nobody
+        const validWinners = [UMBRELLA_CONFIG.SIDE_1_VALUE, UMBRELLA_CONFIG.SIDE_2_VALUE, UMBRELLA_CONFIG.NO_WINNER_VALUE];
+        return Object.keys(UMBRELLA_CONFIG.CATEGORIES).every(category => validWinners.includes(action.winners[category]));
+    }
+
+    /**
+     * Get the two teams
+     * @returns {Array} Array of two player arrays [side1, side2]
+     */
+    getSides() {
+        if (this.config.teams && this.config.teams.length === 2) {
+            return this.config.teams;
+        }
+        return [this.players.slice(0, 2), this.players.slice(2)];
+    }
+
+    /**
+     * Get the display name for a team
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {string} Team name or player names
+     */
+    getSideName(team) {
+        if (this.config.teamNames && this.config.teamNames[team]) {
+            return this.config.teamNames[team];
+        }
+        const [side1, side2] = this.getSides();
+        return (team === UMBRELLA_CONFIG.SIDE_1_VALUE ? side1 : side2).join(' & ');
+    }
+
+    /**
+     * Get the points each team earned on a hole
+     * @param {Object} action - Umbrella action { hole, winners }
+     * @returns {Object} Hole points { side1Points, side2Points, umbrella }
+     */
+    getHolePoints(action) {
+        // The umbrella doubles a sweep of every category
+        const { side1Points, side2Points, sweep } = this.getCategoryPoints(
+            action.winners, UMBRELLA_CONFIG.CATEGORIES, UMBRELLA_CONFIG, UMBRELLA_CONFIG.UMBRELLA_MULTIPLIER
+        );
+
+        return { side1Points, side2Points, umbrella: sweep };
+    }
+
+    /**
+     * Get the points tally for every hole played
+     * @returns {Array} Hole tallies in play order [{ hole, side1Points, side2Points, umbrella }]
+     */
+    getHoleTally() {
+        return this.sortByPlayOrder()
+            .map(action => ({ hole: action.hole, ...this.getHolePoints(action) }));
+    }
+
+    /**
+     * Total the points each team has won
+     * @returns {Object} Team totals { side1Points, side2Points }
+     */
+    getTeamTotals() {
+        return this.getHoleTally().reduce((totals, tally) => ({
+            side1Points: totals.side1Points + tally.side1Points,
+            side2Points: totals.side2Points + tally.side2Points
+        }), { side1Points: 0, side2Points: 0 });
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Umbrella-specific statistics
+     * @returns {Object} Umbrella game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const tally = this.getHoleTally();
+
+        return {
+            ...baseStats,
+            holesPlayed: tally.length,
+            ...this.getTeamTotals(),
+            side1Umbrellas: tally.filter(hole => hole.umbrella && hole.side1Points > 0).length,
+            side2Umbrellas: tally.filter(hole => hole.umbrella && hole.side2Points > 0).length
+        };
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Vegas Game Class
+ * Handles Las Vegas game logic, calculations, and validation
+ * Each team's two scores form a two-digit number (low score first) and the lower number wins
+ * the difference. When one team makes birdie, the other team's number is flipped (high score first).
+ */
+
+import { BaseGame } from './base-game.js';
+import { GAME_TYPES, VEGAS_CONFIG } from '../constants.js';
+
+export class VegasGame extends BaseGame {
+    constructor(players, config = {}) {
+        super(GAME_TYPES.VEGAS, players, {
+            teams: [],
+            teamNames: {},
+            flipTheBird: true,
+            ...config
+        });
+        this.requiredPlayers = config.requiredPlayers || players.length;
+    }
+
+    /**
+     * Calculate player balances for Vegas game
+     * The winning team collects the point difference times the bet from each losing player
+     * @returns {Object} Player balances { playerName: balance }
+     */
+    calculateSummary() {
+        const playerBalances = this.initializePlayerBalances();
+        const [team1, team2] = this.config.teams;
+
+        this.actions.forEach(action => {
+            const result = this.calculateHoleResult(action);
+            const amount = result.points * this.getBetAmount();
+
+            if (result.winner === VEGAS_CONFIG.TEAM_1_VALUE) {
+                this.settleBetweenSides(playerBalances, team1, team2, amount);
+            } else if (result.winner === VEGAS_CONFIG.TEAM_2_VALUE) {
+                this.settleBetweenSides(playerBalances, team2, team1, amount);
+            }
+        });
+
+        return playerBalances;
+    }
+
+    /**
+     * Validate a Vegas action
+     * @param {Object} action - The action to validate
+     * @returns {boolean} True if valid
+     */
+    validateAction(action) {
+        // Required fields
+        if (!action.hole || !action.par || !action.scores) {
+            return false;
+        }
+
+        // Validate hole is valid
+        if (!this.isValidHole(action.hole)) {
+            return false;
+        }
+
+        // Validate par is valid
+        if (!VEGAS_CONFIG.PAR_OPTIONS.includes(action.par)) {
+            return false;
+        }
+
+        // Vegas needs two full teams
+        if (!this.config.teams || this.config.teams.length !== 2) {
+            return false;
+        }
+
+        // Every player needs a score
+        return this.players.every(player => {
+            const score = action.scores[player];
+            return Number.isInteger(score) && score >= 1 && score <= VEGAS_CONFIG.MAX_SCORE;
+        });
+    }
+
+    /**
+     * Form a team number from the team's scores
+     * A score of 10 or more always goes first, so a 4 and a 10 make 104 rather than 410
+     * @param {Array} scores - The two team scores
+     * @param {boolean} flipped - True to put the high score first
+     * @returns {number} Team number, e.g. scores 5 and 4 make 45 (or 54 when flipped)
+     */
+    getTeamNumber(scores, flipped = false) {
+        const highFirst = flipped || Math.max(...scores) >= VEGAS_CONFIG.DOUBLE_DIGIT_SCORE;
+        const sorted = [...scores].sort((a, b) => highFirst ? b - a : a - b);
+        return parseInt(sorted.join(''), 10);
+    }
+
+    /**
+     * Work out the team numbers and the winner for a hole
+     * @param {Object} action - Vegas action { hole, par, scores }
+     * @returns {Object} Hole result { team1Number, team2Number, flipped, winner, points }
+     */
+    calculateHoleResult(action) {
+        const [team1, team2] = this.config.teams;
+        const scores = this.getNetScores(action.hole, action.scores);
+        const team1Scores = team1.map(player => scores[player]);
+        const team2Scores = team2.map(player => scores[player]);
+
+        // A birdie by only one team flips the other team's number
+        let flipped = null;
+        if (this.config.flipTheBird) {
+            const team1Birdie = team1Scores.some(score => score < action.par);
+            const team2Birdie = team2Scores.some(score => score < action.par);
+            if (team1Birdie && !team2Birdie) {
+                flipped = VEGAS_CONFIG.TEAM_2_VALUE;
+            } else if (team2Birdie && !team1Birdie) {
+                flipped = VEGAS_CONFIG.TEAM_1_VALUE;
+            }
+        }
+
+        const team1Number = this.getTeamNumber(team1Scores, flipped === VEGAS_CONFIG.TEAM_1_VALUE);
+        const team2Number = this.getTeamNumber(team2Scores, flipped === VEGAS_CONFIG.TEAM_2_VALUE);
+
+        let winner = null;
+        if (team1Number < team2Number) {
+            winner = VEGAS_CONFIG.TEAM_1_VALUE;
+        } else if (team2Number < team1Number) {
+            winner = VEGAS_CONFIG.TEAM_2_VALUE;
+        }
+
+        return {
+            team1Number,
+            team2Number,
+            flipped,
+            winner,
+            points: Math.abs(team1Number - team2Number)
+        };
+    }
+
+    /**
+     * Get the display name for a team
+     * @param {string} team - Team value (team1 or team2)
+     * @returns {string} Team name
+     */
+    getTeamName(team) {
+        if (this.config.teamNames && this.config.teamNames[team]) {
+            return this.config.teamNames[team];
+        }
+        const teamIndex = team === VEGAS_CONFIG.TEAM_1_VALUE ? 0 : 1;
+        return (this.config.teams[teamIndex] || []).join(' & ');
+    }
+
+    /**
+     * Check if a hole has already been played
+     * @param {number} hole - The hole number
+     * @returns {boolean} True if hole has actions
+     */
+    isHolePlayed(hole) {
+        return this.getActionsForHole(hole).length > 0;
+    }
+
+    /**
+     * Get Vegas-specific statistics
+     * @returns {Object} Vegas game statistics
+     */
+    getStats() {
+        const baseStats = super.getStats();
+        const teamPoints = {
+            [VEGAS_CONFIG.TEAM_1_VALUE]: 0,
+            [VEGAS_CONFIG.TEAM_2_VALUE]: 0
+        };
+        let birdieFlips = 0;
+
+        this.actions.forEach(action => {
+            const result = this.calculateHoleResult(action);
+            if (result.winner) {
+                teamPoints[result.winner] += result.points;
+            }
+            if (result.flipped) {
+                birdieFlips++;
+            }
+        });
+
+        return {
+            ...baseStats,
+            holesPlayed: this.actions.length,
+            teamPoints,
+            birdieFlips
+        };
+    }
+}
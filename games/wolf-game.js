@@ -84,7 +84,7 @@ export class WolfGame extends BaseGame {
         }
 
         // Validate hole is valid
-        if (action.hole < 1 || action.hole > 18) {
+        if (!this.isValidHole(action.hole)) {
             return false;
         }
 
@@ -122,34 +122,75 @@ export class WolfGame extends BaseGame {
         return true;
     }
 
+    /**
+     * Get where a hole falls in the Wolf rotation
+     * The rotation follows play order from the starting hole, not the hole number
+     * @param {number} hole - The hole number
+     * @returns {number} Index of the Wolf's turn (the rotation starts again after the last player)
+     */
+    getWolfIndex(hole) {
+        return Math.floor((this.getPlaySequence(hole) - 1) / this.config.holesPerWolf);
+    }
+
+    /**
+     * Get how many Wolf turns the round has
+     * The rotation only starts again when a whole extra rotation fits, so every player is Wolf
+     * equally often; holes left after the last turn have no Wolf (holes 17-18 of an 18-hole round)
+     * @returns {number} Number of turns
+     */
+    getWolfTurnCount() {
+        const holesPerRotation = this.config.wolfRotation.length * this.config.holesPerWolf;
+        const rotations = Math.max(Math.floor(this.getRoundLength() / holesPerRotation), 1);
+        return Math.min(rotations * this.config.wolfRotation.length, Math.ceil(this.getRoundLength() / this.config.holesPerWolf));
+    }
+
+    /**
+     * Get a Wolf's turn in the round
+     * @param {number} wolfIndex - Index of the turn
+     * @returns {Object} Turn { player, playerIndex, startHole, endHole, startSequence, endSequence }
+     *                   (player is undefined for holes after the last turn)
+     */
+    getWolfTurn(wolfIndex) {
+        const rotation = this.config.wolfRotation;
+        const playerIndex = wolfIndex < this.getWolfTurnCount() ? rotation[wolfIndex % rotation.length] : undefined;
+        const startSequence = wolfIndex * this.config.holesPerWolf + 1;
+        const endSequence = Math.min(startSequence + this.config.holesPerWolf - 1, this.getRoundLength());
+
+        return {
+            player: this.players[playerIndex - 1],
+            playerIndex,
+            startHole: this.getHoleAtSequence(startSequence),
+            endHole: this.getHoleAtSequence(endSequence),
+            startSequence,
+            endSequence
+        };
+    }
+
+    /**
+     * Get every Wolf turn in the round, in play order
+     * @returns {Array} Turns from getWolfTurn()
+     */
+    getWolfTurns() {
+        return Array.from({ length: this.getWolfTurnCount() }, (_, wolfIndex) => this.getWolfTurn(wolfIndex));
+    }
+
     /**
      * Get which player should be the Wolf for a given hole
      * @param {number} hole - The hole number
      * @returns {string} Player name who should be Wolf
      */
     getWolfForHole(hole) {
-        const wolfIndex = Math.floor((hole - 1) / this.config.holesPerWolf);
-        const playerIndex = this.config.wolfRotation[wolfIndex] - 1;
-        return this.players[playerIndex];
+        return this.getCurrentWolf(hole).player;
     }
 
     /**
      * Get the current Wolf for the given hole
      * @param {number} hole - The hole number
-     * @returns {Object} Wolf information { player, startHole, endHole }
+     * @returns {Object} Wolf information { player, startHole, endHole } (the holes of this Wolf's turn)
      */
     getCurrentWolf(hole) {
-        const wolfIndex = Math.floor((hole - 1) / this.config.holesPerWolf);
-        const playerIndex = this.config.wolfRotation[wolfIndex] - 1;
-        const startHole = wolfIndex * this.config.holesPerWolf + 1;
-        const endHole = Math.min(startHole + this.config.holesPerWolf - 1, 18);
-        
-        return {
-            player: this.players[playerIndex],
-            startHole,
-            endHole,
-            playerIndex: playerIndex + 1
-        };
+        const { player, startHole, endHole, playerIndex } = this.getWolfTurn(this.getWolfIndex(hole));
+        return { player, startHole, endHole, playerIndex };
     }
 
     /**
@@ -213,18 +254,15 @@ export class WolfGame extends BaseGame {
      * @returns {number|null} Next hole number or null if not found
      */
     getNextWolfHole(playerName) {
-        const playerIndex = this.players.indexOf(playerName);
-        if (playerIndex === -1) return null;
-        
-        const wolfIndex = this.config.wolfRotation.indexOf(playerIndex + 1);
-        if (wolfIndex === -1) return null;
-        
-        const startHole = wolfIndex * this.config.holesPerWolf + 1;
+        if (!this.players.includes(playerName)) return null;
         
-        // Find the first hole in this wolf's rotation that hasn't been played
-        for (let hole = startHole; hole < startHole + this.config.holesPerWolf && hole <= 18; hole++) {
-            if (!this.isHolePlayed(hole)) {
-                return hole;
+        // Find the first hole in this wolf's turns that hasn't been played
+        for (const turn of this.getWolfTurns().filter(turn => turn.player === playerName)) {
+            for (let sequence = turn.startSequence; sequence <= turn.endSequence; sequence++) {
+                const hole = this.getHoleAtSequence(sequence);
+                if (!this.isHolePlayed(hole)) {
+                    return hole;
+                }
             }
         }
         
@@ -236,18 +274,10 @@ export class WolfGame extends BaseGame {
      * @returns {Array} Array of wolf assignments by hole ranges
      */
     getWolfSchedule() {
-        const schedule = [];
-        for (let i = 0; i < this.config.wolfRotation.length; i++) {
-            const startHole = i * this.config.holesPerWolf + 1;
-            const endHole = Math.min(startHole + this.config.holesPerWolf - 1, 18);
-            const playerIndex = this.config.wolfRotation[i] - 1;
-            
-            schedule.push({
-                holes: `${startHole}-${endHole}`,
-                player: this.players[playerIndex],
-                playerIndex: this.config.wolfRotation[i]
-            });
-        }
-        return schedule;
+        return this.getWolfTurns().map(turn => ({
+            holes: turn.startHole === turn.endHole ? `${turn.startHole}` : `${turn.startHole}-${turn.endHole}`,
+            player: turn.player,
+            playerIndex: turn.playerIndex
+        }));
     }
 }
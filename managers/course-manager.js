@@ -0,0 +1,354 @@
+/**
+ * Course Manager Class
+ * Keeps the library of saved courses (tees with slope, rating and per-hole par, stroke index and yardage)
+ * Courses are imported from JSON or CSV, stored locally and picked in the game setup.
+ * The round keeps its own copy of the chosen tee, so editing the library never changes a saved round.
+ */
+
+import { COURSE_CONFIG, HANDICAP_CONFIG, DEFAULTS } from '../constants.js';
+import { HandicapUtils } from '../utils/handicap.js';
+
+export class CourseManager {
+    constructor(storage = null) {
+        this.storage = storage;
+        this.courses = storage ? storage.loadCourses() : [];
+    }
+
+    // =========================================================================
+    // COURSE LIBRARY
+    // =========================================================================
+
+    /**
+     * Get every saved course
+     * @returns {Array} Courses sorted by name
+     */
+    getCourses() {
+        return JSON.parse(JSON.stringify(this.courses));
+    }
+
+    /**
+     * Find a saved course by name (names are not case sensitive)
+     * @param {string} name - Course name
+     * @returns {Object|null} Course or null if not found
+     */
+    getCourse(name) {
+        const course = this.findCourse(name);
+        return course ? JSON.parse(JSON.stringify(course)) : null;
+    }
+
+    /**
+     * Save a course, replacing any saved course with the same name
+     * @param {Object} course - Course { name, tees: [{ name, slope, rating, holes: [{ par, strokeIndex, yardage }] }] }
+     * @returns {Object} Validation result
+     */
+    saveCourse(course) {
+        const validation = this.validateCourse(course);
+        if (!validation.success) {
+            return validation;
+        }
+
+        const normalized = this.normalizeCourse(course);
+        this.courses = this.courses.filter(saved => !this.isSameName(saved.name, normalized.name));
+        this.courses.push(normalized);
+        this.courses.sort((a, b) => a.name.localeCompare(b.name));
+        this.persist();
+
+        return validation;
+    }
+
+    /**
+     * Delete a saved course
+     * @param {string} name - Course name
+     * @returns {boolean} True if a course was deleted
+     */
+    deleteCourse(name) {
+        const initialLength = this.courses.length;
+        this.courses = this.courses.filter(course => !this.isSameName(course.name, name));
+
+        if (this.courses.length < initialLength) {
+            this.persist();
+            return true;
+        }
+        return false;
+    }
+
+    // =========================================================================
+    // IMPORT
+    // =========================================================================
+
+    /**
+     * Import courses from JSON or CSV text
+     * Nothing is saved unless every course in the file is valid
+     * @param {string} text - File contents
+     * @returns {Object} Import result { success, errors, courses } (courses holds the saved names)
+     */
+    importCourses(text) {
+        let courses;
+        try {
+            const trimmed = (text || '').trim();
+            courses = trimmed.startsWith('{') || trimmed.startsWith('[') ?
+                this.parseJSON(trimmed) : this.parseCSV(trimmed);
+        } catch (error) {
+            return { success: false, errors: [error.message], courses: [] };
+        }
+
+        if (courses.length === 0) {
+            return { success: false, errors: ['No courses found to import.'], courses: [] };
+        }
+
+        const errors = courses.flatMap(course => this.validateCourse(course).errors);
+        if (errors.length > 0) {
+            return { success: false, errors, courses: [] };
+        }
+
+        courses.forEach(course => this.saveCourse(course));
+        return { success: true, errors: [], courses: courses.map(course => course.name.trim()) };
+    }
+
+    /**
+     * Read courses from JSON
+     * Accepts a single course, a list of courses or { courses: [...] }
+     * @param {string} text - JSON text
+     * @returns {Array} Courses
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The course file is not valid JSON.');
+        }
+
+        if (Array.isArray(data)) {
+            return data;
+        }
+        return Array.isArray(data.courses) ? data.courses : [data];
+    }
+
+    /**
+     * Read courses from CSV
+     * One row per hole per tee, with a header row naming the columns:
+     * course, tee, slope, rating, hole, par, stroke index (or SI) and an optional yardage
+     * @param {string} text - CSV text
+     * @returns {Array} Courses
+     */
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length < 2) {
+            throw new Error('The CSV needs a header row and a row for every hole.');
+        }
+
+        const columns = this.splitCSVLine(lines[0]).map(header =>
+            COURSE_CONFIG.CSV_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')] || null);
+        const missing = COURSE_CONFIG.REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`The CSV is missing the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}.`);
+        }
+
+        const courses = [];
+        lines.slice(1).forEach((line, index) => {
+            const row = {};
+            this.splitCSVLine(line).forEach((value, column) => {
+                if (columns[column]) {
+                    row[columns[column]] = value;
+                }
+            });
+
+            if (!row.course || !row.tee) {
+                throw new Error(`Row ${index + 2} needs a course and tee name.`);
+            }
+
+            const hole = parseInt(row.hole);
+            if (!Number.isInteger(hole) || hole < 1 || hole > DEFAULTS.COURSE_HOLES) {
+                throw new Error(`Row ${index + 2} has a bad hole number.`);
+            }
+
+            let course = courses.find(saved => this.isSameName(saved.name, row.course));
+            if (!course) {
+                course = { name: row.course, tees: [] };
+                courses.push(course);
+            }
+
+            let tee = course.tees.find(saved => this.isSameName(saved.name, row.tee));
+            if (!tee) {
+                tee = { name: row.tee, slope: Number(row.slope), rating: Number(row.rating), holes: [] };
+                course.tees.push(tee);
+            }
+
+            if (tee.holes[hole - 1]) {
+                throw new Error(`Row ${index + 2} repeats hole ${hole} for the ${tee.name} tees.`);
+            }
+            tee.holes[hole - 1] = {
+                par: Number(row.par),
+                strokeIndex: Number(row.strokeIndex),
+                yardage: row.yardage ? Number(row.yardage) : null
+            };
+        });
+
+        return courses;
+    }
+
+    /**
+     * Split a CSV line into values, allowing quoted values that contain commas
+     * @param {string} line - CSV line
+     * @returns {Array} Trimmed values
+     */
+    splitCSVLine(line) {
+        const values = line.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || [];
+        return values
+            .slice(0, -1)
+            .map(value => value.replace(/,$/, '').trim().replace(/^"(.*)"$/, '$1').replace(/""/g, '"').trim());
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    /**
+     * Check that a course has everything a round needs
+     * @param {Object} course - Course to check
+     * @returns {Object} Validation result { success, errors }
+     */
+    validateCourse(course) {
+        const errors = [];
+        const name = typeof course?.name === 'string' ? course.name.trim() : '';
+
+        if (name.length === 0 || name.length > COURSE_CONFIG.NAME_MAX_LENGTH) {
+            errors.push(`Course name must be 1-${COURSE_CONFIG.NAME_MAX_LENGTH} characters.`);
+        }
+
+        const tees = Array.isArray(course?.tees) ? course.tees : [];
+        if (tees.length === 0) {
+            errors.push(`${name || 'The course'} needs at least one set of tees.`);
+        }
+
+        tees.forEach((tee, index) => {
+            const teeName = typeof tee?.name === 'string' ? tee.name.trim() : '';
+            const label = `${name} (${teeName || `tee ${index + 1}`})`;
+
+            if (teeName.length === 0) {
+                errors.push(`${label}: every set of tees needs a name.`);
+            } else if (tees.findIndex(other => this.isSameName(other?.name, teeName)) !== index) {
+                errors.push(`${label}: tee names must be different.`);
+            }
+
+            if (!Number.isInteger(tee?.slope) || tee.slope < HANDICAP_CONFIG.MIN_SLOPE || tee.slope > HANDICAP_CONFIG.MAX_SLOPE) {
+                errors.push(`${label}: slope must be a whole number from ${HANDICAP_CONFIG.MIN_SLOPE} to ${HANDICAP_CONFIG.MAX_SLOPE}.`);
+            }
+
+            if (!Number.isFinite(tee?.rating) || tee.rating < HANDICAP_CONFIG.MIN_RATING || tee.rating > HANDICAP_CONFIG.MAX_RATING) {
+                errors.push(`${label}: course rating must be between ${HANDICAP_CONFIG.MIN_RATING} and ${HANDICAP_CONFIG.MAX_RATING}.`);
+            }
+
+            // Array.from fills any gaps so a missing hole shows up as undefined
+            const holes = Array.isArray(tee?.holes) ? Array.from(tee.holes) : [];
+            if (holes.length !== DEFAULTS.COURSE_HOLES || holes.some(hole => !hole)) {
+                errors.push(`${label}: every one of the ${DEFAULTS.COURSE_HOLES} holes is needed.`);
+                return;
+            }
+
+            if (holes.some(hole => !COURSE_CONFIG.PAR_OPTIONS.includes(hole.par))) {
+                errors.push(`${label}: every hole needs a par of ${COURSE_CONFIG.PAR_OPTIONS.join(', ')}.`);
+            }
+
+            if (!HandicapUtils.isValidStrokeIndexes(holes.map(hole => hole.strokeIndex))) {
+                errors.push(`${label}: stroke indexes must rank the holes 1 to ${DEFAULTS.COURSE_HOLES}, once each.`);
+            }
+
+            // Yardage is optional
+            const badYardage = holes.some(hole => hole.yardage !== null && hole.yardage !== undefined &&
+                (!Number.isInteger(hole.yardage) || hole.yardage < 1 || hole.yardage > COURSE_CONFIG.MAX_YARDAGE));
+            if (badYardage) {
+                errors.push(`${label}: yardages must be whole numbers up to ${COURSE_CONFIG.MAX_YARDAGE}.`);
+            }
+        });
+
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Course is valid' : errors.join(' ')
+        };
+    }
+
+    // =========================================================================
+    // ROUND DATA
+    // =========================================================================
+
+    /**
+     * Get the course data a round is played on
+     * @param {string} courseName - Course name
+     * @param {string} teeName - Tee name
+     * @returns {Object|null} Round course { name, tee, slope, rating, par, holes: [{ hole, par, strokeIndex, yardage }] },
+     *                        or null if the course or tee isn't saved
+     */
+    getRoundCourse(courseName, teeName) {
+        const course = this.findCourse(courseName);
+        const tee = course ? course.tees.find(saved => this.isSameName(saved.name, teeName)) : null;
+        if (!tee) {
+            return null;
+        }
+
+        return {
+            name: course.name,
+            tee: tee.name,
+            slope: tee.slope,
+            rating: tee.rating,
+            par: tee.holes.reduce((total, hole) => total + hole.par, 0),
+            holes: tee.holes.map((hole, index) => ({ hole: index + 1, ...hole }))
+        };
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * Find the stored course with a name
+     * @param {string} name - Course name
+     * @returns {Object|null} Stored course (not a copy) or null
+     */
+    findCourse(name) {
+        return this.courses.find(course => this.isSameName(course.name, name)) || null;
+    }
+
+    /**
+     * Compare course or tee names, ignoring case and surrounding spaces
+     * @param {string} name1 - First name
+     * @param {string} name2 - Second name
+     * @returns {boolean} True if the names match
+     */
+    isSameName(name1, name2) {
+        return typeof name1 === 'string' && typeof name2 === 'string' &&
+               name1.trim().toLowerCase() === name2.trim().toLowerCase();
+    }
+
+    /**
+     * Copy a valid course into the stored shape
+     * @param {Object} course - Valid course
+     * @returns {Object} Course with trimmed names and only the known fields
+     */
+    normalizeCourse(course) {
+        return {
+            name: course.name.trim(),
+            tees: course.tees.map(tee => ({
+                name: tee.name.trim(),
+                slope: tee.slope,
+                rating: tee.rating,
+                holes: tee.holes.map(hole => ({
+                    par: hole.par,
+                    strokeIndex: hole.strokeIndex,
+                    yardage: hole.yardage ?? null
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Save the library to local storage
+     */
+    persist() {
+        if (this.storage) {
+            this.storage.saveCourses(this.courses);
+        }
+    }
+}
@@ -9,23 +9,25 @@ import {
     DEFAULTS
 } from '../constants.js';
 import { createGame } from '../games/index.js';
+import { ScorecardManager } from './scorecard-manager.js';
+import { PlayOrderUtils } from '../utils/play-order.js';
 
 export class GameManager {
     constructor(uiManager) {
         this.ui = uiManager;
         this.players = [];
         this.requiredPlayers = DEFAULTS.PLAYER_COUNT;
+        this.roundLength = DEFAULTS.ROUND_LENGTH;
+        this.startingHole = DEFAULTS.STARTING_HOLE; // Play wraps round to hole 1 after the last hole
+        this.playoffHoles = 0; // Sudden-death holes played after the round for a tied game
         this.gameConfigs = {};
         this.gameInstances = {};
         
         // Legacy game actions for backwards compatibility
-        this.gameActions = {
-            [GAME_TYPES.MURPH]: [],
-            [GAME_TYPES.SKINS]: [],
-            [GAME_TYPES.KP]: [],
-            [GAME_TYPES.SNAKE]: [],
-            [GAME_TYPES.WOLF]: []
-        };
+        this.gameActions = this.createEmptyGameActions();
+        
+        // Gross strokes for every player on every hole, shared with every game instance
+        this.scorecard = new ScorecardManager();
         
         this.gameStarted = false;
         this.gameCompleted = false;
@@ -40,25 +42,35 @@ export class GameManager {
      * @param {Object} gameConfigs - Game configurations
      * @param {Array} players - Player list
      * @param {number} requiredPlayers - Number of required players
+     * @param {number} roundLength - Holes in the round
+     * @param {number} startingHole - Hole the round starts on
      */
-    initializeGames(gameConfigs, players, requiredPlayers) {
+    initializeGames(gameConfigs, players, requiredPlayers, roundLength = DEFAULTS.ROUND_LENGTH,
+        startingHole = DEFAULTS.STARTING_HOLE) {
         this.gameConfigs = { ...gameConfigs };
         this.players = [...players];
         this.requiredPlayers = requiredPlayers;
+        this.roundLength = roundLength;
+        this.startingHole = startingHole;
+        this.playoffHoles = 0;
         this.gameStarted = true;
         this.gameCompleted = false;
+        this.scorecard.reset(this.players);
 
         // Initialize game instances based on enabled games
         Object.keys(this.gameConfigs).forEach(gameType => {
             const config = this.gameConfigs[gameType];
             if (config.enabled) {
-                // Add requiredPlayers to config for games that need it
+                // Add requiredPlayers and the round settings to config for games that need them
                 const gameConfig = { 
                     ...config, 
-                    requiredPlayers: this.requiredPlayers 
+                    requiredPlayers: this.requiredPlayers,
+                    roundLength: this.roundLength,
+                    startingHole: this.startingHole
                 };
                 
                 this.gameInstances[gameType] = createGame(gameType, this.players, gameConfig);
+                this.gameInstances[gameType].setScorecard(this.scorecard);
                 
                 // Clear legacy actions for fresh start
         
@@ -72,16 +84,14 @@ export class GameManager {
      */
     resetGames() {
         this.gameInstances = {};
-        this.gameActions = {
-            [GAME_TYPES.MURPH]: [],
-            [GAME_TYPES.SKINS]: [],
-            [GAME_TYPES.KP]: [],
-            [GAME_TYPES.SNAKE]: [],
-            [GAME_TYPES.WOLF]: []
-        };
+        this.gameActions = this.createEmptyGameActions();
         this.gameConfigs = {};
         this.players = [];
         this.requiredPlayers = DEFAULTS.PLAYER_COUNT;
+        this.roundLength = DEFAULTS.ROUND_LENGTH;
+        this.startingHole = DEFAULTS.STARTING_HOLE;
+        this.playoffHoles = 0;
+        this.scorecard.reset();
         this.gameStarted = false;
         this.gameCompleted = false;
     }
@@ -96,16 +106,16 @@ export class GameManager {
             this.gameConfigs = savedState.gameConfigs || {};
             this.players = savedState.players || [];
             this.requiredPlayers = savedState.requiredPlayers || DEFAULTS.PLAYER_COUNT;
+            this.roundLength = savedState.roundLength || DEFAULTS.ROUND_LENGTH;
+            this.startingHole = savedState.startingHole || DEFAULTS.STARTING_HOLE;
             this.gameStarted = savedState.gameStarted || false;
             this.gameCompleted = savedState.gameCompleted || false;
 
             // Restore legacy game actions for backwards compatibility
-            this.gameActions = savedState.gameActions || {
-                [GAME_TYPES.MURPH]: [],
-                [GAME_TYPES.SKINS]: [],
-                [GAME_TYPES.KP]: [],
-                [GAME_TYPES.SNAKE]: [],
-                [GAME_TYPES.WOLF]: []
+            // (games added after the round was saved start with an empty list)
+            this.gameActions = {
+                ...this.createEmptyGameActions(),
+                ...(savedState.gameActions || {})
             };
 
             // Reinitialize game instances with restored data
@@ -113,7 +123,10 @@ export class GameManager {
                 // Store the actions before initialization (they get cleared during init)
                 const actionsToRestore = { ...this.gameActions };
                 
-                this.initializeGames(this.gameConfigs, this.players, this.requiredPlayers);
+                this.initializeGames(
+                    this.gameConfigs, this.players, this.requiredPlayers, this.roundLength, this.startingHole
+                );
+                this.setPlayoffHoles(savedState.playoffHoles || 0);
                 
                 // Restore actions to game instances
                 Object.entries(actionsToRestore).forEach(([gameType, actions]) => {
@@ -126,12 +139,27 @@ export class GameManager {
                 });
             }
 
+            // Restore the scorecard (rounds saved before it existed start with an empty card)
+            this.scorecard.restore(savedState.scorecard, this.players);
+            this.setHandicaps(savedState.handicapSettings);
     
         } catch (error) {
             console.error('Failed to restore game manager state:', error);
         }
     }
 
+    /**
+     * Create an empty action list for every game type
+     * @returns {Object} Empty actions by game type
+     */
+    createEmptyGameActions() {
+        const gameActions = {};
+        Object.values(GAME_TYPES).forEach(gameType => {
+            gameActions[gameType] = [];
+        });
+        return gameActions;
+    }
+
     /**
      * Complete the game and lock it
      */
@@ -157,38 +185,124 @@ export class GameManager {
         );
     }
 
+    // =========================================================================
+    // ROUND LENGTH AND PLAYOFF HOLES
+    // =========================================================================
+
+    /**
+     * Get the number of holes in the round
+     * @returns {number} Round length
+     */
+    getRoundLength() {
+        return this.roundLength;
+    }
+
+    /**
+     * Get the hole the round starts on
+     * @returns {number} Starting hole
+     */
+    getStartingHole() {
+        return this.startingHole;
+    }
+
+    /**
+     * Get the last hole of the round in play order, including any playoff holes
+     * Compare it with getPlaySequence() rather than a hole number when the round doesn't start on the 1st
+     * @returns {number} Play sequence of the last hole
+     */
+    getLastHole() {
+        return this.roundLength + this.playoffHoles;
+    }
+
+    /**
+     * Get where a hole comes in the order of play
+     * @param {number} hole - The hole number
+     * @returns {number} Play sequence (1 for the starting hole)
+     */
+    getPlaySequence(hole) {
+        return PlayOrderUtils.getSequence(hole, this.startingHole, this.roundLength);
+    }
+
+    /**
+     * Get the hole played at a point in the order of play
+     * @param {number} sequence - Play sequence (1 for the starting hole)
+     * @returns {number} The hole number
+     */
+    getHoleAtSequence(sequence) {
+        return PlayOrderUtils.getHole(sequence, this.startingHole, this.roundLength);
+    }
+
+    /**
+     * Sort actions into the order their holes were played
+     * @param {Array} actions - Actions with a hole
+     * @returns {Array} Sorted copy of the actions
+     */
+    sortByPlayOrder(actions) {
+        return [...actions].sort((a, b) => this.getPlaySequence(a.hole) - this.getPlaySequence(b.hole));
+    }
+
+    /**
+     * Get the games that have ended tied and need a sudden-death playoff hole
+     * @returns {Array} Game types
+     */
+    getPlayoffGames() {
+        return Object.keys(this.gameInstances).filter(gameType => this.gameInstances[gameType].needsPlayoff());
+    }
+
+    /**
+     * Add a sudden-death playoff hole after the last hole
+     * @returns {boolean} True if a game needed the playoff hole and it was added
+     */
+    addPlayoffHole() {
+        if (this.getPlayoffGames().length === 0) {
+            return false;
+        }
+
+        this.setPlayoffHoles(this.playoffHoles + 1);
+        return true;
+    }
+
+    /**
+     * Set the number of playoff holes and pass it on to every game
+     * @param {number} playoffHoles - Playoff holes played
+     */
+    setPlayoffHoles(playoffHoles) {
+        this.playoffHoles = playoffHoles;
+        Object.values(this.gameInstances).forEach(game => game.updateConfig({ playoffHoles }));
+    }
+
     // =========================================================================
     // GAME ACTION MANAGEMENT
     // =========================================================================
 
     /**
      * Add an action to a specific game
+     * The game instance checks the action first; an action it rejects is not kept in the
+     * legacy list either, or it would count again once the round is restored
      * @param {string} gameType - Type of game
      * @param {Object} action - Action object
      * @returns {boolean} True if action was added successfully
      */
     addGameAction(gameType, action) {
-        // Always add to legacy system for backwards compatibility
         if (!this.gameActions[gameType]) {
             this.gameActions[gameType] = [];
         }
         
-        // Add to legacy actions first
-        this.gameActions[gameType].push(action);
-        
         // Try to add to game instance if available
         if (this.gameInstances[gameType]) {
             try {
-                const success = this.gameInstances[gameType].addAction(action);
-                
-                if (!success) {
+                if (!this.gameInstances[gameType].addAction(action)) {
                     console.warn(`Failed to add action to game instance for ${gameType}`);
+                    return false;
                 }
             } catch (error) {
                 console.warn(`Error adding action to game instance for ${gameType}:`, error);
+                return false;
             }
         }
         
+        // Keep the legacy list in step for backwards compatibility
+        this.gameActions[gameType].push(action);
         return true;
     }
 
@@ -244,6 +358,39 @@ export class GameManager {
         return actions;
     }
 
+    // =========================================================================
+    // SCORECARD
+    // =========================================================================
+
+    /**
+     * Record every player's gross strokes (and optionally putts) on a hole
+     * @param {number} hole - Hole number
+     * @param {Object} strokes - Gross strokes by player { playerName: strokes }
+     * @param {Object} putts - Putts by player { playerName: putts } (optional)
+     * @returns {boolean} True if the scores were recorded
+     */
+    setHoleScores(hole, strokes, putts = {}) {
+        return this.scorecard.setHoleScores(hole, strokes, putts);
+    }
+
+    /**
+     * Get the gross strokes entered for a hole
+     * @param {number} hole - Hole number
+     * @returns {Object} Gross strokes by player { playerName: strokes }
+     */
+    getHoleScores(hole) {
+        return this.scorecard.getHoleScores(hole);
+    }
+
+    /**
+     * Set up handicap strokes for the round
+     * @param {Object|null} handicapSettings - Handicap settings from the setup; the round is
+     *                                         played gross when missing or not enabled
+     */
+    setHandicaps(handicapSettings) {
+        this.scorecard.setHandicaps(handicapSettings?.enabled ? handicapSettings : null, this.roundLength);
+    }
+
     // =========================================================================
     // GAME CALCULATIONS AND SUMMARIES
     // =========================================================================
@@ -544,7 +691,7 @@ export class GameManager {
                 }
             });
         } else {
-            const lastSnake = this.gameActions.snake[this.gameActions.snake.length - 1];
+            const lastSnake = this.sortByPlayOrder(this.gameActions.snake)[totalSnakes - 1];
             playerBalances[lastSnake.player] -= snakePot;
             
             const paymentPerPlayer = snakePot / (this.players.length - 1);
@@ -659,6 +806,9 @@ export class GameManager {
             gameCompleted: this.gameCompleted,
             players: [...this.players],
             requiredPlayers: this.requiredPlayers,
+            roundLength: this.roundLength,
+            startingHole: this.startingHole,
+            playoffHoles: this.playoffHoles,
             enabledGames: this.getEnabledGameTypes(),
             totalActions: Object.values(this.gameActions).reduce(
                 (total, actions) => total + actions.length, 0
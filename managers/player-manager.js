@@ -76,7 +76,7 @@ export class PlayerManager {
      */
     setupPlayerInputListeners() {
         // Listen for changes in player name inputs to populate team selects
-        const playerInputs = document.querySelectorAll('.player-input input');
+        const playerInputs = document.querySelectorAll('.player-input input[type="text"]');
         playerInputs.forEach(input => {
             input.addEventListener('input', () => {
                 this.updateTeamSelections();
@@ -115,12 +115,16 @@ export class PlayerManager {
                     }
                 } else {
                     this.ui.addClass(inputId, 'hidden');
-                    // Remove required attribute and clear value
+                    // Remove required attribute and clear values
                     const input = inputDiv.querySelector('input');
                     if (input) {
                         input.required = false;
                         input.value = '';
                     }
+                    const handicapInput = inputDiv.querySelector('.player-handicap');
+                    if (handicapInput) {
+                        handicapInput.value = '';
+                    }
                 }
             }
         });
@@ -134,11 +138,28 @@ export class PlayerManager {
      * @returns {Array} Array of player names
      */
     getCurrentPlayerNames() {
-        return Array.from(document.querySelectorAll('.player-input input'))
+        return Array.from(document.querySelectorAll('.player-input input[type="text"]'))
             .map(input => input.value.trim())
             .filter(name => name.length > 0);
     }
 
+    /**
+     * Get the handicap index entered for each named player
+     * @returns {Object} Handicap indexes by player { playerName: index } (NaN when left blank)
+     */
+    getPlayerHandicaps() {
+        const handicaps = {};
+        for (let i = 1; i <= DEFAULTS.MAX_PLAYERS; i++) {
+            const nameInput = document.getElementById(`player${i}`);
+            const handicapInput = document.getElementById(`player${i}Handicap`);
+            const name = nameInput ? nameInput.value.trim() : '';
+            if (name.length > 0) {
+                handicaps[name] = handicapInput ? parseFloat(handicapInput.value) : NaN;
+            }
+        }
+        return handicaps;
+    }
+
     /**
      * Get the required number of players
      * @returns {number} Required player count
@@ -471,6 +492,7 @@ export class PlayerManager {
         
         playerInputIds.forEach(inputId => {
             this.ui.clearInput(inputId);
+            this.ui.clearInput(`${inputId}Handicap`);
         });
         
         // Clear team selections
@@ -524,6 +546,10 @@ export class PlayerManager {
                 if (input) {
                     input.style.display = i <= count ? 'block' : 'none';
                 }
+                const handicapInput = document.getElementById(`player${i}Handicap`);
+                if (handicapInput) {
+                    handicapInput.style.display = i <= count ? 'block' : 'none';
+                }
             }
         } else {
             // Hide player inputs
@@ -584,4 +610,22 @@ export class PlayerManager {
         
 
     }
+
+    /**
+     * Restore player handicap inputs from saved data
+     * @param {Array} players - Array of player names, in input order
+     * @param {Object} handicaps - Handicap indexes by player { playerName: index }
+     */
+    restorePlayerHandicaps(players, handicaps) {
+        if (!Array.isArray(players) || !handicaps) {
+            return;
+        }
+
+        players.forEach((playerName, index) => {
+            const handicapInput = document.getElementById(`player${index + 1}Handicap`);
+            if (handicapInput && Number.isFinite(handicaps[playerName])) {
+                handicapInput.value = handicaps[playerName];
+            }
+        });
+    }
 }
@@ -0,0 +1,315 @@
+/**
+ * Scorecard Manager Class
+ * Holds the gross strokes (and optionally putts) for every player on every hole
+ * Owned by the GameManager so score-based games can read it, and saved with the rest of the round
+ * When the round is played net it also knows each player's strokes, so games can ask for net scores
+ */
+
+import { SCORECARD_CONFIG, HANDICAP_CONFIG } from '../constants.js';
+import { HandicapUtils } from '../utils/handicap.js';
+
+export class ScorecardManager {
+    constructor(players = []) {
+        this.players = [...players];
+        this.scores = {}; // { hole: { playerName: strokes } }
+        this.putts = {}; // { hole: { playerName: putts } }
+        this.handicaps = {}; // Playing handicaps when the round is played net { playerName: strokes }
+        this.strokeIndexes = [];
+    }
+
+    // =========================================================================
+    // SCORE ENTRY
+    // =========================================================================
+
+    /**
+     * Record a player's score on a hole
+     * @param {number} hole - Hole number
+     * @param {string} player - Player name
+     * @param {number} strokes - Gross strokes
+     * @param {number|null} putts - Putts (optional)
+     * @returns {boolean} True if the score was recorded
+     */
+    setScore(hole, player, strokes, putts = null) {
+        if (!this.isValidEntry(hole, player, strokes, putts)) {
+            return false;
+        }
+
+        this.scores[hole] = { ...this.scores[hole], [player]: strokes };
+
+        if (putts === null || putts === undefined) {
+            if (this.putts[hole]) {
+                delete this.putts[hole][player];
+            }
+        } else {
+            this.putts[hole] = { ...this.putts[hole], [player]: putts };
+        }
+
+        return true;
+    }
+
+    /**
+     * Record every player's score on a hole at once
+     * Nothing is recorded unless every entry is valid
+     * @param {number} hole - Hole number
+     * @param {Object} strokes - Gross strokes by player { playerName: strokes }
+     * @param {Object} putts - Putts by player { playerName: putts } (optional)
+     * @returns {boolean} True if the hole was recorded
+     */
+    setHoleScores(hole, strokes, putts = {}) {
+        const entries = Object.entries(strokes);
+        const valid = entries.length > 0 &&
+            entries.every(([player, score]) => this.isValidEntry(hole, player, score, putts[player] ?? null));
+
+        if (!valid) {
+            return false;
+        }
+
+        entries.forEach(([player, score]) => this.setScore(hole, player, score, putts[player] ?? null));
+        return true;
+    }
+
+    /**
+     * Remove a player's score from a hole
+     * @param {number} hole - Hole number
+     * @param {string} player - Player name
+     */
+    clearScore(hole, player) {
+        [this.scores, this.putts].forEach(card => {
+            if (card[hole]) {
+                delete card[hole][player];
+                if (Object.keys(card[hole]).length === 0) {
+                    delete card[hole];
+                }
+            }
+        });
+    }
+
+    /**
+     * Check that a score entry is valid
+     * @param {number} hole - Hole number
+     * @param {string} player - Player name
+     * @param {number} strokes - Gross strokes
+     * @param {number|null} putts - Putts (optional)
+     * @returns {boolean} True if valid
+     */
+    isValidEntry(hole, player, strokes, putts = null) {
+        if (!Number.isInteger(hole) || hole < 1 || !this.players.includes(player)) {
+            return false;
+        }
+
+        if (!Number.isInteger(strokes) || strokes < 1 || strokes > SCORECARD_CONFIG.MAX_STROKES) {
+            return false;
+        }
+
+        // Putts are optional, but can never be more than the strokes taken
+        if (putts !== null && putts !== undefined) {
+            return Number.isInteger(putts) && putts >= 0 && putts <= Math.min(strokes, SCORECARD_CONFIG.MAX_PUTTS);
+        }
+
+        return true;
+    }
+
+    // =========================================================================
+    // SCORE LOOKUP
+    // =========================================================================
+
+    /**
+     * Get a player's score on a hole
+     * @param {number} hole - Hole number
+     * @param {string} player - Player name
+     * @returns {number|null} Gross strokes or null if not entered
+     */
+    getScore(hole, player) {
+        return this.scores[hole]?.[player] ?? null;
+    }
+
+    /**
+     * Get a player's putts on a hole
+     * @param {number} hole - Hole number
+     * @param {string} player - Player name
+     * @returns {number|null} Putts or null if not entered
+     */
+    getPutts(hole, player) {
+        return this.putts[hole]?.[player] ?? null;
+    }
+
+    /**
+     * Get every score entered on a hole
+     * @param {number} hole - Hole number
+     * @returns {Object} Gross strokes by player { playerName: strokes }
+     */
+    getHoleScores(hole) {
+        return { ...this.scores[hole] };
+    }
+
+    /**
+     * Check if every player has a score on a hole
+     * @param {number} hole - Hole number
+     * @returns {boolean} True if the hole is complete
+     */
+    isHoleComplete(hole) {
+        return this.players.length > 0 && this.players.every(player => this.getScore(hole, player) !== null);
+    }
+
+    /**
+     * Get the holes that have at least one score, in order
+     * @returns {Array} Hole numbers
+     */
+    getScoredHoles() {
+        return Object.keys(this.scores)
+            .map(Number)
+            .filter(hole => Object.keys(this.scores[hole]).length > 0)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Total each player's strokes and putts
+     * @returns {Object} Totals by player { playerName: { strokes, putts, holes } }
+     */
+    getTotals() {
+        const totals = {};
+
+        this.players.forEach(player => {
+            totals[player] = { strokes: 0, putts: 0, holes: 0 };
+        });
+
+        this.getScoredHoles().forEach(hole => {
+            this.players.forEach(player => {
+                const strokes = this.getScore(hole, player);
+                if (strokes !== null) {
+                    totals[player].strokes += strokes;
+                    totals[player].putts += this.getPutts(hole, player) || 0;
+                    totals[player].holes++;
+                }
+            });
+        });
+
+        return totals;
+    }
+
+    // =========================================================================
+    // HANDICAPS
+    // =========================================================================
+
+    /**
+     * Play the round net, giving each player strokes by hole stroke index
+     * A round shorter than the card (nine holes of an 18-hole course) gets its share of each
+     * handicap, handed out over the holes played in the order of their stroke indexes
+     * @param {Object|null} settings - Handicap settings { indexes, slope, rating, par, allowance, offLowMan, strokeIndexes },
+     *                                 or null to play the round gross
+     * @param {number} roundLength - Holes in the round
+     */
+    setHandicaps(settings, roundLength = HANDICAP_CONFIG.HANDICAP_HOLES) {
+        if (!settings) {
+            this.handicaps = {};
+            this.strokeIndexes = [];
+            return;
+        }
+
+        const cardStrokeIndexes = HandicapUtils.isValidStrokeIndexes(settings.strokeIndexes) ?
+            settings.strokeIndexes : HANDICAP_CONFIG.DEFAULT_STROKE_INDEXES;
+        const holes = Math.min(roundLength, HANDICAP_CONFIG.HANDICAP_HOLES);
+
+        this.handicaps = HandicapUtils.calculatePlayingHandicaps(settings.indexes || {}, { ...settings, holes });
+        this.strokeIndexes = roundLength < cardStrokeIndexes.length ?
+            HandicapUtils.rankStrokeIndexes(cardStrokeIndexes.slice(0, roundLength)) : [...cardStrokeIndexes];
+    }
+
+    /**
+     * Check if the round is played net
+     * @returns {boolean} True when players get handicap strokes
+     */
+    hasHandicaps() {
+        return Object.keys(this.handicaps).length > 0;
+    }
+
+    /**
+     * Get a player's strokes for the round
+     * @param {string} player - Player name
+     * @returns {number} Playing handicap (0 when the round is played gross)
+     */
+    getPlayingHandicap(player) {
+        return this.handicaps[player] || 0;
+    }
+
+    /**
+     * Get the stroke index of a hole
+     * Holes past the end of the card (extra holes) follow the card round again
+     * @param {number} hole - Hole number
+     * @returns {number|null} Stroke index or null when the round is played gross
+     */
+    getStrokeIndex(hole) {
+        if (this.strokeIndexes.length === 0) {
+            return null;
+        }
+        return this.strokeIndexes[(hole - 1) % this.strokeIndexes.length];
+    }
+
+    /**
+     * Get the handicap strokes a player gets on a hole
+     * @param {number} hole - Hole number
+     * @param {string} player - Player name
+     * @returns {number} Strokes (negative when a plus handicap gives one back)
+     */
+    getHandicapStrokes(hole, player) {
+        const strokeIndex = this.getStrokeIndex(hole);
+        if (strokeIndex === null) {
+            return 0;
+        }
+        return HandicapUtils.getStrokesOnHole(this.getPlayingHandicap(player), strokeIndex, this.strokeIndexes.length);
+    }
+
+    /**
+     * Take each player's handicap strokes off their scores for a hole
+     * @param {number} hole - Hole number
+     * @param {Object} scores - Gross strokes by player (defaults to the scorecard)
+     * @returns {Object} Net strokes by player { playerName: strokes }
+     */
+    getNetScores(hole, scores = this.getHoleScores(hole)) {
+        const netScores = {};
+        Object.entries(scores).forEach(([player, score]) => {
+            netScores[player] = score - this.getHandicapStrokes(hole, player);
+        });
+        return netScores;
+    }
+
+    // =========================================================================
+    // STATE MANAGEMENT
+    // =========================================================================
+
+    /**
+     * Get the scorecard as plain data for saving
+     * @returns {Object} Scorecard data { scores, putts }
+     */
+    toJSON() {
+        return {
+            scores: JSON.parse(JSON.stringify(this.scores)),
+            putts: JSON.parse(JSON.stringify(this.putts))
+        };
+    }
+
+    /**
+     * Restore the scorecard from saved data
+     * @param {Object} data - Saved scorecard data { scores, putts }
+     * @param {Array} players - Player list
+     */
+    restore(data, players = this.players) {
+        this.reset(players);
+
+        if (data && typeof data === 'object') {
+            this.scores = JSON.parse(JSON.stringify(data.scores || {}));
+            this.putts = JSON.parse(JSON.stringify(data.putts || {}));
+        }
+    }
+
+    /**
+     * Clear every score and handicap and set the players
+     * @param {Array} players - Player list
+     */
+    reset(players = []) {
+        this.players = [...players];
+        this.scores = {};
+        this.putts = {};
+        this.setHandicaps(null);
+    }
+}
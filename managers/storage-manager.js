@@ -14,6 +14,7 @@ export class StorageManager {
     constructor() {
         this.STORAGE_KEY = 'savageGolfGameState';
         this.BACKUP_KEY = 'savageGolfBackup';
+        this.COURSES_KEY = 'savageGolfCourses';
         this.MAX_BACKUPS = 5;
     }
 
@@ -112,6 +113,41 @@ export class StorageManager {
         }
     }
 
+    // =========================================================================
+    // COURSE LIBRARY
+    // =========================================================================
+
+    /**
+     * Save the course library to localStorage
+     * Courses are kept apart from the round, so clearing a game keeps them
+     * @param {Array} courses - Saved courses
+     * @returns {boolean} Success status
+     */
+    saveCourses(courses) {
+        try {
+            localStorage.setItem(this.COURSES_KEY, JSON.stringify(courses));
+            return true;
+        } catch (error) {
+            console.error('Failed to save courses:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load the course library from localStorage
+     * @returns {Array} Saved courses (empty when none are saved)
+     */
+    loadCourses() {
+        try {
+            const savedCourses = localStorage.getItem(this.COURSES_KEY);
+            const courses = savedCourses ? JSON.parse(savedCourses) : [];
+            return Array.isArray(courses) ? courses : [];
+        } catch (error) {
+            console.error('Failed to load courses:', error);
+            return [];
+        }
+    }
+
     // =========================================================================
     // BACKUP AND RECOVERY
     // =========================================================================
@@ -299,6 +335,41 @@ export class StorageManager {
             return false;
         }
 
+        // The scorecard is optional (rounds saved before it existed have none)
+        if ('scorecard' in gameState && (!gameState.scorecard || typeof gameState.scorecard !== 'object')) {
+            console.warn('Invalid scorecard');
+            return false;
+        }
+
+        // The course is optional; a round played without one saves null
+        if ('course' in gameState && gameState.course !== null && typeof gameState.course !== 'object') {
+            console.warn('Invalid course');
+            return false;
+        }
+
+        // Handicap settings are optional too (older rounds were always played gross and resave null)
+        if ('handicapSettings' in gameState && gameState.handicapSettings !== null && typeof gameState.handicapSettings !== 'object') {
+            console.warn('Invalid handicap settings');
+            return false;
+        }
+
+        // Round length and playoff holes are optional (older rounds were always 18 holes)
+        if ('roundLength' in gameState && !DEFAULTS.ROUND_LENGTHS.includes(gameState.roundLength)) {
+            console.warn('Invalid round length');
+            return false;
+        }
+
+        if ('playoffHoles' in gameState && (!Number.isInteger(gameState.playoffHoles) || gameState.playoffHoles < 0)) {
+            console.warn('Invalid playoff holes');
+            return false;
+        }
+
+        if ('startingHole' in gameState && (!Number.isInteger(gameState.startingHole) || gameState.startingHole < 1 ||
+            gameState.startingHole > (gameState.roundLength || DEFAULTS.ROUND_LENGTH))) {
+            console.warn('Invalid starting hole');
+            return false;
+        }
+
 
         return true;
     }
@@ -316,11 +387,11 @@ export class StorageManager {
             return false;
         }
 
-        // Check that all game types are present
+        // Check that every game type present holds an array. Game types added
+        // after a round was saved are missing and get backfilled on restore.
         for (const gameType of Object.values(GAME_TYPES)) {
             if (!(gameType in gameActions)) {
-                console.warn(`Missing game actions for: ${gameType}`);
-                return false;
+                continue;
             }
             
             if (!Array.isArray(gameActions[gameType])) {
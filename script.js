@@ -21,6 +21,29 @@ import {
     TEAM_CONFIG, 
     NOTIFICATION_CONFIG, 
     SKINS_CONFIG, 
+    BANKER_CONFIG, 
+    MATCH_PLAY_CONFIG, 
+    QUOTA_CONFIG, 
+    DEFENDER_CONFIG, 
+    MONEY_BALL_CONFIG, 
+    SCOTCH_CONFIG, 
+    ACEY_DEUCEY_CONFIG, 
+    LONGEST_DRIVE_CONFIG, 
+    UMBRELLA_CONFIG, 
+    LOW_BALL_CONFIG, 
+    KP_CONFIG, 
+    SCORECARD_CONFIG, 
+    HANDICAP_CONFIG, 
+    COURSE_CONFIG, 
+    NASSAU_CONFIG, 
+    BINGO_CONFIG, 
+    VEGAS_CONFIG, 
+    SIXES_CONFIG, 
+    HAMMER_CONFIG, 
+    JUNK_CONFIG, 
+    RABBIT_CONFIG, 
+    STABLEFORD_CONFIG, 
+    GAME_PLAYER_COUNTS, 
     HTML_TEMPLATES, 
     VALIDATION_RULES 
 } from './constants.js';
@@ -31,8 +54,10 @@ import { PlayerManager } from './managers/player-manager.js';
 import { ValidationManager } from './utils/validation.js';
 import { GameManager } from './managers/game-manager.js';
 import { StorageManager } from './managers/storage-manager.js';
+import { CourseManager } from './managers/course-manager.js';
 import { SecurityUtils } from './utils/security.js';
 import { AnalyticsUtils } from './utils/analytics.js';
+import { HandicapUtils } from './utils/handicap.js';
 
 class SavageGolf {
     constructor() {
@@ -53,6 +78,9 @@ class SavageGolf {
         // Initialize Storage Manager
         this.storage = new StorageManager();
         
+        // Initialize Course Manager with the saved course library
+        this.courseManager = new CourseManager(this.storage);
+        
         // Legacy properties for backwards compatibility
         this.gameConfigs = this.gameManager.gameConfigs;
         this.gameActions = this.gameManager.gameActions;
@@ -61,6 +89,8 @@ class SavageGolf {
         this.players = this.gameManager.players;
         this.requiredPlayers = this.gameManager.requiredPlayers;
         this.currentPage = PAGE_NAMES.NAVIGATION;
+        this.handicapSettings = null; // Handicap indexes and course details from the setup
+        this.course = null; // Tees and hole data for the round when a saved course is picked
         
         this.initializeEventListeners();
         this.setupGameCheckboxes();
@@ -90,11 +120,12 @@ class SavageGolf {
         document.getElementById(ELEMENT_IDS.PREVIOUS_HOLE).addEventListener('click', () => this.previousHole());
         document.getElementById(ELEMENT_IDS.NEXT_HOLE).addEventListener('click', () => this.nextHole());
         
-        // Complete Game button (appears on hole 18)
+        // Complete Game and Playoff Hole buttons (appear on the last hole)
         const completeBtn = document.getElementById(ELEMENT_IDS.COMPLETE_GAME);
         if (completeBtn) {
             completeBtn.addEventListener('click', () => this.completeGameFlow());
         }
+        document.getElementById('playoffHole').addEventListener('click', () => this.playPlayoffHole());
         
         // Navigation buttons
         document.getElementById(ELEMENT_IDS.NAV_MURPH).addEventListener('click', () => this.showPage(PAGE_NAMES.MURPH));
@@ -102,6 +133,25 @@ class SavageGolf {
         document.getElementById(ELEMENT_IDS.NAV_KP).addEventListener('click', () => this.showPage(PAGE_NAMES.KP));
         document.getElementById(ELEMENT_IDS.NAV_SNAKE).addEventListener('click', () => this.showPage(PAGE_NAMES.SNAKE));
         document.getElementById(ELEMENT_IDS.NAV_WOLF).addEventListener('click', () => this.showPage(PAGE_NAMES.WOLF));
+        document.getElementById(ELEMENT_IDS.NAV_NASSAU).addEventListener('click', () => this.showPage(PAGE_NAMES.NASSAU));
+        document.getElementById(ELEMENT_IDS.NAV_BINGO).addEventListener('click', () => this.showPage(PAGE_NAMES.BINGO));
+        document.getElementById(ELEMENT_IDS.NAV_VEGAS).addEventListener('click', () => this.showPage(PAGE_NAMES.VEGAS));
+        document.getElementById(ELEMENT_IDS.NAV_SIXES).addEventListener('click', () => this.showPage(PAGE_NAMES.SIXES));
+        document.getElementById(ELEMENT_IDS.NAV_HAMMER).addEventListener('click', () => this.showPage(PAGE_NAMES.HAMMER));
+        document.getElementById(ELEMENT_IDS.NAV_JUNK).addEventListener('click', () => this.showPage(PAGE_NAMES.JUNK));
+        document.getElementById(ELEMENT_IDS.NAV_RABBIT).addEventListener('click', () => this.showPage(PAGE_NAMES.RABBIT));
+        document.getElementById(ELEMENT_IDS.NAV_STABLEFORD).addEventListener('click', () => this.showPage(PAGE_NAMES.STABLEFORD));
+        document.getElementById(ELEMENT_IDS.NAV_NINE_POINT).addEventListener('click', () => this.showPage(PAGE_NAMES.NINE_POINT));
+        document.getElementById(ELEMENT_IDS.NAV_BANKER).addEventListener('click', () => this.showPage(PAGE_NAMES.BANKER));
+        document.getElementById(ELEMENT_IDS.NAV_MATCH_PLAY).addEventListener('click', () => this.showPage(PAGE_NAMES.MATCH_PLAY));
+        document.getElementById(ELEMENT_IDS.NAV_QUOTA).addEventListener('click', () => this.showPage(PAGE_NAMES.QUOTA));
+        document.getElementById(ELEMENT_IDS.NAV_DEFENDER).addEventListener('click', () => this.showPage(PAGE_NAMES.DEFENDER));
+        document.getElementById(ELEMENT_IDS.NAV_MONEY_BALL).addEventListener('click', () => this.showPage(PAGE_NAMES.MONEY_BALL));
+        document.getElementById(ELEMENT_IDS.NAV_SCOTCH).addEventListener('click', () => this.showPage(PAGE_NAMES.SCOTCH));
+        document.getElementById(ELEMENT_IDS.NAV_ACEY_DEUCEY).addEventListener('click', () => this.showPage(PAGE_NAMES.ACEY_DEUCEY));
+        document.getElementById(ELEMENT_IDS.NAV_LONGEST_DRIVE).addEventListener('click', () => this.showPage(PAGE_NAMES.LONGEST_DRIVE));
+        document.getElementById(ELEMENT_IDS.NAV_UMBRELLA).addEventListener('click', () => this.showPage(PAGE_NAMES.UMBRELLA));
+        document.getElementById(ELEMENT_IDS.NAV_LOW_BALL).addEventListener('click', () => this.showPage(PAGE_NAMES.LOW_BALL));
         document.getElementById(ELEMENT_IDS.NAV_COMBINED).addEventListener('click', () => this.showPage(PAGE_NAMES.COMBINED));
         
         // Back to navigation buttons
@@ -110,6 +160,25 @@ class SavageGolf {
         document.getElementById('backToNavKP').addEventListener('click', () => this.showPage('navigation'));
         document.getElementById('backToNavSnake').addEventListener('click', () => this.showPage('navigation'));
         document.getElementById('backToNavWolf').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavNassau').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavBingo').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavVegas').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavSixes').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavHammer').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavJunk').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavRabbit').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavStableford').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavNinePoint').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavBanker').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavMatchPlay').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavQuota').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavDefender').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavMoneyBall').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavScotch').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavAceyDeucey').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavLongestDrive').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavUmbrella').addEventListener('click', () => this.showPage('navigation'));
+        document.getElementById('backToNavLowBall').addEventListener('click', () => this.showPage('navigation'));
         document.getElementById('backToNav3').addEventListener('click', () => this.showPage('navigation'));
         document.getElementById('backToNav4').addEventListener('click', () => this.showPage('navigation'));
         
@@ -161,6 +230,131 @@ class SavageGolf {
         document.getElementById('recordWolf').addEventListener('click', () => this.showWolfModal());
         document.getElementById('saveWolf').addEventListener('click', () => this.saveWolfAction());
         document.getElementById('cancelWolf').addEventListener('click', () => this.hideWolfModal());
+        
+        // Nassau game
+        document.getElementById('recordNassau').addEventListener('click', () => this.showNassauModal());
+        document.getElementById('saveNassau').addEventListener('click', () => this.saveNassauAction());
+        document.getElementById('cancelNassau').addEventListener('click', () => this.hideNassauModal());
+        
+        // Bingo Bango Bongo game
+        document.getElementById('recordBingo').addEventListener('click', () => this.showBingoModal());
+        document.getElementById('saveBingo').addEventListener('click', () => this.saveBingoAction());
+        document.getElementById('cancelBingo').addEventListener('click', () => this.hideBingoModal());
+        
+        // Vegas game
+        document.getElementById('recordVegas').addEventListener('click', () => this.showVegasModal());
+        document.getElementById('saveVegas').addEventListener('click', () => this.saveVegasAction());
+        document.getElementById('cancelVegas').addEventListener('click', () => this.hideVegasModal());
+        
+        // Sixes game
+        document.getElementById('recordSixes').addEventListener('click', () => this.showSixesModal());
+        document.getElementById('saveSixes').addEventListener('click', () => this.saveSixesAction());
+        document.getElementById('cancelSixes').addEventListener('click', () => this.hideSixesModal());
+        
+        // Hammer game
+        document.getElementById('recordHammer').addEventListener('click', () => this.showHammerModal());
+        document.getElementById('saveHammer').addEventListener('click', () => this.saveHammerAction());
+        document.getElementById('cancelHammer').addEventListener('click', () => this.hideHammerModal());
+        
+        // Junk game
+        document.getElementById('recordJunk').addEventListener('click', () => this.showJunkModal());
+        document.getElementById('saveJunk').addEventListener('click', () => this.saveJunkAction());
+        document.getElementById('cancelJunk').addEventListener('click', () => this.hideJunkModal());
+        
+        // Rabbit game
+        document.getElementById('recordRabbit').addEventListener('click', () => this.showRabbitModal());
+        document.getElementById('saveRabbit').addEventListener('click', () => this.saveRabbitAction());
+        document.getElementById('cancelRabbit').addEventListener('click', () => this.hideRabbitModal());
+        
+        // Stableford game
+        document.getElementById('recordStableford').addEventListener('click', () => this.showStablefordModal());
+        document.getElementById('saveStableford').addEventListener('click', () => this.saveStablefordAction());
+        document.getElementById('cancelStableford').addEventListener('click', () => this.hideStablefordModal());
+        
+        // Nine Point game
+        document.getElementById('recordNinePoint').addEventListener('click', () => this.showNinePointModal());
+        document.getElementById('saveNinePoint').addEventListener('click', () => this.saveNinePointAction());
+        document.getElementById('cancelNinePoint').addEventListener('click', () => this.hideNinePointModal());
+        
+        // Banker game
+        document.getElementById('recordBanker').addEventListener('click', () => this.showBankerModal());
+        document.getElementById('saveBanker').addEventListener('click', () => this.saveBankerAction());
+        document.getElementById('cancelBanker').addEventListener('click', () => this.hideBankerModal());
+        
+        // Match Play game
+        document.getElementById('recordMatchPlay').addEventListener('click', () => this.showMatchPlayModal());
+        document.getElementById('saveMatchPlay').addEventListener('click', () => this.saveMatchPlayAction());
+        document.getElementById('cancelMatchPlay').addEventListener('click', () => this.hideMatchPlayModal());
+        
+        // Quota game
+        document.getElementById('recordQuota').addEventListener('click', () => this.showQuotaModal());
+        document.getElementById('saveQuota').addEventListener('click', () => this.saveQuotaAction());
+        document.getElementById('cancelQuota').addEventListener('click', () => this.hideQuotaModal());
+        
+        // Defender game
+        document.getElementById('recordDefender').addEventListener('click', () => this.showDefenderModal());
+        document.getElementById('saveDefender').addEventListener('click', () => this.saveDefenderAction());
+        document.getElementById('cancelDefender').addEventListener('click', () => this.hideDefenderModal());
+        
+        // Money Ball game
+        document.getElementById('recordMoneyBall').addEventListener('click', () => this.showMoneyBallModal());
+        document.getElementById('saveMoneyBall').addEventListener('click', () => this.saveMoneyBallAction());
+        document.getElementById('cancelMoneyBall').addEventListener('click', () => this.hideMoneyBallModal());
+        
+        // Scotch game
+        document.getElementById('recordScotch').addEventListener('click', () => this.showScotchModal());
+        document.getElementById('saveScotch').addEventListener('click', () => this.saveScotchAction());
+        document.getElementById('cancelScotch').addEventListener('click', () => this.hideScotchModal());
+        
+        // Acey Deucey game
+        document.getElementById('recordAceyDeucey').addEventListener('click', () => this.showAceyDeuceyModal());
+        document.getElementById('saveAceyDeucey').addEventListener('click', () => this.saveAceyDeuceyAction());
+        document.getElementById('cancelAceyDeucey').addEventListener('click', () => this.hideAceyDeuceyModal());
+        
+        // Longest Drive game
+        document.getElementById('recordLongestDrive').addEventListener('click', () => this.showLongestDriveModal());
+        document.getElementById('saveLongestDrive').addEventListener('click', () => this.saveLongestDriveAction());
+        document.getElementById('cancelLongestDrive').addEventListener('click', () => this.hideLongestDriveModal());
+        
+        // Umbrella game
+        document.getElementById('recordUmbrella').addEventListener('click', () => this.showUmbrellaModal());
+        document.getElementById('saveUmbrella').addEventListener('click', () => this.saveUmbrellaAction());
+        document.getElementById('cancelUmbrella').addEventListener('click', () => this.hideUmbrellaModal());
+        
+        // Low Ball / Low Total game
+        document.getElementById('recordLowBall').addEventListener('click', () => this.showLowBallModal());
+        document.getElementById('saveLowBall').addEventListener('click', () => this.saveLowBallAction());
+        document.getElementById('cancelLowBall').addEventListener('click', () => this.hideLowBallModal());
+        
+        // Scorecard
+        document.getElementById('enterScores').addEventListener('click', () => this.showScorecardModal());
+        document.getElementById('saveScorecard').addEventListener('click', () => this.saveScorecardEntry());
+        document.getElementById('cancelScorecard').addEventListener('click', () => this.hideScorecardModal());
+        
+        // Course import modal events
+        document.getElementById('saveCourseImport').addEventListener('click', () => this.saveCourseImport());
+        document.getElementById('cancelCourseImport').addEventListener('click', () => this.hideCourseImportModal());
+        document.getElementById('courseImportFile').addEventListener('change', (e) => this.readCourseImportFile(e.target.files[0]));
+        document.getElementById('scorecardHole').addEventListener('change', (e) => {
+            this.fillScorecardInputs(parseInt(e.target.value));
+        });
+        document.getElementById('addHammer').addEventListener('click', () => this.addHammerRow());
+        document.getElementById('removeHammer').addEventListener('click', () => this.removeHammerRow());
+        document.getElementById('sixesHole').addEventListener('change', (e) => {
+            this.populateSixesResultDropdown('sixesWinner', parseInt(e.target.value), 'Select result...');
+        });
+        document.getElementById('bankerHole').addEventListener('change', (e) => {
+            this.renderBankerBets('bankerBets', 'banker', parseInt(e.target.value));
+        });
+        document.getElementById('defenderHole').addEventListener('change', (e) => {
+            this.updateDefenderName(parseInt(e.target.value));
+        });
+        document.getElementById('moneyBallHole').addEventListener('change', (e) => {
+            this.renderMoneyBallLost('moneyBallLost', 'moneyBall', parseInt(e.target.value));
+        });
+        document.getElementById('scotchHole').addEventListener('change', (e) => {
+            this.populateScotchTeamsDropdown('scotchTeams', parseInt(e.target.value));
+        });
 
 
         
@@ -195,6 +389,132 @@ class SavageGolf {
             }
         });
         
+        document.getElementById('nassauModal').addEventListener('click', (e) => {
+            if (e.target.id === 'nassauModal') {
+                this.hideNassauModal();
+            }
+        });
+        
+        document.getElementById('bingoModal').addEventListener('click', (e) => {
+            if (e.target.id === 'bingoModal') {
+                this.hideBingoModal();
+            }
+        });
+        
+        document.getElementById('vegasModal').addEventListener('click', (e) => {
+            if (e.target.id === 'vegasModal') {
+                this.hideVegasModal();
+            }
+        });
+        
+        document.getElementById('sixesModal').addEventListener('click', (e) => {
+            if (e.target.id === 'sixesModal') {
+                this.hideSixesModal();
+            }
+        });
+        
+        document.getElementById('hammerModal').addEventListener('click', (e) => {
+            if (e.target.id === 'hammerModal') {
+                this.hideHammerModal();
+            }
+        });
+        
+        document.getElementById('junkModal').addEventListener('click', (e) => {
+            if (e.target.id === 'junkModal') {
+                this.hideJunkModal();
+            }
+        });
+        
+        document.getElementById('rabbitModal').addEventListener('click', (e) => {
+            if (e.target.id === 'rabbitModal') {
+                this.hideRabbitModal();
+            }
+        });
+        
+        document.getElementById('stablefordModal').addEventListener('click', (e) => {
+            if (e.target.id === 'stablefordModal') {
+                this.hideStablefordModal();
+            }
+        });
+        
+        document.getElementById('ninePointModal').addEventListener('click', (e) => {
+            if (e.target.id === 'ninePointModal') {
+                this.hideNinePointModal();
+            }
+        });
+        
+        document.getElementById('bankerModal').addEventListener('click', (e) => {
+            if (e.target.id === 'bankerModal') {
+                this.hideBankerModal();
+            }
+        });
+        
+        document.getElementById('matchPlayModal').addEventListener('click', (e) => {
+            if (e.target.id === 'matchPlayModal') {
+                this.hideMatchPlayModal();
+            }
+        });
+        
+        document.getElementById('quotaModal').addEventListener('click', (e) => {
+            if (e.target.id === 'quotaModal') {
+                this.hideQuotaModal();
+            }
+        });
+        
+        document.getElementById('defenderModal').addEventListener('click', (e) => {
+            if (e.target.id === 'defenderModal') {
+                this.hideDefenderModal();
+            }
+        });
+        
+        document.getElementById('moneyBallModal').addEventListener('click', (e) => {
+            if (e.target.id === 'moneyBallModal') {
+                this.hideMoneyBallModal();
+            }
+        });
+        
+        document.getElementById('scotchModal').addEventListener('click', (e) => {
+            if (e.target.id === 'scotchModal') {
+                this.hideScotchModal();
+            }
+        });
+        
+        document.getElementById('aceyDeuceyModal').addEventListener('click', (e) => {
+            if (e.target.id === 'aceyDeuceyModal') {
+                this.hideAceyDeuceyModal();
+            }
+        });
+        
+        document.getElementById('longestDriveModal').addEventListener('click', (e) => {
+            if (e.target.id === 'longestDriveModal') {
+                this.hideLongestDriveModal();
+            }
+        });
+        
+        document.getElementById('umbrellaModal').addEventListener('click', (e) => {
+            if (e.target.id === 'umbrellaModal') {
+                this.hideUmbrellaModal();
+            }
+        });
+        
+        document.getElementById('lowBallModal').addEventListener('click', (e) => {
+            if (e.target.id === 'lowBallModal') {
+                this.hideLowBallModal();
+            }
+        });
+        
+        document.getElementById('scorecardModal').addEventListener('click', (e) => {
+            if (e.target.id === 'scorecardModal') {
+                this.hideScorecardModal();
+            }
+        });
+        
+        document.getElementById('courseImportModal').addEventListener('click', (e) => {
+            if (e.target.id === 'courseImportModal') {
+                this.hideCourseImportModal();
+            }
+        });
+        
         // About modal - close when clicking outside
         document.getElementById('aboutModal').addEventListener('click', (e) => {
             if (e.target.id === 'aboutModal') {
@@ -237,6 +557,44 @@ class SavageGolf {
             this.updateSnakePage();
         } else if (pageName === 'wolf') {
             this.updateWolfPage();
+        } else if (pageName === 'nassau') {
+            this.updateNassauPage();
+        } else if (pageName === 'bingo') {
+            this.updateBingoPage();
+        } else if (pageName === 'vegas') {
+            this.updateVegasPage();
+        } else if (pageName === 'sixes') {
+            this.updateSixesPage();
+        } else if (pageName === 'hammer') {
+            this.updateHammerPage();
+        } else if (pageName === 'junk') {
+            this.updateJunkPage();
+        } else if (pageName === 'rabbit') {
+            this.updateRabbitPage();
+        } else if (pageName === 'stableford') {
+            this.updateStablefordPage();
+        } else if (pageName === 'ninePoint') {
+            this.updateNinePointPage();
+        } else if (pageName === 'banker') {
+            this.updateBankerPage();
+        } else if (pageName === 'matchPlay') {
+            this.updateMatchPlayPage();
+        } else if (pageName === 'quota') {
+            this.updateQuotaPage();
+        } else if (pageName === 'defender') {
+            this.updateDefenderPage();
+        } else if (pageName === 'moneyBall') {
+            this.updateMoneyBallPage();
+        } else if (pageName === 'scotch') {
+            this.updateScotchPage();
+        } else if (pageName === 'aceyDeucey') {
+            this.updateAceyDeuceyPage();
+        } else if (pageName === 'longestDrive') {
+            this.updateLongestDrivePage();
+        } else if (pageName === 'umbrella') {
+            this.updateUmbrellaPage();
+        } else if (pageName === 'lowBall') {
+            this.updateLowBallPage();
         } else if (pageName === 'combined') {
             this.updateCombinedPage();
         } else if (pageName === 'finalResults') {
@@ -250,6 +608,12 @@ class SavageGolf {
     }
 
     updateSkinsPage() {
+        // Skins from the scorecard are recorded by entering scores
+        const recordLabel = document.getElementById('recordSkinsLabel');
+        if (recordLabel) {
+            recordLabel.textContent = this.gameConfigs.skins?.fromScorecard ? 'Enter Scores' : 'Record Skins';
+        }
+        
         this.updateSkinsActionsList();
         this.updateSkinsSummary();
     }
@@ -269,6 +633,117 @@ class SavageGolf {
         this.updateWolfSummary();
     }
 
+    updateNassauPage() {
+        this.updateNassauMatchStatus();
+        this.updateNassauActionsList();
+        this.updateNassauSummary();
+    }
+
+    updateBingoPage() {
+        this.updateBingoActionsList();
+        this.updateBingoSummary();
+    }
+
+    updateVegasPage() {
+        this.updateVegasActionsList();
+        this.updateVegasSummary();
+    }
+
+    updateSixesPage() {
+        this.updateSixesSchedule();
+        this.updateSixesActionsList();
+        this.updateSixesSummary();
+    }
+
+    updateHammerPage() {
+        this.updateHammerActionsList();
+        this.updateHammerSummary();
+    }
+
+    updateJunkPage() {
+        this.updateJunkTally();
+        this.updateJunkActionsList();
+        this.updateJunkSummary();
+    }
+
+    updateRabbitPage() {
+        this.updateRabbitNines();
+        this.updateRabbitActionsList();
+        this.updateRabbitSummary();
+    }
+
+    updateStablefordPage() {
+        this.updateStablefordStandings();
+        this.updateStablefordActionsList();
+        this.updateStablefordSummary();
+    }
+
+    updateNinePointPage() {
+        this.updateNinePointStandings();
+        this.updateNinePointActionsList();
+        this.updateNinePointSummary();
+    }
+
+    updateBankerPage() {
+        this.updateBankerStandings();
+        this.updateBankerActionsList();
+        this.updateBankerSummary();
+    }
+
+    updateMatchPlayPage() {
+        this.updateMatchPlayStatusPanel();
+        this.updateMatchPlayActionsList();
+        this.updateMatchPlaySummary();
+    }
+
+    updateQuotaPage() {
+        this.updateQuotaStandings();
+        this.updateQuotaActionsList();
+        this.updateQuotaSummary();
+    }
+
+    updateDefenderPage() {
+        this.updateDefenderSchedule();
+        this.updateDefenderActionsList();
+        this.updateDefenderSummary();
+    }
+
+    updateMoneyBallPage() {
+        this.updateMoneyBallStatusPanel();
+        this.updateMoneyBallActionsList();
+        this.updateMoneyBallSummary();
+    }
+
+    updateScotchPage() {
+        this.updateScotchStandings();
+        this.updateScotchActionsList();
+        this.updateScotchSummary();
+    }
+
+    updateAceyDeuceyPage() {
+        this.updateAceyDeuceyStandings();
+        this.updateAceyDeuceyActionsList();
+        this.updateAceyDeuceySummary();
+    }
+
+    updateLongestDrivePage() {
+        this.updateLongestDriveSchedule();
+        this.updateLongestDriveActionsList();
+        this.updateLongestDriveSummary();
+    }
+
+    updateUmbrellaPage() {
+        this.updateUmbrellaTally();
+        this.updateUmbrellaActionsList();
+        this.updateUmbrellaSummary();
+    }
+
+    updateLowBallPage() {
+        this.updateLowBallStandings();
+        this.updateLowBallActionsList();
+        this.updateLowBallSummary();
+    }
+
     updateCombinedPage() {
         this.updateCombinedSummary();
         this.updateGameBreakdowns();
@@ -285,19 +760,75 @@ class SavageGolf {
         const kpCheckbox = document.getElementById('gameKP');
         const snakeCheckbox = document.getElementById('gameSnake');
         const wolfCheckbox = document.getElementById('gameWolf');
+        const nassauCheckbox = document.getElementById('gameNassau');
+        const bingoCheckbox = document.getElementById('gameBingo');
+        const vegasCheckbox = document.getElementById('gameVegas');
+        const sixesCheckbox = document.getElementById('gameSixes');
+        const hammerCheckbox = document.getElementById('gameHammer');
+        const junkCheckbox = document.getElementById('gameJunk');
+        const rabbitCheckbox = document.getElementById('gameRabbit');
+        const stablefordCheckbox = document.getElementById('gameStableford');
+        const ninePointCheckbox = document.getElementById('gameNinePoint');
+        const bankerCheckbox = document.getElementById('gameBanker');
+        const matchPlayCheckbox = document.getElementById('gameMatchPlay');
+        const quotaCheckbox = document.getElementById('gameQuota');
+        const defenderCheckbox = document.getElementById('gameDefender');
+        const moneyBallCheckbox = document.getElementById('gameMoneyBall');
+        const scotchCheckbox = document.getElementById('gameScotch');
+        const aceyDeuceyCheckbox = document.getElementById('gameAceyDeucey');
+        const longestDriveCheckbox = document.getElementById('gameLongestDrive');
+        const umbrellaCheckbox = document.getElementById('gameUmbrella');
+        const lowBallCheckbox = document.getElementById('gameLowBall');
         
         murphCheckbox.addEventListener('change', () => this.toggleGameSection('murph'));
         skinsCheckbox.addEventListener('change', () => this.toggleGameSection('skins'));
         kpCheckbox.addEventListener('change', () => this.toggleGameSection('kp'));
         snakeCheckbox.addEventListener('change', () => this.toggleGameSection('snake'));
         wolfCheckbox.addEventListener('change', () => this.toggleGameSection('wolf'));
+        nassauCheckbox.addEventListener('change', () => this.toggleGameSection('nassau'));
+        bingoCheckbox.addEventListener('change', () => this.toggleGameSection('bingo'));
+        vegasCheckbox.addEventListener('change', () => this.toggleGameSection('vegas'));
+        sixesCheckbox.addEventListener('change', () => this.toggleGameSection('sixes'));
+        hammerCheckbox.addEventListener('change', () => this.toggleGameSection('hammer'));
+        junkCheckbox.addEventListener('change', () => this.toggleGameSection('junk'));
+        rabbitCheckbox.addEventListener('change', () => this.toggleGameSection('rabbit'));
+        stablefordCheckbox.addEventListener('change', () => this.toggleGameSection('stableford'));
+        ninePointCheckbox.addEventListener('change', () => this.toggleGameSection('ninePoint'));
+        bankerCheckbox.addEventListener('change', () => this.toggleGameSection('banker'));
+        matchPlayCheckbox.addEventListener('change', () => this.toggleGameSection('matchPlay'));
+        quotaCheckbox.addEventListener('change', () => this.toggleGameSection('quota'));
+        defenderCheckbox.addEventListener('change', () => this.toggleGameSection('defender'));
+        moneyBallCheckbox.addEventListener('change', () => this.toggleGameSection('moneyBall'));
+        scotchCheckbox.addEventListener('change', () => this.toggleGameSection('scotch'));
+        aceyDeuceyCheckbox.addEventListener('change', () => this.toggleGameSection('aceyDeucey'));
+        longestDriveCheckbox.addEventListener('change', () => this.toggleGameSection('longestDrive'));
+        umbrellaCheckbox.addEventListener('change', () => this.toggleGameSection('umbrella'));
+        lowBallCheckbox.addEventListener('change', () => this.toggleGameSection('lowBall'));
+        document.getElementById('stablefordTable').addEventListener('change', (e) => this.applyStablefordTable(e.target.value));
+        document.getElementById('useHandicaps').addEventListener('change', (e) => this.toggleHandicapSettings(e.target.checked));
+        document.getElementById('roundLength').addEventListener('change', () => {
+            this.renderStartingHoleOptions();
+            this.applyCourseTee();
+        });
+        document.getElementById('courseSelect').addEventListener('change', () => this.selectCourse());
+        document.getElementById('courseTee').addEventListener('change', () => this.applyCourseTee());
+        document.getElementById('importCourse').addEventListener('click', () => this.showCourseImportModal());
+        document.getElementById('deleteCourse').addEventListener('click', () => this.deleteSelectedCourse());
+        this.renderStartingHoleOptions();
+        this.renderCourseOptions();
         
         // Set up player count change listener to update team selection visibility
         const playerCountSelect = document.getElementById('playerCount');
         if (playerCountSelect) {
-            playerCountSelect.addEventListener('change', () => this.updateTeamSelectionVisibility());
+            playerCountSelect.addEventListener('change', () => {
+                this.updateTeamSelectionVisibility();
+                this.updateGameAvailability();
+            });
         }
         
+        // Games that need a specific number of players start disabled for other counts
+        this.updateGameAvailability();
+        
         // Set initial navigation button visibility
         this.updateGameNavigationVisibility();
         
@@ -305,24 +836,207 @@ class SavageGolf {
         // The bet amount fields will be shown/hidden when checkboxes are changed
     }
     
+    toggleHandicapSettings(enabled) {
+        document.getElementById('handicapStrokeSettings').style.display = enabled ? 'flex' : 'none';
+    }
+    
+    getHandicapSettings() {
+        const strokeIndexesText = document.getElementById('handicapStrokeIndexes').value.trim();
+        const handicaps = this.playerManager.getPlayerHandicaps();
+        
+        // Only the players in the round count (playing off the low man looks at everyone's handicap)
+        const indexes = {};
+        this.players.forEach(player => {
+            indexes[player] = handicaps[player];
+        });
+        
+        return {
+            enabled: document.getElementById('useHandicaps').checked,
+            indexes: indexes,
+            slope: parseInt(document.getElementById('courseSlope').value),
+            rating: parseFloat(document.getElementById('courseRating').value),
+            par: parseInt(document.getElementById('coursePar').value),
+            allowance: parseInt(document.getElementById('handicapAllowance').value),
+            offLowMan: document.getElementById('handicapOffLowMan').checked,
+            // Left blank, the standard stroke indexes are used
+            strokeIndexes: strokeIndexesText ? strokeIndexesText.split(/[\s,]+/).filter(Boolean).map(Number) : null
+        };
+    }
+    
+    renderCourseOptions(selectedName = '') {
+        const select = document.getElementById('courseSelect');
+        select.innerHTML = '';
+        
+        const noCourseOption = document.createElement('option');
+        noCourseOption.value = '';
+        noCourseOption.textContent = COURSE_CONFIG.NO_COURSE_TEXT;
+        select.appendChild(noCourseOption);
+        
+        this.courseManager.getCourses().forEach(course => {
+            const option = document.createElement('option');
+            option.value = course.name;
+            option.textContent = course.name;
+            select.appendChild(option);
+        });
+        
+        select.value = this.courseManager.getCourse(selectedName)?.name || '';
+        this.selectCourse();
+    }
+    
+    selectCourse(teeName = '') {
+        const course = this.courseManager.getCourse(document.getElementById('courseSelect').value);
+        const teeSelect = document.getElementById('courseTee');
+        teeSelect.innerHTML = '';
+        
+        (course?.tees || []).forEach(tee => {
+            const option = document.createElement('option');
+            option.value = tee.name;
+            option.textContent = `${tee.name} (${tee.rating}/${tee.slope})`;
+            teeSelect.appendChild(option);
+        });
+        
+        if (course?.tees.some(tee => tee.name === teeName)) {
+            teeSelect.value = teeName;
+        }
+        teeSelect.style.display = course ? 'block' : 'none';
+        document.getElementById('deleteCourse').style.display = course ? 'inline-block' : 'none';
+        
+        this.applyCourseTee();
+    }
+    
+    getSelectedRoundLength() {
+        return parseInt(document.getElementById('roundLength').value) || DEFAULTS.ROUND_LENGTH;
+    }
+    
+    getSelectedStartingHole() {
+        return parseInt(document.getElementById('startingHole').value) || DEFAULTS.STARTING_HOLE;
+    }
+    
+    renderStartingHoleOptions() {
+        // Any hole of the round can be the start; keep the pick while it is still part of the round
+        const select = document.getElementById('startingHole');
+        const roundLength = this.getSelectedRoundLength();
+        const selected = this.getSelectedStartingHole();
+        
+        select.innerHTML = '';
+        for (let hole = 1; hole <= roundLength; hole++) {
+            const option = document.createElement('option');
+            option.value = hole;
+            option.textContent = hole;
+            select.appendChild(option);
+        }
+        select.value = selected <= roundLength ? selected : DEFAULTS.STARTING_HOLE;
+    }
+    
+    getCoursePars(course, roundLength) {
+        // Rounds longer than the card go round it again
+        return course ? Array.from({ length: roundLength }, (_, index) => course.holes[index % course.holes.length].par) : [];
+    }
+    
+    getSelectedCourse() {
+        return this.courseManager.getRoundCourse(
+            document.getElementById('courseSelect').value,
+            document.getElementById('courseTee').value
+        );
+    }
+    
+    applyCourseTee() {
+        const course = this.getSelectedCourse();
+        const summary = document.getElementById('courseSummary');
+        const courseInputs = ['courseSlope', 'courseRating', 'coursePar', 'handicapStrokeIndexes']
+            .map(id => document.getElementById(id));
+        
+        // The tees decide the slope, rating, par and stroke indexes
+        courseInputs.forEach(input => {
+            input.disabled = !!course;
+        });
+        
+        if (course) {
+            document.getElementById('courseSlope').value = course.slope;
+            document.getElementById('courseRating').value = course.rating;
+            document.getElementById('coursePar').value = course.par;
+            document.getElementById('handicapStrokeIndexes').value = course.holes.map(hole => hole.strokeIndex).join(', ');
+            
+            const yardage = course.holes.reduce((total, hole) => total + (hole.yardage || 0), 0);
+            summary.textContent = [
+                `Par ${course.par}`,
+                yardage ? `${yardage} yds` : null,
+                `Rating ${course.rating}`,
+                `Slope ${course.slope}`
+            ].filter(Boolean).join(' · ');
+        } else {
+            summary.textContent = '';
+        }
+        
+        // Par 3s drop out of the longest drive holes once the pars are known, keeping any holes still offered
+        const checkedHoles = this.readLongestDriveHoles();
+        const roundLength = this.getSelectedRoundLength();
+        this.renderLongestDriveHoleOptions('longestDriveHoles', this.getCoursePars(course, roundLength), roundLength);
+        document.querySelectorAll('#longestDriveHoles .longest-drive-hole').forEach(checkbox => {
+            checkbox.checked = checkedHoles.includes(parseInt(checkbox.value));
+        });
+    }
+    
+    deleteSelectedCourse() {
+        const name = document.getElementById('courseSelect').value;
+        if (!name) return;
+        
+        const confirmed = window.confirm(`Delete ${name} from your saved courses?`);
+        if (!confirmed) return;
+        
+        this.courseManager.deleteCourse(name);
+        this.renderCourseOptions();
+        this.ui.showNotification(`${name} deleted`, 'info');
+    }
+    
     updateTeamSelectionVisibility() {
-        // Update team selection visibility when player count changes
-        const skinsCheckbox = document.getElementById('gameSkins');
-        if (skinsCheckbox && skinsCheckbox.checked) {
-            const currentPlayerCount = this.playerManager.getRequiredPlayers();
-            const teamSelection = document.getElementById('skinsTeamSelection');
-            if (teamSelection) {
-                if (currentPlayerCount === 4) {
-                    teamSelection.style.display = 'block';
-                    this.playerManager.updateTeamSelections();
-                } else {
-                    teamSelection.style.display = 'none';
-                    this.playerManager.clearTeamSelections();
-                }
+        // Team selection is shared by all team games and only applies to 4 players
+        const teamSelection = document.getElementById(ELEMENT_IDS.TEAM_SELECTION);
+        if (!teamSelection) {
+            return;
+        }
+        
+        const teamGameChecked = TEAM_CONFIG.TEAM_GAME_TYPES.some(gameType => this.getGameCheckbox(gameType)?.checked);
+        const currentPlayerCount = this.playerManager.getRequiredPlayers();
+        
+        if (teamGameChecked && currentPlayerCount === 4) {
+            // Only populate once so existing selections survive toggling another team game
+            if (teamSelection.style.display !== 'block') {
+                teamSelection.style.display = 'block';
+                this.playerManager.updateTeamSelections();
             }
+        } else {
+            teamSelection.style.display = 'none';
+            this.playerManager.clearTeamSelections();
         }
     }
 
+    updateGameAvailability() {
+        // Games with a fixed player count can only be selected for that many players
+        const currentPlayerCount = this.playerManager.getRequiredPlayers();
+        
+        Object.entries(GAME_PLAYER_COUNTS).forEach(([gameType, allowedCounts]) => {
+            const checkbox = this.getGameCheckbox(gameType);
+            if (!checkbox) {
+                return;
+            }
+            
+            const available = allowedCounts.includes(currentPlayerCount);
+            checkbox.disabled = !available;
+            
+            if (!available && checkbox.checked) {
+                checkbox.checked = false;
+                this.toggleGameSection(gameType);
+            }
+        });
+    }
+
+    getGameCheckbox(gameType) {
+        // Handle special case for KP (since it's already uppercase in HTML)
+        const checkboxId = gameType === 'kp' ? 'gameKP' : `game${gameType.charAt(0).toUpperCase() + gameType.slice(1)}`;
+        return document.getElementById(checkboxId);
+    }
+
     // =========================================================================
     // STORAGE OPERATIONS
     // =========================================================================
@@ -363,13 +1077,7 @@ class SavageGolf {
         this.showPage('navigation');
         
         // Update the current hole display
-        const holeDisplayElement = document.getElementById('holeDisplay');
-        
-        if (holeDisplayElement) {
-            holeDisplayElement.textContent = this.currentHole;
-        } else {
-            console.warn('Auto-resume: holeDisplay element not found!');
-        }
+        this.updateHoleDisplay();
         
         // Update all UI elements to reflect the restored state
         this.updateGameDisplay();
@@ -396,6 +1104,63 @@ class SavageGolf {
         if (this.gameConfigs.wolf?.enabled) {
             this.updateWolfPage();
         }
+        if (this.gameConfigs.nassau?.enabled) {
+            this.updateNassauPage();
+        }
+        if (this.gameConfigs.bingo?.enabled) {
+            this.updateBingoPage();
+        }
+        if (this.gameConfigs.vegas?.enabled) {
+            this.updateVegasPage();
+        }
+        if (this.gameConfigs.sixes?.enabled) {
+            this.updateSixesPage();
+        }
+        if (this.gameConfigs.hammer?.enabled) {
+            this.updateHammerPage();
+        }
+        if (this.gameConfigs.junk?.enabled) {
+            this.updateJunkPage();
+        }
+        if (this.gameConfigs.rabbit?.enabled) {
+            this.updateRabbitPage();
+        }
+        if (this.gameConfigs.stableford?.enabled) {
+            this.updateStablefordPage();
+        }
+        if (this.gameConfigs.ninePoint?.enabled) {
+            this.updateNinePointPage();
+        }
+        if (this.gameConfigs.banker?.enabled) {
+            this.updateBankerPage();
+        }
+        if (this.gameConfigs.matchPlay?.enabled) {
+            this.updateMatchPlayPage();
+        }
+        if (this.gameConfigs.quota?.enabled) {
+            this.updateQuotaPage();
+        }
+        if (this.gameConfigs.defender?.enabled) {
+            this.updateDefenderPage();
+        }
+        if (this.gameConfigs.moneyBall?.enabled) {
+            this.updateMoneyBallPage();
+        }
+        if (this.gameConfigs.scotch?.enabled) {
+            this.updateScotchPage();
+        }
+        if (this.gameConfigs.aceyDeucey?.enabled) {
+            this.updateAceyDeuceyPage();
+        }
+        if (this.gameConfigs.longestDrive?.enabled) {
+            this.updateLongestDrivePage();
+        }
+        if (this.gameConfigs.umbrella?.enabled) {
+            this.updateUmbrellaPage();
+        }
+        if (this.gameConfigs.lowBall?.enabled) {
+            this.updateLowBallPage();
+        }
         
         // Show success notification
         this.ui.showNotification(`Game auto-resumed! You're on hole ${this.currentHole}`, 'success');
@@ -421,13 +1186,7 @@ class SavageGolf {
             this.showPage('navigation');
             
             // Update the current hole display
-            const holeDisplayElement = document.getElementById('holeDisplay');
-            
-            if (holeDisplayElement) {
-                holeDisplayElement.textContent = this.currentHole;
-            } else {
-                console.warn('holeDisplay element not found!');
-            }
+            this.updateHoleDisplay();
             
             
             
@@ -459,6 +1218,63 @@ class SavageGolf {
             if (this.gameConfigs.snake?.enabled) {
                 this.updateSnakePage();
             }
+            if (this.gameConfigs.nassau?.enabled) {
+                this.updateNassauPage();
+            }
+            if (this.gameConfigs.bingo?.enabled) {
+                this.updateBingoPage();
+            }
+            if (this.gameConfigs.vegas?.enabled) {
+                this.updateVegasPage();
+            }
+            if (this.gameConfigs.sixes?.enabled) {
+                this.updateSixesPage();
+            }
+            if (this.gameConfigs.hammer?.enabled) {
+                this.updateHammerPage();
+            }
+            if (this.gameConfigs.junk?.enabled) {
+                this.updateJunkPage();
+            }
+            if (this.gameConfigs.rabbit?.enabled) {
+                this.updateRabbitPage();
+            }
+            if (this.gameConfigs.stableford?.enabled) {
+                this.updateStablefordPage();
+            }
+            if (this.gameConfigs.ninePoint?.enabled) {
+                this.updateNinePointPage();
+            }
+            if (this.gameConfigs.banker?.enabled) {
+                this.updateBankerPage();
+            }
+            if (this.gameConfigs.matchPlay?.enabled) {
+                this.updateMatchPlayPage();
+            }
+            if (this.gameConfigs.quota?.enabled) {
+                this.updateQuotaPage();
+            }
+            if (this.gameConfigs.defender?.enabled) {
+                this.updateDefenderPage();
+            }
+            if (this.gameConfigs.moneyBall?.enabled) {
+                this.updateMoneyBallPage();
+            }
+            if (this.gameConfigs.scotch?.enabled) {
+                this.updateScotchPage();
+            }
+            if (this.gameConfigs.aceyDeucey?.enabled) {
+                this.updateAceyDeuceyPage();
+            }
+            if (this.gameConfigs.longestDrive?.enabled) {
+                this.updateLongestDrivePage();
+            }
+            if (this.gameConfigs.umbrella?.enabled) {
+                this.updateUmbrellaPage();
+            }
+            if (this.gameConfigs.lowBall?.enabled) {
+                this.updateLowBallPage();
+            }
             
             this.ui.showNotification(`Game resumed! You're back on hole ${this.currentHole}`, 'success');
         } else {
@@ -497,6 +1313,12 @@ class SavageGolf {
             gameStarted: this.gameStarted,
             gameCompleted: this.gameManager.gameCompleted,
             gameActions: this.gameActions,
+            scorecard: this.gameManager.scorecard.toJSON(),
+            handicapSettings: this.handicapSettings,
+            course: this.course,
+            roundLength: this.gameManager.getRoundLength(),
+            startingHole: this.gameManager.getStartingHole(),
+            playoffHoles: this.gameManager.playoffHoles,
             currentPage: this.currentPage
         };
 
@@ -525,11 +1347,14 @@ class SavageGolf {
             this.currentHole = savedState.currentHole || DEFAULTS.STARTING_HOLE;
             this.gameStarted = savedState.gameStarted || false;
             this.currentPage = savedState.currentPage || PAGE_NAMES.NAVIGATION;
+            this.handicapSettings = savedState.handicapSettings || null;
+            this.course = savedState.course || null;
 
             
 
             // Restore game manager state
             this.gameManager.restoreGameState(savedState);
+            this.validator.setLastHole(this.gameManager.getLastHole());
             
             // Update legacy properties for backwards compatibility
             this.gameConfigs = this.gameManager.gameConfigs;
@@ -563,14 +1388,7 @@ class SavageGolf {
     restoreUIState(savedState) {
         // Restore game checkboxes
         Object.entries(savedState.gameConfigs).forEach(([gameType, config]) => {
-            let checkboxId;
-            if (gameType === 'kp') {
-                checkboxId = 'gameKP';
-            } else {
-                checkboxId = `game${gameType.charAt(0).toUpperCase() + gameType.slice(1)}`;
-            }
-            
-            const checkbox = document.getElementById(checkboxId);
+            const checkbox = this.getGameCheckbox(gameType);
             if (checkbox) {
                 checkbox.checked = config.enabled;
                 this.toggleGameSection(gameType, config.enabled);
@@ -580,7 +1398,15 @@ class SavageGolf {
         // Restore player inputs
         if (savedState.players.length > 0) {
             this.playerManager.restorePlayerInputs(savedState.players);
+            this.playerManager.restorePlayerHandicaps(savedState.players,
+                savedState.handicapSettings?.indexes || savedState.gameConfigs.quota?.handicaps);
         }
+        document.getElementById('roundLength').value = savedState.roundLength || DEFAULTS.ROUND_LENGTH;
+        this.renderStartingHoleOptions();
+        document.getElementById('startingHole').value = savedState.startingHole || DEFAULTS.STARTING_HOLE;
+        this.restoreCourseSelection(savedState.course);
+        this.restoreHandicapSettings(savedState.handicapSettings);
+        this.updateGameAvailability();
 
         // Restore bet amounts
         this.restoreBetAmounts(savedState.gameConfigs);
@@ -589,6 +1415,34 @@ class SavageGolf {
         // The resume method will navigate to the game navigation page
     }
 
+    /**
+     * Restore the course picked for the round, if it's still in the library
+     * @param {Object} course - Saved round course
+     */
+    restoreCourseSelection(course) {
+        if (!course) return;
+        
+        document.getElementById('courseSelect').value = this.courseManager.getCourse(course.name)?.name || '';
+        this.selectCourse(course.tee);
+    }
+
+    /**
+     * Restore the handicap setup from saved data
+     * @param {Object} handicapSettings - Saved handicap settings
+     */
+    restoreHandicapSettings(handicapSettings) {
+        if (!handicapSettings) return;
+        
+        document.getElementById('useHandicaps').checked = !!handicapSettings.enabled;
+        document.getElementById('courseSlope').value = handicapSettings.slope;
+        document.getElementById('courseRating').value = handicapSettings.rating;
+        document.getElementById('coursePar').value = handicapSettings.par;
+        document.getElementById('handicapAllowance').value = handicapSettings.allowance;
+        document.getElementById('handicapOffLowMan').checked = !!handicapSettings.offLowMan;
+        document.getElementById('handicapStrokeIndexes').value = (handicapSettings.strokeIndexes || []).join(', ');
+        this.toggleHandicapSettings(!!handicapSettings.enabled);
+    }
+
     /**
      * Restore bet amounts from saved configuration
      * @param {Object} gameConfigs - Game configurations
@@ -685,15 +1539,7 @@ class SavageGolf {
 
 
     toggleGameSection(gameType) {
-        // Handle special case for KP (since it's already uppercase in HTML)
-        let checkboxId;
-        if (gameType === 'kp') {
-            checkboxId = 'gameKP';
-        } else {
-            checkboxId = `game${gameType.charAt(0).toUpperCase() + gameType.slice(1)}`;
-        }
-        
-        const checkbox = document.getElementById(checkboxId);
+        const checkbox = this.getGameCheckbox(gameType);
         const betAmount = document.getElementById(`${gameType}BetAmount`);
         
         if (!checkbox) {
@@ -704,32 +1550,21 @@ class SavageGolf {
             return;
         }
         
-        if (gameType === 'skins') {
-            const teamSelection = document.getElementById('skinsTeamSelection');
-            if (checkbox.checked) {
-                betAmount.style.display = 'block';
-                // Get current player count from PlayerManager to determine if we should show team selection
-                const currentPlayerCount = this.playerManager.getRequiredPlayers();
-                // Only show team selection for 4 players
-                if (currentPlayerCount === 4) {
-                    teamSelection.style.display = 'block';
-                    // Populate team selects if we have 4 players
-                    this.playerManager.updateTeamSelections();
-                } else {
-                    teamSelection.style.display = 'none';
-                }
-            } else {
-                betAmount.style.display = 'none';
-                teamSelection.style.display = 'none';
-                // Clear team selections when unchecking
-                this.playerManager.clearTeamSelections();
-            }
+        if (checkbox.checked) {
+            betAmount.style.display = 'block';
         } else {
-            if (checkbox.checked) {
-                betAmount.style.display = 'block';
-            } else {
-                betAmount.style.display = 'none';
-            }
+            betAmount.style.display = 'none';
+        }
+        
+        // Show extra game settings (if the game has any) alongside the bet amount
+        const settings = document.getElementById(`${gameType}Settings`);
+        if (settings) {
+            settings.style.display = checkbox.checked ? 'flex' : 'none';
+        }
+        
+        // Team games share the team selection (4 players only)
+        if (TEAM_CONFIG.TEAM_GAME_TYPES.includes(gameType)) {
+            this.updateTeamSelectionVisibility();
         }
         
         // Update the game navigation buttons based on what's selected
@@ -743,6 +1578,25 @@ class SavageGolf {
         const kpChecked = document.getElementById('gameKP').checked;
         const snakeChecked = document.getElementById('gameSnake').checked;
         const wolfChecked = document.getElementById('gameWolf').checked;
+        const nassauChecked = document.getElementById('gameNassau').checked;
+        const bingoChecked = document.getElementById('gameBingo').checked;
+        const vegasChecked = document.getElementById('gameVegas').checked;
+        const sixesChecked = document.getElementById('gameSixes').checked;
+        const hammerChecked = document.getElementById('gameHammer').checked;
+        const junkChecked = document.getElementById('gameJunk').checked;
+        const rabbitChecked = document.getElementById('gameRabbit').checked;
+        const stablefordChecked = document.getElementById('gameStableford').checked;
+        const ninePointChecked = document.getElementById('gameNinePoint').checked;
+        const bankerChecked = document.getElementById('gameBanker').checked;
+        const matchPlayChecked = document.getElementById('gameMatchPlay').checked;
+        const quotaChecked = document.getElementById('gameQuota').checked;
+        const defenderChecked = document.getElementById('gameDefender').checked;
+        const moneyBallChecked = document.getElementById('gameMoneyBall').checked;
+        const scotchChecked = document.getElementById('gameScotch').checked;
+        const aceyDeuceyChecked = document.getElementById('gameAceyDeucey').checked;
+        const longestDriveChecked = document.getElementById('gameLongestDrive').checked;
+        const umbrellaChecked = document.getElementById('gameUmbrella').checked;
+        const lowBallChecked = document.getElementById('gameLowBall').checked;
         
         // Show/hide Murph button
         const navMurph = document.getElementById('navMurph');
@@ -773,6 +1627,120 @@ class SavageGolf {
         if (navWolf) {
             navWolf.style.display = wolfChecked ? 'flex' : 'none';
         }
+        
+        // Show/hide Nassau button
+        const navNassau = document.getElementById('navNassau');
+        if (navNassau) {
+            navNassau.style.display = nassauChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Bingo Bango Bongo button
+        const navBingo = document.getElementById('navBingo');
+        if (navBingo) {
+            navBingo.style.display = bingoChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Vegas button
+        const navVegas = document.getElementById('navVegas');
+        if (navVegas) {
+            navVegas.style.display = vegasChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Sixes button
+        const navSixes = document.getElementById('navSixes');
+        if (navSixes) {
+            navSixes.style.display = sixesChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Hammer button
+        const navHammer = document.getElementById('navHammer');
+        if (navHammer) {
+            navHammer.style.display = hammerChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Junk button
+        const navJunk = document.getElementById('navJunk');
+        if (navJunk) {
+            navJunk.style.display = junkChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Rabbit button
+        const navRabbit = document.getElementById('navRabbit');
+        if (navRabbit) {
+            navRabbit.style.display = rabbitChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Stableford button
+        const navStableford = document.getElementById('navStableford');
+        if (navStableford) {
+            navStableford.style.display = stablefordChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Nine Point button
+        const navNinePoint = document.getElementById('navNinePoint');
+        if (navNinePoint) {
+            navNinePoint.style.display = ninePointChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Banker button
+        const navBanker = document.getElementById('navBanker');
+        if (navBanker) {
+            navBanker.style.display = bankerChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Match Play button
+        const navMatchPlay = document.getElementById('navMatchPlay');
+        if (navMatchPlay) {
+            navMatchPlay.style.display = matchPlayChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Quota button
+        const navQuota = document.getElementById('navQuota');
+        if (navQuota) {
+            navQuota.style.display = quotaChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Defender button
+        const navDefender = document.getElementById('navDefender');
+        if (navDefender) {
+            navDefender.style.display = defenderChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Money Ball button
+        const navMoneyBall = document.getElementById('navMoneyBall');
+        if (navMoneyBall) {
+            navMoneyBall.style.display = moneyBallChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Scotch button
+        const navScotch = document.getElementById('navScotch');
+        if (navScotch) {
+            navScotch.style.display = scotchChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Acey Deucey button
+        const navAceyDeucey = document.getElementById('navAceyDeucey');
+        if (navAceyDeucey) {
+            navAceyDeucey.style.display = aceyDeuceyChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Longest Drive button
+        const navLongestDrive = document.getElementById('navLongestDrive');
+        if (navLongestDrive) {
+            navLongestDrive.style.display = longestDriveChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Umbrella button
+        const navUmbrella = document.getElementById('navUmbrella');
+        if (navUmbrella) {
+            navUmbrella.style.display = umbrellaChecked ? 'flex' : 'none';
+        }
+        
+        // Show/hide Low Ball / Low Total button
+        const navLowBall = document.getElementById('navLowBall');
+        if (navLowBall) {
+            navLowBall.style.display = lowBallChecked ? 'flex' : 'none';
+        }
     }
 
     startGame() {
@@ -784,6 +1752,21 @@ class SavageGolf {
         this.players = this.playerManager.getCurrentPlayerNames().slice(0, this.requiredPlayers);
         this.playerManager.setPlayers(this.players);
         
+        // A saved course gives the games real pars (the handicap inputs are already filled from its tees)
+        const roundLength = this.getSelectedRoundLength();
+        this.course = this.getSelectedCourse();
+        const coursePars = this.getCoursePars(this.course, roundLength);
+        
+        // Handicap indexes are needed to play net and for Quota
+        this.handicapSettings = this.getHandicapSettings();
+        if (this.handicapSettings.enabled || document.getElementById('gameQuota').checked) {
+            const handicapSettingsValidation = this.validator.validateHandicapSettings(this.handicapSettings, this.players);
+            if (!handicapSettingsValidation.success) {
+                this.ui.showNotification(handicapSettingsValidation.errors[0], 'error');
+                return;
+            }
+        }
+        
         // Get game configurations
         this.gameConfigs = {};
         const murphChecked = document.getElementById('gameMurph').checked;
@@ -791,6 +1774,25 @@ class SavageGolf {
         const kpChecked = document.getElementById('gameKP').checked;
         const snakeChecked = document.getElementById('gameSnake').checked;
         const wolfChecked = document.getElementById('gameWolf').checked;
+        const nassauChecked = document.getElementById('gameNassau').checked;
+        const bingoChecked = document.getElementById('gameBingo').checked;
+        const vegasChecked = document.getElementById('gameVegas').checked;
+        const sixesChecked = document.getElementById('gameSixes').checked;
+        const hammerChecked = document.getElementById('gameHammer').checked;
+        const junkChecked = document.getElementById('gameJunk').checked;
+        const rabbitChecked = document.getElementById('gameRabbit').checked;
+        const stablefordChecked = document.getElementById('gameStableford').checked;
+        const ninePointChecked = document.getElementById('gameNinePoint').checked;
+        const bankerChecked = document.getElementById('gameBanker').checked;
+        const matchPlayChecked = document.getElementById('gameMatchPlay').checked;
+        const quotaChecked = document.getElementById('gameQuota').checked;
+        const defenderChecked = document.getElementById('gameDefender').checked;
+        const moneyBallChecked = document.getElementById('gameMoneyBall').checked;
+        const scotchChecked = document.getElementById('gameScotch').checked;
+        const aceyDeuceyChecked = document.getElementById('gameAceyDeucey').checked;
+        const longestDriveChecked = document.getElementById('gameLongestDrive').checked;
+        const umbrellaChecked = document.getElementById('gameUmbrella').checked;
+        const lowBallChecked = document.getElementById('gameLowBall').checked;
         
         if (murphChecked) {
             this.gameConfigs.murph = {
@@ -804,7 +1806,8 @@ class SavageGolf {
                 betAmount: parseFloat(document.getElementById('skinsBet').value),
                 enabled: true,
                 teams: [],
-                carryoverCount: 1 // Start with 1 skin
+                carryoverCount: 1, // Start with 1 skin
+                fromScorecard: document.getElementById('skinsFromScorecard').checked
             };
             
             // Only set up teams if we have 4 players
@@ -825,7 +1828,10 @@ class SavageGolf {
         if (kpChecked) {
             this.gameConfigs.kp = {
                 betAmount: parseFloat(document.getElementById('kpBet').value),
-                enabled: true
+                enabled: true,
+                carryover: document.getElementById('kpCarryover').checked,
+                mustMakePar: document.getElementById('kpMustMakePar').checked,
+                pars: coursePars
             };
         }
         
@@ -843,8 +1849,278 @@ class SavageGolf {
             };
         }
         
+        if (nassauChecked) {
+            this.gameConfigs.nassau = {
+                betAmount: parseFloat(document.getElementById('nassauBet').value),
+                enabled: true,
+                autoPress: document.getElementById('nassauAutoPress').checked,
+                teams: [],
+                teamNames: {}
+            };
+            
+            // 4 players play Nassau as the selected teams, 2 players head to head
+            if (this.requiredPlayers === 4) {
+                const teamConfig = this.playerManager.getTeamConfiguration();
+                this.gameConfigs.nassau.teams = teamConfig.teams;
+                this.gameConfigs.nassau.teamNames = teamConfig.teamNames;
+            }
+        }
+        
+        if (bingoChecked) {
+            this.gameConfigs.bingo = {
+                betAmount: parseFloat(document.getElementById('bingoBet').value),
+                enabled: true
+            };
+        }
+        
+        if (vegasChecked) {
+            const teamConfig = this.playerManager.getTeamConfiguration();
+            this.gameConfigs.vegas = {
+                betAmount: parseFloat(document.getElementById('vegasBet').value),
+                enabled: true,
+                flipTheBird: document.getElementById('vegasFlipTheBird').checked,
+                teams: teamConfig.teams,
+                teamNames: teamConfig.teamNames
+            };
+        }
+        
+        if (sixesChecked) {
+            this.gameConfigs.sixes = {
+                betAmount: parseFloat(document.getElementById('sixesBet').value),
+                enabled: true
+            };
+        }
+        
+        if (hammerChecked) {
+            this.gameConfigs.hammer = {
+                betAmount: parseFloat(document.getElementById('hammerBet').value),
+                enabled: true,
+                teams: [],
+                teamNames: {}
+            };
+            
+            // 4 players play Hammer as the selected teams, 2 players head to head
+            if (this.requiredPlayers === 4) {
+                const teamConfig = this.playerManager.getTeamConfiguration();
+                this.gameConfigs.hammer.teams = teamConfig.teams;
+                this.gameConfigs.hammer.teamNames = teamConfig.teamNames;
+            }
+        }
+        
+        if (junkChecked) {
+            // Only the dots ticked in the setup are in play
+            const items = {};
+            document.querySelectorAll('#junkSettings .junk-setting').forEach(setting => {
+                if (setting.querySelector('.junk-item-toggle').checked) {
+                    items[setting.dataset.dot] = parseInt(setting.querySelector('.junk-item-points').value);
+                }
+            });
+            
+            const itemsValidation = this.validator.validateJunkItems(items);
+            if (!itemsValidation.success) {
+                this.ui.showNotification(itemsValidation.errors[0], 'error');
+                return;
+            }
+            
+            this.gameConfigs.junk = {
+                betAmount: parseFloat(document.getElementById('junkBet').value),
+                enabled: true,
+                items: items
+            };
+        }
+        
+        if (rabbitChecked) {
+            this.gameConfigs.rabbit = {
+                betAmount: parseFloat(document.getElementById('rabbitBet').value),
+                enabled: true
+            };
+        }
+        
+        if (stablefordChecked) {
+            // Points come from the setup so a preset table can be tweaked
+            const points = {};
+            document.querySelectorAll('#stablefordSettings .stableford-points').forEach(input => {
+                points[input.dataset.diff] = parseInt(input.value);
+            });
+            
+            const pointsValidation = this.validator.validateStablefordPoints(points);
+            if (!pointsValidation.success) {
+                this.ui.showNotification(pointsValidation.errors[0], 'error');
+                return;
+            }
+            
+            this.gameConfigs.stableford = {
+                betAmount: parseFloat(document.getElementById('stablefordBet').value),
+                enabled: true,
+                table: document.getElementById('stablefordTable').value,
+                points: points,
+                pars: coursePars
+            };
+        }
+        
+        if (ninePointChecked) {
+            this.gameConfigs.ninePoint = {
+                betAmount: parseFloat(document.getElementById('ninePointBet').value),
+                enabled: true
+            };
+        }
+        
+        if (bankerChecked) {
+            const minStake = parseFloat(document.getElementById('bankerBet').value);
+            const maxStake = parseFloat(document.getElementById('bankerMaxStake').value);
+            
+            const stakeValidation = this.validator.validateBankerStakeLimits(minStake, maxStake);
+            if (!stakeValidation.success) {
+                this.ui.showNotification(stakeValidation.errors[0], 'error');
+                return;
+            }
+            
+            this.gameConfigs.banker = {
+                betAmount: minStake,
+                enabled: true,
+                maxStake: maxStake
+            };
+        }
+        
+        if (matchPlayChecked) {
+            this.gameConfigs.matchPlay = {
+                betAmount: parseFloat(document.getElementById('matchPlayBet').value),
+                enabled: true,
+                teams: [],
+                teamNames: {}
+            };
+            
+            // 4 players play the match as the selected teams, 2 players head to head
+            if (this.requiredPlayers === 4) {
+                const teamConfig = this.playerManager.getTeamConfiguration();
+                this.gameConfigs.matchPlay.teams = teamConfig.teams;
+                this.gameConfigs.matchPlay.teamNames = teamConfig.teamNames;
+            }
+        }
+        
+        if (quotaChecked) {
+            // Quotas are based on each player's course handicap (Quota is always played gross)
+            const handicaps = HandicapUtils.calculateCourseHandicaps(this.handicapSettings.indexes, this.handicapSettings);
+            const handicapValidation = this.validator.validateHandicaps(handicaps, this.players);
+            if (!handicapValidation.success) {
+                this.ui.showNotification(handicapValidation.errors[0], 'error');
+                return;
+            }
+            
+            this.gameConfigs.quota = {
+                betAmount: parseFloat(document.getElementById('quotaBet').value),
+                enabled: true,
+                handicaps: handicaps,
+                pars: coursePars
+            };
+        }
+        
+        if (defenderChecked) {
+            const winPoints = parseInt(document.getElementById('defenderWinPoints').value);
+            const lossPoints = parseInt(document.getElementById('defenderLossPoints').value);
+            
+            const pointsValidation = this.validator.validateDefenderPoints(winPoints, lossPoints);
+            if (!pointsValidation.success) {
+                this.ui.showNotification(pointsValidation.errors[0], 'error');
+                return;
+            }
+            
+            this.gameConfigs.defender = {
+                betAmount: parseFloat(document.getElementById('defenderBet').value),
+                enabled: true,
+                winPoints: winPoints,
+                lossPoints: lossPoints
+            };
+        }
+        
+        if (moneyBallChecked) {
+            const bonusAmount = parseFloat(document.getElementById('moneyBallBonus').value);
+            
+            const bonusValidation = this.validator.validateMoneyBallBonus(bonusAmount);
+            if (!bonusValidation.success) {
+                this.ui.showNotification(bonusValidation.errors[0], 'error');
+                return;
+            }
+            
+            // Money Ball is always played as the selected teams
+            const teamConfig = this.playerManager.getTeamConfiguration();
+            this.gameConfigs.moneyBall = {
+                betAmount: parseFloat(document.getElementById('moneyBallBet').value),
+                enabled: true,
+                bonusAmount: bonusAmount,
+                teams: teamConfig.teams,
+                teamNames: teamConfig.teamNames
+            };
+        }
+        
+        if (scotchChecked) {
+            // Holes start with the teams picked in the setup
+            const teamConfig = this.playerManager.getTeamConfiguration();
+            this.gameConfigs.scotch = {
+                betAmount: parseFloat(document.getElementById('scotchBet').value),
+                enabled: true,
+                umbrella: document.getElementById('scotchUmbrella').checked,
+                teams: teamConfig.teams,
+                pars: coursePars
+            };
+        }
+        
+        if (aceyDeuceyChecked) {
+            this.gameConfigs.aceyDeucey = {
+                betAmount: parseFloat(document.getElementById('aceyDeuceyBet').value),
+                enabled: true
+            };
+        }
+        
+        if (longestDriveChecked) {
+            const holes = this.readLongestDriveHoles();
+            
+            const holesValidation = this.validator.validateLongestDriveHoles(holes, coursePars, roundLength);
+            if (!holesValidation.success) {
+                this.ui.showNotification(holesValidation.errors[0], 'error');
+                return;
+            }
+            
+            this.gameConfigs.longestDrive = {
+                betAmount: parseFloat(document.getElementById('longestDriveBet').value),
+                enabled: true,
+                holes: holes,
+                pars: coursePars
+            };
+        }
+        
+        if (umbrellaChecked) {
+            // Umbrella is always played as the selected teams
+            const teamConfig = this.playerManager.getTeamConfiguration();
+            this.gameConfigs.umbrella = {
+                betAmount: parseFloat(document.getElementById('umbrellaBet').value),
+                enabled: true,
+                teams: teamConfig.teams,
+                teamNames: teamConfig.teamNames
+            };
+        }
+        
+        if (lowBallChecked) {
+            // Low Ball / Low Total is always played as the selected teams
+            const teamConfig = this.playerManager.getTeamConfiguration();
+            this.gameConfigs.lowBall = {
+                betAmount: parseFloat(document.getElementById('lowBallBet').value),
+                enabled: true,
+                teams: teamConfig.teams,
+                teamNames: teamConfig.teamNames
+            };
+        }
+        
         // Initialize games using GameManager
-        this.gameManager.initializeGames(this.gameConfigs, this.players, this.requiredPlayers);
+        this.gameManager.initializeGames(
+            this.gameConfigs, this.players, this.requiredPlayers, roundLength, this.getSelectedStartingHole()
+        );
+        this.gameManager.setHandicaps(this.handicapSettings);
+        this.validator.setLastHole(this.gameManager.getLastHole());
+        
+        // Play begins on the starting hole (the 10th, or the hole of a shotgun start)
+        this.currentHole = this.gameManager.getStartingHole();
+        this.updateHoleDisplay();
         
         // Update legacy references
         this.gameActions = this.gameManager.gameActions;
@@ -887,7 +2163,7 @@ class SavageGolf {
 
     validateGameSetup() {
         // Use ValidationManager for comprehensive validation
-        const validationResult = this.validator.validateGameSetup(this.playerManager, this.requiredPlayers);
+        const validationResult = this.validator.validateGameSetup(this.playerManager, this.playerManager.getRequiredPlayers());
         
         if (!validationResult.success) {
             // Show the first error message
@@ -899,24 +2175,34 @@ class SavageGolf {
     }
 
     previousHole() {
-        if (this.currentHole > 1) {
-            this.currentHole--;
+        const sequence = this.gameManager.getPlaySequence(this.currentHole);
+        if (sequence > 1) {
+            // Step back in play order, so the hole before the 1st is the last hole when starting elsewhere
+            this.currentHole = this.gameManager.getHoleAtSequence(sequence - 1);
             
-                    // Update hole display element
-            const holeDisplayElement = document.getElementById('holeDisplay');
+            this.updateHoleDisplay();
             
-            if (holeDisplayElement) {
-                holeDisplayElement.textContent = this.currentHole;
-            } else {
-                console.warn('holeDisplay element not found in previousHole');
+            // Sixes partners depend on the hole
+            if (this.gameConfigs.sixes?.enabled) {
+                this.populateSixesResultDropdown('quickSixesWinner', this.currentHole, 'Best ball won by...');
+            }
+            
+            // The banker rotates every hole
+            if (this.gameConfigs.banker?.enabled) {
+                this.renderBankerBets('quickBankerBets', 'quickBanker', this.currentHole);
+            }
+            
+            // So do the money ball players
+            if (this.gameConfigs.moneyBall?.enabled) {
+                this.renderMoneyBallLost('quickMoneyBallLost', 'quickMoneyBall', this.currentHole);
             }
             
-            // Update quick actions hole display
-            const quickHoleDisplay = document.getElementById('quickHoleDisplay');
-            if (quickHoleDisplay) {
-                quickHoleDisplay.textContent = this.currentHole;
+            // Scotch holes start with the previous hole's teams
+            if (this.gameConfigs.scotch?.enabled) {
+                this.populateScotchTeamsDropdown('quickScotchTeams', this.currentHole);
             }
             
+            this.setQuickParInputs();
             this.updatePreviousHoleButton();
             this.updateGameDisplay();
             
@@ -928,29 +2214,40 @@ class SavageGolf {
     }
 
     nextHole() {
-        if (this.currentHole >= 18) {
-            this.ui.showNotification('Maximum 18 holes reached. Game complete!', 'success');
+        const lastHole = this.gameManager.getLastHole();
+        const sequence = this.gameManager.getPlaySequence(this.currentHole);
+        if (sequence >= lastHole) {
+            this.ui.showNotification(`Maximum ${lastHole} holes reached. Game complete!`, 'success');
             this.endGame();
             return;
         }
         
-        this.currentHole++;
+        // Play wraps round to hole 1 after the last hole when the round started elsewhere
+        this.currentHole = this.gameManager.getHoleAtSequence(sequence + 1);
         
-        // Update hole display element
-        const holeDisplayElement = document.getElementById('holeDisplay');
+        this.updateHoleDisplay();
         
-        if (holeDisplayElement) {
-            holeDisplayElement.textContent = this.currentHole;
-        } else {
-            console.warn('holeDisplay element not found in nextHole');
+        // Sixes partners depend on the hole
+        if (this.gameConfigs.sixes?.enabled) {
+            this.populateSixesResultDropdown('quickSixesWinner', this.currentHole, 'Best ball won by...');
         }
         
-        // Update quick actions hole display
-        const quickHoleDisplay = document.getElementById('quickHoleDisplay');
-        if (quickHoleDisplay) {
-            quickHoleDisplay.textContent = this.currentHole;
+        // The banker rotates every hole
+        if (this.gameConfigs.banker?.enabled) {
+            this.renderBankerBets('quickBankerBets', 'quickBanker', this.currentHole);
         }
         
+        // So do the money ball players
+        if (this.gameConfigs.moneyBall?.enabled) {
+            this.renderMoneyBallLost('quickMoneyBallLost', 'quickMoneyBall', this.currentHole);
+        }
+        
+        // Scotch holes start with the previous hole's teams
+        if (this.gameConfigs.scotch?.enabled) {
+            this.populateScotchTeamsDropdown('quickScotchTeams', this.currentHole);
+        }
+        
+        this.setQuickParInputs();
         this.updatePreviousHoleButton();
         this.updateGameDisplay();
         
@@ -960,23 +2257,52 @@ class SavageGolf {
         this.ui.showNotification(`Moving to hole ${this.currentHole}`, 'info');
     }
 
+    updateHoleDisplay() {
+        // Show the hole number and where it comes in the round, e.g. "Hole: 3 (12 of 18)"
+        const sequence = this.gameManager.getPlaySequence(this.currentHole);
+        const roundLength = this.gameManager.getRoundLength();
+        
+        const holeDisplayElement = document.getElementById('holeDisplay');
+        if (holeDisplayElement) {
+            holeDisplayElement.textContent = this.currentHole;
+        } else {
+            console.warn('holeDisplay element not found!');
+        }
+        
+        const holeSequence = document.getElementById('holeSequence');
+        if (holeSequence) {
+            holeSequence.textContent = sequence > roundLength ? '(playoff)' : `(${sequence} of ${roundLength})`;
+        }
+        
+        // Update quick actions hole display
+        const quickHoleDisplay = document.getElementById('quickHoleDisplay');
+        if (quickHoleDisplay) {
+            quickHoleDisplay.textContent = this.currentHole;
+        }
+    }
+
     updatePreviousHoleButton() {
         const previousButton = document.getElementById('previousHole');
         const nextButton = document.getElementById('nextHole');
         const completeBtn = document.getElementById('completeGame');
+        const playoffBtn = document.getElementById('playoffHole');
         
-        previousButton.disabled = this.currentHole <= 1;
+        const sequence = this.gameManager.getPlaySequence(this.currentHole);
+        previousButton.disabled = sequence <= 1;
         
-        if (this.currentHole >= 18) {
-            // On hole 18: hide Next Hole, show Complete Game
+        if (sequence >= this.gameManager.getLastHole()) {
+            // On the last hole: hide Next Hole, show Complete Game (and Playoff Hole while a game is tied)
             if (nextButton) {
                 nextButton.style.display = 'none';
             }
             if (completeBtn) {
                 completeBtn.style.display = 'inline-block';
             }
+            if (playoffBtn) {
+                playoffBtn.style.display = this.gameManager.getPlayoffGames().length > 0 ? 'inline-block' : 'none';
+            }
         } else {
-            // On holes 1-17: show Next Hole, hide Complete Game
+            // Before the last hole: show Next Hole, hide Complete Game
             if (nextButton) {
                 nextButton.style.display = 'inline-block';
                 nextButton.disabled = false;
@@ -985,7 +2311,41 @@ class SavageGolf {
             if (completeBtn) {
                 completeBtn.style.display = 'none';
             }
+            if (playoffBtn) {
+                playoffBtn.style.display = 'none';
+            }
+        }
+    }
+
+    playPlayoffHole() {
+        // Games still tied after the last hole play on, one sudden-death hole at a time
+        const playoffGames = this.gameManager.getPlayoffGames().map(gameType => GAME_NAMES[gameType]);
+        if (!this.gameManager.addPlayoffHole()) {
+            this.ui.showNotification('No games are tied, so there is no playoff to play.', 'info');
+            return;
+        }
+        
+        this.validator.setLastHole(this.gameManager.getLastHole());
+        this.nextHole();
+        this.ui.showNotification(`Playoff hole ${this.currentHole}: sudden death for ${playoffGames.join(', ')}`, 'info');
+    }
+
+    recordGameAction(gameType, action) {
+        // Playoff holes only take results for the games still tied, so check the hole against the game itself
+        const game = this.gameInstances[gameType];
+        if (game && !game.isValidHole(action.hole)) {
+            const message = game.isPlayoffHole(action.hole) ?
+                `${GAME_NAMES[gameType]} isn't played on playoff hole ${action.hole}.` :
+                `Hole ${action.hole} isn't part of the round.`;
+            this.ui.showNotification(message, 'error');
+            return false;
+        }
+        
+        if (!this.gameManager.addGameAction(gameType, action)) {
+            this.ui.showNotification(`That ${GAME_NAMES[gameType]} result couldn't be recorded. Please check it and try again.`, 'error');
+            return false;
         }
+        return true;
     }
 
     endGame() {
@@ -996,7 +2356,7 @@ class SavageGolf {
         this.updateFinalResults();
     }
 
-    // Complete game flow from navigation at hole 18
+    // Complete game flow from navigation at the last hole
     completeGameFlow() {
         // Show warning and get confirmation
         const confirmed = window.confirm('⚠️ WARNING: Completing the game will lock all results and prevent further edits.\n\nAre you sure you want to complete the game and view the final financial summary?');
@@ -1020,7 +2380,7 @@ class SavageGolf {
 
     lockEdits() {
         // disable game record buttons
-        const ids = ['recordSkins', 'recordKP', 'recordSnake', 'callMurph'];
+        const ids = ['recordSkins', 'recordKP', 'recordSnake', 'callMurph', 'recordNassau', 'recordBingo', 'recordVegas', 'recordSixes', 'recordHammer', 'recordJunk', 'recordRabbit', 'recordStableford', 'recordNinePoint', 'recordBanker', 'recordMatchPlay', 'recordQuota', 'recordDefender', 'recordMoneyBall', 'recordScotch', 'recordAceyDeucey', 'recordLongestDrive', 'recordUmbrella', 'recordLowBall', 'enterScores', 'playoffHole'];
         ids.forEach(id => {
             const el = document.getElementById(id);
             if (el) {
@@ -1052,7 +2412,7 @@ class SavageGolf {
             finalResultsHTML += this.generateMurphFinalSummary();
         }
         
-        if (this.gameConfigs.skins?.enabled && this.gameActions.skins.length > 0) {
+        if (this.gameConfigs.skins?.enabled && this.getSkinsResults().length > 0) {
             finalResultsHTML += this.generateSkinsFinalSummary();
         }
         
@@ -1064,6 +2424,82 @@ class SavageGolf {
             finalResultsHTML += this.generateSnakeFinalSummary();
         }
         
+        if (this.gameConfigs.nassau?.enabled && this.gameActions.nassau.length > 0) {
+            finalResultsHTML += this.generateNassauFinalSummary();
+        }
+        
+        if (this.gameConfigs.bingo?.enabled && this.gameActions.bingo.length > 0) {
+            finalResultsHTML += this.generateBingoFinalSummary();
+        }
+        
+        if (this.gameConfigs.vegas?.enabled && this.gameActions.vegas.length > 0) {
+            finalResultsHTML += this.generateVegasFinalSummary();
+        }
+        
+        if (this.gameConfigs.sixes?.enabled && this.gameActions.sixes.length > 0) {
+            finalResultsHTML += this.generateSixesFinalSummary();
+        }
+        
+        if (this.gameConfigs.hammer?.enabled && this.gameActions.hammer.length > 0) {
+            finalResultsHTML += this.generateHammerFinalSummary();
+        }
+        
+        if (this.gameConfigs.junk?.enabled && this.gameActions.junk.length > 0) {
+            finalResultsHTML += this.generateJunkFinalSummary();
+        }
+        
+        if (this.gameConfigs.rabbit?.enabled && this.gameActions.rabbit.length > 0) {
+            finalResultsHTML += this.generateRabbitFinalSummary();
+        }
+        
+        if (this.gameConfigs.stableford?.enabled && this.gameActions.stableford.length > 0) {
+            finalResultsHTML += this.generateStablefordFinalSummary();
+        }
+        
+        if (this.gameConfigs.ninePoint?.enabled && this.gameActions.ninePoint.length > 0) {
+            finalResultsHTML += this.generateNinePointFinalSummary();
+        }
+        
+        if (this.gameConfigs.banker?.enabled && this.gameActions.banker.length > 0) {
+            finalResultsHTML += this.generateBankerFinalSummary();
+        }
+        
+        if (this.gameConfigs.matchPlay?.enabled && this.gameActions.matchPlay.length > 0) {
+            finalResultsHTML += this.generateMatchPlayFinalSummary();
+        }
+        
+        if (this.gameConfigs.quota?.enabled && this.gameActions.quota.length > 0) {
+            finalResultsHTML += this.generateQuotaFinalSummary();
+        }
+        
+        if (this.gameConfigs.defender?.enabled && this.gameActions.defender.length > 0) {
+            finalResultsHTML += this.generateDefenderFinalSummary();
+        }
+        
+        if (this.gameConfigs.moneyBall?.enabled && this.gameActions.moneyBall.length > 0) {
+            finalResultsHTML += this.generateMoneyBallFinalSummary();
+        }
+        
+        if (this.gameConfigs.scotch?.enabled && this.gameActions.scotch.length > 0) {
+            finalResultsHTML += this.generateScotchFinalSummary();
+        }
+        
+        if (this.gameConfigs.aceyDeucey?.enabled && this.gameActions.aceyDeucey.length > 0) {
+            finalResultsHTML += this.generateAceyDeuceyFinalSummary();
+        }
+        
+        if (this.gameConfigs.longestDrive?.enabled && this.gameActions.longestDrive.length > 0) {
+            finalResultsHTML += this.generateLongestDriveFinalSummary();
+        }
+        
+        if (this.gameConfigs.umbrella?.enabled && this.gameActions.umbrella.length > 0) {
+            finalResultsHTML += this.generateUmbrellaFinalSummary();
+        }
+        
+        if (this.gameConfigs.lowBall?.enabled && this.gameActions.lowBall.length > 0) {
+            finalResultsHTML += this.generateLowBallFinalSummary();
+        }
+        
         // Combined Final Summary
         finalResultsHTML += this.generateCombinedFinalSummary();
         
@@ -1110,8 +2546,9 @@ class SavageGolf {
 
     generateSkinsFinalSummary() {
         const skinsSummary = this.calculateSkinsSummary();
-        const totalSkins = this.gameActions.skins.filter(skin => skin.winner !== 'carryover').length;
-        const carryoverSkins = this.gameActions.skins.filter(skin => skin.winner === 'carryover').length;
+        const skinsResults = this.getSkinsResults();
+        const totalSkins = skinsResults.filter(skin => skin.winner !== 'carryover').length;
+        const carryoverSkins = skinsResults.filter(skin => skin.winner === 'carryover').length;
         
         let html = `
             <div class="final-game-section">
@@ -1152,7 +2589,9 @@ class SavageGolf {
 
     generateKPFinalSummary() {
         const kpSummary = this.calculateKPSummary();
-        const totalKPs = this.gameActions.kp.length;
+        const kpStats = this.gameInstances.kp?.getStats();
+        const totalKPs = kpStats ? kpStats.totalKPs : this.gameActions.kp.length;
+        const carryover = kpStats ? kpStats.carryover : 0;
         
         let html = `
             <div class="final-game-section">
@@ -1166,6 +2605,11 @@ class SavageGolf {
                         <span class="stat-label">Bet Amount:</span>
                         <span class="stat-value">$${this.gameConfigs.kp.betAmount.toFixed(2)}</span>
                     </div>
+                    ${carryover > 0 ? `
+                    <div class="stat-item">
+                        <span class="stat-label">Unclaimed KPs:</span>
+                        <span class="stat-value">${carryover}</span>
+                    </div>` : ''}
                 </div>
                 <div class="final-game-summary">
         `;
@@ -1224,41 +2668,80 @@ class SavageGolf {
         return html;
     }
 
-    generateCombinedFinalSummary() {
-        const gameSummaries = {};
-        
-        if (this.gameConfigs.murph?.enabled) {
-            gameSummaries.murph = this.calculateMurphSummary();
-        }
+    generateNassauFinalSummary() {
+        const nassauSummary = this.calculateNassauSummary();
+        const nassauStats = this.gameInstances.nassau ? this.gameInstances.nassau.getStats() : { holesPlayed: 0, totalPresses: 0 };
         
-        if (this.gameConfigs.skins?.enabled) {
-            gameSummaries.skins = this.calculateSkinsSummary();
-        }
-        
-        if (this.gameConfigs.kp?.enabled) {
-            gameSummaries.kp = this.calculateKPSummary();
-        }
+        let html = `
+            <div class="final-game-section">
+                <h3>🏌️ Nassau Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${nassauStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Presses:</span>
+                        <span class="stat-value">${nassauStats.totalPresses}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.nassau.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
         
-        if (this.gameConfigs.snake?.enabled) {
-            gameSummaries.snake = this.calculateSnakeSummary();
-        }
+        Object.entries(nassauSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
         
-        const combinedSummary = this.calculateCombinedSummary(gameSummaries);
+        html += '</div></div>';
+        return html;
+    }
+
+    generateBingoFinalSummary() {
+        const bingoSummary = this.calculateBingoSummary();
+        const bingoStats = this.gameInstances.bingo ? this.gameInstances.bingo.getStats() : { holesPlayed: 0, totalPoints: 0 };
         
         let html = `
-            <div class="final-game-section final-combined">
-                <h3>💰 Combined Final Results</h3>
+            <div class="final-game-section">
+                <h3>🎳 Bingo Bango Bongo Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${bingoStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Points Awarded:</span>
+                        <span class="stat-value">${bingoStats.totalPoints}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.bingo.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
                 <div class="final-game-summary">
         `;
         
-        Object.entries(combinedSummary).forEach(([player, balance]) => {
+        Object.entries(bingoSummary).forEach(([player, balance]) => {
             const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
             const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
                               balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            const points = bingoStats.pointsByPlayer ? bingoStats.pointsByPlayer[player] : 0;
             
             html += `
                 <div class="final-summary-item">
-                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-player">${player} (${points} pts)</span>
                     <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
                 </div>
             `;
@@ -1268,1148 +2751,6684 @@ class SavageGolf {
         return html;
     }
 
-    generatePaymentInstructions() {
-        // Use GameManager to generate payment instructions
-        return this.gameManager.generatePaymentInstructions();
+    generateVegasFinalSummary() {
+        const vegasSummary = this.calculateVegasSummary();
+        const vegasStats = this.gameInstances.vegas ? this.gameInstances.vegas.getStats() : { holesPlayed: 0, birdieFlips: 0 };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>🎰 Vegas Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${vegasStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Birdie Flips:</span>
+                        <span class="stat-value">${vegasStats.birdieFlips}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Point:</span>
+                        <span class="stat-value">$${this.gameConfigs.vegas.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(vegasSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
     }
 
-    // Murph Game Methods
-    showMurphModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('murph', 'open');
+    generateSixesFinalSummary() {
+        const sixesSummary = this.calculateSixesSummary();
+        const sixesStats = this.gameInstances.sixes ? this.gameInstances.sixes.getStats() : { holesPlayed: 0, segmentsWon: 0 };
         
-        // Use UIManager to show modal
-        this.ui.showMurphModal(this.players, this.currentHole);
+        let html = `
+            <div class="final-game-section">
+                <h3>🔄 Sixes Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${sixesStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Segments Won:</span>
+                        <span class="stat-value">${sixesStats.segmentsWon}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.sixes.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
         
-        // Reset form
-        this.ui.clearInput('murphResult');
+        Object.entries(sixesSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
     }
 
-    hideMurphModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('murph', 'close');
+    generateHammerFinalSummary() {
+        const hammerSummary = this.calculateHammerSummary();
+        const hammerStats = this.gameInstances.hammer ? this.gameInstances.hammer.getStats() : { holesPlayed: 0, hammersThrown: 0, laydowns: 0 };
         
-        this.ui.hideMurphModal();
+        let html = `
+            <div class="final-game-section">
+                <h3>🔨 Hammer Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${hammerStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Hammers Thrown:</span>
+                        <span class="stat-value">${hammerStats.hammersThrown}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Laydowns:</span>
+                        <span class="stat-value">${hammerStats.laydowns}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Base Bet:</span>
+                        <span class="stat-value">$${this.gameConfigs.hammer.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(hammerSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
     }
 
-    saveMurphCall() {
-        const player = this.ui.getInputValue('murphPlayer');
-        const hole = parseInt(this.ui.getInputValue('murphHole'));
-        const result = this.ui.getInputValue('murphResult');
+    generateJunkFinalSummary() {
+        const junkSummary = this.calculateJunkSummary();
+        const junkStats = this.gameInstances.junk ? this.gameInstances.junk.getStats() : { totalDots: 0, holesPlayed: 0 };
         
-        // Use ValidationManager for input validation
-        const validation = this.validator.validateMurphInput(player, hole, result);
-        if (!validation.success) {
-            this.ui.showNotification(validation.message, 'error');
-            return;
-        }
+        let html = `
+            <div class="final-game-section">
+                <h3>🗑️ Junk Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Total Dots:</span>
+                        <span class="stat-value">${junkStats.totalDots}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Holes With Dots:</span>
+                        <span class="stat-value">${junkStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Point:</span>
+                        <span class="stat-value">$${this.gameConfigs.junk.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
         
-        // Create murph call
-        const murphCall = {
-            id: Date.now(),
-            player: player,
-            hole: hole,
-            result: result,
-            timestamp: new Date()
-        };
+        Object.entries(junkSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
         
-        // Use game instance if available, fallback to legacy
-        if (this.gameInstances.murph) {
-            this.gameInstances.murph.addAction(murphCall);
-        }
+        html += '</div></div>';
+        return html;
+    }
+
+    generateRabbitFinalSummary() {
+        const rabbitSummary = this.calculateRabbitSummary();
+        const nineResults = this.gameInstances.rabbit ? this.gameInstances.rabbit.getNineResults() : [];
         
-        // Also add to legacy for backwards compatibility
-        this.gameActions.murph.push(murphCall);
+        let html = `
+            <div class="final-game-section">
+                <h3>🐇 Rabbit Game Results</h3>
+                <div class="final-game-stats">
+        `;
         
-        // Track modal save analytics
-        AnalyticsUtils.trackGameAction('murph', 'modal_action', hole, {
-            player: player,
-            result: result
+        nineResults.forEach(nine => {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${nine.name}:</span>
+                        <span class="stat-value">${nine.settled && nine.holder ? nine.holder : 'Rabbit free'}</span>
+                    </div>
+            `;
         });
-        AnalyticsUtils.trackModalInteraction('murph', 'save');
         
-        // Hide modal and update display
-        this.hideMurphModal();
-        this.updateGameDisplay();
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Nine:</span>
+                        <span class="stat-value">$${this.gameConfigs.rabbit.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
         
-        // Auto-save game state
-        this.saveGameState();
+        Object.entries(rabbitSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
         
-        // Show result message
-        const resultText = result === 'success' ? 'made it!' : 'error';
-        this.ui.showNotification(`${player} called Murph on hole ${hole} and ${resultText}`, result === 'success' ? 'success' : 'error');
+        html += '</div></div>';
+        return html;
     }
 
-    // Skins Game Methods
-    showSkinsModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('skins', 'open');
+    generateStablefordFinalSummary() {
+        const stablefordSummary = this.calculateStablefordSummary();
+        const stablefordStats = this.gameInstances.stableford ? this.gameInstances.stableford.getStats() : { holesPlayed: 0, pointsByPlayer: {} };
         
-        const modal = document.getElementById('skinsModal');
-        const holeInput = document.getElementById('skinsHole');
+        let html = `
+            <div class="final-game-section">
+                <h3>📊 Stableford Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${stablefordStats.holesPlayed}</span>
+                    </div>
+        `;
         
-        // Set current hole
-        holeInput.value = this.currentHole;
+        Object.entries(stablefordStats.pointsByPlayer).forEach(([player, points]) => {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${player}:</span>
+                        <span class="stat-value">${points} pts</span>
+                    </div>
+            `;
+        });
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Point:</span>
+                        <span class="stat-value">$${this.gameConfigs.stableford.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(stablefordSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateNinePointFinalSummary() {
+        const ninePointSummary = this.calculateNinePointSummary();
+        const ninePointStats = this.gameInstances.ninePoint ? this.gameInstances.ninePoint.getStats() : { holesPlayed: 0, pointsByPlayer: {}, evenShare: 0 };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>9️⃣ Nine Point Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${ninePointStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Even Share:</span>
+                        <span class="stat-value">${ninePointStats.evenShare} pts</span>
+                    </div>
+        `;
+        
+        Object.entries(ninePointStats.pointsByPlayer).forEach(([player, points]) => {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${player}:</span>
+                        <span class="stat-value">${points} pts</span>
+                    </div>
+            `;
+        });
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Point:</span>
+                        <span class="stat-value">$${this.gameConfigs.ninePoint.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(ninePointSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateBankerFinalSummary() {
+        const bankerSummary = this.calculateBankerSummary();
+        const bankerStats = this.gameInstances.banker ? this.gameInstances.banker.getStats() : { holesPlayed: 0, biggestStake: 0 };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>🏦 Banker Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${bankerStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Biggest Stake:</span>
+                        <span class="stat-value">$${bankerStats.biggestStake.toFixed(2)}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Stakes:</span>
+                        <span class="stat-value">$${this.gameConfigs.banker.betAmount.toFixed(2)} - $${this.gameConfigs.banker.maxStake.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(bankerSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateMatchPlayFinalSummary() {
+        const matchPlaySummary = this.calculateMatchPlaySummary();
+        const matchPlayStats = this.gameInstances.matchPlay ? this.gameInstances.matchPlay.getStats() : { holesPlayed: 0, match: { status: MATCH_PLAY_CONFIG.ALL_SQUARE_TEXT } };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>⚔️ Match Play Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Result:</span>
+                        <span class="stat-value">${matchPlayStats.match.status}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${matchPlayStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.matchPlay.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(matchPlaySummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateQuotaFinalSummary() {
+        const quotaSummary = this.calculateQuotaSummary();
+        const quotaStats = this.gameInstances.quota ? this.gameInstances.quota.getStats() : { holesPlayed: 0, pointsByPlayer: {}, quotas: {}, overQuota: {} };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>🎚️ Quota Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${quotaStats.holesPlayed}</span>
+                    </div>
+        `;
+        
+        Object.entries(quotaStats.pointsByPlayer).forEach(([player, points]) => {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${player}:</span>
+                        <span class="stat-value">${this.formatQuotaResult(points, quotaStats.quotas[player], quotaStats.overQuota[player])}</span>
+                    </div>
+            `;
+        });
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Point:</span>
+                        <span class="stat-value">$${this.gameConfigs.quota.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(quotaSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateDefenderFinalSummary() {
+        const defenderSummary = this.calculateDefenderSummary();
+        const defenderStats = this.gameInstances.defender ? this.gameInstances.defender.getStats() : { holesPlayed: 0, defenderPerformance: {} };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>🛡️ Defender Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${defenderStats.holesPlayed}</span>
+                    </div>
+        `;
+        
+        Object.entries(defenderStats.defenderPerformance).forEach(([player, performance]) => {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${player} as Defender:</span>
+                        <span class="stat-value">${performance.wins}W ${performance.losses}L</span>
+                    </div>
+            `;
+        });
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Point:</span>
+                        <span class="stat-value">$${this.gameConfigs.defender.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(defenderSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateMoneyBallFinalSummary() {
+        const moneyBallSummary = this.calculateMoneyBallSummary();
+        const moneyBall = this.gameInstances.moneyBall;
+        const moneyBallStats = moneyBall ? moneyBall.getStats() : { holesPlayed: 0, side1Holes: 0, side2Holes: 0 };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>💰 Money Ball Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${moneyBallStats.holesPlayed}</span>
+                    </div>
+        `;
+        
+        if (moneyBall) {
+            [MONEY_BALL_CONFIG.SIDE_1_VALUE, MONEY_BALL_CONFIG.SIDE_2_VALUE].forEach(team => {
+                const holesWon = team === MONEY_BALL_CONFIG.SIDE_1_VALUE ? moneyBallStats.side1Holes : moneyBallStats.side2Holes;
+                html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${moneyBall.getSideName(team)}:</span>
+                        <span class="stat-value">${holesWon} holes won, ${this.getMoneyBallTeamStatus(team)}</span>
+                    </div>
+                `;
+            });
+        }
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Hole:</span>
+                        <span class="stat-value">$${this.gameConfigs.moneyBall.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(moneyBallSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateScotchFinalSummary() {
+        const scotchSummary = this.calculateScotchSummary();
+        const scotchStats = this.gameInstances.scotch ? this.gameInstances.scotch.getStats() : { holesPlayed: 0, pointsByPlayer: {}, umbrellas: 0 };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>🥃 Scotch Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${scotchStats.holesPlayed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Umbrellas:</span>
+                        <span class="stat-value">${scotchStats.umbrellas}</span>
+                    </div>
+        `;
+        
+        Object.entries(scotchStats.pointsByPlayer).forEach(([player, points]) => {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${player}:</span>
+                        <span class="stat-value">${points} pts</span>
+                    </div>
+            `;
+        });
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Per Point:</span>
+                        <span class="stat-value">$${this.gameConfigs.scotch.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(scotchSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateAceyDeuceyFinalSummary() {
+        const aceyDeuceySummary = this.calculateAceyDeuceySummary();
+        const aceyDeuceyStats = this.gameInstances.aceyDeucey ? this.gameInstances.aceyDeucey.getStats() : { holesPlayed: 0, playerAces: {}, playerDeuces: {} };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>🃏 Acey Deucey Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${aceyDeuceyStats.holesPlayed}</span>
+                    </div>
+        `;
+        
+        Object.keys(aceyDeuceyStats.playerAces).forEach(player => {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${player}:</span>
+                        <span class="stat-value">${this.formatAcesAndDeuces(aceyDeuceyStats.playerAces[player], aceyDeuceyStats.playerDeuces[player])}</span>
+                    </div>
+            `;
+        });
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.aceyDeucey.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(aceyDeuceySummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateLongestDriveFinalSummary() {
+        const longestDriveSummary = this.calculateLongestDriveSummary();
+        const longestDriveStats = this.gameInstances.longestDrive ? this.gameInstances.longestDrive.getStats() : { totalDrives: 0, designatedHoles: [], longestDrive: null };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>🚀 Longest Drive Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Longest Drives:</span>
+                        <span class="stat-value">${longestDriveStats.totalDrives} of ${longestDriveStats.designatedHoles.length}</span>
+                    </div>
+        `;
+        
+        if (longestDriveStats.longestDrive) {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Longest of the Round:</span>
+                        <span class="stat-value">${this.describeLongestDrive(longestDriveStats.longestDrive)} (hole ${longestDriveStats.longestDrive.hole})</span>
+                    </div>
+            `;
+        }
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.longestDrive.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(longestDriveSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateUmbrellaFinalSummary() {
+        const umbrellaSummary = this.calculateUmbrellaSummary();
+        const umbrella = this.gameInstances.umbrella;
+        const umbrellaStats = umbrella ? umbrella.getStats() : { holesPlayed: 0, side1Points: 0, side2Points: 0, side1Umbrellas: 0, side2Umbrellas: 0 };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>☂️ Umbrella Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${umbrellaStats.holesPlayed}</span>
+                    </div>
+        `;
+        
+        if (umbrella) {
+            [[UMBRELLA_CONFIG.SIDE_1_VALUE, umbrellaStats.side1Points, umbrellaStats.side1Umbrellas],
+             [UMBRELLA_CONFIG.SIDE_2_VALUE, umbrellaStats.side2Points, umbrellaStats.side2Umbrellas]].forEach(([team, points, umbrellas]) => {
+                html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${umbrella.getSideName(team)}:</span>
+                        <span class="stat-value">${points} pts, ${umbrellas} umbrella${umbrellas === 1 ? '' : 's'}</span>
+                    </div>
+                `;
+            });
+        }
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.umbrella.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(umbrellaSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateLowBallFinalSummary() {
+        const lowBallSummary = this.calculateLowBallSummary();
+        const lowBall = this.gameInstances.lowBall;
+        const lowBallStats = lowBall ? lowBall.getStats() : { holesPlayed: 0, side1Points: 0, side2Points: 0, pushes: 0 };
+        
+        let html = `
+            <div class="final-game-section">
+                <h3>👥 Low Ball / Low Total Game Results</h3>
+                <div class="final-game-stats">
+                    <div class="stat-item">
+                        <span class="stat-label">Holes Played:</span>
+                        <span class="stat-value">${lowBallStats.holesPlayed}</span>
+                    </div>
+        `;
+        
+        if (lowBall) {
+            html += `
+                    <div class="stat-item">
+                        <span class="stat-label">${lowBall.getSideName(LOW_BALL_CONFIG.SIDE_1_VALUE)}:</span>
+                        <span class="stat-value">${lowBallStats.side1Points} pt${lowBallStats.side1Points === 1 ? '' : 's'}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">${lowBall.getSideName(LOW_BALL_CONFIG.SIDE_2_VALUE)}:</span>
+                        <span class="stat-value">${lowBallStats.side2Points} pt${lowBallStats.side2Points === 1 ? '' : 's'}</span>
+                    </div>
+            `;
+        }
+        
+        html += `
+                    <div class="stat-item">
+                        <span class="stat-label">Pushed Points:</span>
+                        <span class="stat-value">${lowBallStats.pushes}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Bet Amount:</span>
+                        <span class="stat-value">$${this.gameConfigs.lowBall.betAmount.toFixed(2)}</span>
+                    </div>
+                </div>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(lowBallSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generateCombinedFinalSummary() {
+        const gameSummaries = {};
+        
+        if (this.gameConfigs.murph?.enabled) {
+            gameSummaries.murph = this.calculateMurphSummary();
+        }
+        
+        if (this.gameConfigs.skins?.enabled) {
+            gameSummaries.skins = this.calculateSkinsSummary();
+        }
+        
+        if (this.gameConfigs.kp?.enabled) {
+            gameSummaries.kp = this.calculateKPSummary();
+        }
+        
+        if (this.gameConfigs.snake?.enabled) {
+            gameSummaries.snake = this.calculateSnakeSummary();
+        }
+        
+        if (this.gameConfigs.nassau?.enabled) {
+            gameSummaries.nassau = this.calculateNassauSummary();
+        }
+        
+        if (this.gameConfigs.bingo?.enabled) {
+            gameSummaries.bingo = this.calculateBingoSummary();
+        }
+        
+        if (this.gameConfigs.vegas?.enabled) {
+            gameSummaries.vegas = this.calculateVegasSummary();
+        }
+        
+        if (this.gameConfigs.sixes?.enabled) {
+            gameSummaries.sixes = this.calculateSixesSummary();
+        }
+        
+        if (this.gameConfigs.hammer?.enabled) {
+            gameSummaries.hammer = this.calculateHammerSummary();
+        }
+        
+        if (this.gameConfigs.junk?.enabled) {
+            gameSummaries.junk = this.calculateJunkSummary();
+        }
+        
+        if (this.gameConfigs.rabbit?.enabled) {
+            gameSummaries.rabbit = this.calculateRabbitSummary();
+        }
+        
+        if (this.gameConfigs.stableford?.enabled) {
+            gameSummaries.stableford = this.calculateStablefordSummary();
+        }
+        
+        if (this.gameConfigs.ninePoint?.enabled) {
+            gameSummaries.ninePoint = this.calculateNinePointSummary();
+        }
+        
+        if (this.gameConfigs.banker?.enabled) {
+            gameSummaries.banker = this.calculateBankerSummary();
+        }
+        
+        if (this.gameConfigs.matchPlay?.enabled) {
+            gameSummaries.matchPlay = this.calculateMatchPlaySummary();
+        }
+        
+        if (this.gameConfigs.quota?.enabled) {
+            gameSummaries.quota = this.calculateQuotaSummary();
+        }
+        
+        if (this.gameConfigs.defender?.enabled) {
+            gameSummaries.defender = this.calculateDefenderSummary();
+        }
+        
+        if (this.gameConfigs.moneyBall?.enabled) {
+            gameSummaries.moneyBall = this.calculateMoneyBallSummary();
+        }
+        
+        if (this.gameConfigs.scotch?.enabled) {
+            gameSummaries.scotch = this.calculateScotchSummary();
+        }
+        
+        if (this.gameConfigs.aceyDeucey?.enabled) {
+            gameSummaries.aceyDeucey = this.calculateAceyDeuceySummary();
+        }
+        
+        if (this.gameConfigs.longestDrive?.enabled) {
+            gameSummaries.longestDrive = this.calculateLongestDriveSummary();
+        }
+        
+        if (this.gameConfigs.umbrella?.enabled) {
+            gameSummaries.umbrella = this.calculateUmbrellaSummary();
+        }
+        
+        if (this.gameConfigs.lowBall?.enabled) {
+            gameSummaries.lowBall = this.calculateLowBallSummary();
+        }
+        
+        const combinedSummary = this.calculateCombinedSummary(gameSummaries);
+        
+        let html = `
+            <div class="final-game-section final-combined">
+                <h3>💰 Combined Final Results</h3>
+                <div class="final-game-summary">
+        `;
+        
+        Object.entries(combinedSummary).forEach(([player, balance]) => {
+            const balanceClass = balance > 0 ? 'positive' : balance < 0 ? 'negative' : 'neutral';
+            const balanceText = balance > 0 ? `+$${balance.toFixed(2)}` : 
+                              balance < 0 ? `-$${Math.abs(balance).toFixed(2)}` : '$0.00';
+            
+            html += `
+                <div class="final-summary-item">
+                    <span class="final-summary-player">${player}</span>
+                    <span class="final-summary-amount ${balanceClass}">${balanceText}</span>
+                </div>
+            `;
+        });
+        
+        html += '</div></div>';
+        return html;
+    }
+
+    generatePaymentInstructions() {
+        // Use GameManager to generate payment instructions
+        return this.gameManager.generatePaymentInstructions();
+    }
+
+    // Murph Game Methods
+    showMurphModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('murph', 'open');
+        
+        // Use UIManager to show modal
+        this.ui.showMurphModal(this.players, this.currentHole);
+        
+        // Reset form
+        this.ui.clearInput('murphResult');
+    }
+
+    hideMurphModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('murph', 'close');
+        
+        this.ui.hideMurphModal();
+    }
+
+    saveMurphCall() {
+        const player = this.ui.getInputValue('murphPlayer');
+        const hole = parseInt(this.ui.getInputValue('murphHole'));
+        const result = this.ui.getInputValue('murphResult');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateMurphInput(player, hole, result);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        // Create murph call
+        const murphCall = {
+            id: Date.now(),
+            player: player,
+            hole: hole,
+            result: result,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('murph', murphCall)) {
+            return;
+        }
+        
+        // Track modal save analytics
+        AnalyticsUtils.trackGameAction('murph', 'modal_action', hole, {
+            player: player,
+            result: result
+        });
+        AnalyticsUtils.trackModalInteraction('murph', 'save');
+        
+        // Hide modal and update display
+        this.hideMurphModal();
+        this.updateGameDisplay();
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        // Show result message
+        const resultText = result === 'success' ? 'made it!' : 'error';
+        this.ui.showNotification(`${player} called Murph on hole ${hole} and ${resultText}`, result === 'success' ? 'success' : 'error');
+    }
+
+    // Skins Game Methods
+    showSkinsModal() {
+        // Skins from the scorecard are recorded by entering everyone's score
+        if (this.gameConfigs.skins?.fromScorecard) {
+            this.showScorecardModal();
+            return;
+        }
+        
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('skins', 'open');
+        
+        const modal = document.getElementById('skinsModal');
+        const holeInput = document.getElementById('skinsHole');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
         
         // Handle different player counts
 
         
-        if (this.requiredPlayers === 4 && this.gameConfigs.skins?.teamNames) {
-            // 4 players: Show team options
+        if (this.requiredPlayers === 4 && this.gameConfigs.skins?.teamNames) {
+            // 4 players: Show team options
+
+            const winnerSelect = document.getElementById('skinsWinner');
+            winnerSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Select result...';
+        winnerSelect.appendChild(defaultOption);
+            
+            // Add team options
+            const team1Option = document.createElement('option');
+            team1Option.value = 'team1';
+            team1Option.textContent = this.gameConfigs.skins.teamNames.team1;
+            winnerSelect.appendChild(team1Option);
+            
+            const team2Option = document.createElement('option');
+            team2Option.value = 'team2';
+            team2Option.textContent = this.gameConfigs.skins.teamNames.team2;
+            winnerSelect.appendChild(team2Option);
+            
+            // Add carryover option
+            const carryoverOption = document.createElement('option');
+            carryoverOption.value = 'carryover';
+            carryoverOption.textContent = 'Carryover (No Winner)';
+            winnerSelect.appendChild(carryoverOption);
+        } else {
+
+            // 2-3 players: Show individual player options
+            const winnerSelect = document.getElementById('skinsWinner');
+            winnerSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Select winner...';
+        winnerSelect.appendChild(defaultOption);
+            
+            this.players.forEach(player => {
+                const option = document.createElement('option');
+                option.value = player;
+                option.textContent = player;
+                winnerSelect.appendChild(option);
+            });
+            
+            // Add carryover option
+            const carryoverOption = document.createElement('option');
+            carryoverOption.value = 'carryover';
+            carryoverOption.textContent = 'No Winner (Carryover)';
+            winnerSelect.appendChild(carryoverOption);
+        }
+        
+        // Update carryover count
+        if (this.gameConfigs.skins?.carryoverCount) {
+            document.getElementById('skinsCarryoverCount').value = this.gameConfigs.skins.carryoverCount;
+        }
+        
+        // Reset form
+        document.getElementById('skinsWinner').value = '';
+        
+        modal.style.display = 'flex';
+    }
+
+    hideSkinsModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('skins', 'close');
+        
+        document.getElementById('skinsModal').style.display = 'none';
+    }
+
+    saveSkinsAction() {
+        const hole = parseInt(document.getElementById('skinsHole').value);
+        const winner = document.getElementById('skinsWinner').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateSkinsInput(winner, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        // Get current carryover count
+        const currentCarryover = this.gameConfigs.skins.carryoverCount;
+        
+        // Create skins action
+        const skinsAction = {
+            id: Date.now(),
+            hole: hole,
+            winner: winner,
+            skinsWon: winner === 'carryover' ? 0 : currentCarryover,
+            carryoverCount: currentCarryover,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('skins', skinsAction)) {
+            return;
+        }
+        
+        // Update carryover count based on result
+        if (winner === 'carryover') {
+            this.gameConfigs.skins.carryoverCount += 1;
+        } else {
+            // Reset carryover count when someone wins
+            this.gameConfigs.skins.carryoverCount = 1;
+        }
+        
+        // Track modal save analytics
+        AnalyticsUtils.trackGameAction('skins', 'modal_action', hole, {
+            winner: winner,
+            carryoverCount: currentCarryover
+        });
+        AnalyticsUtils.trackModalInteraction('skins', 'save');
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        // Hide modal and update display
+        this.hideSkinsModal();
+        this.updateGameDisplay();
+        
+        // Show result message
+        if (winner === 'carryover') {
+            this.ui.showNotification(`Hole ${hole}: No winner - ${this.gameConfigs.skins.carryoverCount} skins now carrying over`, 'info');
+        } else {
+            if (this.requiredPlayers === 4 && this.gameConfigs.skins?.teamNames && (winner === 'team1' || winner === 'team2')) {
+                // 4 players: Show team names
+                const winningTeam = winner === 'team1' ? this.gameConfigs.skins.teamNames.team1 : this.gameConfigs.skins.teamNames.team2;
+                this.ui.showNotification(`${winningTeam} won ${currentCarryover} skin${currentCarryover > 1 ? 's' : ''} on hole ${hole}`, 'success');
+            } else {
+                // 2-3 players: Show individual player name
+                this.ui.showNotification(`${winner} won ${currentCarryover} skin${currentCarryover > 1 ? 's' : ''} on hole ${hole}`, 'success');
+            }
+        }
+    }
+
+    // KP Game Methods
+    showKPModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('kp', 'open');
+        
+        const modal = document.getElementById('kpModal');
+        const holeInput = document.getElementById('kpHole');
+        
+        // Populate player and shot selects
+        this.populateKPWinnerDropdown('kpWinner', 'Select player...');
+        this.populateKPShotDropdown('kpShot');
+        document.getElementById('kpDistance').value = '';
+        document.getElementById('kpMadePar').checked = true;
+        
+        // The made par box only matters when a greenie has to be validated
+        document.getElementById('kpMadeParGroup').style.display = this.gameConfigs.kp?.mustMakePar ? 'block' : 'none';
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideKPModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('kp', 'close');
+        
+        document.getElementById('kpModal').style.display = 'none';
+    }
+
+    saveKPAction() {
+        const hole = parseInt(document.getElementById('kpHole').value);
+        const winner = document.getElementById('kpWinner').value;
+        const shot = document.getElementById('kpShot').value;
+        const distance = parseFloat(document.getElementById('kpDistance').value);
+        const madePar = document.getElementById('kpMadePar').checked;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateKPInput(winner, hole, distance);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordKP(hole, winner, shot, distance, madePar, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('kp', 'save');
+            
+            // Hide modal
+            this.hideKPModal();
+        }
+    }
+
+    recordKP(hole, winner, shot, distance, madePar, source) {
+        // One KP per shot on a hole
+        if (this.gameInstances.kp?.hasKPForHole(hole, shot)) {
+            this.ui.showNotification(`Hole ${hole} already has a ${KP_CONFIG.SHOTS[shot].toLowerCase()} KP.`, 'error');
+            return false;
+        }
+        
+        const noWinner = winner === KP_CONFIG.NO_WINNER_VALUE;
+        const kpAction = {
+            id: Date.now(),
+            hole: hole,
+            winner: winner,
+            shot: shot,
+            distance: noWinner || isNaN(distance) ? null : distance,
+            timestamp: new Date()
+        };
+        
+        // Record whether the greenie was validated when par is required
+        if (this.gameConfigs.kp?.mustMakePar && !noWinner) {
+            kpAction.madePar = madePar;
+        }
+        
+        if (!this.recordGameAction('kp', kpAction)) {
+            return false;
+        }
+        
+        // Update local gameActions reference
+        this.gameActions = this.gameManager.gameActions;
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('kp', source, hole, {
+            winner: winner,
+            shot: shot,
+            distance: kpAction.distance
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        // Show result message
+        if (noWinner || kpAction.madePar === false) {
+            const carried = this.gameConfigs.kp?.carryover ? ' - the KP carries over' : '';
+            this.ui.showNotification(`No KP on hole ${hole}${carried}.`, 'info');
+        } else {
+            this.ui.showNotification(`${winner} got closest to the pin on hole ${hole}!`, 'success');
+        }
+        return true;
+    }
+
+    populateKPWinnerDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            select.appendChild(option);
+        });
+        
+        const noWinnerOption = document.createElement('option');
+        noWinnerOption.value = KP_CONFIG.NO_WINNER_VALUE;
+        noWinnerOption.textContent = KP_CONFIG.NO_WINNER_TEXT;
+        select.appendChild(noWinnerOption);
+    }
+
+    populateKPShotDropdown(selectId) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        Object.entries(KP_CONFIG.SHOTS).forEach(([shot, name]) => {
+            const option = document.createElement('option');
+            option.value = shot;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = KP_CONFIG.DEFAULT_SHOT;
+    }
+
+    describeKP(kp) {
+        const winner = kp.winner || kp.player;
+        if (winner === KP_CONFIG.NO_WINNER_VALUE) {
+            return KP_CONFIG.NO_WINNER_TEXT;
+        }
+        return kp.distance ? `${winner} - ${kp.distance} ${KP_CONFIG.DISTANCE_UNIT}` : winner;
+    }
+
+    updateKPReminder() {
+        const reminder = document.getElementById('kpReminder');
+        if (!reminder) return;
+        
+        // Warn on a course par 3 until its KP is recorded
+        const kpGame = this.gameConfigs.kp?.enabled ? this.gameInstances.kp : null;
+        if (kpGame && kpGame.isAwaitingKP(this.currentHole)) {
+            reminder.textContent = `🎯 Hole ${this.currentHole} is a par 3 - no KP recorded yet`;
+            reminder.style.display = 'block';
+        } else {
+            reminder.style.display = 'none';
+        }
+    }
+
+    // Snake Game Methods
+    showSnakeModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('snake', 'open');
+        
+        const modal = document.getElementById('snakeModal');
+        const playerSelect = document.getElementById('snakePlayer');
+        const holeInput = document.getElementById('snakeHole');
+        
+        // Populate player select
+        playerSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Select player...';
+        playerSelect.appendChild(defaultOption);
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            playerSelect.appendChild(option);
+        });
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideSnakeModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('snake', 'close');
+        
+        document.getElementById('snakeModal').style.display = 'none';
+    }
+
+    saveSnakeAction() {
+        const hole = parseInt(document.getElementById('snakeHole').value);
+        const player = document.getElementById('snakePlayer').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateSnakeInput(player, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        // Create snake action
+        const snakeAction = {
+            id: Date.now(),
+            hole: hole,
+            player: player,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('snake', snakeAction)) {
+            return;
+        }
+        
+        // Track modal save analytics
+        AnalyticsUtils.trackGameAction('snake', 'modal_action', hole, {
+            player: player
+        });
+        AnalyticsUtils.trackModalInteraction('snake', 'save');
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        // Hide modal and update display
+        this.hideSnakeModal();
+        this.updateGameDisplay();
+        
+        // Show result message
+        this.ui.showNotification(`${player} got a snake on hole ${hole}!`, 'success');
+    }
+
+    // Wolf Game Methods
+    showWolfModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('wolf', 'open');
+        
+        const modal = document.getElementById('wolfModal');
+        const holeInput = document.getElementById('wolfHole');
+        const wolfPlayerSelect = document.getElementById('wolfPlayer');
+        const wolfChoiceSelect = document.getElementById('wolfChoice');
+        const partnerSelect = document.getElementById('wolfPartner');
+        const resultSelect = document.getElementById('wolfResult');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        // Populate wolf player options (should be the current wolf for this hole)
+        wolfPlayerSelect.innerHTML = '';
+        const defaultWolfOption = document.createElement('option');
+        defaultWolfOption.value = '';
+        defaultWolfOption.textContent = 'Select Wolf...';
+        wolfPlayerSelect.appendChild(defaultWolfOption);
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            wolfPlayerSelect.appendChild(option);
+        });
+        
+        // Set default wolf based on rotation
+        if (this.gameInstances.wolf) {
+            const currentWolf = this.gameInstances.wolf.getCurrentWolf(this.currentHole);
+            if (currentWolf) {
+                wolfPlayerSelect.value = currentWolf.player;
+            }
+        }
+        
+        // Initially hide partner field and make it not required
+        const partnerGroup = document.getElementById('wolfPartnerGroup');
+        partnerGroup.style.display = 'none';
+        partnerSelect.required = false;
+        
+        // Populate partner options
+        partnerSelect.innerHTML = '';
+        const defaultPartnerOption = document.createElement('option');
+        defaultPartnerOption.value = '';
+        defaultPartnerOption.textContent = 'Select Partner...';
+        partnerSelect.appendChild(defaultPartnerOption);
+        this.players.forEach(player => {
+            if (player !== wolfPlayerSelect.value) {
+                const option = document.createElement('option');
+                option.value = player;
+                option.textContent = player;
+                partnerSelect.appendChild(option);
+            }
+        });
+        
+        // Add event listener for wolf choice change
+        wolfChoiceSelect.addEventListener('change', () => {
+            const partnerGroup = document.getElementById('wolfPartnerGroup');
+            if (wolfChoiceSelect.value === 'partner') {
+                partnerGroup.style.display = 'block';
+                partnerSelect.required = true;
+                // Repopulate partner options when switching to partner mode
+                partnerSelect.innerHTML = '';
+                const defaultPartnerOption = document.createElement('option');
+                defaultPartnerOption.value = '';
+                defaultPartnerOption.textContent = 'Select Partner...';
+                partnerSelect.appendChild(defaultPartnerOption);
+                this.players.forEach(player => {
+                    if (player !== wolfPlayerSelect.value) {
+                        const option = document.createElement('option');
+                        option.value = player;
+                        option.textContent = player;
+                        partnerSelect.appendChild(option);
+                    }
+                });
+            } else {
+                partnerGroup.style.display = 'none';
+                partnerSelect.required = false;
+                partnerSelect.value = '';
+            }
+        });
+        
+        // Add event listener for wolf player change to update partner options
+        wolfPlayerSelect.addEventListener('change', () => {
+            // Repopulate partner options excluding the selected wolf
+            partnerSelect.innerHTML = '';
+            const defaultPartnerOption = document.createElement('option');
+            defaultPartnerOption.value = '';
+            defaultPartnerOption.textContent = 'Select Partner...';
+            partnerSelect.appendChild(defaultPartnerOption);
+            this.players.forEach(player => {
+                if (player !== wolfPlayerSelect.value) {
+                    const option = document.createElement('option');
+                    option.value = player;
+                    option.textContent = player;
+                    partnerSelect.appendChild(option);
+                }
+            });
+        });
+        
+        // Show modal
+        modal.style.display = 'block';
+    }
+
+    hideWolfModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('wolf', 'close');
+        
+        const modal = document.getElementById('wolfModal');
+        modal.style.display = 'none';
+        
+        // Clear form
+        document.getElementById('wolfHole').value = '';
+        document.getElementById('wolfPlayer').selectedIndex = 0;
+        document.getElementById('wolfChoice').selectedIndex = 0;
+        document.getElementById('wolfPartner').selectedIndex = 0;
+        document.getElementById('wolfResult').selectedIndex = 0;
+    }
+
+    saveWolfAction() {
+        const hole = parseInt(document.getElementById('wolfHole').value);
+        const wolf = document.getElementById('wolfPlayer').value;
+        const wolfChoice = document.getElementById('wolfChoice').value;
+        const partner = document.getElementById('wolfPartner').value;
+        const result = document.getElementById('wolfResult').value;
+        
+        // Form values captured
+        
+        // Basic validation
+        if (!hole || !wolf || !wolfChoice || !result) {
+            this.ui.showNotification('Please fill in all required fields.', 'error');
+            return;
+        }
+        
+        // Validate partner is selected if not lone wolf
+        if (wolfChoice === 'partner' && !partner) {
+            this.ui.showNotification('Please select a partner.', 'error');
+            return;
+        }
+        
+        // Create wolf action
+        const wolfAction = {
+            id: Date.now(),
+            hole: hole,
+            wolf: wolf,
+            wolfChoice: wolfChoice,
+            partner: wolfChoice === 'partner' ? partner : null,
+            result: result,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('wolf', wolfAction)) {
+            return;
+        }
+        
+        // Track modal save analytics
+        AnalyticsUtils.trackGameAction('wolf', 'modal_action', hole, {
+            wolf: wolf,
+            wolfChoice: wolfChoice,
+            partner: partner,
+            result: result
+        });
+        AnalyticsUtils.trackModalInteraction('wolf', 'save');
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        // Hide modal and update display
+        this.hideWolfModal();
+        this.updateGameDisplay();
+        
+        // Show result message
+        const resultText = result === 'wolf_wins' ? 'won' : 'lost';
+        const choiceText = wolfChoice === 'lone_wolf' ? 'Lone Wolf' : `Wolf + ${wolfAction.partner}`;
+        this.ui.showNotification(`${choiceText} ${resultText} on hole ${hole}!`, 'success');
+    }
+
+    // Nassau Game Methods
+    showNassauModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('nassau', 'open');
+        
+        const modal = document.getElementById('nassauModal');
+        const holeInput = document.getElementById('nassauHole');
+        
+        // Populate result options with the two sides
+        this.populateNassauResultDropdown('nassauWinner', 'Select result...');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideNassauModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('nassau', 'close');
+        
+        document.getElementById('nassauModal').style.display = 'none';
+    }
+
+    populateNassauResultDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select || !this.gameInstances.nassau) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        [NASSAU_CONFIG.SIDE_1_VALUE, NASSAU_CONFIG.SIDE_2_VALUE].forEach(side => {
+            const option = document.createElement('option');
+            option.value = side;
+            option.textContent = this.gameInstances.nassau.getSideName(side);
+            select.appendChild(option);
+        });
+        
+        const halvedOption = document.createElement('option');
+        halvedOption.value = NASSAU_CONFIG.HALVED_VALUE;
+        halvedOption.textContent = NASSAU_CONFIG.HALVED_TEXT;
+        select.appendChild(halvedOption);
+    }
+
+    saveNassauAction() {
+        const hole = parseInt(document.getElementById('nassauHole').value);
+        const winner = document.getElementById('nassauWinner').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateNassauInput(winner, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordNassauResult(hole, winner, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('nassau', 'save');
+            
+            // Hide modal
+            this.hideNassauModal();
+        }
+    }
+
+    recordNassauResult(hole, winner, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.nassau?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Nassau result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            winner: winner,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('nassau', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('nassau', source, hole, {
+            winner: winner
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.NASSAU_RECORDED, 'success');
+        return true;
+    }
+
+    // Bingo Bango Bongo Game Methods
+    showBingoModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('bingo', 'open');
+        
+        const modal = document.getElementById('bingoModal');
+        const holeInput = document.getElementById('bingoHole');
+        
+        // Populate a player select for each point
+        BINGO_CONFIG.POINTS.forEach(point => {
+            this.populateBingoPointDropdown(`${point}Player`, 'No one');
+        });
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideBingoModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('bingo', 'close');
+        
+        document.getElementById('bingoModal').style.display = 'none';
+    }
+
+    populateBingoPointDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            select.appendChild(option);
+        });
+    }
+
+    saveBingoAction() {
+        const hole = parseInt(document.getElementById('bingoHole').value);
+        const awards = {};
+        BINGO_CONFIG.POINTS.forEach(point => {
+            awards[point] = document.getElementById(`${point}Player`).value;
+        });
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateBingoInput(awards, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordBingoPoints(hole, awards, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('bingo', 'save');
+            
+            // Hide modal
+            this.hideBingoModal();
+        }
+    }
+
+    recordBingoPoints(hole, awards, source) {
+        // Each hole's points are recorded once; delete the existing entry to change it
+        if (this.gameInstances.bingo?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has Bingo Bango Bongo points.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            bingo: awards.bingo || null,
+            bango: awards.bango || null,
+            bongo: awards.bongo || null,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('bingo', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('bingo', source, hole, {
+            bingo: action.bingo,
+            bango: action.bango,
+            bongo: action.bongo
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.BINGO_RECORDED, 'success');
+        return true;
+    }
+
+    describeBingoPoints(action) {
+        return BINGO_CONFIG.POINTS
+            .filter(point => action[point])
+            .map(point => `${BINGO_CONFIG.POINT_NAMES[point]}: ${action[point]}`)
+            .join(', ');
+    }
+
+    // Vegas Game Methods
+    showVegasModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('vegas', 'open');
+        
+        const modal = document.getElementById('vegasModal');
+        const holeInput = document.getElementById('vegasHole');
+        
+        // One score input per player
+        this.renderScoreInputs('vegasScores', 'vegasScore');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        document.getElementById('vegasPar').value = this.getHolePar(this.currentHole, VEGAS_CONFIG.DEFAULT_PAR);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideVegasModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('vegas', 'close');
+        
+        document.getElementById('vegasModal').style.display = 'none';
+    }
+
+    saveVegasAction() {
+        const hole = parseInt(document.getElementById('vegasHole').value);
+        const par = parseInt(document.getElementById('vegasPar').value);
+        const scores = this.readScoreInputs('vegasScore');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateVegasInput(scores, par, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordVegasHole(hole, par, scores, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('vegas', 'save');
+            
+            // Hide modal
+            this.hideVegasModal();
+        }
+    }
+
+    recordVegasHole(hole, par, scores, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.vegas?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Vegas result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            par: par,
+            scores: scores,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('vegas', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('vegas', source, hole, {
+            par: par
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.VEGAS_RECORDED, 'success');
+        return true;
+    }
+
+    describeVegasHole(action) {
+        const vegas = this.gameInstances.vegas;
+        const result = vegas.calculateHoleResult(action);
+        const team1Text = `${vegas.getTeamName(VEGAS_CONFIG.TEAM_1_VALUE)}: ${result.team1Number}`;
+        const team2Text = `${vegas.getTeamName(VEGAS_CONFIG.TEAM_2_VALUE)}: ${result.team2Number}`;
+        const flipText = result.flipped ? ` (${vegas.getTeamName(result.flipped)} flipped by birdie)` : '';
+        const strokesText = this.describeHandicapStrokes(action.hole);
+        
+        if (!result.winner) {
+            return `${team1Text} vs ${team2Text} - Push${flipText}${strokesText}`;
+        }
+        return `${team1Text} vs ${team2Text} - ${vegas.getTeamName(result.winner)} win ${result.points} point${result.points !== 1 ? 's' : ''}${flipText}${strokesText}`;
+    }
+
+    // Sixes Game Methods
+    showSixesModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('sixes', 'open');
+        
+        const modal = document.getElementById('sixesModal');
+        const holeInput = document.getElementById('sixesHole');
+        
+        // Set current hole and the teams playing it
+        holeInput.value = this.currentHole;
+        this.populateSixesResultDropdown('sixesWinner', this.currentHole, 'Select result...');
+        
+        modal.style.display = 'flex';
+    }
+
+    hideSixesModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('sixes', 'close');
+        
+        document.getElementById('sixesModal').style.display = 'none';
+    }
+
+    populateSixesResultDropdown(selectId, hole, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select || !this.gameInstances.sixes) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        // Teams change every six holes, so the options depend on the hole
+        if (!this.gameInstances.sixes.getTeamsForHole(hole)) return;
+        
+        [SIXES_CONFIG.SIDE_1_VALUE, SIXES_CONFIG.SIDE_2_VALUE].forEach(side => {
+            const option = document.createElement('option');
+            option.value = side;
+            option.textContent = this.gameInstances.sixes.getSideName(hole, side);
+            select.appendChild(option);
+        });
+        
+        const halvedOption = document.createElement('option');
+        halvedOption.value = SIXES_CONFIG.HALVED_VALUE;
+        halvedOption.textContent = SIXES_CONFIG.HALVED_TEXT;
+        select.appendChild(halvedOption);
+    }
+
+    saveSixesAction() {
+        const hole = parseInt(document.getElementById('sixesHole').value);
+        const winner = document.getElementById('sixesWinner').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateSixesInput(winner, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordSixesResult(hole, winner, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('sixes', 'save');
+            
+            // Hide modal
+            this.hideSixesModal();
+        }
+    }
+
+    recordSixesResult(hole, winner, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.sixes?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Sixes result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            winner: winner,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('sixes', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('sixes', source, hole, {
+            winner: winner
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.SIXES_RECORDED, 'success');
+        return true;
+    }
+
+    describeSixesResult(action) {
+        if (action.winner === SIXES_CONFIG.HALVED_VALUE) {
+            return SIXES_CONFIG.HALVED_TEXT;
+        }
+        return `${this.gameInstances.sixes.getSideName(action.hole, action.winner)} won the hole`;
+    }
+
+    // Hammer Game Methods
+    showHammerModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('hammer', 'open');
+        
+        const modal = document.getElementById('hammerModal');
+        const holeInput = document.getElementById('hammerHole');
+        
+        // Set current hole and start with no hammers thrown
+        holeInput.value = this.currentHole;
+        document.getElementById('hammerRows').innerHTML = '';
+        this.populateHammerResultDropdown('hammerWinner', 'Select result...');
+        this.updateHammerValue();
+        
+        modal.style.display = 'flex';
+    }
+
+    hideHammerModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('hammer', 'close');
+        
+        document.getElementById('hammerModal').style.display = 'none';
+    }
+
+    populateHammerResultDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select || !this.gameInstances.hammer) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        [HAMMER_CONFIG.SIDE_1_VALUE, HAMMER_CONFIG.SIDE_2_VALUE].forEach(side => {
+            const option = document.createElement('option');
+            option.value = side;
+            option.textContent = this.gameInstances.hammer.getSideName(side);
+            select.appendChild(option);
+        });
+        
+        const halvedOption = document.createElement('option');
+        halvedOption.value = HAMMER_CONFIG.HALVED_VALUE;
+        halvedOption.textContent = HAMMER_CONFIG.HALVED_TEXT;
+        select.appendChild(halvedOption);
+    }
+
+    addHammerRow() {
+        const container = document.getElementById('hammerRows');
+        const hammers = this.readHammerRows();
+        
+        if (hammers.length >= HAMMER_CONFIG.MAX_HAMMERS) {
+            this.ui.showNotification(`A hole can have at most ${HAMMER_CONFIG.MAX_HAMMERS} hammers.`, 'error');
+            return;
+        }
+        
+        // Play only continues if the previous hammer was accepted
+        const previousResponse = document.getElementById(`hammerResponse${hammers.length - 1}`);
+        if (previousResponse) {
+            previousResponse.value = HAMMER_CONFIG.RESPONSES.ACCEPTED;
+        }
+        
+        const index = hammers.length;
+        const row = document.createElement('div');
+        row.className = 'hammer-row';
+        
+        const label = document.createElement('span');
+        label.textContent = `#${index + 1}`;
+        
+        const bySelect = document.createElement('select');
+        bySelect.id = `hammerBy${index}`;
+        [HAMMER_CONFIG.SIDE_1_VALUE, HAMMER_CONFIG.SIDE_2_VALUE].forEach(side => {
+            const option = document.createElement('option');
+            option.value = side;
+            option.textContent = this.gameInstances.hammer.getSideName(side);
+            bySelect.appendChild(option);
+        });
+        // The hammered side holds the hammer next
+        bySelect.value = this.gameInstances.hammer.getNextHammerSide(hammers) || HAMMER_CONFIG.SIDE_1_VALUE;
+        
+        const responseSelect = document.createElement('select');
+        responseSelect.id = `hammerResponse${index}`;
+        Object.values(HAMMER_CONFIG.RESPONSES).forEach(response => {
+            const option = document.createElement('option');
+            option.value = response;
+            option.textContent = HAMMER_CONFIG.RESPONSE_NAMES[response];
+            responseSelect.appendChild(option);
+        });
+        
+        bySelect.addEventListener('change', () => this.updateHammerValue());
+        responseSelect.addEventListener('change', () => this.updateHammerValue());
+        
+        row.appendChild(label);
+        row.appendChild(bySelect);
+        row.appendChild(responseSelect);
+        container.appendChild(row);
+        
+        this.updateHammerValue();
+    }
+
+    removeHammerRow() {
+        const container = document.getElementById('hammerRows');
+        if (container.lastElementChild) {
+            container.removeChild(container.lastElementChild);
+        }
+        this.updateHammerValue();
+    }
+
+    readHammerRows() {
+        const hammers = [];
+        const rowCount = document.getElementById('hammerRows').children.length;
+        
+        for (let index = 0; index < rowCount; index++) {
+            hammers.push({
+                by: document.getElementById(`hammerBy${index}`).value,
+                response: document.getElementById(`hammerResponse${index}`).value
+            });
+        }
+        return hammers;
+    }
+
+    updateHammerValue() {
+        const valueElement = document.getElementById('hammerValue');
+        const winnerSelect = document.getElementById('hammerWinner');
+        if (!valueElement || !this.gameInstances.hammer) return;
+        
+        const hammers = this.readHammerRows();
+        const value = this.gameInstances.hammer.calculateHoleValue(hammers);
+        const lastHammer = hammers[hammers.length - 1];
+        
+        // A laydown decides the hole, so there is no result to pick
+        if (lastHammer && lastHammer.response === HAMMER_CONFIG.RESPONSES.DECLINED) {
+            winnerSelect.value = lastHammer.by;
+            winnerSelect.disabled = true;
+            valueElement.textContent = `Hole value: $${value.toFixed(2)} - ${this.gameInstances.hammer.getSideName(lastHammer.by)} win (laid down)`;
+        } else {
+            winnerSelect.disabled = false;
+            valueElement.textContent = `Hole value: $${value.toFixed(2)}`;
+        }
+    }
+
+    saveHammerAction() {
+        const hole = parseInt(document.getElementById('hammerHole').value);
+        const hammers = this.readHammerRows();
+        const winner = document.getElementById('hammerWinner').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateHammerInput(hammers, winner, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        const lastHammer = hammers[hammers.length - 1];
+        const laidDown = lastHammer && lastHammer.response === HAMMER_CONFIG.RESPONSES.DECLINED;
+        
+        if (this.recordHammerHole(hole, hammers, laidDown ? lastHammer.by : winner, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('hammer', 'save');
+            
+            // Hide modal
+            this.hideHammerModal();
+        }
+    }
+
+    recordHammerHole(hole, hammers, winner, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.hammer?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Hammer result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            hammers: hammers,
+            winner: winner,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('hammer', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('hammer', source, hole, {
+            winner: winner,
+            hammers: hammers.length
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.HAMMER_RECORDED, 'success');
+        return true;
+    }
+
+    describeHammerHole(action) {
+        const hammer = this.gameInstances.hammer;
+        const result = hammer.calculateHoleResult(action);
+        
+        if (result.winner === HAMMER_CONFIG.HALVED_VALUE) {
+            return `Halved at $${result.value.toFixed(2)}`;
+        }
+        return `${hammer.getSideName(result.winner)} won $${result.value.toFixed(2)}${result.laidDown ? ' (laid down)' : ''}`;
+    }
+
+    describeHammerHistory(hole) {
+        return this.gameInstances.hammer.getHammerHistory(hole)
+            .map(hammer => `${hammer.byName} hammered - ${HAMMER_CONFIG.RESPONSE_NAMES[hammer.response]}`)
+            .join(', ');
+    }
+
+    // Junk Game Methods
+    showJunkModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('junk', 'open');
+        
+        const modal = document.getElementById('junkModal');
+        const holeInput = document.getElementById('junkHole');
+        
+        // Set current hole and a dot checkbox per player for every dot in play
+        holeInput.value = this.currentHole;
+        this.renderJunkDotGrid();
+        
+        modal.style.display = 'flex';
+    }
+
+    hideJunkModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('junk', 'close');
+        
+        document.getElementById('junkModal').style.display = 'none';
+    }
+
+    renderJunkDotGrid() {
+        const container = document.getElementById('junkDotGrid');
+        if (!container || !this.gameInstances.junk) return;
+        
+        container.innerHTML = '';
+        const dots = this.gameInstances.junk.getEnabledDots();
+        
+        this.players.forEach(player => {
+            const row = document.createElement('div');
+            row.className = 'junk-player-row';
+            
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'junk-player-name';
+            nameSpan.textContent = player;
+            row.appendChild(nameSpan);
+            
+            dots.forEach(item => {
+                const label = document.createElement('label');
+                label.className = 'junk-dot-option';
+                label.title = item.description;
+                
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.player = player;
+                checkbox.dataset.dot = item.id;
+                
+                const text = document.createElement('span');
+                text.textContent = `${item.icon} ${item.name}`;
+                
+                label.appendChild(checkbox);
+                label.appendChild(text);
+                row.appendChild(label);
+            });
+            
+            container.appendChild(row);
+        });
+    }
+
+    readJunkAwards() {
+        return [...document.querySelectorAll('#junkDotGrid input[type="checkbox"]:checked')].map(checkbox => ({
+            player: checkbox.dataset.player,
+            dot: checkbox.dataset.dot
+        }));
+    }
+
+    populateJunkDotDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select || !this.gameInstances.junk) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        this.gameInstances.junk.getEnabledDots().forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = `${item.icon} ${item.name} (${item.points})`;
+            select.appendChild(option);
+        });
+    }
+
+    saveJunkAction() {
+        const hole = parseInt(document.getElementById('junkHole').value);
+        const awards = this.readJunkAwards();
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateJunkInput(awards, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordJunkAwards(hole, awards, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('junk', 'save');
+            
+            // Hide modal
+            this.hideJunkModal();
+        }
+    }
+
+    recordJunkAwards(hole, awards, source) {
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            awards: awards,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('junk', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('junk', source, hole, {
+            dots: awards.length
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.JUNK_RECORDED, 'success');
+        return true;
+    }
+
+    describeJunkAwards(action) {
+        const junk = this.gameInstances.junk;
+        return action.awards
+            .map(({ player, dot }) => `${junk.getDotName(dot)} - ${player}`)
+            .join(', ');
+    }
+
+    // Rabbit Game Methods
+    showRabbitModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('rabbit', 'open');
+        
+        const modal = document.getElementById('rabbitModal');
+        const holeInput = document.getElementById('rabbitHole');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        this.populateRabbitWinnerDropdown('rabbitWinner', 'Select result...');
+        
+        modal.style.display = 'flex';
+    }
+
+    hideRabbitModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('rabbit', 'close');
+        
+        document.getElementById('rabbitModal').style.display = 'none';
+    }
+
+    populateRabbitWinnerDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            select.appendChild(option);
+        });
+        
+        const tieOption = document.createElement('option');
+        tieOption.value = RABBIT_CONFIG.TIE_VALUE;
+        tieOption.textContent = RABBIT_CONFIG.TIE_TEXT;
+        select.appendChild(tieOption);
+    }
+
+    saveRabbitAction() {
+        const hole = parseInt(document.getElementById('rabbitHole').value);
+        const winner = document.getElementById('rabbitWinner').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateRabbitInput(winner, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordRabbitResult(hole, winner, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('rabbit', 'save');
+            
+            // Hide modal
+            this.hideRabbitModal();
+        }
+    }
+
+    recordRabbitResult(hole, winner, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.rabbit?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Rabbit result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            winner: winner,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('rabbit', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('rabbit', source, hole, {
+            winner: winner
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.RABBIT_RECORDED, 'success');
+        return true;
+    }
+
+    describeRabbitHole(action) {
+        const holeEvent = this.gameInstances.rabbit.getHoleEvent(action.hole);
+        
+        switch (holeEvent?.event) {
+            case RABBIT_CONFIG.EVENTS.CAUGHT:
+                return `${action.winner} won - caught the rabbit`;
+            case RABBIT_CONFIG.EVENTS.KEPT:
+                return `${action.winner} won - kept the rabbit`;
+            case RABBIT_CONFIG.EVENTS.FREED:
+                return `${action.winner} won - set the rabbit free`;
+            default:
+                return 'Tie - no change';
+        }
+    }
+
+    getRabbitHolderText() {
+        const holder = this.gameInstances.rabbit ? this.gameInstances.rabbit.getCurrentHolder() : null;
+        return holder ? `🐇 ${holder}` : RABBIT_CONFIG.FREE_TEXT;
+    }
+
+    // Stableford Game Methods
+    showStablefordModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('stableford', 'open');
+        
+        const modal = document.getElementById('stablefordModal');
+        const holeInput = document.getElementById('stablefordHole');
+        
+        // One score input per player
+        this.renderScoreInputs('stablefordScores', 'stablefordScore');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        document.getElementById('stablefordPar').value = this.getHolePar(this.currentHole, STABLEFORD_CONFIG.DEFAULT_PAR);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideStablefordModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('stableford', 'close');
+        
+        document.getElementById('stablefordModal').style.display = 'none';
+    }
+
+    applyStablefordTable(tableName) {
+        const table = STABLEFORD_CONFIG.TABLES[tableName];
+        if (!table) return;
+        
+        // Fill the point inputs with the chosen table; they can still be edited
+        document.querySelectorAll('#stablefordSettings .stableford-points').forEach(input => {
+            input.value = table.points[input.dataset.diff];
+        });
+    }
+
+    saveStablefordAction() {
+        const hole = parseInt(document.getElementById('stablefordHole').value);
+        const par = parseInt(document.getElementById('stablefordPar').value);
+        const scores = this.readScoreInputs('stablefordScore');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateStablefordInput(scores, par, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordStablefordHole(hole, par, scores, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('stableford', 'save');
+            
+            // Hide modal
+            this.hideStablefordModal();
+        }
+    }
+
+    recordStablefordHole(hole, par, scores, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.stableford?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Stableford result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            par: par,
+            scores: scores,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('stableford', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('stableford', source, hole, {
+            par: par
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.STABLEFORD_RECORDED, 'success');
+        return true;
+    }
+
+    describeStablefordHole(action) {
+        const holePoints = this.gameInstances.stableford.getHolePoints(action);
+        return this.players
+            .map(player => `${player}: ${this.formatScoreWithStrokes(action.hole, player, action.scores[player])} (${holePoints[player]} pts)`)
+            .join(', ');
+    }
+
+    // Nine Point Game Methods
+    showNinePointModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('ninePoint', 'open');
+        
+        const modal = document.getElementById('ninePointModal');
+        const holeInput = document.getElementById('ninePointHole');
+        
+        // One score input per player
+        this.renderScoreInputs('ninePointScores', 'ninePointScore');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideNinePointModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('ninePoint', 'close');
+        
+        document.getElementById('ninePointModal').style.display = 'none';
+    }
+
+    saveNinePointAction() {
+        const hole = parseInt(document.getElementById('ninePointHole').value);
+        const scores = this.readScoreInputs('ninePointScore');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateNinePointInput(scores, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordNinePointHole(hole, scores, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('ninePoint', 'save');
+            
+            // Hide modal
+            this.hideNinePointModal();
+        }
+    }
+
+    recordNinePointHole(hole, scores, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.ninePoint?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Nine Point result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            scores: scores,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('ninePoint', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('ninePoint', source, hole);
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.NINE_POINT_RECORDED, 'success');
+        return true;
+    }
+
+    describeNinePointHole(action) {
+        const holePoints = this.gameInstances.ninePoint.getHolePoints(action);
+        return this.players
+            .map(player => `${player}: ${this.formatScoreWithStrokes(action.hole, player, action.scores[player])} (${holePoints[player]} pt${holePoints[player] !== 1 ? 's' : ''})`)
+            .join(', ');
+    }
+
+    // Banker Game Methods
+    showBankerModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('banker', 'open');
+        
+        const modal = document.getElementById('bankerModal');
+        const holeInput = document.getElementById('bankerHole');
+        
+        // Set current hole and a stake for every player against its banker
+        holeInput.value = this.currentHole;
+        this.renderBankerBets('bankerBets', 'banker', this.currentHole);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideBankerModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('banker', 'close');
+        
+        document.getElementById('bankerModal').style.display = 'none';
+    }
+
+    renderBankerBets(containerId, idPrefix, hole) {
+        const container = document.getElementById(containerId);
+        const banker = this.gameInstances.banker;
+        if (!container || !banker) return;
+        
+        const nameElement = document.getElementById(`${idPrefix}Name`);
+        if (nameElement) {
+            nameElement.textContent = `Banker: ${banker.getBankerForHole(hole)}`;
+        }
+        
+        container.innerHTML = '';
+        const bettors = banker.getPlayersAgainstBanker(hole);
+        this.players.forEach((player, index) => {
+            const isBanker = !bettors.includes(player);
+            const row = document.createElement('div');
+            row.className = 'score-input-row banker-bet-row';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `${idPrefix}Score${index}`;
+            label.textContent = isBanker ? `${player} (banker)` : player;
+            
+            const scoreInput = document.createElement('input');
+            scoreInput.type = 'number';
+            scoreInput.id = `${idPrefix}Score${index}`;
+            scoreInput.min = '1';
+            scoreInput.max = '15';
+            scoreInput.inputMode = 'numeric';
+            scoreInput.placeholder = 'Score';
+            
+            row.appendChild(label);
+            row.appendChild(scoreInput);
+            
+            // The banker covers every stake, so only the other players set one
+            if (!isBanker) {
+                const stakeInput = document.createElement('input');
+                stakeInput.type = 'number';
+                stakeInput.id = `${idPrefix}Stake${index}`;
+                stakeInput.min = banker.getMinStake();
+                stakeInput.max = banker.getMaxStake();
+                stakeInput.step = '0.01';
+                stakeInput.value = banker.getMinStake().toFixed(2);
+                row.appendChild(stakeInput);
+            }
+            
+            container.appendChild(row);
+        });
+    }
+
+    readBankerBets(idPrefix, hole) {
+        return this.gameInstances.banker.getPlayersAgainstBanker(hole).map(player => {
+            const index = this.players.indexOf(player);
+            return {
+                player: player,
+                stake: parseFloat(document.getElementById(`${idPrefix}Stake${index}`).value)
+            };
+        });
+    }
+
+    saveBankerAction() {
+        const hole = parseInt(document.getElementById('bankerHole').value);
+        const bets = this.gameInstances.banker && hole >= 1 ? this.readBankerBets('banker', hole) : [];
+        const scores = this.readScoreInputs('bankerScore');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateBankerInput(bets, scores, hole, this.gameInstances.banker.getMinStake(), this.gameInstances.banker.getMaxStake(), this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordBankerHole(hole, bets, scores, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('banker', 'save');
+            
+            // Hide modal
+            this.hideBankerModal();
+        }
+    }
+
+    recordBankerHole(hole, bets, scores, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.banker?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Banker result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            banker: this.gameInstances.banker.getBankerForHole(hole),
+            scores: scores,
+            bets: bets,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('banker', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('banker', source, hole, {
+            banker: action.banker
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.BANKER_RECORDED, 'success');
+        return true;
+    }
+
+    describeBankerBet(action, bet) {
+        const stake = `$${bet.stake.toFixed(2)}`;
+        const result = this.gameInstances.banker.getBetResult(action, bet);
+        if (result === BANKER_CONFIG.RESULTS.PLAYER) {
+            return `${bet.player} won ${stake}`;
+        }
+        if (result === BANKER_CONFIG.RESULTS.BANKER) {
+            return `${bet.player} lost ${stake}`;
+        }
+        return `${bet.player} pushed ${stake}`;
+    }
+
+    getBankerText() {
+        return this.gameInstances.banker ? `Banker: ${this.gameInstances.banker.getBankerForHole(this.currentHole)}` : 'Banker: -';
+    }
+
+    // Match Play Game Methods
+    showMatchPlayModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('matchPlay', 'open');
+        
+        const modal = document.getElementById('matchPlayModal');
+        const holeInput = document.getElementById('matchPlayHole');
+        
+        // Populate result dropdown with the two sides
+        this.populateMatchPlayResultDropdown('matchPlayWinner', 'Select result...');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideMatchPlayModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('matchPlay', 'close');
+        
+        document.getElementById('matchPlayModal').style.display = 'none';
+    }
+
+    populateMatchPlayResultDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select || !this.gameInstances.matchPlay) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        [MATCH_PLAY_CONFIG.SIDE_1_VALUE, MATCH_PLAY_CONFIG.SIDE_2_VALUE].forEach(side => {
+            const option = document.createElement('option');
+            option.value = side;
+            option.textContent = this.gameInstances.matchPlay.getSideName(side);
+            select.appendChild(option);
+        });
+        
+        const halvedOption = document.createElement('option');
+        halvedOption.value = MATCH_PLAY_CONFIG.HALVED_VALUE;
+        halvedOption.textContent = MATCH_PLAY_CONFIG.HALVED_TEXT;
+        select.appendChild(halvedOption);
+    }
+
+    saveMatchPlayAction() {
+        const hole = parseInt(document.getElementById('matchPlayHole').value);
+        const winner = document.getElementById('matchPlayWinner').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateMatchPlayInput(winner, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordMatchPlayHole(hole, winner, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('matchPlay', 'save');
+            
+            // Hide modal
+            this.hideMatchPlayModal();
+        }
+    }
+
+    recordMatchPlayHole(hole, winner, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.matchPlay?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Match Play result.`, 'error');
+            return false;
+        }
+        
+        // No more holes are played once the match has been decided
+        const match = this.gameInstances.matchPlay?.getMatchStatus();
+        if (match?.finished) {
+            this.ui.showNotification(`The match is over: ${match.status}.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            winner: winner,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('matchPlay', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('matchPlay', source, hole, {
+            winner: winner
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.MATCH_PLAY_RECORDED, 'success');
+        return true;
+    }
+
+    describeMatchPlayResult(action) {
+        if (action.winner === MATCH_PLAY_CONFIG.HALVED_VALUE) {
+            return MATCH_PLAY_CONFIG.HALVED_TEXT;
+        }
+        return `${this.gameInstances.matchPlay.getSideName(action.winner)} won the hole`;
+    }
+
+    getMatchPlayStatusText() {
+        return this.gameInstances.matchPlay ? this.gameInstances.matchPlay.getMatchStatus().status : MATCH_PLAY_CONFIG.ALL_SQUARE_TEXT;
+    }
+
+    // Quota Game Methods
+    showQuotaModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('quota', 'open');
+        
+        const modal = document.getElementById('quotaModal');
+        const holeInput = document.getElementById('quotaHole');
+        
+        // One score input per player
+        this.renderScoreInputs('quotaScores', 'quotaScore');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        document.getElementById('quotaPar').value = this.getHolePar(this.currentHole, QUOTA_CONFIG.DEFAULT_PAR);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideQuotaModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('quota', 'close');
+        
+        document.getElementById('quotaModal').style.display = 'none';
+    }
+
+    saveQuotaAction() {
+        const hole = parseInt(document.getElementById('quotaHole').value);
+        const par = parseInt(document.getElementById('quotaPar').value);
+        const scores = this.readScoreInputs('quotaScore');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateQuotaInput(scores, par, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordQuotaHole(hole, par, scores, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('quota', 'save');
+            
+            // Hide modal
+            this.hideQuotaModal();
+        }
+    }
+
+    recordQuotaHole(hole, par, scores, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.quota?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Quota result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            par: par,
+            scores: scores,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('quota', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('quota', source, hole, {
+            par: par
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.QUOTA_RECORDED, 'success');
+        return true;
+    }
+
+    describeQuotaHole(action) {
+        const holePoints = this.gameInstances.quota.getHolePoints(action);
+        return this.players
+            .map(player => `${player}: ${action.scores[player]} (${holePoints[player]} pts)`)
+            .join(', ');
+    }
+
+    formatQuotaResult(points, quota, overQuota) {
+        const difference = overQuota > 0 ? `+${overQuota}` : `${overQuota}`;
+        return `${points} / ${quota} pts (${difference})`;
+    }
+
+    // Defender Game Methods
+    showDefenderModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('defender', 'open');
+        
+        const modal = document.getElementById('defenderModal');
+        const holeInput = document.getElementById('defenderHole');
+        
+        // Set current hole and the defender for it
+        holeInput.value = this.currentHole;
+        this.populateDefenderResultDropdown('defenderResult', 'Select result...');
+        this.updateDefenderName(this.currentHole);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideDefenderModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('defender', 'close');
+        
+        document.getElementById('defenderModal').style.display = 'none';
+    }
+
+    populateDefenderResultDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        [
+            { value: '', text: placeholder },
+            { value: DEFENDER_CONFIG.RESULTS.DEFENDER, text: 'Defender won' },
+            { value: DEFENDER_CONFIG.RESULTS.OPPONENTS, text: 'Opponents won' },
+            { value: DEFENDER_CONFIG.RESULTS.PUSH, text: DEFENDER_CONFIG.PUSH_TEXT }
+        ].forEach(({ value, text }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+    }
+
+    updateDefenderName(hole) {
+        const nameElement = document.getElementById('defenderName');
+        if (nameElement && this.gameInstances.defender && hole >= 1) {
+            nameElement.textContent = `Defender: ${this.gameInstances.defender.getDefenderForHole(hole)}`;
+        }
+    }
+
+    saveDefenderAction() {
+        const hole = parseInt(document.getElementById('defenderHole').value);
+        const result = document.getElementById('defenderResult').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateDefenderInput(result, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordDefenderHole(hole, result, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('defender', 'save');
+            
+            // Hide modal
+            this.hideDefenderModal();
+        }
+    }
+
+    recordDefenderHole(hole, result, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.defender?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Defender result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            defender: this.gameInstances.defender.getDefenderForHole(hole),
+            result: result,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('defender', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('defender', source, hole, {
+            defender: action.defender,
+            result: result
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.DEFENDER_RECORDED, 'success');
+        return true;
+    }
+
+    describeDefenderResult(action) {
+        if (action.result === DEFENDER_CONFIG.RESULTS.DEFENDER) {
+            return `${action.defender} defended the hole`;
+        }
+        if (action.result === DEFENDER_CONFIG.RESULTS.OPPONENTS) {
+            return `${this.gameInstances.defender.getOpponents(action.hole).join(' & ')} beat ${action.defender}`;
+        }
+        return `${DEFENDER_CONFIG.PUSH_TEXT} - ${action.defender} defending`;
+    }
+
+    getDefenderText() {
+        return this.gameInstances.defender ? `Defender: ${this.gameInstances.defender.getDefenderForHole(this.currentHole)}` : 'Defender: -';
+    }
+
+    // Money Ball Game Methods
+    showMoneyBallModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('moneyBall', 'open');
+        
+        const modal = document.getElementById('moneyBallModal');
+        const holeInput = document.getElementById('moneyBallHole');
+        
+        // One score input per player
+        this.renderScoreInputs('moneyBallScores', 'moneyBallScore');
+        
+        // Set current hole and who carries the money balls on it
+        holeInput.value = this.currentHole;
+        this.renderMoneyBallLost('moneyBallLost', 'moneyBall', this.currentHole);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideMoneyBallModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('moneyBall', 'close');
+        
+        document.getElementById('moneyBallModal').style.display = 'none';
+    }
+
+    renderMoneyBallLost(containerId, idPrefix, hole) {
+        const container = document.getElementById(containerId);
+        const moneyBall = this.gameInstances.moneyBall;
+        if (!container || !moneyBall) return;
+        
+        container.innerHTML = '';
+        if (!(hole >= 1)) return;
+        
+        // A "lost it" checkbox for every money ball still in play
+        [MONEY_BALL_CONFIG.SIDE_1_VALUE, MONEY_BALL_CONFIG.SIDE_2_VALUE].forEach(team => {
+            if (!moneyBall.hasMoneyBall(team)) return;
+            
+            const label = document.createElement('label');
+            label.className = 'money-ball-lost-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `${idPrefix}Lost${team}`;
+            checkbox.dataset.team = team;
+            
+            const text = document.createElement('span');
+            text.textContent = `${moneyBall.getMoneyBallPlayer(team, hole)} lost the money ball`;
+            
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            container.appendChild(label);
+        });
+    }
+
+    readMoneyBallLost(containerId) {
+        return [...document.querySelectorAll(`#${containerId} input[type="checkbox"]:checked`)].map(checkbox => checkbox.dataset.team);
+    }
+
+    saveMoneyBallAction() {
+        const hole = parseInt(document.getElementById('moneyBallHole').value);
+        const scores = this.readScoreInputs('moneyBallScore');
+        const lostTeams = this.readMoneyBallLost('moneyBallLost');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateMoneyBallInput(scores, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordMoneyBallHole(hole, scores, lostTeams, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('moneyBall', 'save');
+            
+            // Hide modal
+            this.hideMoneyBallModal();
+        }
+    }
+
+    recordMoneyBallHole(hole, scores, lostTeams, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.moneyBall?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Money Ball result.`, 'error');
+            return false;
+        }
+        
+        const timestamp = new Date();
+        const action = {
+            id: Date.now(),
+            type: MONEY_BALL_CONFIG.ACTIONS.SCORE,
+            hole: hole,
+            scores: scores,
+            timestamp: timestamp
+        };
+        
+        if (!this.recordGameAction('moneyBall', action)) {
+            return false;
+        }
+        
+        // Losing a money ball is its own action so it can be deleted separately
+        lostTeams.forEach((team, index) => {
+            this.gameManager.addGameAction('moneyBall', {
+                id: action.id + index + 1,
+                type: MONEY_BALL_CONFIG.ACTIONS.LOST,
+                hole: hole,
+                team: team,
+                player: this.gameInstances.moneyBall.getMoneyBallPlayer(team, hole),
+                timestamp: timestamp
+            });
+        });
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('moneyBall', source, hole, {
+            lostMoneyBalls: lostTeams.length
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.MONEY_BALL_RECORDED, 'success');
+        return true;
+    }
+
+    describeMoneyBallAction(action) {
+        const moneyBall = this.gameInstances.moneyBall;
+        
+        if (action.type === MONEY_BALL_CONFIG.ACTIONS.LOST) {
+            return `${action.player} lost the money ball for ${moneyBall.getSideName(action.team)}`;
+        }
+        
+        const result = moneyBall.calculateHoleResult(action);
+        const score = `${moneyBall.getSideName(MONEY_BALL_CONFIG.SIDE_1_VALUE)} ${result.side1Score} - ${result.side2Score} ${moneyBall.getSideName(MONEY_BALL_CONFIG.SIDE_2_VALUE)}`;
+        const strokesText = this.describeHandicapStrokes(action.hole);
+        if (result.winner === MONEY_BALL_CONFIG.HALVED_VALUE) {
+            return `${score} (${MONEY_BALL_CONFIG.HALVED_TEXT})${strokesText}`;
+        }
+        return `${score} (${moneyBall.getSideName(result.winner)} win)${strokesText}`;
+    }
+
+    getMoneyBallTeamStatus(team) {
+        const moneyBall = this.gameInstances.moneyBall;
+        const lostAction = moneyBall.getLostAction(team);
+        if (lostAction) {
+            return `money ball lost on hole ${lostAction.hole}`;
+        }
+        return 'money ball still in play';
+    }
+
+    getMoneyBallText() {
+        const moneyBall = this.gameInstances.moneyBall;
+        if (!moneyBall) return 'Money balls: -';
+        
+        // Who carries each money ball still in play on the current hole
+        const carriers = [MONEY_BALL_CONFIG.SIDE_1_VALUE, MONEY_BALL_CONFIG.SIDE_2_VALUE]
+            .filter(team => moneyBall.hasMoneyBall(team))
+            .map(team => moneyBall.getMoneyBallPlayer(team, this.currentHole));
+        
+        if (carriers.length === 0) return 'Money balls lost';
+        return `Money ball${carriers.length === 1 ? '' : 's'}: ${carriers.join(' & ')}`;
+    }
+
+    // Scotch Game Methods
+    showScotchModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('scotch', 'open');
+        
+        const modal = document.getElementById('scotchModal');
+        const holeInput = document.getElementById('scotchHole');
+        
+        // One score input per player
+        this.renderScoreInputs('scotchScores', 'scotchScore');
+        this.populateScotchProxDropdown('scotchProx', 'No one on the green');
+        
+        // Set current hole, starting from the previous hole's teams
+        holeInput.value = this.currentHole;
+        this.populateScotchTeamsDropdown('scotchTeams', this.currentHole);
+        document.getElementById('scotchPar').value = this.getHolePar(this.currentHole, SCOTCH_CONFIG.DEFAULT_PAR);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideScotchModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('scotch', 'close');
+        
+        document.getElementById('scotchModal').style.display = 'none';
+    }
+
+    populateScotchTeamsDropdown(selectId, hole) {
+        const select = document.getElementById(selectId);
+        const scotch = this.gameInstances.scotch;
+        if (!select || !scotch) return;
+        
+        select.innerHTML = '';
+        SCOTCH_CONFIG.PAIRINGS.forEach((pairing, index) => {
+            const [team1, team2] = scotch.getPairingTeams(index);
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${team1.join(' & ')} vs ${team2.join(' & ')}`;
+            select.appendChild(option);
+        });
+        
+        select.value = scotch.getPairingIndex(scotch.getDefaultTeams(hole));
+    }
+
+    populateScotchProxDropdown(selectId, placeholder) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            select.appendChild(option);
+        });
+    }
+
+    saveScotchAction() {
+        const hole = parseInt(document.getElementById('scotchHole').value);
+        const pairing = parseInt(document.getElementById('scotchTeams').value);
+        const par = parseInt(document.getElementById('scotchPar').value);
+        const scores = this.readScoreInputs('scotchScore');
+        const prox = document.getElementById('scotchProx').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateScotchInput(scores, par, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordScotchHole(hole, pairing, par, scores, prox, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('scotch', 'save');
+            
+            // Hide modal
+            this.hideScotchModal();
+        }
+    }
+
+    recordScotchHole(hole, pairing, par, scores, prox, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.scotch?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Scotch result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            teams: this.gameInstances.scotch.getPairingTeams(pairing),
+            par: par,
+            scores: scores,
+            prox: prox,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('scotch', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('scotch', source, hole, {
+            par: par,
+            prox: prox
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.SCOTCH_RECORDED, 'success');
+        return true;
+    }
+
+    describeScotchHole(action) {
+        const result = this.gameInstances.scotch.getHolePoints(action);
+        const [team1, team2] = action.teams.map(team => team.join(' & '));
+        return `${team1} ${result.side1Points} - ${result.side2Points} ${team2}${result.umbrella ? ' ☂️ Umbrella!' : ''}${this.describeHandicapStrokes(action.hole)}`;
+    }
+
+    describeScotchCategories(action) {
+        const categories = this.gameInstances.scotch.getHolePoints(action).categories;
+        return Object.entries(categories)
+            .map(([category, winner]) => {
+                const team = winner ? action.teams[winner === SCOTCH_CONFIG.SIDE_1_VALUE ? 0 : 1].join(' & ') : '-';
+                return `${SCOTCH_CONFIG.CATEGORIES[category].name}: ${team}`;
+            })
+            .join(', ');
+    }
+
+    // Acey Deucey Game Methods
+    showAceyDeuceyModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('aceyDeucey', 'open');
+        
+        const modal = document.getElementById('aceyDeuceyModal');
+        const holeInput = document.getElementById('aceyDeuceyHole');
+        
+        // Populate low and high dropdowns
+        this.populateAceyDeuceyDropdown('aceyDeuceyAce', 'Select player...', ACEY_DEUCEY_CONFIG.LOW_TIE_TEXT);
+        this.populateAceyDeuceyDropdown('aceyDeuceyDeuce', 'Select player...', ACEY_DEUCEY_CONFIG.HIGH_TIE_TEXT);
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideAceyDeuceyModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('aceyDeucey', 'close');
+        
+        document.getElementById('aceyDeuceyModal').style.display = 'none';
+    }
+
+    populateAceyDeuceyDropdown(selectId, placeholder, tieText) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = placeholder;
+        select.appendChild(defaultOption);
+        
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            select.appendChild(option);
+        });
+        
+        const tieOption = document.createElement('option');
+        tieOption.value = ACEY_DEUCEY_CONFIG.TIE_VALUE;
+        tieOption.textContent = tieText;
+        select.appendChild(tieOption);
+    }
+
+    saveAceyDeuceyAction() {
+        const hole = parseInt(document.getElementById('aceyDeuceyHole').value);
+        const ace = document.getElementById('aceyDeuceyAce').value;
+        const deuce = document.getElementById('aceyDeuceyDeuce').value;
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateAceyDeuceyInput(ace, deuce, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordAceyDeuceyHole(hole, ace, deuce, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('aceyDeucey', 'save');
+            
+            // Hide modal
+            this.hideAceyDeuceyModal();
+        }
+    }
+
+    recordAceyDeuceyHole(hole, ace, deuce, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.aceyDeucey?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has an Acey Deucey result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            ace: ace,
+            deuce: deuce,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('aceyDeucey', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('aceyDeucey', source, hole, {
+            ace: ace,
+            deuce: deuce
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.ACEY_DEUCEY_RECORDED, 'success');
+        return true;
+    }
+
+    describeAceyDeuceyHole(action) {
+        const ace = action.ace === ACEY_DEUCEY_CONFIG.TIE_VALUE ? 'Tied for low' : `Ace: ${action.ace}`;
+        const deuce = action.deuce === ACEY_DEUCEY_CONFIG.TIE_VALUE ? 'tied for high' : `Deuce: ${action.deuce}`;
+        return `${ace}, ${deuce}`;
+    }
+
+    formatAcesAndDeuces(aces, deuces) {
+        return `${aces} ace${aces === 1 ? '' : 's'}, ${deuces} deuce${deuces === 1 ? '' : 's'}`;
+    }
+
+    // Longest Drive Game Methods
+    renderLongestDriveHoleOptions(containerId, pars = [], roundLength = DEFAULTS.ROUND_LENGTH) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        for (let hole = 1; hole <= roundLength; hole++) {
+            // Par 3s can't be longest drive holes once the course par is known
+            const par = pars[hole - 1];
+            if (par && !LONGEST_DRIVE_CONFIG.ELIGIBLE_PARS.includes(par)) {
+                continue;
+            }
+            
+            const label = document.createElement('label');
+            label.className = 'longest-drive-hole-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'longest-drive-hole';
+            checkbox.value = hole;
+            
+            const text = document.createElement('span');
+            text.textContent = hole;
+            
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            container.appendChild(label);
+        }
+    }
+
+    readLongestDriveHoles() {
+        return Array.from(document.querySelectorAll('#longestDriveHoles .longest-drive-hole:checked'))
+            .map(checkbox => parseInt(checkbox.value));
+    }
+
+    showLongestDriveModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('longestDrive', 'open');
+        
+        const modal = document.getElementById('longestDriveModal');
+        const playerSelect = document.getElementById('longestDriveWinner');
+        const holeInput = document.getElementById('longestDriveHole');
+        
+        // Populate player select
+        playerSelect.innerHTML = '<option value="">Select player...</option>';
+        this.players.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player;
+            option.textContent = player;
+            playerSelect.appendChild(option);
+        });
+        document.getElementById('longestDriveDistance').value = '';
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideLongestDriveModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('longestDrive', 'close');
+        
+        document.getElementById('longestDriveModal').style.display = 'none';
+    }
+
+    saveLongestDriveAction() {
+        const hole = parseInt(document.getElementById('longestDriveHole').value);
+        const winner = document.getElementById('longestDriveWinner').value;
+        const distance = parseInt(document.getElementById('longestDriveDistance').value);
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateLongestDriveInput(winner, distance, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordLongestDrive(hole, winner, distance, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('longestDrive', 'save');
+            
+            // Hide modal
+            this.hideLongestDriveModal();
+        }
+    }
+
+    recordLongestDrive(hole, winner, distance, source) {
+        const longestDriveGame = this.gameInstances.longestDrive;
+        
+        // Only the holes chosen in the setup have a longest drive, and only one each
+        if (longestDriveGame && !longestDriveGame.isDesignatedHole(hole)) {
+            this.ui.showNotification(`Hole ${hole} is not a Longest Drive hole.`, 'error');
+            return false;
+        }
+        if (longestDriveGame?.hasLongestDriveForHole(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a longest drive.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            winner: winner,
+            distance: isNaN(distance) ? null : distance,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('longestDrive', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('longestDrive', source, hole, {
+            winner: winner,
+            distance: action.distance
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.LONGEST_DRIVE_RECORDED, 'success');
+        return true;
+    }
+
+    describeLongestDrive(action) {
+        return action.distance ? `${action.winner} - ${action.distance} ${LONGEST_DRIVE_CONFIG.DISTANCE_UNIT}` : action.winner;
+    }
+
+    updateLongestDriveReminder() {
+        const reminder = document.getElementById('longestDriveReminder');
+        if (!reminder) return;
+        
+        // Warn while the current hole's longest drive still needs recording
+        const longestDriveGame = this.gameConfigs.longestDrive?.enabled ? this.gameInstances.longestDrive : null;
+        if (longestDriveGame && longestDriveGame.isAwaitingLongestDrive(this.currentHole)) {
+            reminder.textContent = `🚀 Hole ${this.currentHole} is a Longest Drive hole - no longest drive recorded yet`;
+            reminder.style.display = 'block';
+        } else {
+            reminder.style.display = 'none';
+        }
+    }
+
+    // Course Hole Methods
+    getCourseHole(hole) {
+        // Holes past the end of the card (27 and 36 hole rounds, playoff holes) go round it again
+        return this.course ? this.course.holes[(hole - 1) % this.course.holes.length] : null;
+    }
+    
+    getHolePar(hole, defaultPar) {
+        return this.getCourseHole(hole)?.par || defaultPar;
+    }
+    
+    updateHoleInfo() {
+        const holeInfo = document.getElementById('holeInfo');
+        if (!holeInfo) return;
+        
+        const hole = this.getCourseHole(this.currentHole);
+        if (hole) {
+            holeInfo.textContent = [
+                `Par ${hole.par}`,
+                hole.yardage ? `${hole.yardage} yds` : null,
+                `SI ${hole.strokeIndex}`
+            ].filter(Boolean).join(' · ');
+            holeInfo.style.display = 'block';
+        } else {
+            holeInfo.style.display = 'none';
+        }
+    }
+    
+    setQuickParInputs() {
+        // Quick score cards start on the current hole's par
+        [
+            ['quickVegasPar', VEGAS_CONFIG.DEFAULT_PAR],
+            ['quickStablefordPar', STABLEFORD_CONFIG.DEFAULT_PAR],
+            ['quickQuotaPar', QUOTA_CONFIG.DEFAULT_PAR],
+            ['quickScotchPar', SCOTCH_CONFIG.DEFAULT_PAR]
+        ].forEach(([id, defaultPar]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = this.getHolePar(this.currentHole, defaultPar);
+            }
+        });
+    }
+    
+    // Umbrella Game Methods
+    showUmbrellaModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('umbrella', 'open');
+        
+        const modal = document.getElementById('umbrellaModal');
+        const holeInput = document.getElementById('umbrellaHole');
+        
+        // One team select per point category
+        this.renderUmbrellaPoints('umbrellaPoints', 'umbrellaPoint');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideUmbrellaModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('umbrella', 'close');
+        
+        document.getElementById('umbrellaModal').style.display = 'none';
+    }
+
+    renderUmbrellaPoints(containerId, idPrefix) {
+        const container = document.getElementById(containerId);
+        const umbrella = this.gameInstances.umbrella;
+        if (!container || !umbrella) return;
+        
+        container.innerHTML = '';
+        Object.entries(UMBRELLA_CONFIG.CATEGORIES).forEach(([category, { name }]) => {
+            const row = document.createElement('div');
+            row.className = 'score-input-row';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `${idPrefix}${category}`;
+            label.textContent = name;
+            
+            const select = document.createElement('select');
+            select.id = `${idPrefix}${category}`;
+            [['', 'Select...'],
+             [UMBRELLA_CONFIG.SIDE_1_VALUE, umbrella.getSideName(UMBRELLA_CONFIG.SIDE_1_VALUE)],
+             [UMBRELLA_CONFIG.SIDE_2_VALUE, umbrella.getSideName(UMBRELLA_CONFIG.SIDE_2_VALUE)],
+             [UMBRELLA_CONFIG.NO_WINNER_VALUE, UMBRELLA_CONFIG.NO_WINNER_TEXT]].forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            
+            row.appendChild(label);
+            row.appendChild(select);
+            container.appendChild(row);
+        });
+    }
+
+    readUmbrellaPoints(idPrefix) {
+        const winners = {};
+        Object.keys(UMBRELLA_CONFIG.CATEGORIES).forEach(category => {
+            const select = document.getElementById(`${idPrefix}${category}`);
+            winners[category] = select ? select.value : '';
+        });
+        return winners;
+    }
+
+    saveUmbrellaAction() {
+        const hole = parseInt(document.getElementById('umbrellaHole').value);
+        const winners = this.readUmbrellaPoints('umbrellaPoint');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateUmbrellaInput(winners, hole);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordUmbrellaHole(hole, winners, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('umbrella', 'save');
+            
+            // Hide modal
+            this.hideUmbrellaModal();
+        }
+    }
+
+    recordUmbrellaHole(hole, winners, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.umbrella?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has an Umbrella result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            winners: winners,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('umbrella', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('umbrella', source, hole, {
+            winners: winners
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.UMBRELLA_RECORDED, 'success');
+        return true;
+    }
+
+    describeUmbrellaHole(action) {
+        const umbrella = this.gameInstances.umbrella;
+        const result = umbrella.getHolePoints(action);
+        const score = `${umbrella.getSideName(UMBRELLA_CONFIG.SIDE_1_VALUE)} ${result.side1Points} - ${result.side2Points} ${umbrella.getSideName(UMBRELLA_CONFIG.SIDE_2_VALUE)}`;
+        return result.umbrella ? `${score} ☂️ Umbrella!` : score;
+    }
+
+    getUmbrellaText() {
+        const { side1Points, side2Points } = this.gameInstances.umbrella.getTeamTotals();
+        return `${side1Points} - ${side2Points}`;
+    }
+
+    // Low Ball / Low Total Game Methods
+    showLowBallModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('lowBall', 'open');
+        
+        const modal = document.getElementById('lowBallModal');
+        const holeInput = document.getElementById('lowBallHole');
+        
+        // One score input per player
+        this.renderScoreInputs('lowBallScores', 'lowBallScore');
+        
+        // Set current hole
+        holeInput.value = this.currentHole;
+        
+        modal.style.display = 'flex';
+    }
+
+    hideLowBallModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('lowBall', 'close');
+        
+        document.getElementById('lowBallModal').style.display = 'none';
+    }
+
+    saveLowBallAction() {
+        const hole = parseInt(document.getElementById('lowBallHole').value);
+        const scores = this.readScoreInputs('lowBallScore');
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateLowBallInput(scores, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        if (this.recordLowBallHole(hole, scores, 'modal_action')) {
+            AnalyticsUtils.trackModalInteraction('lowBall', 'save');
+            
+            // Hide modal
+            this.hideLowBallModal();
+        }
+    }
+
+    recordLowBallHole(hole, scores, source) {
+        // Each hole is played once; delete the existing result to change it
+        if (this.gameInstances.lowBall?.isHolePlayed(hole)) {
+            this.ui.showNotification(`Hole ${hole} already has a Low Ball / Low Total result.`, 'error');
+            return false;
+        }
+        
+        const action = {
+            id: Date.now(),
+            hole: hole,
+            scores: scores,
+            timestamp: new Date()
+        };
+        
+        if (!this.recordGameAction('lowBall', action)) {
+            return false;
+        }
+        
+        // Track analytics
+        AnalyticsUtils.trackGameAction('lowBall', source, hole, {
+            scores: scores
+        });
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(MESSAGES.SUCCESS.LOW_BALL_RECORDED, 'success');
+        return true;
+    }
+
+    describeLowBallHole(action) {
+        const lowBall = this.gameInstances.lowBall;
+        const result = lowBall.calculateHoleResult(action);
+        const winnerText = winner => winner === LOW_BALL_CONFIG.PUSH_VALUE ? LOW_BALL_CONFIG.PUSH_TEXT : lowBall.getSideName(winner);
+        return `Low ball ${result.side1Low}-${result.side2Low} (${winnerText(result.lowBall)}), ` +
+               `low total ${result.side1Total}-${result.side2Total} (${winnerText(result.lowTotal)})` +
+               this.describeHandicapStrokes(action.hole);
+    }
+
+    getLowBallText() {
+        const { side1Points, side2Points } = this.gameInstances.lowBall.getStats();
+        return `${side1Points} - ${side2Points}`;
+    }
+
+    updateGameDisplay() {
+
+        
+        // Update navigation status
+        this.updateNavigationStatus();
+        
+        // Update quick actions status
+        this.updateQuickActionsStatus();
+        
+        // Update current page if it's visible and the game is enabled
+        if (this.currentPage === 'murph' && this.gameConfigs.murph?.enabled) {
+            this.updateMurphPage();
+        } else if (this.currentPage === 'skins' && this.gameConfigs.skins?.enabled) {
+            this.updateSkinsPage();
+        } else if (this.currentPage === 'kp' && this.gameConfigs.kp?.enabled) {
+            this.updateKPPage();
+        } else if (this.currentPage === 'snake' && this.gameConfigs.snake?.enabled) {
+            this.updateSnakePage();
+        } else if (this.currentPage === 'wolf' && this.gameConfigs.wolf?.enabled) {
+            this.updateWolfPage();
+        } else if (this.currentPage === 'nassau' && this.gameConfigs.nassau?.enabled) {
+            this.updateNassauPage();
+        } else if (this.currentPage === 'bingo' && this.gameConfigs.bingo?.enabled) {
+            this.updateBingoPage();
+        } else if (this.currentPage === 'vegas' && this.gameConfigs.vegas?.enabled) {
+            this.updateVegasPage();
+        } else if (this.currentPage === 'sixes' && this.gameConfigs.sixes?.enabled) {
+            this.updateSixesPage();
+        } else if (this.currentPage === 'hammer' && this.gameConfigs.hammer?.enabled) {
+            this.updateHammerPage();
+        } else if (this.currentPage === 'junk' && this.gameConfigs.junk?.enabled) {
+            this.updateJunkPage();
+        } else if (this.currentPage === 'rabbit' && this.gameConfigs.rabbit?.enabled) {
+            this.updateRabbitPage();
+        } else if (this.currentPage === 'stableford' && this.gameConfigs.stableford?.enabled) {
+            this.updateStablefordPage();
+        } else if (this.currentPage === 'ninePoint' && this.gameConfigs.ninePoint?.enabled) {
+            this.updateNinePointPage();
+        } else if (this.currentPage === 'banker' && this.gameConfigs.banker?.enabled) {
+            this.updateBankerPage();
+        } else if (this.currentPage === 'matchPlay' && this.gameConfigs.matchPlay?.enabled) {
+            this.updateMatchPlayPage();
+        } else if (this.currentPage === 'quota' && this.gameConfigs.quota?.enabled) {
+            this.updateQuotaPage();
+        } else if (this.currentPage === 'defender' && this.gameConfigs.defender?.enabled) {
+            this.updateDefenderPage();
+        } else if (this.currentPage === 'moneyBall' && this.gameConfigs.moneyBall?.enabled) {
+            this.updateMoneyBallPage();
+        } else if (this.currentPage === 'scotch' && this.gameConfigs.scotch?.enabled) {
+            this.updateScotchPage();
+        } else if (this.currentPage === 'aceyDeucey' && this.gameConfigs.aceyDeucey?.enabled) {
+            this.updateAceyDeuceyPage();
+        } else if (this.currentPage === 'longestDrive' && this.gameConfigs.longestDrive?.enabled) {
+            this.updateLongestDrivePage();
+        } else if (this.currentPage === 'umbrella' && this.gameConfigs.umbrella?.enabled) {
+            this.updateUmbrellaPage();
+        } else if (this.currentPage === 'lowBall' && this.gameConfigs.lowBall?.enabled) {
+            this.updateLowBallPage();
+        } else if (this.currentPage === 'combined') {
+            this.updateCombinedPage();
+        }
+    }
+
+    updateNavigationStatus() {
+
+        
+        // Update Murph status and styling
+        if (this.gameConfigs.murph?.enabled) {
+            const murphCount = this.gameActions.murph.length;
+    
+            const murphStatus = document.getElementById('murphStatus');
+            if (murphStatus) {
+                murphStatus.textContent = `${murphCount} call${murphCount !== 1 ? 's' : ''}`;
+        
+            } else {
+                console.warn('Murph status element not found');
+            }
+            // Add selected class to Murph button
+            const murphBtn = document.getElementById('navMurph');
+            if (murphBtn) {
+                murphBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Murph button
+            const murphBtn = document.getElementById('navMurph');
+            if (murphBtn) {
+                murphBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Skins status and styling
+        if (this.gameConfigs.skins?.enabled) {
+            const skinsCount = this.getSkinsResults().length;
+            const skinsStatus = document.getElementById('skinsStatus');
+            if (skinsStatus) {
+                skinsStatus.textContent = `${skinsCount} skin${skinsCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Skins button
+            const skinsBtn = document.getElementById('navSkins');
+            if (skinsBtn) {
+                skinsBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Skins button
+            const skinsBtn = document.getElementById('navSkins');
+            if (skinsBtn) {
+                skinsBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update KP status and styling
+        if (this.gameConfigs.kp?.enabled) {
+            const kpCount = this.gameActions.kp.length;
+            const kpStatus = document.getElementById('kpStatus');
+            if (kpStatus) {
+                kpStatus.textContent = `${kpCount} KP${kpCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to KP button
+            const kpBtn = document.getElementById('navKP');
+            if (kpBtn) {
+                kpBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from KP button
+            const kpBtn = document.getElementById('navKP');
+            if (kpBtn) {
+                kpBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Snake status and styling
+        if (this.gameConfigs.snake?.enabled) {
+            const snakeCount = this.gameActions.snake.length;
+            const snakeStatus = document.getElementById('snakeStatus');
+            if (snakeStatus) {
+                snakeStatus.textContent = `${snakeCount} snake${snakeCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Snake button
+            const snakeBtn = document.getElementById('navSnake');
+            if (snakeBtn) {
+                snakeBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Snake button
+            const snakeBtn = document.getElementById('navSnake');
+            if (snakeBtn) {
+                snakeBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Wolf status and styling
+        if (this.gameConfigs.wolf?.enabled) {
+            const wolfCount = this.gameActions.wolf.length;
+            const wolfStatus = document.getElementById('wolfStatus');
+            if (wolfStatus) {
+                wolfStatus.textContent = `${wolfCount} hole${wolfCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Wolf button
+            const wolfBtn = document.getElementById('navWolf');
+            if (wolfBtn) {
+                wolfBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Wolf button
+            const wolfBtn = document.getElementById('navWolf');
+            if (wolfBtn) {
+                wolfBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Nassau status and styling
+        if (this.gameConfigs.nassau?.enabled) {
+            const nassauStatus = document.getElementById('nassauStatus');
+            if (nassauStatus && this.gameInstances.nassau) {
+                const overall = this.gameInstances.nassau.getMatchStatus()[NASSAU_CONFIG.MATCHES.OVERALL];
+                const holesPlayed = this.gameActions.nassau.length;
+                nassauStatus.textContent = holesPlayed > 0 ? overall.bets[0].status : '0 holes';
+            }
+            // Add selected class to Nassau button
+            const nassauBtn = document.getElementById('navNassau');
+            if (nassauBtn) {
+                nassauBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Nassau button
+            const nassauBtn = document.getElementById('navNassau');
+            if (nassauBtn) {
+                nassauBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Bingo Bango Bongo status and styling
+        if (this.gameConfigs.bingo?.enabled) {
+            const bingoStatus = document.getElementById('bingoStatus');
+            if (bingoStatus && this.gameInstances.bingo) {
+                const pointCount = this.gameInstances.bingo.getStats().totalPoints;
+                bingoStatus.textContent = `${pointCount} point${pointCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Bingo Bango Bongo button
+            const bingoBtn = document.getElementById('navBingo');
+            if (bingoBtn) {
+                bingoBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Bingo Bango Bongo button
+            const bingoBtn = document.getElementById('navBingo');
+            if (bingoBtn) {
+                bingoBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Vegas status and styling
+        if (this.gameConfigs.vegas?.enabled) {
+            const vegasCount = this.gameActions.vegas.length;
+            const vegasStatus = document.getElementById('vegasStatus');
+            if (vegasStatus) {
+                vegasStatus.textContent = `${vegasCount} hole${vegasCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Vegas button
+            const vegasBtn = document.getElementById('navVegas');
+            if (vegasBtn) {
+                vegasBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Vegas button
+            const vegasBtn = document.getElementById('navVegas');
+            if (vegasBtn) {
+                vegasBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Sixes status and styling
+        if (this.gameConfigs.sixes?.enabled) {
+            const sixesStatus = document.getElementById('sixesStatus');
+            if (sixesStatus && this.gameInstances.sixes) {
+                // Show the match for the segment being played
+                const segment = this.gameInstances.sixes.getSegmentResults()[this.gameInstances.sixes.getSegmentForHole(this.currentHole)];
+                sixesStatus.textContent = segment && segment.holesPlayed > 0 ? segment.status : `${this.gameActions.sixes.length} holes`;
+            }
+            // Add selected class to Sixes button
+            const sixesBtn = document.getElementById('navSixes');
+            if (sixesBtn) {
+                sixesBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Sixes button
+            const sixesBtn = document.getElementById('navSixes');
+            if (sixesBtn) {
+                sixesBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Hammer status and styling
+        if (this.gameConfigs.hammer?.enabled) {
+            const hammerCount = this.gameActions.hammer.length;
+            const hammerStatus = document.getElementById('hammerStatus');
+            if (hammerStatus) {
+                hammerStatus.textContent = `${hammerCount} hole${hammerCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Hammer button
+            const hammerBtn = document.getElementById('navHammer');
+            if (hammerBtn) {
+                hammerBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Hammer button
+            const hammerBtn = document.getElementById('navHammer');
+            if (hammerBtn) {
+                hammerBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Junk status and styling
+        if (this.gameConfigs.junk?.enabled) {
+            const junkStatus = document.getElementById('junkStatus');
+            if (junkStatus && this.gameInstances.junk) {
+                const dotCount = this.gameInstances.junk.getStats().totalDots;
+                junkStatus.textContent = `${dotCount} dot${dotCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Junk button
+            const junkBtn = document.getElementById('navJunk');
+            if (junkBtn) {
+                junkBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Junk button
+            const junkBtn = document.getElementById('navJunk');
+            if (junkBtn) {
+                junkBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Rabbit status and styling
+        if (this.gameConfigs.rabbit?.enabled) {
+            const rabbitStatus = document.getElementById('rabbitStatus');
+            if (rabbitStatus) {
+                // Show who is holding the rabbit
+                rabbitStatus.textContent = this.getRabbitHolderText();
+            }
+            // Add selected class to Rabbit button
+            const rabbitBtn = document.getElementById('navRabbit');
+            if (rabbitBtn) {
+                rabbitBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Rabbit button
+            const rabbitBtn = document.getElementById('navRabbit');
+            if (rabbitBtn) {
+                rabbitBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Stableford status and styling
+        if (this.gameConfigs.stableford?.enabled) {
+            const stablefordStatus = document.getElementById('stablefordStatus');
+            if (stablefordStatus && this.gameInstances.stableford) {
+                // Show the points leader once holes have been played
+                const leaders = this.gameInstances.stableford.getStats().leaders;
+                stablefordStatus.textContent = leaders.length > 0 ? `${leaders.join(' & ')} lead${leaders.length === 1 ? 's' : ''}` : '0 holes';
+            }
+            // Add selected class to Stableford button
+            const stablefordBtn = document.getElementById('navStableford');
+            if (stablefordBtn) {
+                stablefordBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Stableford button
+            const stablefordBtn = document.getElementById('navStableford');
+            if (stablefordBtn) {
+                stablefordBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Nine Point status and styling
+        if (this.gameConfigs.ninePoint?.enabled) {
+            const ninePointCount = this.gameActions.ninePoint.length;
+            const ninePointStatus = document.getElementById('ninePointStatus');
+            if (ninePointStatus) {
+                ninePointStatus.textContent = `${ninePointCount} hole${ninePointCount !== 1 ? 's' : ''}`;
+            }
+            // Add selected class to Nine Point button
+            const ninePointBtn = document.getElementById('navNinePoint');
+            if (ninePointBtn) {
+                ninePointBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Nine Point button
+            const ninePointBtn = document.getElementById('navNinePoint');
+            if (ninePointBtn) {
+                ninePointBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Banker status and styling
+        if (this.gameConfigs.banker?.enabled) {
+            const bankerStatus = document.getElementById('bankerStatus');
+            if (bankerStatus) {
+                // Show who is banking the current hole
+                bankerStatus.textContent = this.getBankerText();
+            }
+            // Add selected class to Banker button
+            const bankerBtn = document.getElementById('navBanker');
+            if (bankerBtn) {
+                bankerBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Banker button
+            const bankerBtn = document.getElementById('navBanker');
+            if (bankerBtn) {
+                bankerBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Match Play status and styling
+        if (this.gameConfigs.matchPlay?.enabled) {
+            const matchPlayStatus = document.getElementById('matchPlayStatus');
+            if (matchPlayStatus) {
+                // Show the running match status (2 UP, AS, dormie or the final result)
+                matchPlayStatus.textContent = this.getMatchPlayStatusText();
+            }
+            // Add selected class to Match Play button
+            const matchPlayBtn = document.getElementById('navMatchPlay');
+            if (matchPlayBtn) {
+                matchPlayBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Match Play button
+            const matchPlayBtn = document.getElementById('navMatchPlay');
+            if (matchPlayBtn) {
+                matchPlayBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Quota status and styling
+        if (this.gameConfigs.quota?.enabled) {
+            const quotaStatus = document.getElementById('quotaStatus');
+            if (quotaStatus && this.gameInstances.quota) {
+                // Show the player furthest above their quota once holes have been played
+                const leaders = this.gameInstances.quota.getStats().leaders;
+                quotaStatus.textContent = leaders.length > 0 ? `${leaders.join(' & ')} lead${leaders.length === 1 ? 's' : ''}` : '0 holes';
+            }
+            // Add selected class to Quota button
+            const quotaBtn = document.getElementById('navQuota');
+            if (quotaBtn) {
+                quotaBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Quota button
+            const quotaBtn = document.getElementById('navQuota');
+            if (quotaBtn) {
+                quotaBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Defender status and styling
+        if (this.gameConfigs.defender?.enabled) {
+            const defenderStatus = document.getElementById('defenderStatus');
+            if (defenderStatus) {
+                // Show who is defending the current hole
+                defenderStatus.textContent = this.getDefenderText();
+            }
+            // Add selected class to Defender button
+            const defenderBtn = document.getElementById('navDefender');
+            if (defenderBtn) {
+                defenderBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Defender button
+            const defenderBtn = document.getElementById('navDefender');
+            if (defenderBtn) {
+                defenderBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Money Ball status and styling
+        if (this.gameConfigs.moneyBall?.enabled) {
+            const moneyBallStatus = document.getElementById('moneyBallStatus');
+            if (moneyBallStatus) {
+                // Show who carries the money balls on the current hole
+                moneyBallStatus.textContent = this.getMoneyBallText();
+            }
+            // Add selected class to Money Ball button
+            const moneyBallBtn = document.getElementById('navMoneyBall');
+            if (moneyBallBtn) {
+                moneyBallBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Money Ball button
+            const moneyBallBtn = document.getElementById('navMoneyBall');
+            if (moneyBallBtn) {
+                moneyBallBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Scotch status and styling
+        if (this.gameConfigs.scotch?.enabled) {
+            const scotchStatus = document.getElementById('scotchStatus');
+            if (scotchStatus && this.gameInstances.scotch) {
+                const holesPlayed = this.gameInstances.scotch.getStats().holesPlayed;
+                scotchStatus.textContent = `${holesPlayed} holes`;
+            }
+            // Add selected class to Scotch button
+            const scotchBtn = document.getElementById('navScotch');
+            if (scotchBtn) {
+                scotchBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Scotch button
+            const scotchBtn = document.getElementById('navScotch');
+            if (scotchBtn) {
+                scotchBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Acey Deucey status and styling
+        if (this.gameConfigs.aceyDeucey?.enabled) {
+            const aceyDeuceyStatus = document.getElementById('aceyDeuceyStatus');
+            if (aceyDeuceyStatus && this.gameInstances.aceyDeucey) {
+                const holesPlayed = this.gameInstances.aceyDeucey.getStats().holesPlayed;
+                aceyDeuceyStatus.textContent = `${holesPlayed} holes`;
+            }
+            // Add selected class to Acey Deucey button
+            const aceyDeuceyBtn = document.getElementById('navAceyDeucey');
+            if (aceyDeuceyBtn) {
+                aceyDeuceyBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Acey Deucey button
+            const aceyDeuceyBtn = document.getElementById('navAceyDeucey');
+            if (aceyDeuceyBtn) {
+                aceyDeuceyBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Longest Drive status and styling
+        if (this.gameConfigs.longestDrive?.enabled) {
+            const longestDriveStatus = document.getElementById('longestDriveStatus');
+            if (longestDriveStatus && this.gameInstances.longestDrive) {
+                const stats = this.gameInstances.longestDrive.getStats();
+                longestDriveStatus.textContent = `${stats.totalDrives}/${stats.designatedHoles.length} drives`;
+            }
+            // Add selected class to Longest Drive button
+            const longestDriveBtn = document.getElementById('navLongestDrive');
+            if (longestDriveBtn) {
+                longestDriveBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Longest Drive button
+            const longestDriveBtn = document.getElementById('navLongestDrive');
+            if (longestDriveBtn) {
+                longestDriveBtn.classList.remove('selected');
+            }
+        }
+        
+        // Show the course's hole details and warn when the current hole's longest drive or KP hasn't been recorded
+        this.updateHoleInfo();
+        this.updateLongestDriveReminder();
+        this.updateKPReminder();
+        this.updateScorecardStatus();
+        
+        // Recording the last hole can leave a game tied and needing a playoff hole
+        this.updatePreviousHoleButton();
+        
+        // Update Umbrella status and styling
+        if (this.gameConfigs.umbrella?.enabled) {
+            const umbrellaStatus = document.getElementById('umbrellaStatus');
+            if (umbrellaStatus && this.gameInstances.umbrella) {
+                umbrellaStatus.textContent = this.getUmbrellaText();
+            }
+            // Add selected class to Umbrella button
+            const umbrellaBtn = document.getElementById('navUmbrella');
+            if (umbrellaBtn) {
+                umbrellaBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Umbrella button
+            const umbrellaBtn = document.getElementById('navUmbrella');
+            if (umbrellaBtn) {
+                umbrellaBtn.classList.remove('selected');
+            }
+        }
+        
+        // Update Low Ball / Low Total status and styling
+        if (this.gameConfigs.lowBall?.enabled) {
+            const lowBallStatus = document.getElementById('lowBallStatus');
+            if (lowBallStatus && this.gameInstances.lowBall) {
+                lowBallStatus.textContent = this.getLowBallText();
+            }
+            // Add selected class to Low Ball / Low Total button
+            const lowBallBtn = document.getElementById('navLowBall');
+            if (lowBallBtn) {
+                lowBallBtn.classList.add('selected');
+            }
+        } else {
+            // Remove selected class from Low Ball / Low Total button
+            const lowBallBtn = document.getElementById('navLowBall');
+            if (lowBallBtn) {
+                lowBallBtn.classList.remove('selected');
+            }
+        }
+    }
+
+    updateMurphActionsList() {
+        const container = document.getElementById('murphActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.murph.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Murph calls yet';
+            container.appendChild(noDataP);
+            return;
+        }
+        
+        // Group by hole
+        const callsByHole = {};
+        this.gameActions.murph.forEach(call => {
+            if (!callsByHole[call.hole]) {
+                callsByHole[call.hole] = [];
+            }
+            callsByHole[call.hole].push(call);
+        });
+        
+        // Display by hole
+        Object.keys(callsByHole).sort((a, b) => this.gameManager.getPlaySequence(parseInt(a)) - this.gameManager.getPlaySequence(parseInt(b))).forEach(hole => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const holeH5 = document.createElement('h5');
+            holeH5.style.margin = '16px 0 8px 0';
+            holeH5.style.color = '#2c3e50';
+            holeH5.textContent = `Hole ${hole}`;
+            holeDiv.appendChild(holeH5);
+            
+            callsByHole[hole].forEach(call => {
+                const callDiv = document.createElement('div');
+                callDiv.className = `game-action-item ${call.result}`;
+                
+                const headerDiv = document.createElement('div');
+                headerDiv.className = 'game-action-header';
+                
+                const playerSpan = document.createElement('span');
+                playerSpan.className = 'game-action-player';
+                playerSpan.textContent = SecurityUtils.sanitizeInput(call.player);
+                
+                const holeSpan = document.createElement('span');
+                holeSpan.className = 'game-action-hole';
+                holeSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(call.hole)}`;
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'btn-delete';
+                deleteBtn.textContent = '🗑️';
+                deleteBtn.title = 'Delete this Murph call';
+                deleteBtn.onclick = () => this.deleteMurphCall(call.id);
+                
+                headerDiv.appendChild(playerSpan);
+                headerDiv.appendChild(holeSpan);
+                headerDiv.appendChild(deleteBtn);
+                
+                const resultDiv = document.createElement('div');
+                resultDiv.className = `game-action-result ${call.result}`;
+                resultDiv.textContent = call.result === 'success' ? '✅ Made it!' : '❌ Failed';
+                
+                callDiv.appendChild(headerDiv);
+                callDiv.appendChild(resultDiv);
+                holeDiv.appendChild(callDiv);
+            });
+            
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateSkinsActionsList() {
+        const container = document.getElementById('skinsActionsList');
+        container.innerHTML = '';
+        
+        // Skins from the scorecard are corrected by changing a score, not deleted
+        const fromScorecard = this.gameConfigs.skins?.fromScorecard;
+        const skinsResults = this.getSkinsResults();
+        
+        if (skinsResults.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Skins recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
+        
+        // Group by hole
+        const skinsByHole = {};
+        skinsResults.forEach(skin => {
+            if (!skinsByHole[skin.hole]) {
+                skinsByHole[skin.hole] = [];
+            }
+            skinsByHole[skin.hole].push(skin);
+        });
+        
+        // Display by hole
+        Object.keys(skinsByHole).sort((a, b) => this.gameManager.getPlaySequence(parseInt(a)) - this.gameManager.getPlaySequence(parseInt(b))).forEach(hole => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const holeH5 = document.createElement('h5');
+            holeH5.style.margin = '16px 0 8px 0';
+            holeH5.style.color = '#2c3e50';
+            holeH5.textContent = `Hole ${hole}`;
+            holeDiv.appendChild(holeH5);
+            
+            skinsByHole[hole].forEach(skin => {
+                const skinDiv = document.createElement('div');
+                skinDiv.className = `game-action-item ${skin.winner === 'carryover' ? 'neutral' : 'success'}`;
+                
+                let resultText = '';
+                if (skin.winner === 'carryover') {
+                    resultText = `Carryover - ${skin.carryoverCount} skin${skin.carryoverCount > 1 ? 's' : ''} at stake`;
+                } else if (this.requiredPlayers === 4 && this.gameConfigs.skins?.teamNames && (skin.winner === 'team1' || skin.winner === 'team2')) {
+                    // 4 players: Show team names
+                    if (skin.winner === 'team1') {
+                        resultText = `${SecurityUtils.sanitizeInput(this.gameConfigs.skins.teamNames.team1)} won ${skin.skinsWon} skin${skin.skinsWon > 1 ? 's' : ''}`;
+                    } else {
+                        resultText = `${SecurityUtils.sanitizeInput(this.gameConfigs.skins.teamNames.team2)} won ${skin.skinsWon} skin${skin.skinsWon > 1 ? 's' : ''}`;
+                    }
+                } else {
+                    // 2-3 players: Show individual player name
+                    resultText = `${SecurityUtils.sanitizeInput(skin.winner)} won ${skin.skinsWon} skin${skin.skinsWon > 1 ? 's' : ''}`;
+                }
+                if (fromScorecard) {
+                    const scoreText = this.gameManager.scorecard.hasHandicaps() ? `net ${skin.score}` : skin.score;
+                    resultText += skin.winner === 'carryover' ? ` (tied on ${scoreText})` : ` with a ${scoreText}`;
+                    resultText += this.describeHandicapStrokes(skin.hole);
+                }
+                
+                const headerDiv = document.createElement('div');
+                headerDiv.className = 'game-action-header';
+                
+                const playerSpan = document.createElement('span');
+                playerSpan.className = 'game-action-player';
+                playerSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(skin.hole)}`;
+                
+                const holeSpan = document.createElement('span');
+                holeSpan.className = 'game-action-hole';
+                holeSpan.textContent = 'Skins';
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'btn-delete';
+                deleteBtn.textContent = '🗑️';
+                deleteBtn.title = 'Delete this Skins action';
+                deleteBtn.onclick = () => this.deleteSkinsAction(skin.id);
+                
+                headerDiv.appendChild(playerSpan);
+                headerDiv.appendChild(holeSpan);
+                if (!fromScorecard) {
+                    headerDiv.appendChild(deleteBtn);
+                }
+                
+                const resultDiv = document.createElement('div');
+                resultDiv.className = `game-action-result ${skin.winner === 'carryover' ? 'neutral' : 'success'}`;
+                resultDiv.textContent = resultText;
+                
+                skinDiv.appendChild(headerDiv);
+                skinDiv.appendChild(resultDiv);
+                holeDiv.appendChild(skinDiv);
+            });
+            
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateKPActionsList() {
+        const container = document.getElementById('kpActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.kp.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No KPs recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
+        
+        // Results in play order, following any carryover chain
+        const results = this.gameInstances.kp ? this.gameInstances.kp.getKPResults() :
+            this.gameActions.kp.map(action => ({ action, paid: true, value: 1 }));
+        
+        // Group by hole
+        const kpsByHole = {};
+        results.forEach(result => {
+            const hole = result.action.hole;
+            if (!kpsByHole[hole]) {
+                kpsByHole[hole] = [];
+            }
+            kpsByHole[hole].push(result);
+        });
+        
+        // Display by hole
+        Object.keys(kpsByHole).sort((a, b) => this.gameManager.getPlaySequence(parseInt(a)) - this.gameManager.getPlaySequence(parseInt(b))).forEach(hole => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const holeH5 = document.createElement('h5');
+            holeH5.style.margin = '16px 0 8px 0';
+            holeH5.style.color = '#2c3e50';
+            holeH5.textContent = `Hole ${hole}`;
+            holeDiv.appendChild(holeH5);
+            
+            kpsByHole[hole].forEach(({ action: kp, paid, value }) => {
+                const status = paid ? 'success' : 'neutral';
+                const kpDiv = document.createElement('div');
+                kpDiv.className = `game-action-item ${status}`;
+                
+                const headerDiv = document.createElement('div');
+                headerDiv.className = 'game-action-header';
+                
+                const playerSpan = document.createElement('span');
+                playerSpan.className = 'game-action-player';
+                playerSpan.textContent = SecurityUtils.sanitizeInput(this.describeKP(kp));
+                
+                const holeSpan = document.createElement('span');
+                holeSpan.className = 'game-action-hole';
+                holeSpan.textContent = KP_CONFIG.SHOTS[kp.shot || KP_CONFIG.DEFAULT_SHOT];
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'btn-delete';
+                deleteBtn.textContent = '🗑️';
+                deleteBtn.title = 'Delete this KP action';
+                deleteBtn.onclick = () => this.deleteKPAction(kp.id);
+                
+                headerDiv.appendChild(playerSpan);
+                headerDiv.appendChild(holeSpan);
+                headerDiv.appendChild(deleteBtn);
+                
+                const resultDiv = document.createElement('div');
+                resultDiv.className = `game-action-result ${status}`;
+                resultDiv.textContent = this.describeKPResult(kp, paid, value);
+                
+                kpDiv.appendChild(headerDiv);
+                kpDiv.appendChild(resultDiv);
+                holeDiv.appendChild(kpDiv);
+            });
+            
+            container.appendChild(holeDiv);
+        });
+    }
 
-            const winnerSelect = document.getElementById('skinsWinner');
-            winnerSelect.innerHTML = '';
-        const defaultOption = document.createElement('option');
-        defaultOption.value = '';
-        defaultOption.textContent = 'Select result...';
-        winnerSelect.appendChild(defaultOption);
+    describeKPResult(kp, paid, value) {
+        if (paid) {
+            return value > 1 ? `🎯 Closest to the Pin - wins ${value} KPs with the carryover` : '🎯 Closest to the Pin';
+        }
+        
+        const carried = this.gameConfigs.kp?.carryover ? ' - carries over' : '';
+        const winner = kp.winner || kp.player;
+        return winner === KP_CONFIG.NO_WINNER_VALUE ? `🚫 Nobody on the green${carried}` : `❌ Missed par${carried}`;
+    }
+
+    updateSnakeActionsList() {
+        const container = document.getElementById('snakeActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.snake.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No snakes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
+        
+        // Group by hole
+        const snakesByHole = {};
+        this.gameActions.snake.forEach(snake => {
+            if (!snakesByHole[snake.hole]) {
+                snakesByHole[snake.hole] = [];
+            }
+            snakesByHole[snake.hole].push(snake);
+        });
+        
+        // Display by hole
+        Object.keys(snakesByHole).sort((a, b) => this.gameManager.getPlaySequence(parseInt(a)) - this.gameManager.getPlaySequence(parseInt(b))).forEach(hole => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
             
-            // Add team options
-            const team1Option = document.createElement('option');
-            team1Option.value = 'team1';
-            team1Option.textContent = this.gameConfigs.skins.teamNames.team1;
-            winnerSelect.appendChild(team1Option);
+            const holeH5 = document.createElement('h5');
+            holeH5.style.margin = '16px 0 8px 0';
+            holeH5.style.color = '#2c3e50';
+            holeH5.textContent = `Hole ${hole}`;
+            holeDiv.appendChild(holeH5);
             
-            const team2Option = document.createElement('option');
-            team2Option.value = 'team2';
-            team2Option.textContent = this.gameConfigs.skins.teamNames.team2;
-            winnerSelect.appendChild(team2Option);
+            snakesByHole[hole].forEach(snake => {
+                const snakeDiv = document.createElement('div');
+                snakeDiv.className = 'game-action-item error';
+                
+                const headerDiv = document.createElement('div');
+                headerDiv.className = 'game-action-header';
+                
+                const playerSpan = document.createElement('span');
+                playerSpan.className = 'game-action-player';
+                playerSpan.textContent = SecurityUtils.sanitizeInput(snake.player);
+                
+                const holeSpan = document.createElement('span');
+                holeSpan.className = 'game-action-hole';
+                holeSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(snake.hole)}`;
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'btn-delete';
+                deleteBtn.textContent = '🗑️';
+                deleteBtn.title = 'Delete this Snake action';
+                deleteBtn.onclick = () => this.deleteSnakeAction(snake.id);
+                
+                headerDiv.appendChild(playerSpan);
+                headerDiv.appendChild(holeSpan);
+                headerDiv.appendChild(deleteBtn);
+                
+                const resultDiv = document.createElement('div');
+                resultDiv.className = 'game-action-result error';
+                resultDiv.textContent = '🐍 Snake';
+                
+                snakeDiv.appendChild(headerDiv);
+                snakeDiv.appendChild(resultDiv);
+                holeDiv.appendChild(snakeDiv);
+            });
             
-            // Add carryover option
-            const carryoverOption = document.createElement('option');
-            carryoverOption.value = 'carryover';
-            carryoverOption.textContent = 'Carryover (No Winner)';
-            winnerSelect.appendChild(carryoverOption);
-        } else {
+            container.appendChild(holeDiv);
+        });
+    }
 
-            // 2-3 players: Show individual player options
-            const winnerSelect = document.getElementById('skinsWinner');
-            winnerSelect.innerHTML = '';
-        const defaultOption = document.createElement('option');
-        defaultOption.value = '';
-        defaultOption.textContent = 'Select winner...';
-        winnerSelect.appendChild(defaultOption);
+    updateWolfActionsList() {
+        const container = document.getElementById('wolfActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.wolf.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Wolf holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
+        
+        // Group by hole
+        const wolfByHole = {};
+        this.gameActions.wolf.forEach(wolf => {
+            if (!wolfByHole[wolf.hole]) {
+                wolfByHole[wolf.hole] = [];
+            }
+            wolfByHole[wolf.hole].push(wolf);
+        });
+        
+        // Display by hole
+        Object.keys(wolfByHole).sort((a, b) => this.gameManager.getPlaySequence(parseInt(a)) - this.gameManager.getPlaySequence(parseInt(b))).forEach(hole => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
             
-            this.players.forEach(player => {
-                const option = document.createElement('option');
-                option.value = player;
-                option.textContent = player;
-                winnerSelect.appendChild(option);
+            const holeH5 = document.createElement('h5');
+            holeH5.style.margin = '16px 0 8px 0';
+            holeH5.style.color = '#2c3e50';
+            holeH5.textContent = `Hole ${hole}`;
+            holeDiv.appendChild(holeH5);
+            
+            wolfByHole[hole].forEach(wolf => {
+                const wolfDiv = document.createElement('div');
+                wolfDiv.className = `game-action-item ${wolf.result === 'wolf_wins' ? 'success' : 'error'}`;
+                
+                let resultText = '';
+                if (wolf.wolfChoice === 'lone_wolf') {
+                    if (wolf.result === 'wolf_wins') {
+                        resultText = '🐺 Lone Wolf Wins!';
+                    } else {
+                        resultText = '🐺 Lone Wolf Loses';
+                    }
+                } else {
+                    if (wolf.result === 'wolf_wins') {
+                        resultText = `🐺 Wolf + ${SecurityUtils.sanitizeInput(wolf.partner)} Win!`;
+                    } else {
+                        resultText = `🐺 Wolf + ${SecurityUtils.sanitizeInput(wolf.partner)} Lose`;
+                    }
+                }
+                
+                const headerDiv = document.createElement('div');
+                headerDiv.className = 'game-action-header';
+                
+                const playerSpan = document.createElement('span');
+                playerSpan.className = 'game-action-player';
+                playerSpan.textContent = SecurityUtils.sanitizeInput(wolf.wolf);
+                
+                const holeSpan = document.createElement('span');
+                holeSpan.className = 'game-action-hole';
+                holeSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(wolf.hole)}`;
+                
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'btn-delete';
+                deleteBtn.textContent = '🗑️';
+                deleteBtn.title = 'Delete this Wolf action';
+                deleteBtn.onclick = () => this.deleteWolfAction(wolf.id);
+                
+                headerDiv.appendChild(playerSpan);
+                headerDiv.appendChild(holeSpan);
+                headerDiv.appendChild(deleteBtn);
+                
+                const resultDiv = document.createElement('div');
+                resultDiv.className = `game-action-result ${wolf.result === 'wolf_wins' ? 'success' : 'error'}`;
+                resultDiv.textContent = resultText;
+                
+                wolfDiv.appendChild(headerDiv);
+                wolfDiv.appendChild(resultDiv);
+                holeDiv.appendChild(wolfDiv);
             });
             
-            // Add carryover option
-            const carryoverOption = document.createElement('option');
-            carryoverOption.value = 'carryover';
-            carryoverOption.textContent = 'No Winner (Carryover)';
-            winnerSelect.appendChild(carryoverOption);
-        }
-        
-        // Update carryover count
-        if (this.gameConfigs.skins?.carryoverCount) {
-            document.getElementById('skinsCarryoverCount').value = this.gameConfigs.skins.carryoverCount;
-        }
-        
-        // Reset form
-        document.getElementById('skinsWinner').value = '';
-        
-        modal.style.display = 'flex';
+            container.appendChild(holeDiv);
+        });
     }
 
-    hideSkinsModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('skins', 'close');
+    updateNassauMatchStatus() {
+        const container = document.getElementById('nassauMatchStatus');
+        if (!container || !this.gameInstances.nassau) return;
         
-        document.getElementById('skinsModal').style.display = 'none';
+        container.innerHTML = '';
+        
+        Object.values(this.gameInstances.nassau.getMatchStatus()).forEach(match => {
+            match.bets.forEach(bet => {
+                const rowDiv = document.createElement('div');
+                rowDiv.className = 'status-row';
+                
+                const labelSpan = document.createElement('span');
+                labelSpan.className = 'status-label';
+                labelSpan.textContent = bet.isPress ? `${match.name} Press (from hole ${bet.startHole})` : match.name;
+                
+                const valueSpan = document.createElement('span');
+                valueSpan.className = 'status-value';
+                valueSpan.textContent = bet.status;
+                
+                rowDiv.appendChild(labelSpan);
+                rowDiv.appendChild(valueSpan);
+                container.appendChild(rowDiv);
+            });
+        });
     }
 
-    saveSkinsAction() {
-        const hole = parseInt(document.getElementById('skinsHole').value);
-        const winner = document.getElementById('skinsWinner').value;
+    updateNassauActionsList() {
+        const container = document.getElementById('nassauActionsList');
+        container.innerHTML = '';
         
-        // Use ValidationManager for input validation
-        const validation = this.validator.validateSkinsInput(winner, hole);
-        if (!validation.success) {
-            this.ui.showNotification(validation.message, 'error');
+        if (this.gameActions.nassau.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Nassau holes recorded yet';
+            container.appendChild(noDataP);
             return;
         }
         
-        // Get current carryover count
-        const currentCarryover = this.gameConfigs.skins.carryoverCount;
-        
-        // Create skins action
-        const skinsAction = {
-            id: Date.now(),
-            hole: hole,
-            winner: winner,
-            skinsWon: winner === 'carryover' ? 0 : currentCarryover,
-            carryoverCount: currentCarryover,
-            timestamp: new Date()
-        };
-        
-        this.gameActions.skins.push(skinsAction);
-        
-        // Also add to game instance if it exists
-        if (this.gameInstances && this.gameInstances.skins) {
-            this.gameInstances.skins.addAction(skinsAction);
-        }
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.nassau).forEach(action => {
+            const isHalved = action.winner === NASSAU_CONFIG.HALVED_VALUE;
+            const resultText = isHalved ? NASSAU_CONFIG.HALVED_TEXT : `🏌️ ${this.gameInstances.nassau.getSideName(action.winner)} won the hole`;
+            
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${isHalved ? '' : 'success'}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Nassau result';
+            deleteBtn.onclick = () => this.deleteNassauAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${isHalved ? '' : 'success'}`;
+            resultDiv.textContent = resultText;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateBingoActionsList() {
+        const container = document.getElementById('bingoActionsList');
+        container.innerHTML = '';
         
-        // Update carryover count based on result
-        if (winner === 'carryover') {
-            this.gameConfigs.skins.carryoverCount += 1;
-        } else {
-            // Reset carryover count when someone wins
-            this.gameConfigs.skins.carryoverCount = 1;
+        if (this.gameActions.bingo.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No points recorded yet';
+            container.appendChild(noDataP);
+            return;
         }
         
-        // Track modal save analytics
-        AnalyticsUtils.trackGameAction('skins', 'modal_action', hole, {
-            winner: winner,
-            carryoverCount: currentCarryover
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.bingo).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = 'game-action-item success';
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete these Bingo Bango Bongo points';
+            deleteBtn.onclick = () => this.deleteBingoAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'game-action-result success';
+            resultDiv.textContent = `🎳 ${this.describeBingoPoints(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
-        AnalyticsUtils.trackModalInteraction('skins', 'save');
-        
-        // Auto-save game state
-        this.saveGameState();
-        
-        // Hide modal and update display
-        this.hideSkinsModal();
-        this.updateGameDisplay();
-        
-        // Show result message
-        if (winner === 'carryover') {
-            this.ui.showNotification(`Hole ${hole}: No winner - ${this.gameConfigs.skins.carryoverCount} skins now carrying over`, 'info');
-        } else {
-            if (this.requiredPlayers === 4 && this.gameConfigs.skins?.teamNames && (winner === 'team1' || winner === 'team2')) {
-                // 4 players: Show team names
-                const winningTeam = winner === 'team1' ? this.gameConfigs.skins.teamNames.team1 : this.gameConfigs.skins.teamNames.team2;
-                this.ui.showNotification(`${winningTeam} won ${currentCarryover} skin${currentCarryover > 1 ? 's' : ''} on hole ${hole}`, 'success');
-            } else {
-                // 2-3 players: Show individual player name
-                this.ui.showNotification(`${winner} won ${currentCarryover} skin${currentCarryover > 1 ? 's' : ''} on hole ${hole}`, 'success');
-            }
-        }
     }
 
-    // KP Game Methods
-    showKPModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('kp', 'open');
+    updateVegasActionsList() {
+        const container = document.getElementById('vegasActionsList');
+        container.innerHTML = '';
         
-        const modal = document.getElementById('kpModal');
-        const playerSelect = document.getElementById('kpWinner');
-        const holeInput = document.getElementById('kpHole');
+        if (this.gameActions.vegas.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Vegas holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
         
-        // Populate player select
-        playerSelect.innerHTML = '<option value="">Select player...</option>';
-        this.players.forEach(player => {
-            const option = document.createElement('option');
-            option.value = player;
-            option.textContent = player;
-            playerSelect.appendChild(option);
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.vegas).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = 'game-action-item success';
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole} (Par ${action.par})`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Vegas hole';
+            deleteBtn.onclick = () => this.deleteVegasAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'game-action-result success';
+            resultDiv.textContent = `🎰 ${this.describeVegasHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
-        
-        // Set current hole
-        holeInput.value = this.currentHole;
-        
-        modal.style.display = 'flex';
     }
 
-    hideKPModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('kp', 'close');
+    updateSixesSchedule() {
+        const container = document.getElementById('sixesSchedule');
+        if (!container || !this.gameInstances.sixes) return;
         
-        document.getElementById('kpModal').style.display = 'none';
+        container.innerHTML = '';
+        
+        this.gameInstances.sixes.getSegmentResults().forEach(segment => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = `Holes ${segment.holes}: ${segment.team1.join(' & ')} vs ${segment.team2.join(' & ')}`;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = segment.holesPlayed > 0 ? segment.status : 'Not started';
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
     }
 
-    saveKPAction() {
-        const hole = parseInt(document.getElementById('kpHole').value);
-        const winner = document.getElementById('kpWinner').value;
+    updateSixesActionsList() {
+        const container = document.getElementById('sixesActionsList');
+        container.innerHTML = '';
         
-        // Use ValidationManager for input validation
-        const validation = this.validator.validateKPInput(winner, hole);
-        if (!validation.success) {
-            this.ui.showNotification(validation.message, 'error');
+        if (this.gameActions.sixes.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Sixes holes recorded yet';
+            container.appendChild(noDataP);
             return;
         }
         
-        // Create KP action
-        const kpAction = {
-            id: Date.now(),
-            hole: hole,
-            winner: winner,
-            timestamp: new Date()
-        };
-        
-        this.gameActions.kp.push(kpAction);
-        
-        // Also add to game instance if it exists
-        if (this.gameInstances && this.gameInstances.kp) {
-            this.gameInstances.kp.addAction(kpAction);
-        }
-        
-        // Track modal save analytics
-        AnalyticsUtils.trackGameAction('kp', 'modal_action', hole, {
-            winner: winner
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.sixes).forEach(action => {
+            const isHalved = action.winner === SIXES_CONFIG.HALVED_VALUE;
+            
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${isHalved ? '' : 'success'}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Sixes result';
+            deleteBtn.onclick = () => this.deleteSixesAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${isHalved ? '' : 'success'}`;
+            resultDiv.textContent = `🔄 ${this.describeSixesResult(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
-        AnalyticsUtils.trackModalInteraction('kp', 'save');
-        
-        // Auto-save game state
-        this.saveGameState();
-        
-        // Hide modal and update display
-        this.hideKPModal();
-        this.updateGameDisplay();
-        
-        // Show result message
-        this.ui.showNotification(`${winner} got closest to the pin on hole ${hole}!`, 'success');
     }
 
-    // Snake Game Methods
-    showSnakeModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('snake', 'open');
+    updateHammerActionsList() {
+        const container = document.getElementById('hammerActionsList');
+        container.innerHTML = '';
         
-        const modal = document.getElementById('snakeModal');
-        const playerSelect = document.getElementById('snakePlayer');
-        const holeInput = document.getElementById('snakeHole');
+        if (this.gameActions.hammer.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Hammer holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
         
-        // Populate player select
-        playerSelect.innerHTML = '';
-        const defaultOption = document.createElement('option');
-        defaultOption.value = '';
-        defaultOption.textContent = 'Select player...';
-        playerSelect.appendChild(defaultOption);
-        this.players.forEach(player => {
-            const option = document.createElement('option');
-            option.value = player;
-            option.textContent = player;
-            playerSelect.appendChild(option);
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.hammer).forEach(action => {
+            const isHalved = action.winner === HAMMER_CONFIG.HALVED_VALUE;
+            
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${isHalved ? '' : 'success'}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Hammer hole';
+            deleteBtn.onclick = () => this.deleteHammerAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${isHalved ? '' : 'success'}`;
+            resultDiv.textContent = `🔨 ${this.describeHammerHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            
+            // Hammer history for the hole
+            const history = this.describeHammerHistory(action.hole);
+            if (history) {
+                const historyDiv = document.createElement('div');
+                historyDiv.className = 'game-action-details';
+                historyDiv.textContent = history;
+                actionDiv.appendChild(historyDiv);
+            }
+            
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
-        
-        // Set current hole
-        holeInput.value = this.currentHole;
-        
-        modal.style.display = 'flex';
     }
 
-    hideSnakeModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('snake', 'close');
+    updateJunkTally() {
+        const container = document.getElementById('junkTally');
+        if (!container || !this.gameInstances.junk) return;
         
-        document.getElementById('snakeModal').style.display = 'none';
+        container.innerHTML = '';
+        
+        const dots = this.gameInstances.junk.getEnabledDots();
+        const stats = this.gameInstances.junk.getStats();
+        
+        Object.entries(stats.dotsByPlayer).forEach(([player, counts]) => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            const dotText = dots
+                .filter(item => counts[item.id] > 0)
+                .map(item => `${item.icon} ${item.name} x${counts[item.id]}`)
+                .join(', ');
+            labelSpan.textContent = `${player}: ${dotText || 'No dots'}`;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = `${stats.pointsByPlayer[player]} pts`;
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
     }
 
-    saveSnakeAction() {
-        const hole = parseInt(document.getElementById('snakeHole').value);
-        const player = document.getElementById('snakePlayer').value;
+    updateJunkActionsList() {
+        const container = document.getElementById('junkActionsList');
+        container.innerHTML = '';
         
-        // Use ValidationManager for input validation
-        const validation = this.validator.validateSnakeInput(player, hole);
-        if (!validation.success) {
-            this.ui.showNotification(validation.message, 'error');
+        if (this.gameActions.junk.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No dots awarded yet';
+            container.appendChild(noDataP);
             return;
         }
         
-        // Create snake action
-        const snakeAction = {
-            id: Date.now(),
-            hole: hole,
-            player: player,
-            timestamp: new Date()
-        };
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.junk).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = 'game-action-item success';
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete these dots';
+            deleteBtn.onclick = () => this.deleteJunkAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'game-action-result success';
+            resultDiv.textContent = this.describeJunkAwards(action);
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateRabbitNines() {
+        const container = document.getElementById('rabbitNines');
+        if (!container || !this.gameInstances.rabbit) return;
+        
+        container.innerHTML = '';
         
-        this.gameActions.snake.push(snakeAction);
+        this.gameInstances.rabbit.getNineResults().forEach(nine => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = `${nine.name} (holes ${nine.startHole}-${nine.endHole})`;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            if (nine.holder) {
+                valueSpan.textContent = nine.settled ? `${nine.holder} collected` : `${nine.holder} has the rabbit`;
+            } else {
+                valueSpan.textContent = nine.settled ? 'Rabbit got away' : 'Rabbit is free';
+            }
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
+    }
+
+    updateRabbitActionsList() {
+        const container = document.getElementById('rabbitActionsList');
+        container.innerHTML = '';
         
-        // Also add to game instance if it exists
-        if (this.gameInstances && this.gameInstances.snake) {
-            this.gameInstances.snake.addAction(snakeAction);
+        if (this.gameActions.rabbit.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Rabbit holes recorded yet';
+            container.appendChild(noDataP);
+            return;
         }
         
-        // Track modal save analytics
-        AnalyticsUtils.trackGameAction('snake', 'modal_action', hole, {
-            player: player
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.rabbit).forEach(action => {
+            const isTie = action.winner === RABBIT_CONFIG.TIE_VALUE;
+            
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${isTie ? 'neutral' : 'success'}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Rabbit result';
+            deleteBtn.onclick = () => this.deleteRabbitAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${isTie ? 'neutral' : 'success'}`;
+            resultDiv.textContent = `🐇 ${this.describeRabbitHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
-        AnalyticsUtils.trackModalInteraction('snake', 'save');
-        
-        // Auto-save game state
-        this.saveGameState();
+    }
+
+    updateStablefordStandings() {
+        const container = document.getElementById('stablefordStandings');
+        if (!container || !this.gameInstances.stableford) return;
         
-        // Hide modal and update display
-        this.hideSnakeModal();
-        this.updateGameDisplay();
+        container.innerHTML = '';
         
-        // Show result message
-        this.ui.showNotification(`${player} got a snake on hole ${hole}!`, 'success');
+        const pointsByPlayer = this.gameInstances.stableford.getPointsByPlayer();
+        Object.entries(pointsByPlayer)
+            .sort(([, a], [, b]) => b - a)
+            .forEach(([player, points]) => {
+                const rowDiv = document.createElement('div');
+                rowDiv.className = 'status-row';
+                
+                const labelSpan = document.createElement('span');
+                labelSpan.className = 'status-label';
+                labelSpan.textContent = player;
+                
+                const valueSpan = document.createElement('span');
+                valueSpan.className = 'status-value';
+                valueSpan.textContent = `${points} pts`;
+                
+                rowDiv.appendChild(labelSpan);
+                rowDiv.appendChild(valueSpan);
+                container.appendChild(rowDiv);
+            });
     }
 
-    // Wolf Game Methods
-    showWolfModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('wolf', 'open');
-        
-        const modal = document.getElementById('wolfModal');
-        const holeInput = document.getElementById('wolfHole');
-        const wolfPlayerSelect = document.getElementById('wolfPlayer');
-        const wolfChoiceSelect = document.getElementById('wolfChoice');
-        const partnerSelect = document.getElementById('wolfPartner');
-        const resultSelect = document.getElementById('wolfResult');
+    updateStablefordActionsList() {
+        const container = document.getElementById('stablefordActionsList');
+        container.innerHTML = '';
         
-        // Set current hole
-        holeInput.value = this.currentHole;
+        if (this.gameActions.stableford.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Stableford holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
         
-        // Populate wolf player options (should be the current wolf for this hole)
-        wolfPlayerSelect.innerHTML = '';
-        const defaultWolfOption = document.createElement('option');
-        defaultWolfOption.value = '';
-        defaultWolfOption.textContent = 'Select Wolf...';
-        wolfPlayerSelect.appendChild(defaultWolfOption);
-        this.players.forEach(player => {
-            const option = document.createElement('option');
-            option.value = player;
-            option.textContent = player;
-            wolfPlayerSelect.appendChild(option);
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.stableford).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = 'game-action-item success';
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole} (Par ${this.gameInstances.stableford.getParForHole(action)})`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Stableford hole';
+            deleteBtn.onclick = () => this.deleteStablefordAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'game-action-result success';
+            resultDiv.textContent = `📊 ${this.describeStablefordHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
+    }
+
+    updateNinePointStandings() {
+        const container = document.getElementById('ninePointStandings');
+        if (!container || !this.gameInstances.ninePoint) return;
         
-        // Set default wolf based on rotation
-        if (this.gameInstances.wolf) {
-            const currentWolf = this.gameInstances.wolf.getCurrentWolf(this.currentHole);
-            if (currentWolf) {
-                wolfPlayerSelect.value = currentWolf.player;
-            }
-        }
+        container.innerHTML = '';
         
-        // Initially hide partner field and make it not required
-        const partnerGroup = document.getElementById('wolfPartnerGroup');
-        partnerGroup.style.display = 'none';
-        partnerSelect.required = false;
+        const stats = this.gameInstances.ninePoint.getStats();
+        Object.entries(stats.pointsByPlayer)
+            .sort(([, a], [, b]) => b - a)
+            .forEach(([player, points]) => {
+                const difference = points - stats.evenShare;
+                
+                const rowDiv = document.createElement('div');
+                rowDiv.className = 'status-row';
+                
+                const labelSpan = document.createElement('span');
+                labelSpan.className = 'status-label';
+                labelSpan.textContent = `${player}: ${points} pts`;
+                
+                const valueSpan = document.createElement('span');
+                valueSpan.className = 'status-value';
+                valueSpan.textContent = difference > 0 ? `+${difference} vs share` : 
+                                        difference < 0 ? `${difference} vs share` : 'Even';
+                
+                rowDiv.appendChild(labelSpan);
+                rowDiv.appendChild(valueSpan);
+                container.appendChild(rowDiv);
+            });
+    }
+
+    updateNinePointActionsList() {
+        const container = document.getElementById('ninePointActionsList');
+        container.innerHTML = '';
         
-        // Populate partner options
-        partnerSelect.innerHTML = '';
-        const defaultPartnerOption = document.createElement('option');
-        defaultPartnerOption.value = '';
-        defaultPartnerOption.textContent = 'Select Partner...';
-        partnerSelect.appendChild(defaultPartnerOption);
-        this.players.forEach(player => {
-            if (player !== wolfPlayerSelect.value) {
-                const option = document.createElement('option');
-                option.value = player;
-                option.textContent = player;
-                partnerSelect.appendChild(option);
-            }
-        });
+        if (this.gameActions.ninePoint.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Nine Point holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
         
-        // Add event listener for wolf choice change
-        wolfChoiceSelect.addEventListener('change', () => {
-            const partnerGroup = document.getElementById('wolfPartnerGroup');
-            if (wolfChoiceSelect.value === 'partner') {
-                partnerGroup.style.display = 'block';
-                partnerSelect.required = true;
-                // Repopulate partner options when switching to partner mode
-                partnerSelect.innerHTML = '';
-                const defaultPartnerOption = document.createElement('option');
-                defaultPartnerOption.value = '';
-                defaultPartnerOption.textContent = 'Select Partner...';
-                partnerSelect.appendChild(defaultPartnerOption);
-                this.players.forEach(player => {
-                    if (player !== wolfPlayerSelect.value) {
-                        const option = document.createElement('option');
-                        option.value = player;
-                        option.textContent = player;
-                        partnerSelect.appendChild(option);
-                    }
-                });
-            } else {
-                partnerGroup.style.display = 'none';
-                partnerSelect.required = false;
-                partnerSelect.value = '';
-            }
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.ninePoint).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = 'game-action-item success';
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Nine Point hole';
+            deleteBtn.onclick = () => this.deleteNinePointAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'game-action-result success';
+            resultDiv.textContent = `9️⃣ ${this.describeNinePointHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
+    }
+
+    updateBankerStandings() {
+        const container = document.getElementById('bankerStandings');
+        if (!container || !this.gameInstances.banker) return;
         
-        // Add event listener for wolf player change to update partner options
-        wolfPlayerSelect.addEventListener('change', () => {
-            // Repopulate partner options excluding the selected wolf
-            partnerSelect.innerHTML = '';
-            const defaultPartnerOption = document.createElement('option');
-            defaultPartnerOption.value = '';
-            defaultPartnerOption.textContent = 'Select Partner...';
-            partnerSelect.appendChild(defaultPartnerOption);
-            this.players.forEach(player => {
-                if (player !== wolfPlayerSelect.value) {
-                    const option = document.createElement('option');
-                    option.value = player;
-                    option.textContent = player;
-                    partnerSelect.appendChild(option);
-                }
-            });
+        container.innerHTML = '';
+        
+        const stats = this.gameInstances.banker.getStats();
+        Object.entries(stats.bankerNetByPlayer).forEach(([player, net]) => {
+            const holesBanked = this.gameActions.banker.filter(action => action.banker === player).length;
+            
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = `${player} (${holesBanked} hole${holesBanked !== 1 ? 's' : ''} banked):`;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = net > 0 ? `+$${net.toFixed(2)}` : 
+                                    net < 0 ? `-$${Math.abs(net).toFixed(2)}` : '$0.00';
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
         });
+    }
+
+    updateBankerActionsList() {
+        const container = document.getElementById('bankerActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.banker.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Banker holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
         
-        // Show modal
-        modal.style.display = 'block';
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.banker).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const net = this.gameInstances.banker.getBankerNet(action);
+            const resultClass = net > 0 ? 'success' : net < 0 ? 'fail' : 'neutral';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${resultClass}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Banker hole';
+            deleteBtn.onclick = () => this.deleteBankerAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${resultClass}`;
+            const netText = net > 0 ? `+$${net.toFixed(2)}` : net < 0 ? `-$${Math.abs(net).toFixed(2)}` : '$0.00';
+            resultDiv.textContent = `🏦 ${action.banker} banked: ${netText}`;
+            
+            const detailsDiv = document.createElement('div');
+            detailsDiv.className = 'game-action-details';
+            detailsDiv.textContent = action.bets.map(bet => this.describeBankerBet(action, bet)).join(', ');
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            actionDiv.appendChild(detailsDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
+        });
     }
 
-    hideWolfModal() {
-        // Track modal interaction
-        AnalyticsUtils.trackModalInteraction('wolf', 'close');
+    updateMatchPlayStatusPanel() {
+        const container = document.getElementById('matchPlayStatusPanel');
+        if (!container || !this.gameInstances.matchPlay) return;
         
-        const modal = document.getElementById('wolfModal');
-        modal.style.display = 'none';
+        container.innerHTML = '';
         
-        // Clear form
-        document.getElementById('wolfHole').value = '';
-        document.getElementById('wolfPlayer').selectedIndex = 0;
-        document.getElementById('wolfChoice').selectedIndex = 0;
-        document.getElementById('wolfPartner').selectedIndex = 0;
-        document.getElementById('wolfResult').selectedIndex = 0;
+        const match = this.gameInstances.matchPlay.getMatchStatus();
+        const rows = [
+            { label: 'Match:', value: match.status },
+            { label: 'Holes played:', value: `${match.holesPlayed}` },
+            { label: 'Holes remaining:', value: match.finished ? 'Match over' : `${match.holesRemaining}` }
+        ];
+        
+        rows.forEach(({ label, value }) => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = label;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = value;
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
     }
 
-    saveWolfAction() {
-        const hole = parseInt(document.getElementById('wolfHole').value);
-        const wolf = document.getElementById('wolfPlayer').value;
-        const wolfChoice = document.getElementById('wolfChoice').value;
-        const partner = document.getElementById('wolfPartner').value;
-        const result = document.getElementById('wolfResult').value;
-        
-        // Form values captured
+    updateMatchPlayActionsList() {
+        const container = document.getElementById('matchPlayActionsList');
+        container.innerHTML = '';
         
-        // Basic validation
-        if (!hole || !wolf || !wolfChoice || !result) {
-            this.ui.showNotification('Please fill in all required fields.', 'error');
+        if (this.gameActions.matchPlay.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Match Play holes recorded yet';
+            container.appendChild(noDataP);
             return;
         }
         
-        // Validate partner is selected if not lone wolf
-        if (wolfChoice === 'partner' && !partner) {
-            this.ui.showNotification('Please select a partner.', 'error');
-            return;
-        }
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.matchPlay).forEach(action => {
+            const isHalved = action.winner === MATCH_PLAY_CONFIG.HALVED_VALUE;
+            
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${isHalved ? '' : 'success'}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Match Play result';
+            deleteBtn.onclick = () => this.deleteMatchPlayAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${isHalved ? '' : 'success'}`;
+            resultDiv.textContent = `⚔️ ${this.describeMatchPlayResult(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateQuotaStandings() {
+        const container = document.getElementById('quotaStandings');
+        if (!container || !this.gameInstances.quota) return;
         
-        // Create wolf action
-        const wolfAction = {
-            id: Date.now(),
-            hole: hole,
-            wolf: wolf,
-            wolfChoice: wolfChoice,
-            partner: wolfChoice === 'partner' ? partner : null,
-            result: result,
-            timestamp: new Date()
-        };
+        container.innerHTML = '';
         
-        // Add to game instance if it exists
-        if (this.gameInstances && this.gameInstances.wolf) {
-            this.gameInstances.wolf.addAction(wolfAction);
-        }
+        const stats = this.gameInstances.quota.getStats();
+        Object.entries(stats.overQuota)
+            .sort(([, a], [, b]) => b - a)
+            .forEach(([player, overQuota]) => {
+                const rowDiv = document.createElement('div');
+                rowDiv.className = 'status-row';
+                
+                const labelSpan = document.createElement('span');
+                labelSpan.className = 'status-label';
+                labelSpan.textContent = player;
+                
+                const valueSpan = document.createElement('span');
+                valueSpan.className = 'status-value';
+                valueSpan.textContent = this.formatQuotaResult(stats.pointsByPlayer[player], stats.quotas[player], overQuota);
+                
+                rowDiv.appendChild(labelSpan);
+                rowDiv.appendChild(valueSpan);
+                container.appendChild(rowDiv);
+            });
+    }
+
+    updateQuotaActionsList() {
+        const container = document.getElementById('quotaActionsList');
+        container.innerHTML = '';
         
-        // Also add to legacy for backwards compatibility
-        this.gameActions.wolf.push(wolfAction);
-        // Wolf action added to legacy system
+        if (this.gameActions.quota.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Quota holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
         
-        // Track modal save analytics
-        AnalyticsUtils.trackGameAction('wolf', 'modal_action', hole, {
-            wolf: wolf,
-            wolfChoice: wolfChoice,
-            partner: partner,
-            result: result
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.quota).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = 'game-action-item success';
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole} (Par ${this.gameInstances.quota.getParForHole(action)})`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Quota hole';
+            deleteBtn.onclick = () => this.deleteQuotaAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'game-action-result success';
+            resultDiv.textContent = `🎚️ ${this.describeQuotaHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
         });
-        AnalyticsUtils.trackModalInteraction('wolf', 'save');
-        
-        // Auto-save game state
-        this.saveGameState();
-        
-        // Hide modal and update display
-        this.hideWolfModal();
-        this.updateGameDisplay();
-        
-        // Show result message
-        const resultText = result === 'wolf_wins' ? 'won' : 'lost';
-        const choiceText = wolfChoice === 'lone_wolf' ? 'Lone Wolf' : `Wolf + ${wolfAction.partner}`;
-        this.ui.showNotification(`${choiceText} ${resultText} on hole ${hole}!`, 'success');
     }
 
-    updateGameDisplay() {
-
-        
-        // Update navigation status
-        this.updateNavigationStatus();
+    updateDefenderSchedule() {
+        const container = document.getElementById('defenderSchedule');
+        if (!container || !this.gameInstances.defender) return;
         
-        // Update quick actions status
-        this.updateQuickActionsStatus();
+        container.innerHTML = '';
         
-        // Update current page if it's visible and the game is enabled
-        if (this.currentPage === 'murph' && this.gameConfigs.murph?.enabled) {
-            this.updateMurphPage();
-        } else if (this.currentPage === 'skins' && this.gameConfigs.skins?.enabled) {
-            this.updateSkinsPage();
-        } else if (this.currentPage === 'kp' && this.gameConfigs.kp?.enabled) {
-            this.updateKPPage();
-        } else if (this.currentPage === 'snake' && this.gameConfigs.snake?.enabled) {
-            this.updateSnakePage();
-        } else if (this.currentPage === 'wolf' && this.gameConfigs.wolf?.enabled) {
-            this.updateWolfPage();
-        } else if (this.currentPage === 'combined') {
-            this.updateCombinedPage();
-        }
+        const currentDefender = this.gameInstances.defender.getDefenderForHole(this.currentHole);
+        this.gameInstances.defender.getDefenderSchedule().forEach(({ player, holes }) => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = player === currentDefender ? `${player} (this hole)` : player;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = `Holes ${holes.join(', ')}`;
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
     }
 
-    updateNavigationStatus() {
-
-        
-        // Update Murph status and styling
-        if (this.gameConfigs.murph?.enabled) {
-            const murphCount = this.gameActions.murph.length;
-    
-            const murphStatus = document.getElementById('murphStatus');
-            if (murphStatus) {
-                murphStatus.textContent = `${murphCount} call${murphCount !== 1 ? 's' : ''}`;
+    updateDefenderActionsList() {
+        const container = document.getElementById('defenderActionsList');
+        container.innerHTML = '';
         
-            } else {
-                console.warn('Murph status element not found');
-            }
-            // Add selected class to Murph button
-            const murphBtn = document.getElementById('navMurph');
-            if (murphBtn) {
-                murphBtn.classList.add('selected');
-            }
-        } else {
-            // Remove selected class from Murph button
-            const murphBtn = document.getElementById('navMurph');
-            if (murphBtn) {
-                murphBtn.classList.remove('selected');
-            }
+        if (this.gameActions.defender.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Defender holes recorded yet';
+            container.appendChild(noDataP);
+            return;
         }
         
-        // Update Skins status and styling
-        if (this.gameConfigs.skins?.enabled) {
-            const skinsCount = this.gameActions.skins.length;
-            const skinsStatus = document.getElementById('skinsStatus');
-            if (skinsStatus) {
-                skinsStatus.textContent = `${skinsCount} skin${skinsCount !== 1 ? 's' : ''}`;
-            }
-            // Add selected class to Skins button
-            const skinsBtn = document.getElementById('navSkins');
-            if (skinsBtn) {
-                skinsBtn.classList.add('selected');
-            }
-        } else {
-            // Remove selected class from Skins button
-            const skinsBtn = document.getElementById('navSkins');
-            if (skinsBtn) {
-                skinsBtn.classList.remove('selected');
-            }
-        }
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.defender).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const resultClass = action.result === DEFENDER_CONFIG.RESULTS.DEFENDER ? 'success' :
+                                action.result === DEFENDER_CONFIG.RESULTS.OPPONENTS ? 'fail' : 'neutral';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${resultClass}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Defender hole';
+            deleteBtn.onclick = () => this.deleteDefenderAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${resultClass}`;
+            resultDiv.textContent = `🛡️ ${this.describeDefenderResult(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateMoneyBallStatusPanel() {
+        const container = document.getElementById('moneyBallStatusPanel');
+        const moneyBall = this.gameInstances.moneyBall;
+        if (!container || !moneyBall) return;
         
-        // Update KP status and styling
-        if (this.gameConfigs.kp?.enabled) {
-            const kpCount = this.gameActions.kp.length;
-            const kpStatus = document.getElementById('kpStatus');
-            if (kpStatus) {
-                kpStatus.textContent = `${kpCount} KP${kpCount !== 1 ? 's' : ''}`;
-            }
-            // Add selected class to KP button
-            const kpBtn = document.getElementById('navKP');
-            if (kpBtn) {
-                kpBtn.classList.add('selected');
-            }
-        } else {
-            // Remove selected class from KP button
-            const kpBtn = document.getElementById('navKP');
-            if (kpBtn) {
-                kpBtn.classList.remove('selected');
-            }
-        }
+        container.innerHTML = '';
         
-        // Update Snake status and styling
-        if (this.gameConfigs.snake?.enabled) {
-            const snakeCount = this.gameActions.snake.length;
-            const snakeStatus = document.getElementById('snakeStatus');
-            if (snakeStatus) {
-                snakeStatus.textContent = `${snakeCount} snake${snakeCount !== 1 ? 's' : ''}`;
-            }
-            // Add selected class to Snake button
-            const snakeBtn = document.getElementById('navSnake');
-            if (snakeBtn) {
-                snakeBtn.classList.add('selected');
-            }
-        } else {
-            // Remove selected class from Snake button
-            const snakeBtn = document.getElementById('navSnake');
-            if (snakeBtn) {
-                snakeBtn.classList.remove('selected');
-            }
-        }
+        const rows = [MONEY_BALL_CONFIG.SIDE_1_VALUE, MONEY_BALL_CONFIG.SIDE_2_VALUE].map(team => ({
+            label: moneyBall.getSideName(team),
+            value: moneyBall.hasMoneyBall(team) ?
+                `In play - ${moneyBall.getMoneyBallPlayer(team, this.currentHole)} this hole` :
+                `Lost on hole ${moneyBall.getLostAction(team).hole} by ${moneyBall.getLostAction(team).player}`
+        }));
+        
+        const bonusWinner = moneyBall.getBonusWinner();
+        rows.push({
+            label: 'Bonus',
+            value: bonusWinner ? `${moneyBall.getSideName(bonusWinner)} win $${moneyBall.config.bonusAmount.toFixed(2)}` :
+                `$${moneyBall.config.bonusAmount.toFixed(2)}`
+        });
         
-        // Update Wolf status and styling
-        if (this.gameConfigs.wolf?.enabled) {
-            const wolfCount = this.gameActions.wolf.length;
-            const wolfStatus = document.getElementById('wolfStatus');
-            if (wolfStatus) {
-                wolfStatus.textContent = `${wolfCount} hole${wolfCount !== 1 ? 's' : ''}`;
-            }
-            // Add selected class to Wolf button
-            const wolfBtn = document.getElementById('navWolf');
-            if (wolfBtn) {
-                wolfBtn.classList.add('selected');
-            }
-        } else {
-            // Remove selected class from Wolf button
-            const wolfBtn = document.getElementById('navWolf');
-            if (wolfBtn) {
-                wolfBtn.classList.remove('selected');
-            }
-        }
+        rows.forEach(({ label, value }) => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = label;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = value;
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
     }
 
-    updateMurphActionsList() {
-        const container = document.getElementById('murphActionsList');
+    updateMoneyBallActionsList() {
+        const container = document.getElementById('moneyBallActionsList');
         container.innerHTML = '';
         
-        if (this.gameActions.murph.length === 0) {
+        if (this.gameActions.moneyBall.length === 0) {
             const noDataP = document.createElement('p');
             noDataP.style.textAlign = 'center';
             noDataP.style.color = '#7f8c8d';
             noDataP.style.fontStyle = 'italic';
-            noDataP.textContent = 'No Murph calls yet';
+            noDataP.textContent = 'No Money Ball holes recorded yet';
             container.appendChild(noDataP);
             return;
         }
         
-        // Group by hole
-        const callsByHole = {};
-        this.gameActions.murph.forEach(call => {
-            if (!callsByHole[call.hole]) {
-                callsByHole[call.hole] = [];
-            }
-            callsByHole[call.hole].push(call);
-        });
-        
-        // Display by hole
-        Object.keys(callsByHole).sort((a, b) => parseInt(a) - parseInt(b)).forEach(hole => {
+        // Display by hole, each score before any money ball lost on the hole
+        const isLost = action => action.type === MONEY_BALL_CONFIG.ACTIONS.LOST;
+        const playSequence = action => this.gameManager.getPlaySequence(action.hole);
+        [...this.gameActions.moneyBall].sort((a, b) => playSequence(a) - playSequence(b) || isLost(a) - isLost(b)).forEach(action => {
             const holeDiv = document.createElement('div');
             holeDiv.className = 'hole-group';
             
-            const holeH5 = document.createElement('h5');
-            holeH5.style.margin = '16px 0 8px 0';
-            holeH5.style.color = '#2c3e50';
-            holeH5.textContent = `Hole ${hole}`;
-            holeDiv.appendChild(holeH5);
+            const resultClass = isLost(action) ? 'fail' :
+                this.gameInstances.moneyBall.calculateHoleResult(action).winner === MONEY_BALL_CONFIG.HALVED_VALUE ? 'neutral' : 'success';
             
-            callsByHole[hole].forEach(call => {
-                const callDiv = document.createElement('div');
-                callDiv.className = `game-action-item ${call.result}`;
-                
-                const headerDiv = document.createElement('div');
-                headerDiv.className = 'game-action-header';
-                
-                const playerSpan = document.createElement('span');
-                playerSpan.className = 'game-action-player';
-                playerSpan.textContent = SecurityUtils.sanitizeInput(call.player);
-                
-                const holeSpan = document.createElement('span');
-                holeSpan.className = 'game-action-hole';
-                holeSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(call.hole)}`;
-                
-                const deleteBtn = document.createElement('button');
-                deleteBtn.type = 'button';
-                deleteBtn.className = 'btn-delete';
-                deleteBtn.textContent = '🗑️';
-                deleteBtn.title = 'Delete this Murph call';
-                deleteBtn.onclick = () => this.deleteMurphCall(call.id);
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${resultClass}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Money Ball action';
+            deleteBtn.onclick = () => this.deleteMoneyBallAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${resultClass}`;
+            resultDiv.textContent = `${isLost(action) ? '💸' : '💰'} ${this.describeMoneyBallAction(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateScotchStandings() {
+        const container = document.getElementById('scotchStandings');
+        if (!container || !this.gameInstances.scotch) return;
+        
+        container.innerHTML = '';
+        
+        const pointsByPlayer = this.gameInstances.scotch.getPointsByPlayer();
+        Object.entries(pointsByPlayer)
+            .sort(([, a], [, b]) => b - a)
+            .forEach(([player, points]) => {
+                const rowDiv = document.createElement('div');
+                rowDiv.className = 'status-row';
                 
-                headerDiv.appendChild(playerSpan);
-                headerDiv.appendChild(holeSpan);
-                headerDiv.appendChild(deleteBtn);
+                const labelSpan = document.createElement('span');
+                labelSpan.className = 'status-label';
+                labelSpan.textContent = player;
                 
-                const resultDiv = document.createElement('div');
-                resultDiv.className = `game-action-result ${call.result}`;
-                resultDiv.textContent = call.result === 'success' ? '✅ Made it!' : '❌ Failed';
+                const valueSpan = document.createElement('span');
+                valueSpan.className = 'status-value';
+                valueSpan.textContent = `${points} pts`;
                 
-                callDiv.appendChild(headerDiv);
-                callDiv.appendChild(resultDiv);
-                holeDiv.appendChild(callDiv);
+                rowDiv.appendChild(labelSpan);
+                rowDiv.appendChild(valueSpan);
+                container.appendChild(rowDiv);
             });
+    }
+
+    updateScotchActionsList() {
+        const container = document.getElementById('scotchActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.scotch.length === 0) {
+            const noDataP = document.createElement('p');
+            noDataP.style.textAlign = 'center';
+            noDataP.style.color = '#7f8c8d';
+            noDataP.style.fontStyle = 'italic';
+            noDataP.textContent = 'No Scotch holes recorded yet';
+            container.appendChild(noDataP);
+            return;
+        }
+        
+        // Display by hole
+        this.gameManager.sortByPlayOrder(this.gameActions.scotch).forEach(action => {
+            const holeDiv = document.createElement('div');
+            holeDiv.className = 'hole-group';
+            
+            const result = this.gameInstances.scotch.getHolePoints(action);
+            const resultClass = result.side1Points === result.side2Points ? 'neutral' : 'success';
+            
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${resultClass}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
             
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole} (Par ${this.gameInstances.scotch.getParForHole(action)})`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Scotch hole';
+            deleteBtn.onclick = () => this.deleteScotchAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${resultClass}`;
+            resultDiv.textContent = `🥃 ${this.describeScotchHole(action)}`;
+            
+            const detailsDiv = document.createElement('div');
+            detailsDiv.className = 'game-action-details';
+            detailsDiv.textContent = this.describeScotchCategories(action);
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            actionDiv.appendChild(detailsDiv);
+            holeDiv.appendChild(actionDiv);
             container.appendChild(holeDiv);
         });
     }
 
-    updateSkinsActionsList() {
-        const container = document.getElementById('skinsActionsList');
+    updateAceyDeuceyStandings() {
+        const container = document.getElementById('aceyDeuceyStandings');
+        if (!container || !this.gameInstances.aceyDeucey) return;
+        
         container.innerHTML = '';
         
-        if (this.gameActions.skins.length === 0) {
+        const { playerAces, playerDeuces } = this.gameInstances.aceyDeucey.getStats();
+        this.players.forEach(player => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = player;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = this.formatAcesAndDeuces(playerAces[player], playerDeuces[player]);
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
+    }
+
+    updateAceyDeuceyActionsList() {
+        const container = document.getElementById('aceyDeuceyActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.aceyDeucey.length === 0) {
             const noDataP = document.createElement('p');
             noDataP.style.textAlign = 'center';
             noDataP.style.color = '#7f8c8d';
             noDataP.style.fontStyle = 'italic';
-            noDataP.textContent = 'No Skins recorded yet';
+            noDataP.textContent = 'No Acey Deucey holes recorded yet';
             container.appendChild(noDataP);
             return;
         }
         
-        // Group by hole
-        const skinsByHole = {};
-        this.gameActions.skins.forEach(skin => {
-            if (!skinsByHole[skin.hole]) {
-                skinsByHole[skin.hole] = [];
-            }
-            skinsByHole[skin.hole].push(skin);
-        });
-        
         // Display by hole
-        Object.keys(skinsByHole).sort((a, b) => parseInt(a) - parseInt(b)).forEach(hole => {
+        this.gameManager.sortByPlayOrder(this.gameActions.aceyDeucey).forEach(action => {
             const holeDiv = document.createElement('div');
             holeDiv.className = 'hole-group';
             
-            const holeH5 = document.createElement('h5');
-            holeH5.style.margin = '16px 0 8px 0';
-            holeH5.style.color = '#2c3e50';
-            holeH5.textContent = `Hole ${hole}`;
-            holeDiv.appendChild(holeH5);
+            const tied = action.ace === ACEY_DEUCEY_CONFIG.TIE_VALUE && action.deuce === ACEY_DEUCEY_CONFIG.TIE_VALUE;
+            const resultClass = tied ? 'neutral' : 'success';
             
-            skinsByHole[hole].forEach(skin => {
-                const skinDiv = document.createElement('div');
-                skinDiv.className = `game-action-item ${skin.winner === 'carryover' ? 'neutral' : 'success'}`;
-                
-                let resultText = '';
-                if (skin.winner === 'carryover') {
-                    resultText = `Carryover - ${skin.carryoverCount} skin${skin.carryoverCount > 1 ? 's' : ''} at stake`;
-                } else if (this.requiredPlayers === 4 && this.gameConfigs.skins?.teamNames && (skin.winner === 'team1' || skin.winner === 'team2')) {
-                    // 4 players: Show team names
-                    if (skin.winner === 'team1') {
-                        resultText = `${SecurityUtils.sanitizeInput(this.gameConfigs.skins.teamNames.team1)} won ${skin.skinsWon} skin${skin.skinsWon > 1 ? 's' : ''}`;
-                    } else {
-                        resultText = `${SecurityUtils.sanitizeInput(this.gameConfigs.skins.teamNames.team2)} won ${skin.skinsWon} skin${skin.skinsWon > 1 ? 's' : ''}`;
-                    }
-                } else {
-                    // 2-3 players: Show individual player name
-                    resultText = `${SecurityUtils.sanitizeInput(skin.winner)} won ${skin.skinsWon} skin${skin.skinsWon > 1 ? 's' : ''}`;
-                }
-                
-                const headerDiv = document.createElement('div');
-                headerDiv.className = 'game-action-header';
-                
-                const playerSpan = document.createElement('span');
-                playerSpan.className = 'game-action-player';
-                playerSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(skin.hole)}`;
-                
-                const holeSpan = document.createElement('span');
-                holeSpan.className = 'game-action-hole';
-                holeSpan.textContent = 'Skins';
-                
-                const deleteBtn = document.createElement('button');
-                deleteBtn.type = 'button';
-                deleteBtn.className = 'btn-delete';
-                deleteBtn.textContent = '🗑️';
-                deleteBtn.title = 'Delete this Skins action';
-                deleteBtn.onclick = () => this.deleteSkinsAction(skin.id);
-                
-                headerDiv.appendChild(playerSpan);
-                headerDiv.appendChild(holeSpan);
-                headerDiv.appendChild(deleteBtn);
-                
-                const resultDiv = document.createElement('div');
-                resultDiv.className = `game-action-result ${skin.winner === 'carryover' ? 'neutral' : 'success'}`;
-                resultDiv.textContent = resultText;
-                
-                skinDiv.appendChild(headerDiv);
-                skinDiv.appendChild(resultDiv);
-                holeDiv.appendChild(skinDiv);
-            });
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${resultClass}`;
             
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Acey Deucey hole';
+            deleteBtn.onclick = () => this.deleteAceyDeuceyAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${resultClass}`;
+            resultDiv.textContent = `🃏 ${this.describeAceyDeuceyHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
             container.appendChild(holeDiv);
         });
     }
 
-    updateKPActionsList() {
-        const container = document.getElementById('kpActionsList');
+    updateLongestDriveSchedule() {
+        const container = document.getElementById('longestDriveSchedule');
+        if (!container || !this.gameInstances.longestDrive) return;
+        
         container.innerHTML = '';
         
-        if (this.gameActions.kp.length === 0) {
+        this.gameInstances.longestDrive.getDesignatedHoles().forEach(hole => {
+            const drive = this.gameInstances.longestDrive.getLongestDriveForHole(hole);
+            
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = `Hole ${hole}`;
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = drive ? this.describeLongestDrive(drive) : 'Not recorded';
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
+    }
+
+    updateLongestDriveActionsList() {
+        const container = document.getElementById('longestDriveActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.longestDrive.length === 0) {
             const noDataP = document.createElement('p');
             noDataP.style.textAlign = 'center';
             noDataP.style.color = '#7f8c8d';
             noDataP.style.fontStyle = 'italic';
-            noDataP.textContent = 'No KPs recorded yet';
+            noDataP.textContent = 'No longest drives recorded yet';
             container.appendChild(noDataP);
             return;
         }
         
-        // Group by hole
-        const kpsByHole = {};
-        this.gameActions.kp.forEach(kp => {
-            if (!kpsByHole[kp.hole]) {
-                kpsByHole[kp.hole] = [];
-            }
-            kpsByHole[kp.hole].push(kp);
-        });
-        
         // Display by hole
-        Object.keys(kpsByHole).sort((a, b) => parseInt(a) - parseInt(b)).forEach(hole => {
+        this.gameManager.sortByPlayOrder(this.gameActions.longestDrive).forEach(action => {
             const holeDiv = document.createElement('div');
             holeDiv.className = 'hole-group';
             
-            const holeH5 = document.createElement('h5');
-            holeH5.style.margin = '16px 0 8px 0';
-            holeH5.style.color = '#2c3e50';
-            holeH5.textContent = `Hole ${hole}`;
-            holeDiv.appendChild(holeH5);
+            const actionDiv = document.createElement('div');
+            actionDiv.className = 'game-action-item success';
             
-            kpsByHole[hole].forEach(kp => {
-                const kpDiv = document.createElement('div');
-                kpDiv.className = 'game-action-item success';
-                
-                const headerDiv = document.createElement('div');
-                headerDiv.className = 'game-action-header';
-                
-                const playerSpan = document.createElement('span');
-                playerSpan.className = 'game-action-player';
-                playerSpan.textContent = SecurityUtils.sanitizeInput(kp.winner);
-                
-                const holeSpan = document.createElement('span');
-                holeSpan.className = 'game-action-hole';
-                holeSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(kp.hole)}`;
-                
-                const deleteBtn = document.createElement('button');
-                deleteBtn.type = 'button';
-                deleteBtn.className = 'btn-delete';
-                deleteBtn.textContent = '🗑️';
-                deleteBtn.title = 'Delete this KP action';
-                deleteBtn.onclick = () => this.deleteKPAction(kp.id);
-                
-                headerDiv.appendChild(playerSpan);
-                headerDiv.appendChild(holeSpan);
-                headerDiv.appendChild(deleteBtn);
-                
-                const resultDiv = document.createElement('div');
-                resultDiv.className = 'game-action-result success';
-                resultDiv.textContent = '🎯 Closest to the Pin';
-                
-                kpDiv.appendChild(headerDiv);
-                kpDiv.appendChild(resultDiv);
-                holeDiv.appendChild(kpDiv);
-            });
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this longest drive';
+            deleteBtn.onclick = () => this.deleteLongestDriveAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'game-action-result success';
+            resultDiv.textContent = `🚀 ${this.describeLongestDrive(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
+            container.appendChild(holeDiv);
+        });
+    }
+
+    updateUmbrellaTally() {
+        const container = document.getElementById('umbrellaTally');
+        const umbrella = this.gameInstances.umbrella;
+        if (!container || !umbrella) return;
+        
+        container.innerHTML = '';
+        
+        const { side1Points, side2Points } = umbrella.getTeamTotals();
+        const rows = umbrella.getHoleTally().map(tally => ({
+            label: `Hole ${tally.hole}`,
+            value: `${tally.side1Points} - ${tally.side2Points}${tally.umbrella ? ' ☂️' : ''}`
+        }));
+        rows.push({
+            label: `Total (${umbrella.getSideName(UMBRELLA_CONFIG.SIDE_1_VALUE)} - ${umbrella.getSideName(UMBRELLA_CONFIG.SIDE_2_VALUE)})`,
+            value: `${side1Points} - ${side2Points}`
+        });
+        
+        rows.forEach(({ label, value }) => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = label;
             
-            container.appendChild(holeDiv);
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = value;
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
         });
     }
 
-    updateSnakeActionsList() {
-        const container = document.getElementById('snakeActionsList');
+    updateUmbrellaActionsList() {
+        const container = document.getElementById('umbrellaActionsList');
         container.innerHTML = '';
         
-        if (this.gameActions.snake.length === 0) {
+        if (this.gameActions.umbrella.length === 0) {
             const noDataP = document.createElement('p');
             noDataP.style.textAlign = 'center';
             noDataP.style.color = '#7f8c8d';
             noDataP.style.fontStyle = 'italic';
-            noDataP.textContent = 'No snakes recorded yet';
+            noDataP.textContent = 'No Umbrella holes recorded yet';
             container.appendChild(noDataP);
             return;
         }
         
-        // Group by hole
-        const snakesByHole = {};
-        this.gameActions.snake.forEach(snake => {
-            if (!snakesByHole[snake.hole]) {
-                snakesByHole[snake.hole] = [];
-            }
-            snakesByHole[snake.hole].push(snake);
-        });
+        const umbrella = this.gameInstances.umbrella;
         
         // Display by hole
-        Object.keys(snakesByHole).sort((a, b) => parseInt(a) - parseInt(b)).forEach(hole => {
+        this.gameManager.sortByPlayOrder(this.gameActions.umbrella).forEach(action => {
             const holeDiv = document.createElement('div');
             holeDiv.className = 'hole-group';
             
-            const holeH5 = document.createElement('h5');
-            holeH5.style.margin = '16px 0 8px 0';
-            holeH5.style.color = '#2c3e50';
-            holeH5.textContent = `Hole ${hole}`;
-            holeDiv.appendChild(holeH5);
+            const result = umbrella.getHolePoints(action);
+            const resultClass = result.side1Points === result.side2Points ? 'neutral' : 'success';
             
-            snakesByHole[hole].forEach(snake => {
-                const snakeDiv = document.createElement('div');
-                snakeDiv.className = 'game-action-item error';
-                
-                const headerDiv = document.createElement('div');
-                headerDiv.className = 'game-action-header';
-                
-                const playerSpan = document.createElement('span');
-                playerSpan.className = 'game-action-player';
-                playerSpan.textContent = SecurityUtils.sanitizeInput(snake.player);
-                
-                const holeSpan = document.createElement('span');
-                holeSpan.className = 'game-action-hole';
-                holeSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(snake.hole)}`;
-                
-                const deleteBtn = document.createElement('button');
-                deleteBtn.type = 'button';
-                deleteBtn.className = 'btn-delete';
-                deleteBtn.textContent = '🗑️';
-                deleteBtn.title = 'Delete this Snake action';
-                deleteBtn.onclick = () => this.deleteSnakeAction(snake.id);
-                
-                headerDiv.appendChild(playerSpan);
-                headerDiv.appendChild(holeSpan);
-                headerDiv.appendChild(deleteBtn);
-                
-                const resultDiv = document.createElement('div');
-                resultDiv.className = 'game-action-result error';
-                resultDiv.textContent = '🐍 Snake';
-                
-                snakeDiv.appendChild(headerDiv);
-                snakeDiv.appendChild(resultDiv);
-                holeDiv.appendChild(snakeDiv);
-            });
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${resultClass}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
+            
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Umbrella hole';
+            deleteBtn.onclick = () => this.deleteUmbrellaAction(action.id);
             
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${resultClass}`;
+            resultDiv.textContent = `☂️ ${this.describeUmbrellaHole(action)}`;
+            
+            // Who won each category
+            const categoriesDiv = document.createElement('div');
+            categoriesDiv.className = 'game-action-details';
+            categoriesDiv.textContent = Object.entries(UMBRELLA_CONFIG.CATEGORIES).map(([category, { name }]) => {
+                const winner = action.winners[category];
+                return `${name}: ${winner === UMBRELLA_CONFIG.NO_WINNER_VALUE ? UMBRELLA_CONFIG.NO_WINNER_TEXT : umbrella.getSideName(winner)}`;
+            }).join(', ');
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            actionDiv.appendChild(categoriesDiv);
+            holeDiv.appendChild(actionDiv);
             container.appendChild(holeDiv);
         });
     }
 
-    updateWolfActionsList() {
-        const container = document.getElementById('wolfActionsList');
+    updateLowBallStandings() {
+        const container = document.getElementById('lowBallStandings');
+        const lowBall = this.gameInstances.lowBall;
+        if (!container || !lowBall) return;
+        
         container.innerHTML = '';
         
-        if (this.gameActions.wolf.length === 0) {
+        const stats = lowBall.getStats();
+        [[LOW_BALL_CONFIG.SIDE_1_VALUE, stats.side1Points], [LOW_BALL_CONFIG.SIDE_2_VALUE, stats.side2Points]].forEach(([team, points]) => {
+            const rowDiv = document.createElement('div');
+            rowDiv.className = 'status-row';
+            
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'status-label';
+            labelSpan.textContent = lowBall.getSideName(team);
+            
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'status-value';
+            valueSpan.textContent = `${points} pt${points === 1 ? '' : 's'}`;
+            
+            rowDiv.appendChild(labelSpan);
+            rowDiv.appendChild(valueSpan);
+            container.appendChild(rowDiv);
+        });
+    }
+
+    updateLowBallActionsList() {
+        const container = document.getElementById('lowBallActionsList');
+        container.innerHTML = '';
+        
+        if (this.gameActions.lowBall.length === 0) {
             const noDataP = document.createElement('p');
             noDataP.style.textAlign = 'center';
             noDataP.style.color = '#7f8c8d';
             noDataP.style.fontStyle = 'italic';
-            noDataP.textContent = 'No Wolf holes recorded yet';
+            noDataP.textContent = 'No Low Ball / Low Total holes recorded yet';
             container.appendChild(noDataP);
             return;
         }
         
-        // Group by hole
-        const wolfByHole = {};
-        this.gameActions.wolf.forEach(wolf => {
-            if (!wolfByHole[wolf.hole]) {
-                wolfByHole[wolf.hole] = [];
-            }
-            wolfByHole[wolf.hole].push(wolf);
-        });
-        
         // Display by hole
-        Object.keys(wolfByHole).sort((a, b) => parseInt(a) - parseInt(b)).forEach(hole => {
+        this.gameManager.sortByPlayOrder(this.gameActions.lowBall).forEach(action => {
             const holeDiv = document.createElement('div');
             holeDiv.className = 'hole-group';
             
-            const holeH5 = document.createElement('h5');
-            holeH5.style.margin = '16px 0 8px 0';
-            holeH5.style.color = '#2c3e50';
-            holeH5.textContent = `Hole ${hole}`;
-            holeDiv.appendChild(holeH5);
+            const result = this.gameInstances.lowBall.calculateHoleResult(action);
+            const resultClass = result.side1Points === result.side2Points ? 'neutral' : 'success';
             
-            wolfByHole[hole].forEach(wolf => {
-                const wolfDiv = document.createElement('div');
-                wolfDiv.className = `game-action-item ${wolf.result === 'wolf_wins' ? 'success' : 'error'}`;
-                
-                let resultText = '';
-                if (wolf.wolfChoice === 'lone_wolf') {
-                    if (wolf.result === 'wolf_wins') {
-                        resultText = '🐺 Lone Wolf Wins!';
-                    } else {
-                        resultText = '🐺 Lone Wolf Loses';
-                    }
-                } else {
-                    if (wolf.result === 'wolf_wins') {
-                        resultText = `🐺 Wolf + ${SecurityUtils.sanitizeInput(wolf.partner)} Win!`;
-                    } else {
-                        resultText = `🐺 Wolf + ${SecurityUtils.sanitizeInput(wolf.partner)} Lose`;
-                    }
-                }
-                
-                const headerDiv = document.createElement('div');
-                headerDiv.className = 'game-action-header';
-                
-                const playerSpan = document.createElement('span');
-                playerSpan.className = 'game-action-player';
-                playerSpan.textContent = SecurityUtils.sanitizeInput(wolf.wolf);
-                
-                const holeSpan = document.createElement('span');
-                holeSpan.className = 'game-action-hole';
-                holeSpan.textContent = `Hole ${SecurityUtils.sanitizeInput(wolf.hole)}`;
-                
-                const deleteBtn = document.createElement('button');
-                deleteBtn.type = 'button';
-                deleteBtn.className = 'btn-delete';
-                deleteBtn.textContent = '🗑️';
-                deleteBtn.title = 'Delete this Wolf action';
-                deleteBtn.onclick = () => this.deleteWolfAction(wolf.id);
-                
-                headerDiv.appendChild(playerSpan);
-                headerDiv.appendChild(holeSpan);
-                headerDiv.appendChild(deleteBtn);
-                
-                const resultDiv = document.createElement('div');
-                resultDiv.className = `game-action-result ${wolf.result === 'wolf_wins' ? 'success' : 'error'}`;
-                resultDiv.textContent = resultText;
-                
-                wolfDiv.appendChild(headerDiv);
-                wolfDiv.appendChild(resultDiv);
-                holeDiv.appendChild(wolfDiv);
-            });
+            const actionDiv = document.createElement('div');
+            actionDiv.className = `game-action-item ${resultClass}`;
+            
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'game-action-header';
             
+            const holeSpan = document.createElement('span');
+            holeSpan.className = 'game-action-hole';
+            holeSpan.textContent = `Hole ${action.hole}`;
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn-delete';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = 'Delete this Low Ball / Low Total hole';
+            deleteBtn.onclick = () => this.deleteLowBallAction(action.id);
+            
+            headerDiv.appendChild(holeSpan);
+            headerDiv.appendChild(deleteBtn);
+            
+            const resultDiv = document.createElement('div');
+            resultDiv.className = `game-action-result ${resultClass}`;
+            resultDiv.textContent = `👥 ${this.describeLowBallHole(action)}`;
+            
+            actionDiv.appendChild(headerDiv);
+            actionDiv.appendChild(resultDiv);
+            holeDiv.appendChild(actionDiv);
             container.appendChild(holeDiv);
         });
     }
 
-    updateMurphSummary() {
-        const container = document.getElementById('murphSummary');
+    updateMurphSummary() {
+        const container = document.getElementById('murphSummary');
+        
+        if (this.gameActions.murph.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Murph calls yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateMurphSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateSkinsSummary() {
+        const container = document.getElementById('skinsSummary');
+        
+        if (this.getSkinsResults().length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Skins recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateSkinsSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateKPSummary() {
+        const container = document.getElementById('kpSummary');
+        
+        if (this.gameActions.kp.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No KPs recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateKPSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateSnakeSummary() {
+        const container = document.getElementById('snakeSummary');
+        
+        if (this.gameActions.snake.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No snakes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateSnakeSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateWolfSummary() {
+        const container = document.getElementById('wolfSummary');
+        
+        if (this.gameActions.wolf.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Wolf holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateWolfSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateNassauSummary() {
+        const container = document.getElementById('nassauSummary');
+        
+        if (this.gameActions.nassau.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Nassau holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateNassauSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateBingoSummary() {
+        const container = document.getElementById('bingoSummary');
+        
+        if (this.gameActions.bingo.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No points recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateBingoSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateVegasSummary() {
+        const container = document.getElementById('vegasSummary');
+        
+        if (this.gameActions.vegas.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Vegas holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateVegasSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateSixesSummary() {
+        const container = document.getElementById('sixesSummary');
+        
+        if (this.gameActions.sixes.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Sixes holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateSixesSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateHammerSummary() {
+        const container = document.getElementById('hammerSummary');
+        
+        if (this.gameActions.hammer.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Hammer holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateHammerSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateJunkSummary() {
+        const container = document.getElementById('junkSummary');
+        
+        if (this.gameActions.junk.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No dots awarded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateJunkSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateRabbitSummary() {
+        const container = document.getElementById('rabbitSummary');
+        
+        if (this.gameActions.rabbit.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Rabbit holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateRabbitSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateStablefordSummary() {
+        const container = document.getElementById('stablefordSummary');
+        
+        if (this.gameActions.stableford.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Stableford holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateStablefordSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateNinePointSummary() {
+        const container = document.getElementById('ninePointSummary');
+        
+        if (this.gameActions.ninePoint.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Nine Point holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateNinePointSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateBankerSummary() {
+        const container = document.getElementById('bankerSummary');
         
-        if (this.gameActions.murph.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Murph calls yet</p>';
+        if (this.gameActions.banker.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Banker holes recorded yet</p>';
             return;
         }
         
-        const summary = this.calculateMurphSummary();
+        const summary = this.calculateBankerSummary();
         this.displaySummary(container, summary);
     }
 
-    updateSkinsSummary() {
-        const container = document.getElementById('skinsSummary');
+    updateMatchPlaySummary() {
+        const container = document.getElementById('matchPlaySummary');
         
-        if (this.gameActions.skins.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Skins recorded yet</p>';
+        if (this.gameActions.matchPlay.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Match Play holes recorded yet</p>';
             return;
         }
         
-        const summary = this.calculateSkinsSummary();
+        const summary = this.calculateMatchPlaySummary();
         this.displaySummary(container, summary);
     }
 
-    updateKPSummary() {
-        const container = document.getElementById('kpSummary');
+    updateQuotaSummary() {
+        const container = document.getElementById('quotaSummary');
         
-        if (this.gameActions.kp.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No KPs recorded yet</p>';
+        if (this.gameActions.quota.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Quota holes recorded yet</p>';
             return;
         }
         
-        const summary = this.calculateKPSummary();
+        const summary = this.calculateQuotaSummary();
         this.displaySummary(container, summary);
     }
 
-    updateSnakeSummary() {
-        const container = document.getElementById('snakeSummary');
+    updateDefenderSummary() {
+        const container = document.getElementById('defenderSummary');
         
-        if (this.gameActions.snake.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No snakes recorded yet</p>';
+        if (this.gameActions.defender.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Defender holes recorded yet</p>';
             return;
         }
         
-        const summary = this.calculateSnakeSummary();
+        const summary = this.calculateDefenderSummary();
         this.displaySummary(container, summary);
     }
 
-    updateWolfSummary() {
-        const container = document.getElementById('wolfSummary');
+    updateMoneyBallSummary() {
+        const container = document.getElementById('moneyBallSummary');
         
-        if (this.gameActions.wolf.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Wolf holes recorded yet</p>';
+        if (this.gameActions.moneyBall.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Money Ball holes recorded yet</p>';
             return;
         }
         
-        const summary = this.calculateWolfSummary();
+        const summary = this.calculateMoneyBallSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateScotchSummary() {
+        const container = document.getElementById('scotchSummary');
+        
+        if (this.gameActions.scotch.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Scotch holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateScotchSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateAceyDeuceySummary() {
+        const container = document.getElementById('aceyDeuceySummary');
+        
+        if (this.gameActions.aceyDeucey.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Acey Deucey holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateAceyDeuceySummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateLongestDriveSummary() {
+        const container = document.getElementById('longestDriveSummary');
+        
+        if (this.gameActions.longestDrive.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No longest drives recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateLongestDriveSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateUmbrellaSummary() {
+        const container = document.getElementById('umbrellaSummary');
+        
+        if (this.gameActions.umbrella.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Umbrella holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateUmbrellaSummary();
+        this.displaySummary(container, summary);
+    }
+
+    updateLowBallSummary() {
+        const container = document.getElementById('lowBallSummary');
+        
+        if (this.gameActions.lowBall.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #7f8c8d; font-style: italic;">No Low Ball / Low Total holes recorded yet</p>';
+            return;
+        }
+        
+        const summary = this.calculateLowBallSummary();
         this.displaySummary(container, summary);
     }
 
@@ -2441,7 +9460,7 @@ class SavageGolf {
     updateCombinedSummary() {
         const container = document.getElementById('combinedSummary');
         
-        if (this.gameActions.murph.length === 0 && this.gameActions.skins.length === 0 && this.gameActions.kp.length === 0 && this.gameActions.snake.length === 0 && this.gameActions.wolf.length === 0) {
+        if (!this.gameManager.hasAnyActions()) {
             const noActivityP = document.createElement('p');
             noActivityP.style.textAlign = 'center';
             noActivityP.style.color = '#7f8c8d';
@@ -2474,6 +9493,82 @@ class SavageGolf {
             gameSummaries.wolf = this.calculateWolfSummary();
         }
         
+        if (this.gameConfigs.nassau?.enabled) {
+            gameSummaries.nassau = this.calculateNassauSummary();
+        }
+        
+        if (this.gameConfigs.bingo?.enabled) {
+            gameSummaries.bingo = this.calculateBingoSummary();
+        }
+        
+        if (this.gameConfigs.vegas?.enabled) {
+            gameSummaries.vegas = this.calculateVegasSummary();
+        }
+        
+        if (this.gameConfigs.sixes?.enabled) {
+            gameSummaries.sixes = this.calculateSixesSummary();
+        }
+        
+        if (this.gameConfigs.hammer?.enabled) {
+            gameSummaries.hammer = this.calculateHammerSummary();
+        }
+        
+        if (this.gameConfigs.junk?.enabled) {
+            gameSummaries.junk = this.calculateJunkSummary();
+        }
+        
+        if (this.gameConfigs.rabbit?.enabled) {
+            gameSummaries.rabbit = this.calculateRabbitSummary();
+        }
+        
+        if (this.gameConfigs.stableford?.enabled) {
+            gameSummaries.stableford = this.calculateStablefordSummary();
+        }
+        
+        if (this.gameConfigs.ninePoint?.enabled) {
+            gameSummaries.ninePoint = this.calculateNinePointSummary();
+        }
+        
+        if (this.gameConfigs.banker?.enabled) {
+            gameSummaries.banker = this.calculateBankerSummary();
+        }
+        
+        if (this.gameConfigs.matchPlay?.enabled) {
+            gameSummaries.matchPlay = this.calculateMatchPlaySummary();
+        }
+        
+        if (this.gameConfigs.quota?.enabled) {
+            gameSummaries.quota = this.calculateQuotaSummary();
+        }
+        
+        if (this.gameConfigs.defender?.enabled) {
+            gameSummaries.defender = this.calculateDefenderSummary();
+        }
+        
+        if (this.gameConfigs.moneyBall?.enabled) {
+            gameSummaries.moneyBall = this.calculateMoneyBallSummary();
+        }
+        
+        if (this.gameConfigs.scotch?.enabled) {
+            gameSummaries.scotch = this.calculateScotchSummary();
+        }
+        
+        if (this.gameConfigs.aceyDeucey?.enabled) {
+            gameSummaries.aceyDeucey = this.calculateAceyDeuceySummary();
+        }
+        
+        if (this.gameConfigs.longestDrive?.enabled) {
+            gameSummaries.longestDrive = this.calculateLongestDriveSummary();
+        }
+        
+        if (this.gameConfigs.umbrella?.enabled) {
+            gameSummaries.umbrella = this.calculateUmbrellaSummary();
+        }
+        
+        if (this.gameConfigs.lowBall?.enabled) {
+            gameSummaries.lowBall = this.calculateLowBallSummary();
+        }
+        
         const combinedSummary = this.calculateCombinedSummary(gameSummaries);
         this.displaySummary(container, combinedSummary);
     }
@@ -2563,6 +9658,329 @@ class SavageGolf {
                 wolfBreakdownSection.style.display = 'none';
             }
         }
+        
+        // Update Nassau breakdown
+        const nassauBreakdownSection = document.getElementById('nassauBreakdownSection');
+        if (this.gameConfigs.nassau?.enabled) {
+            if (nassauBreakdownSection) {
+                nassauBreakdownSection.style.display = 'block';
+            }
+            const nassauBreakdown = document.getElementById('nassauBreakdown');
+            if (nassauBreakdown) {
+                const summary = this.calculateNassauSummary();
+                this.displaySummary(nassauBreakdown, summary);
+            }
+        } else {
+            if (nassauBreakdownSection) {
+                nassauBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Bingo Bango Bongo breakdown
+        const bingoBreakdownSection = document.getElementById('bingoBreakdownSection');
+        if (this.gameConfigs.bingo?.enabled) {
+            if (bingoBreakdownSection) {
+                bingoBreakdownSection.style.display = 'block';
+            }
+            const bingoBreakdown = document.getElementById('bingoBreakdown');
+            if (bingoBreakdown) {
+                const summary = this.calculateBingoSummary();
+                this.displaySummary(bingoBreakdown, summary);
+            }
+        } else {
+            if (bingoBreakdownSection) {
+                bingoBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Vegas breakdown
+        const vegasBreakdownSection = document.getElementById('vegasBreakdownSection');
+        if (this.gameConfigs.vegas?.enabled) {
+            if (vegasBreakdownSection) {
+                vegasBreakdownSection.style.display = 'block';
+            }
+            const vegasBreakdown = document.getElementById('vegasBreakdown');
+            if (vegasBreakdown) {
+                const summary = this.calculateVegasSummary();
+                this.displaySummary(vegasBreakdown, summary);
+            }
+        } else {
+            if (vegasBreakdownSection) {
+                vegasBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Sixes breakdown
+        const sixesBreakdownSection = document.getElementById('sixesBreakdownSection');
+        if (this.gameConfigs.sixes?.enabled) {
+            if (sixesBreakdownSection) {
+                sixesBreakdownSection.style.display = 'block';
+            }
+            const sixesBreakdown = document.getElementById('sixesBreakdown');
+            if (sixesBreakdown) {
+                const summary = this.calculateSixesSummary();
+                this.displaySummary(sixesBreakdown, summary);
+            }
+        } else {
+            if (sixesBreakdownSection) {
+                sixesBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Hammer breakdown
+        const hammerBreakdownSection = document.getElementById('hammerBreakdownSection');
+        if (this.gameConfigs.hammer?.enabled) {
+            if (hammerBreakdownSection) {
+                hammerBreakdownSection.style.display = 'block';
+            }
+            const hammerBreakdown = document.getElementById('hammerBreakdown');
+            if (hammerBreakdown) {
+                const summary = this.calculateHammerSummary();
+                this.displaySummary(hammerBreakdown, summary);
+            }
+        } else {
+            if (hammerBreakdownSection) {
+                hammerBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Junk breakdown
+        const junkBreakdownSection = document.getElementById('junkBreakdownSection');
+        if (this.gameConfigs.junk?.enabled) {
+            if (junkBreakdownSection) {
+                junkBreakdownSection.style.display = 'block';
+            }
+            const junkBreakdown = document.getElementById('junkBreakdown');
+            if (junkBreakdown) {
+                const summary = this.calculateJunkSummary();
+                this.displaySummary(junkBreakdown, summary);
+            }
+        } else {
+            if (junkBreakdownSection) {
+                junkBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Rabbit breakdown
+        const rabbitBreakdownSection = document.getElementById('rabbitBreakdownSection');
+        if (this.gameConfigs.rabbit?.enabled) {
+            if (rabbitBreakdownSection) {
+                rabbitBreakdownSection.style.display = 'block';
+            }
+            const rabbitBreakdown = document.getElementById('rabbitBreakdown');
+            if (rabbitBreakdown) {
+                const summary = this.calculateRabbitSummary();
+                this.displaySummary(rabbitBreakdown, summary);
+            }
+        } else {
+            if (rabbitBreakdownSection) {
+                rabbitBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Stableford breakdown
+        const stablefordBreakdownSection = document.getElementById('stablefordBreakdownSection');
+        if (this.gameConfigs.stableford?.enabled) {
+            if (stablefordBreakdownSection) {
+                stablefordBreakdownSection.style.display = 'block';
+            }
+            const stablefordBreakdown = document.getElementById('stablefordBreakdown');
+            if (stablefordBreakdown) {
+                const summary = this.calculateStablefordSummary();
+                this.displaySummary(stablefordBreakdown, summary);
+            }
+        } else {
+            if (stablefordBreakdownSection) {
+                stablefordBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Nine Point breakdown
+        const ninePointBreakdownSection = document.getElementById('ninePointBreakdownSection');
+        if (this.gameConfigs.ninePoint?.enabled) {
+            if (ninePointBreakdownSection) {
+                ninePointBreakdownSection.style.display = 'block';
+            }
+            const ninePointBreakdown = document.getElementById('ninePointBreakdown');
+            if (ninePointBreakdown) {
+                const summary = this.calculateNinePointSummary();
+                this.displaySummary(ninePointBreakdown, summary);
+            }
+        } else {
+            if (ninePointBreakdownSection) {
+                ninePointBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Banker breakdown
+        const bankerBreakdownSection = document.getElementById('bankerBreakdownSection');
+        if (this.gameConfigs.banker?.enabled) {
+            if (bankerBreakdownSection) {
+                bankerBreakdownSection.style.display = 'block';
+            }
+            const bankerBreakdown = document.getElementById('bankerBreakdown');
+            if (bankerBreakdown) {
+                const summary = this.calculateBankerSummary();
+                this.displaySummary(bankerBreakdown, summary);
+            }
+        } else {
+            if (bankerBreakdownSection) {
+                bankerBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Match Play breakdown
+        const matchPlayBreakdownSection = document.getElementById('matchPlayBreakdownSection');
+        if (this.gameConfigs.matchPlay?.enabled) {
+            if (matchPlayBreakdownSection) {
+                matchPlayBreakdownSection.style.display = 'block';
+            }
+            const matchPlayBreakdown = document.getElementById('matchPlayBreakdown');
+            if (matchPlayBreakdown) {
+                const summary = this.calculateMatchPlaySummary();
+                this.displaySummary(matchPlayBreakdown, summary);
+            }
+        } else {
+            if (matchPlayBreakdownSection) {
+                matchPlayBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Quota breakdown
+        const quotaBreakdownSection = document.getElementById('quotaBreakdownSection');
+        if (this.gameConfigs.quota?.enabled) {
+            if (quotaBreakdownSection) {
+                quotaBreakdownSection.style.display = 'block';
+            }
+            const quotaBreakdown = document.getElementById('quotaBreakdown');
+            if (quotaBreakdown) {
+                const summary = this.calculateQuotaSummary();
+                this.displaySummary(quotaBreakdown, summary);
+            }
+        } else {
+            if (quotaBreakdownSection) {
+                quotaBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Defender breakdown
+        const defenderBreakdownSection = document.getElementById('defenderBreakdownSection');
+        if (this.gameConfigs.defender?.enabled) {
+            if (defenderBreakdownSection) {
+                defenderBreakdownSection.style.display = 'block';
+            }
+            const defenderBreakdown = document.getElementById('defenderBreakdown');
+            if (defenderBreakdown) {
+                const summary = this.calculateDefenderSummary();
+                this.displaySummary(defenderBreakdown, summary);
+            }
+        } else {
+            if (defenderBreakdownSection) {
+                defenderBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Money Ball breakdown
+        const moneyBallBreakdownSection = document.getElementById('moneyBallBreakdownSection');
+        if (this.gameConfigs.moneyBall?.enabled) {
+            if (moneyBallBreakdownSection) {
+                moneyBallBreakdownSection.style.display = 'block';
+            }
+            const moneyBallBreakdown = document.getElementById('moneyBallBreakdown');
+            if (moneyBallBreakdown) {
+                const summary = this.calculateMoneyBallSummary();
+                this.displaySummary(moneyBallBreakdown, summary);
+            }
+        } else {
+            if (moneyBallBreakdownSection) {
+                moneyBallBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Scotch breakdown
+        const scotchBreakdownSection = document.getElementById('scotchBreakdownSection');
+        if (this.gameConfigs.scotch?.enabled) {
+            if (scotchBreakdownSection) {
+                scotchBreakdownSection.style.display = 'block';
+            }
+            const scotchBreakdown = document.getElementById('scotchBreakdown');
+            if (scotchBreakdown) {
+                const summary = this.calculateScotchSummary();
+                this.displaySummary(scotchBreakdown, summary);
+            }
+        } else {
+            if (scotchBreakdownSection) {
+                scotchBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Acey Deucey breakdown
+        const aceyDeuceyBreakdownSection = document.getElementById('aceyDeuceyBreakdownSection');
+        if (this.gameConfigs.aceyDeucey?.enabled) {
+            if (aceyDeuceyBreakdownSection) {
+                aceyDeuceyBreakdownSection.style.display = 'block';
+            }
+            const aceyDeuceyBreakdown = document.getElementById('aceyDeuceyBreakdown');
+            if (aceyDeuceyBreakdown) {
+                const summary = this.calculateAceyDeuceySummary();
+                this.displaySummary(aceyDeuceyBreakdown, summary);
+            }
+        } else {
+            if (aceyDeuceyBreakdownSection) {
+                aceyDeuceyBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Longest Drive breakdown
+        const longestDriveBreakdownSection = document.getElementById('longestDriveBreakdownSection');
+        if (this.gameConfigs.longestDrive?.enabled) {
+            if (longestDriveBreakdownSection) {
+                longestDriveBreakdownSection.style.display = 'block';
+            }
+            const longestDriveBreakdown = document.getElementById('longestDriveBreakdown');
+            if (longestDriveBreakdown) {
+                const summary = this.calculateLongestDriveSummary();
+                this.displaySummary(longestDriveBreakdown, summary);
+            }
+        } else {
+            if (longestDriveBreakdownSection) {
+                longestDriveBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Umbrella breakdown
+        const umbrellaBreakdownSection = document.getElementById('umbrellaBreakdownSection');
+        if (this.gameConfigs.umbrella?.enabled) {
+            if (umbrellaBreakdownSection) {
+                umbrellaBreakdownSection.style.display = 'block';
+            }
+            const umbrellaBreakdown = document.getElementById('umbrellaBreakdown');
+            if (umbrellaBreakdown) {
+                const summary = this.calculateUmbrellaSummary();
+                this.displaySummary(umbrellaBreakdown, summary);
+            }
+        } else {
+            if (umbrellaBreakdownSection) {
+                umbrellaBreakdownSection.style.display = 'none';
+            }
+        }
+        
+        // Update Low Ball / Low Total breakdown
+        const lowBallBreakdownSection = document.getElementById('lowBallBreakdownSection');
+        if (this.gameConfigs.lowBall?.enabled) {
+            if (lowBallBreakdownSection) {
+                lowBallBreakdownSection.style.display = 'block';
+            }
+            const lowBallBreakdown = document.getElementById('lowBallBreakdown');
+            if (lowBallBreakdown) {
+                const summary = this.calculateLowBallSummary();
+                this.displaySummary(lowBallBreakdown, summary);
+            }
+        } else {
+            if (lowBallBreakdownSection) {
+                lowBallBreakdownSection.style.display = 'none';
+            }
+        }
     }
 
     displaySummary(container, summary) {
@@ -2592,6 +10010,14 @@ class SavageGolf {
         return this.gameManager.calculateGameSummary(GAME_TYPES.SKINS);
     }
 
+    getSkinsResults() {
+        // Worked out from the scorecard, or picked by hand hole by hole
+        if (this.gameConfigs.skins?.fromScorecard && this.gameInstances.skins) {
+            return this.gameInstances.skins.getScorecardResults();
+        }
+        return this.gameActions.skins;
+    }
+
     calculateKPSummary() {
         return this.gameManager.calculateGameSummary(GAME_TYPES.KP);
     }
@@ -2605,6 +10031,82 @@ class SavageGolf {
         return this.gameManager.calculateLegacyWolfSummary();
     }
 
+    calculateNassauSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.NASSAU);
+    }
+
+    calculateBingoSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.BINGO);
+    }
+
+    calculateVegasSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.VEGAS);
+    }
+
+    calculateSixesSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.SIXES);
+    }
+
+    calculateHammerSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.HAMMER);
+    }
+
+    calculateJunkSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.JUNK);
+    }
+
+    calculateRabbitSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.RABBIT);
+    }
+
+    calculateStablefordSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.STABLEFORD);
+    }
+
+    calculateNinePointSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.NINE_POINT);
+    }
+
+    calculateBankerSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.BANKER);
+    }
+
+    calculateMatchPlaySummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.MATCH_PLAY);
+    }
+
+    calculateQuotaSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.QUOTA);
+    }
+
+    calculateDefenderSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.DEFENDER);
+    }
+
+    calculateMoneyBallSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.MONEY_BALL);
+    }
+
+    calculateScotchSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.SCOTCH);
+    }
+
+    calculateAceyDeuceySummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.ACEY_DEUCEY);
+    }
+
+    calculateLongestDriveSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.LONGEST_DRIVE);
+    }
+
+    calculateUmbrellaSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.UMBRELLA);
+    }
+
+    calculateLowBallSummary() {
+        return this.gameManager.calculateGameSummary(GAME_TYPES.LOW_BALL);
+    }
+
 
 
     calculateCombinedSummary(gameSummaries) {
@@ -2641,10 +10143,13 @@ class SavageGolf {
         // Reset using managers
         this.gameManager.resetGames();
         this.playerManager.reset();
+        this.validator.setLastHole(this.gameManager.getLastHole());
         
         // Update legacy references
         this.players = [];
         this.gameConfigs = {};
+        this.handicapSettings = null;
+        this.course = null;
         this.gameActions = this.gameManager.gameActions;
         this.gameStarted = this.gameManager.gameStarted;
         this.currentHole = 1;
@@ -2659,7 +10164,26 @@ class SavageGolf {
             { id: 'skinsBet', value: '1.00' },
             { id: 'kpBet', value: '1.00' },
             { id: 'snakeBet', value: '1.00' },
-            { id: 'wolfBet', value: '1.00' }
+            { id: 'wolfBet', value: '1.00' },
+            { id: 'nassauBet', value: '1.00' },
+            { id: 'bingoBet', value: '1.00' },
+            { id: 'vegasBet', value: '1.00' },
+            { id: 'sixesBet', value: '1.00' },
+            { id: 'hammerBet', value: '1.00' },
+            { id: 'junkBet', value: '1.00' },
+            { id: 'rabbitBet', value: '1.00' },
+            { id: 'stablefordBet', value: '1.00' },
+            { id: 'ninePointBet', value: '1.00' },
+            { id: 'bankerBet', value: '1.00' },
+            { id: 'matchPlayBet', value: '1.00' },
+            { id: 'quotaBet', value: '1.00' },
+            { id: 'defenderBet', value: '1.00' },
+            { id: 'moneyBallBet', value: '1.00' },
+            { id: 'scotchBet', value: '1.00' },
+            { id: 'aceyDeuceyBet', value: '1.00' },
+            { id: 'longestDriveBet', value: '1.00' },
+            { id: 'umbrellaBet', value: '1.00' },
+            { id: 'lowBallBet', value: '1.00' }
         ];
         
         betInputs.forEach(({ id, value }) => {
@@ -2670,7 +10194,7 @@ class SavageGolf {
         });
         
         const gameCheckboxes = [
-            'gameMurph', 'gameSkins', 'gameKP', 'gameSnake'
+            'gameMurph', 'gameSkins', 'gameKP', 'gameSnake', 'gameNassau', 'gameBingo', 'gameVegas', 'gameSixes', 'gameHammer', 'gameJunk', 'gameRabbit', 'gameStableford', 'gameNinePoint', 'gameBanker', 'gameMatchPlay', 'gameQuota', 'gameDefender', 'gameMoneyBall', 'gameScotch', 'gameAceyDeucey', 'gameLongestDrive', 'gameUmbrella', 'gameLowBall'
         ];
         
         gameCheckboxes.forEach(checkboxId => {
@@ -2691,15 +10215,11 @@ class SavageGolf {
         // PlayerManager.reset() already handles team selection cleanup
         
         // Reset display (with null checks)
-        const holeDisplayElement = document.getElementById('holeDisplay');
-        
-        if (holeDisplayElement) {
-            holeDisplayElement.textContent = '1';
-        }
+        this.updateHoleDisplay();
         
         // Reset action lists (with null checks)
         const actionListElements = [
-            'murphActionsList', 'skinsActionsList', 'kpActionsList', 'snakeActionsList'
+            'murphActionsList', 'skinsActionsList', 'kpActionsList', 'snakeActionsList', 'nassauActionsList', 'bingoActionsList', 'vegasActionsList', 'sixesActionsList', 'hammerActionsList', 'junkActionsList', 'rabbitActionsList', 'stablefordActionsList', 'ninePointActionsList', 'bankerActionsList', 'matchPlayActionsList', 'quotaActionsList', 'defenderActionsList', 'moneyBallActionsList', 'scotchActionsList', 'aceyDeuceyActionsList', 'longestDriveActionsList', 'umbrellaActionsList', 'lowBallActionsList'
         ];
         actionListElements.forEach(elementId => {
             const element = document.getElementById(elementId);
@@ -2710,7 +10230,7 @@ class SavageGolf {
         
         // Reset summary elements (with null checks)
         const summaryElements = [
-            'murphSummary', 'skinsSummary', 'kpSummary', 'snakeSummary', 'combinedSummary'
+            'murphSummary', 'skinsSummary', 'kpSummary', 'snakeSummary', 'nassauSummary', 'bingoSummary', 'vegasSummary', 'sixesSummary', 'hammerSummary', 'junkSummary', 'rabbitSummary', 'stablefordSummary', 'ninePointSummary', 'bankerSummary', 'matchPlaySummary', 'quotaSummary', 'defenderSummary', 'moneyBallSummary', 'scotchSummary', 'aceyDeuceySummary', 'longestDriveSummary', 'umbrellaSummary', 'lowBallSummary', 'combinedSummary'
         ];
         summaryElements.forEach(elementId => {
             const element = document.getElementById(elementId);
@@ -2721,7 +10241,7 @@ class SavageGolf {
         
         // Reset breakdown elements (with null checks)
         const breakdownElements = [
-            'murphBreakdown', 'skinsBreakdown', 'kpBreakdown', 'snakeBreakdown'
+            'murphBreakdown', 'skinsBreakdown', 'kpBreakdown', 'snakeBreakdown', 'nassauBreakdown', 'bingoBreakdown', 'vegasBreakdown', 'sixesBreakdown', 'hammerBreakdown', 'junkBreakdown', 'rabbitBreakdown', 'stablefordBreakdown', 'ninePointBreakdown', 'bankerBreakdown', 'matchPlayBreakdown', 'quotaBreakdown', 'defenderBreakdown', 'moneyBallBreakdown', 'scotchBreakdown', 'aceyDeuceyBreakdown', 'longestDriveBreakdown', 'umbrellaBreakdown', 'lowBallBreakdown'
         ];
         breakdownElements.forEach(elementId => {
             const element = document.getElementById(elementId);
@@ -2731,7 +10251,7 @@ class SavageGolf {
         });
         
         // Reset breakdown section visibility
-        const breakdownSections = ['murphBreakdownSection', 'skinsBreakdownSection', 'kpBreakdownSection', 'snakeBreakdownSection'];
+        const breakdownSections = ['murphBreakdownSection', 'skinsBreakdownSection', 'kpBreakdownSection', 'snakeBreakdownSection', 'nassauBreakdownSection', 'bingoBreakdownSection', 'vegasBreakdownSection', 'sixesBreakdownSection', 'hammerBreakdownSection', 'junkBreakdownSection', 'rabbitBreakdownSection', 'stablefordBreakdownSection', 'ninePointBreakdownSection', 'bankerBreakdownSection', 'matchPlayBreakdownSection', 'quotaBreakdownSection', 'defenderBreakdownSection', 'moneyBallBreakdownSection', 'scotchBreakdownSection', 'aceyDeuceyBreakdownSection', 'longestDriveBreakdownSection', 'umbrellaBreakdownSection', 'lowBallBreakdownSection'];
         breakdownSections.forEach(sectionId => {
             const section = document.getElementById(sectionId);
             if (section) {
@@ -2743,7 +10263,7 @@ class SavageGolf {
         const gameSetupElement = document.getElementById('gameSetup');
         const gameNavigationElement = document.getElementById('gameNavigation');
         const gamePageElements = [
-            'murphPage', 'skinsPage', 'kpPage', 'snakePage', 'combinedPage', 'finalResults'
+            'murphPage', 'skinsPage', 'kpPage', 'snakePage', 'nassauPage', 'bingoPage', 'vegasPage', 'sixesPage', 'hammerPage', 'junkPage', 'rabbitPage', 'stablefordPage', 'ninePointPage', 'bankerPage', 'matchPlayPage', 'quotaPage', 'defenderPage', 'moneyBallPage', 'scotchPage', 'aceyDeuceyPage', 'longestDrivePage', 'umbrellaPage', 'lowBallPage', 'combinedPage', 'finalResults'
         ];
         
         if (gameSetupElement) {
@@ -2765,6 +10285,26 @@ class SavageGolf {
         this.toggleGameSection('skins');
         this.toggleGameSection('kp');
         this.toggleGameSection('snake');
+        this.toggleGameSection('nassau');
+        this.toggleGameSection('bingo');
+        this.toggleGameSection('vegas');
+        this.toggleGameSection('sixes');
+        this.toggleGameSection('hammer');
+        this.toggleGameSection('junk');
+        this.toggleGameSection('rabbit');
+        this.toggleGameSection('stableford');
+        this.toggleGameSection('ninePoint');
+        this.toggleGameSection('banker');
+        this.toggleGameSection('matchPlay');
+        this.toggleGameSection('quota');
+        this.toggleGameSection('defender');
+        this.toggleGameSection('moneyBall');
+        this.toggleGameSection('scotch');
+        this.toggleGameSection('aceyDeucey');
+        this.toggleGameSection('longestDrive');
+        this.toggleGameSection('umbrella');
+        this.toggleGameSection('lowBall');
+        this.updateGameAvailability();
         
         // Set initial navigation button visibility
         this.updateGameNavigationVisibility();
@@ -2775,142 +10315,604 @@ class SavageGolf {
         // Navigate back to setup page
         this.showPage('setup');
         
-        this.ui.showNotification('Game reset! Ready for a new round.', 'info');
+        this.ui.showNotification('Game reset! Ready for a new round.', 'info');
+    }
+
+    deleteMurphCall(callId) {
+        // Find the call to delete
+        const callIndex = this.gameActions.murph.findIndex(call => call.id === callId);
+        if (callIndex === -1) {
+            this.ui.showNotification('Murph call not found.', 'error');
+            return;
+        }
+        
+        const call = this.gameActions.murph[callIndex];
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Murph call?\n\n${call.player} on Hole ${call.hole} - ${call.result === 'success' ? 'Made it' : 'Failed'}`)) {
+            // Remove the call
+            this.gameActions.murph.splice(callIndex, 1);
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Murph call for ${call.player} on Hole ${call.hole}`, 'success');
+        }
+    }
+
+    deleteSkinsAction(actionId) {
+        // Find the action to delete
+        const actionIndex = this.gameActions.skins.findIndex(action => action.id === actionId);
+        if (actionIndex === -1) {
+            this.ui.showNotification('Skins action not found.', 'error');
+            return;
+        }
+        
+        const action = this.gameActions.skins[actionIndex];
+        
+        // Show confirmation dialog
+        let actionDescription = '';
+        if (action.winner === 'team1') {
+            actionDescription = `${this.gameConfigs.skins.teamNames.team1} won ${action.skinsWon} skin${action.skinsWon > 1 ? 's' : ''}`;
+        } else if (action.winner === 'team2') {
+            actionDescription = `${this.gameConfigs.skins.teamNames.team2} won ${action.skinsWon} skin${action.skinsWon > 1 ? 's' : ''}`;
+        } else {
+            actionDescription = `Carryover - ${action.carryoverCount} skin${action.carryoverCount > 1 ? 's' : ''} at stake`;
+        }
+        
+        if (confirm(`Are you sure you want to delete this Skins action?\n\nHole ${action.hole}: ${actionDescription}`)) {
+            // Remove the action
+            this.gameActions.skins.splice(actionIndex, 1);
+            
+            // Recalculate carryover count if this was a carryover action
+            if (action.winner === 'carryover') {
+                this.recalculateCarryoverCount();
+            }
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Skins action for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteKPAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.kp.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('KP action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this KP action?\n\nHole ${action.hole}: ${this.describeKP(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('kp', actionId);
+            this.gameActions = this.gameManager.gameActions;
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted KP action on Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteSnakeAction(actionId) {
+        // Find the action to delete
+        const actionIndex = this.gameActions.snake.findIndex(action => action.id === actionId);
+        if (actionIndex === -1) {
+            this.ui.showNotification('Snake action not found.', 'error');
+            return;
+        }
+        
+        const action = this.gameActions.snake[actionIndex];
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Snake action?\n\n${action.player} got a snake on Hole ${action.hole}`)) {
+            // Remove the action
+            this.gameActions.snake.splice(actionIndex, 1);
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Snake action for ${action.player} on Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteWolfAction(actionId) {
+        // Find the action to delete
+        const actionIndex = this.gameActions.wolf.findIndex(action => action.id === actionId);
+        if (actionIndex === -1) {
+            this.ui.showNotification('Wolf action not found.', 'error');
+            return;
+        }
+        
+        const action = this.gameActions.wolf[actionIndex];
+        
+        // Show confirmation dialog
+        let actionDescription = '';
+        if (action.wolfChoice === 'lone_wolf') {
+            actionDescription = `${action.wolf} (Lone Wolf) ${action.result === 'wolf_wins' ? 'won' : 'lost'}`;
+        } else {
+            actionDescription = `${action.wolf} + ${action.partner} ${action.result === 'wolf_wins' ? 'won' : 'lost'}`;
+        }
+        
+        if (confirm(`Are you sure you want to delete this Wolf action?\n\nHole ${action.hole}: ${actionDescription}`)) {
+            // Remove the action
+            this.gameActions.wolf.splice(actionIndex, 1);
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Wolf action for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteNassauAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.nassau.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Nassau action not found.', 'error');
+            return;
+        }
+        
+        const actionDescription = action.winner === NASSAU_CONFIG.HALVED_VALUE
+            ? NASSAU_CONFIG.HALVED_TEXT
+            : `${this.gameInstances.nassau.getSideName(action.winner)} won the hole`;
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Nassau result?\n\nHole ${action.hole}: ${actionDescription}`)) {
+            // Remove from the game instance as well, presses are recalculated from the remaining holes
+            this.gameManager.removeGameAction('nassau', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Nassau result for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteBingoAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.bingo.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Bingo Bango Bongo action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete these Bingo Bango Bongo points?\n\nHole ${action.hole}: ${this.describeBingoPoints(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('bingo', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Bingo Bango Bongo points for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteVegasAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.vegas.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Vegas action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Vegas hole?\n\nHole ${action.hole}: ${this.describeVegasHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('vegas', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Vegas hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteSixesAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.sixes.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Sixes action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Sixes result?\n\nHole ${action.hole}: ${this.describeSixesResult(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('sixes', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Sixes result for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteHammerAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.hammer.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Hammer action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Hammer hole?\n\nHole ${action.hole}: ${this.describeHammerHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('hammer', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Hammer hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteJunkAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.junk.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Junk action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete these dots?\n\nHole ${action.hole}: ${this.describeJunkAwards(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('junk', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted dots for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteRabbitAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.rabbit.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Rabbit action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Rabbit result?\n\nHole ${action.hole}: ${this.describeRabbitHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('rabbit', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Rabbit result for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteStablefordAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.stableford.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Stableford action not found.', 'error');
+            return;
+        }
+        
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Stableford hole?\n\nHole ${action.hole}: ${this.describeStablefordHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('stableford', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Stableford hole ${action.hole}`, 'success');
+        }
     }
 
-    deleteMurphCall(callId) {
-        // Find the call to delete
-        const callIndex = this.gameActions.murph.findIndex(call => call.id === callId);
-        if (callIndex === -1) {
-            this.ui.showNotification('Murph call not found.', 'error');
+    deleteNinePointAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.ninePoint.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Nine Point action not found.', 'error');
             return;
         }
         
-        const call = this.gameActions.murph[callIndex];
-        
         // Show confirmation dialog
-        if (confirm(`Are you sure you want to delete this Murph call?\n\n${call.player} on Hole ${call.hole} - ${call.result === 'success' ? 'Made it' : 'Failed'}`)) {
-            // Remove the call
-            this.gameActions.murph.splice(callIndex, 1);
+        if (confirm(`Are you sure you want to delete this Nine Point hole?\n\nHole ${action.hole}: ${this.describeNinePointHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('ninePoint', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
             
             // Update display
             this.updateGameDisplay();
             
             // Show success message
-            this.ui.showNotification(`Deleted Murph call for ${call.player} on Hole ${call.hole}`, 'success');
+            this.ui.showNotification(`Deleted Nine Point hole ${action.hole}`, 'success');
         }
     }
 
-    deleteSkinsAction(actionId) {
+    deleteBankerAction(actionId) {
         // Find the action to delete
-        const actionIndex = this.gameActions.skins.findIndex(action => action.id === actionId);
-        if (actionIndex === -1) {
-            this.ui.showNotification('Skins action not found.', 'error');
+        const action = this.gameActions.banker.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Banker action not found.', 'error');
             return;
         }
         
-        const action = this.gameActions.skins[actionIndex];
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Banker hole?\n\nHole ${action.hole}: ${action.banker} banked`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('banker', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Banker hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteMatchPlayAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.matchPlay.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Match Play action not found.', 'error');
+            return;
+        }
         
         // Show confirmation dialog
-        let actionDescription = '';
-        if (action.winner === 'team1') {
-            actionDescription = `${this.gameConfigs.skins.teamNames.team1} won ${action.skinsWon} skin${action.skinsWon > 1 ? 's' : ''}`;
-        } else if (action.winner === 'team2') {
-            actionDescription = `${this.gameConfigs.skins.teamNames.team2} won ${action.skinsWon} skin${action.skinsWon > 1 ? 's' : ''}`;
-        } else {
-            actionDescription = `Carryover - ${action.carryoverCount} skin${action.carryoverCount > 1 ? 's' : ''} at stake`;
+        if (confirm(`Are you sure you want to delete this Match Play result?\n\nHole ${action.hole}: ${this.describeMatchPlayResult(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('matchPlay', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Match Play result for Hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteQuotaAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.quota.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Quota action not found.', 'error');
+            return;
         }
         
-        if (confirm(`Are you sure you want to delete this Skins action?\n\nHole ${action.hole}: ${actionDescription}`)) {
-            // Remove the action
-            this.gameActions.skins.splice(actionIndex, 1);
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Quota hole?\n\nHole ${action.hole}: ${this.describeQuotaHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('quota', actionId);
             
-            // Recalculate carryover count if this was a carryover action
-            if (action.winner === 'carryover') {
-                this.recalculateCarryoverCount();
-            }
+            // Auto-save game state
+            this.saveGameState();
             
             // Update display
             this.updateGameDisplay();
             
             // Show success message
-            this.ui.showNotification(`Deleted Skins action for Hole ${action.hole}`, 'success');
+            this.ui.showNotification(`Deleted Quota hole ${action.hole}`, 'success');
         }
     }
 
-    deleteKPAction(actionId) {
+    deleteDefenderAction(actionId) {
         // Find the action to delete
-        const actionIndex = this.gameActions.kp.findIndex(action => action.id === actionId);
-        if (actionIndex === -1) {
-            this.ui.showNotification('KP action not found.', 'error');
+        const action = this.gameActions.defender.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Defender action not found.', 'error');
             return;
         }
         
-        const action = this.gameActions.kp[actionIndex];
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Defender hole?\n\nHole ${action.hole}: ${this.describeDefenderResult(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('defender', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Defender hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteMoneyBallAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.moneyBall.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Money Ball action not found.', 'error');
+            return;
+        }
         
         // Show confirmation dialog
-        if (confirm(`Are you sure you want to delete this KP action?\n\n${action.winner} got closest to the pin on Hole ${action.hole}`)) {
-            // Remove the action
-            this.gameActions.kp.splice(actionIndex, 1);
+        if (confirm(`Are you sure you want to delete this Money Ball action?\n\nHole ${action.hole}: ${this.describeMoneyBallAction(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('moneyBall', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
             
             // Update display
             this.updateGameDisplay();
             
             // Show success message
-            this.ui.showNotification(`Deleted KP action for ${action.winner} on Hole ${action.hole}`, 'success');
+            this.ui.showNotification(`Deleted Money Ball action from hole ${action.hole}`, 'success');
         }
     }
 
-    deleteSnakeAction(actionId) {
+    deleteScotchAction(actionId) {
         // Find the action to delete
-        const actionIndex = this.gameActions.snake.findIndex(action => action.id === actionId);
-        if (actionIndex === -1) {
-            this.ui.showNotification('Snake action not found.', 'error');
+        const action = this.gameActions.scotch.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Scotch action not found.', 'error');
             return;
         }
         
-        const action = this.gameActions.snake[actionIndex];
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Scotch hole?\n\nHole ${action.hole}: ${this.describeScotchHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('scotch', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Scotch hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteAceyDeuceyAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.aceyDeucey.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Acey Deucey action not found.', 'error');
+            return;
+        }
         
         // Show confirmation dialog
-        if (confirm(`Are you sure you want to delete this Snake action?\n\n${action.player} got a snake on Hole ${action.hole}`)) {
-            // Remove the action
-            this.gameActions.snake.splice(actionIndex, 1);
+        if (confirm(`Are you sure you want to delete this Acey Deucey hole?\n\nHole ${action.hole}: ${this.describeAceyDeuceyHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('aceyDeucey', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
             
             // Update display
             this.updateGameDisplay();
             
             // Show success message
-            this.ui.showNotification(`Deleted Snake action for ${action.player} on Hole ${action.hole}`, 'success');
+            this.ui.showNotification(`Deleted Acey Deucey hole ${action.hole}`, 'success');
         }
     }
 
-    deleteWolfAction(actionId) {
+    deleteLongestDriveAction(actionId) {
         // Find the action to delete
-        const actionIndex = this.gameActions.wolf.findIndex(action => action.id === actionId);
-        if (actionIndex === -1) {
-            this.ui.showNotification('Wolf action not found.', 'error');
+        const action = this.gameActions.longestDrive.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Longest drive not found.', 'error');
             return;
         }
         
-        const action = this.gameActions.wolf[actionIndex];
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this longest drive?\n\nHole ${action.hole}: ${this.describeLongestDrive(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('longestDrive', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted longest drive on hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteUmbrellaAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.umbrella.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Umbrella action not found.', 'error');
+            return;
+        }
         
         // Show confirmation dialog
-        let actionDescription = '';
-        if (action.wolfChoice === 'lone_wolf') {
-            actionDescription = `${action.wolf} (Lone Wolf) ${action.result === 'wolf_wins' ? 'won' : 'lost'}`;
-        } else {
-            actionDescription = `${action.wolf} + ${action.partner} ${action.result === 'wolf_wins' ? 'won' : 'lost'}`;
+        if (confirm(`Are you sure you want to delete this Umbrella hole?\n\nHole ${action.hole}: ${this.describeUmbrellaHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('umbrella', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
+            
+            // Update display
+            this.updateGameDisplay();
+            
+            // Show success message
+            this.ui.showNotification(`Deleted Umbrella hole ${action.hole}`, 'success');
+        }
+    }
+
+    deleteLowBallAction(actionId) {
+        // Find the action to delete
+        const action = this.gameActions.lowBall.find(action => action.id === actionId);
+        if (!action) {
+            this.ui.showNotification('Low Ball / Low Total action not found.', 'error');
+            return;
         }
         
-        if (confirm(`Are you sure you want to delete this Wolf action?\n\nHole ${action.hole}: ${actionDescription}`)) {
-            // Remove the action
-            this.gameActions.wolf.splice(actionIndex, 1);
+        // Show confirmation dialog
+        if (confirm(`Are you sure you want to delete this Low Ball / Low Total hole?\n\nHole ${action.hole}: ${this.describeLowBallHole(action)}`)) {
+            // Remove from the game instance as well as the legacy actions
+            this.gameManager.removeGameAction('lowBall', actionId);
+            
+            // Auto-save game state
+            this.saveGameState();
             
             // Update display
             this.updateGameDisplay();
             
             // Show success message
-            this.ui.showNotification(`Deleted Wolf action for Hole ${action.hole}`, 'success');
+            this.ui.showNotification(`Deleted Low Ball / Low Total hole ${action.hole}`, 'success');
         }
     }
 
@@ -2918,7 +10920,7 @@ class SavageGolf {
         // Find the most recent carryover action to determine current carryover count
         const carryoverActions = this.gameActions.skins
             .filter(action => action.winner === 'carryover')
-            .sort((a, b) => b.hole - a.hole); // Sort by hole descending
+            .sort((a, b) => this.gameManager.getPlaySequence(b.hole) - this.gameManager.getPlaySequence(a.hole)); // Latest played first
         
         if (carryoverActions.length > 0) {
             // Get the carryover count from the most recent carryover
@@ -2932,13 +10934,11 @@ class SavageGolf {
     // Quick Actions Dashboard functionality
     setupQuickActions() {
         // Update quick hole display
-        const quickHoleDisplay = document.getElementById('quickHoleDisplay');
-        if (quickHoleDisplay) {
-            quickHoleDisplay.textContent = this.currentHole;
-        }
+        this.updateHoleDisplay();
         
         // Show/hide quick action cards based on enabled games
         this.updateQuickActionsVisibility();
+        this.setQuickParInputs();
         
         // Setup quick action event handlers
         this.setupQuickActionHandlers();
@@ -2950,7 +10950,26 @@ class SavageGolf {
             skins: document.getElementById('quickSkinsCard'),
             kp: document.getElementById('quickKPCard'),
             snake: document.getElementById('quickSnakeCard'),
-            wolf: document.getElementById('quickWolfCard')
+            wolf: document.getElementById('quickWolfCard'),
+            nassau: document.getElementById('quickNassauCard'),
+            bingo: document.getElementById('quickBingoCard'),
+            vegas: document.getElementById('quickVegasCard'),
+            sixes: document.getElementById('quickSixesCard'),
+            hammer: document.getElementById('quickHammerCard'),
+            junk: document.getElementById('quickJunkCard'),
+            rabbit: document.getElementById('quickRabbitCard'),
+            stableford: document.getElementById('quickStablefordCard'),
+            ninePoint: document.getElementById('quickNinePointCard'),
+            banker: document.getElementById('quickBankerCard'),
+            matchPlay: document.getElementById('quickMatchPlayCard'),
+            quota: document.getElementById('quickQuotaCard'),
+            defender: document.getElementById('quickDefenderCard'),
+            moneyBall: document.getElementById('quickMoneyBallCard'),
+            scotch: document.getElementById('quickScotchCard'),
+            aceyDeucey: document.getElementById('quickAceyDeuceyCard'),
+            longestDrive: document.getElementById('quickLongestDriveCard'),
+            umbrella: document.getElementById('quickUmbrellaCard'),
+            lowBall: document.getElementById('quickLowBallCard')
         };
         
         Object.entries(quickCards).forEach(([gameType, card]) => {
@@ -2967,6 +10986,12 @@ class SavageGolf {
         if (gameType === 'murph') {
             this.populateDropdown('quickMurphPlayer', this.players);
         } else if (gameType === 'skins') {
+            // Skins from the scorecard need no winner picked here
+            const fromScorecard = this.gameConfigs.skins?.fromScorecard;
+            document.getElementById('quickSkinsWinner').style.display = fromScorecard ? 'none' : '';
+            document.getElementById('quickSkinsSave').style.display = fromScorecard ? 'none' : '';
+            document.getElementById('quickSkinsScorecardNote').style.display = fromScorecard ? 'inline' : 'none';
+            
             // For Skins, show team options only for 4 players, individual players for 2-3 players
             if (this.requiredPlayers === 4 && this.gameConfigs.skins?.teamNames) {
                 this.populateSkinsTeamDropdown();
@@ -2974,12 +10999,59 @@ class SavageGolf {
                 this.populateDropdown('quickSkinsWinner', this.players);
             }
         } else if (gameType === 'kp') {
-            this.populateDropdown('quickKPPlayer', this.players);
+            this.populateKPWinnerDropdown('quickKPPlayer', 'Select...');
+            this.populateKPShotDropdown('quickKPShot');
+            document.getElementById('quickKPMadeParGroup').style.display = this.gameConfigs.kp?.mustMakePar ? 'flex' : 'none';
         } else if (gameType === 'snake') {
             this.populateDropdown('quickSnakePlayer', this.players);
         } else if (gameType === 'wolf') {
             this.populateDropdown('quickWolfPlayer', this.players);
             this.populateDropdown('quickWolfPartner', this.players);
+        } else if (gameType === 'nassau') {
+            this.populateNassauResultDropdown('quickNassauWinner', 'Result...');
+        } else if (gameType === 'bingo') {
+            this.populateBingoPointDropdown('quickBingoPlayer', 'Bingo...');
+            this.populateBingoPointDropdown('quickBangoPlayer', 'Bango...');
+            this.populateBingoPointDropdown('quickBongoPlayer', 'Bongo...');
+        } else if (gameType === 'vegas') {
+            this.renderScoreInputs('quickVegasScores', 'quickVegasScore');
+        } else if (gameType === 'sixes') {
+            this.populateSixesResultDropdown('quickSixesWinner', this.currentHole, 'Best ball won by...');
+        } else if (gameType === 'hammer') {
+            this.populateHammerResultDropdown('quickHammerWinner', 'Hole won by...');
+        } else if (gameType === 'junk') {
+            this.populateDropdown('quickJunkPlayer', this.players);
+            this.populateJunkDotDropdown('quickJunkDot', 'Select dot...');
+        } else if (gameType === 'rabbit') {
+            this.populateRabbitWinnerDropdown('quickRabbitWinner', 'Won outright by...');
+        } else if (gameType === 'stableford') {
+            this.renderScoreInputs('quickStablefordScores', 'quickStablefordScore');
+        } else if (gameType === 'ninePoint') {
+            this.renderScoreInputs('quickNinePointScores', 'quickNinePointScore');
+        } else if (gameType === 'banker') {
+            this.renderBankerBets('quickBankerBets', 'quickBanker', this.currentHole);
+        } else if (gameType === 'matchPlay') {
+            this.populateMatchPlayResultDropdown('quickMatchPlayWinner', 'Hole won by...');
+        } else if (gameType === 'quota') {
+            this.renderScoreInputs('quickQuotaScores', 'quickQuotaScore');
+        } else if (gameType === 'defender') {
+            this.populateDefenderResultDropdown('quickDefenderResult', 'Result...');
+        } else if (gameType === 'moneyBall') {
+            this.renderScoreInputs('quickMoneyBallScores', 'quickMoneyBallScore');
+            this.renderMoneyBallLost('quickMoneyBallLost', 'quickMoneyBall', this.currentHole);
+        } else if (gameType === 'scotch') {
+            this.renderScoreInputs('quickScotchScores', 'quickScotchScore');
+            this.populateScotchTeamsDropdown('quickScotchTeams', this.currentHole);
+            this.populateScotchProxDropdown('quickScotchProx', 'Closest to the pin...');
+        } else if (gameType === 'aceyDeucey') {
+            this.populateAceyDeuceyDropdown('quickAceyDeuceyAce', 'Low score...', ACEY_DEUCEY_CONFIG.LOW_TIE_TEXT);
+            this.populateAceyDeuceyDropdown('quickAceyDeuceyDeuce', 'High score...', ACEY_DEUCEY_CONFIG.HIGH_TIE_TEXT);
+        } else if (gameType === 'longestDrive') {
+            this.populateDropdown('quickLongestDriveWinner', this.players);
+        } else if (gameType === 'umbrella') {
+            this.renderUmbrellaPoints('quickUmbrellaPoints', 'quickUmbrellaPoint');
+        } else if (gameType === 'lowBall') {
+            this.renderScoreInputs('quickLowBallScores', 'quickLowBallScore');
         }
     }
     
@@ -3027,15 +11099,233 @@ class SavageGolf {
         defaultOption.textContent = 'Select...';
         select.appendChild(defaultOption);
         
-        // Add new options
-        options.forEach(option => {
-            const optionElement = document.createElement('option');
-            optionElement.value = option;
-            optionElement.textContent = option;
-            select.appendChild(optionElement);
-        });
+        // Add new options
+        options.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option;
+            optionElement.textContent = option;
+            select.appendChild(optionElement);
+        });
+    }
+    
+    // Scorecard Methods
+    showScorecardModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('scorecard', 'open');
+        
+        const modal = document.getElementById('scorecardModal');
+        const holeInput = document.getElementById('scorecardHole');
+        
+        // Strokes and putts inputs per player
+        this.renderScorecardInputs('scorecardScores');
+        
+        // Set current hole and show anything already entered for it
+        holeInput.value = this.currentHole;
+        this.fillScorecardInputs(this.currentHole);
+        
+        modal.style.display = 'flex';
+    }
+
+    hideScorecardModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('scorecard', 'close');
+        
+        document.getElementById('scorecardModal').style.display = 'none';
+    }
+    
+    // Course Import Methods
+    showCourseImportModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('course_import', 'open');
+        
+        document.getElementById('courseImportText').value = '';
+        document.getElementById('courseImportFile').value = '';
+        document.getElementById('courseImportModal').style.display = 'flex';
+    }
+    
+    hideCourseImportModal() {
+        // Track modal interaction
+        AnalyticsUtils.trackModalInteraction('course_import', 'close');
+        
+        document.getElementById('courseImportModal').style.display = 'none';
+    }
+    
+    readCourseImportFile(file) {
+        if (!file) return;
+        
+        // Show the file in the text box so it can be checked before importing
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            document.getElementById('courseImportText').value = e.target.result;
+        };
+        reader.onerror = () => {
+            this.ui.showNotification('Could not read the course file', 'error');
+        };
+        reader.readAsText(file);
+    }
+    
+    saveCourseImport() {
+        const result = this.courseManager.importCourses(document.getElementById('courseImportText').value);
+        if (!result.success) {
+            this.ui.showNotification(result.errors[0], 'error');
+            return;
+        }
+        
+        // Select the first imported course so its tees can be picked straight away
+        this.renderCourseOptions(result.courses[0]);
+        this.hideCourseImportModal();
+        
+        const count = result.courses.length;
+        this.ui.showNotification(`Imported ${count} course${count === 1 ? '' : 's'}: ${result.courses.join(', ')}`, 'success');
+    }
+
+    renderScorecardInputs(containerId) {
+        this.renderScoreInputs(containerId, 'scorecardStroke');
+        
+        // Add an optional putts input beside each player's strokes
+        this.players.forEach((player, index) => {
+            const strokesInput = document.getElementById(`scorecardStroke${index}`);
+            if (!strokesInput) return;
+            strokesInput.placeholder = 'Strokes';
+            
+            const puttsInput = document.createElement('input');
+            puttsInput.type = 'number';
+            puttsInput.id = `scorecardPutts${index}`;
+            puttsInput.min = '0';
+            puttsInput.max = String(SCORECARD_CONFIG.MAX_PUTTS);
+            puttsInput.inputMode = 'numeric';
+            puttsInput.placeholder = 'Putts';
+            puttsInput.setAttribute('aria-label', `${player} putts`);
+            strokesInput.parentNode.appendChild(puttsInput);
+        });
+    }
+
+    fillScorecardInputs(hole) {
+        const scorecard = this.gameManager.scorecard;
+        this.players.forEach((player, index) => {
+            const strokesInput = document.getElementById(`scorecardStroke${index}`);
+            const puttsInput = document.getElementById(`scorecardPutts${index}`);
+            if (strokesInput) {
+                strokesInput.value = scorecard.getScore(hole, player) ?? '';
+            }
+            if (puttsInput) {
+                puttsInput.value = scorecard.getPutts(hole, player) ?? '';
+            }
+        });
+    }
+
+    readScorecardPutts() {
+        // Blank putts are simply not recorded
+        const putts = {};
+        this.players.forEach((player, index) => {
+            const input = document.getElementById(`scorecardPutts${index}`);
+            if (input && input.value !== '') {
+                putts[player] = parseInt(input.value);
+            }
+        });
+        return putts;
+    }
+
+    saveScorecardEntry() {
+        const hole = parseInt(document.getElementById('scorecardHole').value);
+        const strokes = this.readScoreInputs('scorecardStroke');
+        const putts = this.readScorecardPutts();
+        
+        // Use ValidationManager for input validation
+        const validation = this.validator.validateScorecardInput(strokes, putts, hole, this.players);
+        if (!validation.success) {
+            this.ui.showNotification(validation.message, 'error');
+            return;
+        }
+        
+        // Re-entering a hole replaces its scores, so blank putts clear any old ones
+        if (!this.gameManager.setHoleScores(hole, strokes, putts)) {
+            this.ui.showNotification(`Could not save the scores for hole ${hole}.`, 'error');
+            return;
+        }
+        
+        AnalyticsUtils.trackModalInteraction('scorecard', 'save');
+        
+        // Auto-save game state
+        this.saveGameState();
+        
+        this.hideScorecardModal();
+        this.updateGameDisplay();
+        this.updateCombinedSummary();
+        this.updateGameBreakdowns();
+        
+        this.ui.showNotification(`Scores saved for hole ${hole}.`, 'success');
+    }
+
+    updateScorecardStatus() {
+        const status = document.getElementById('scorecardStatus');
+        if (!status) return;
+        
+        const scorecard = this.gameManager.scorecard;
+        const entered = Object.keys(scorecard.getHoleScores(this.currentHole)).length;
+        
+        if (scorecard.isHoleComplete(this.currentHole)) {
+            const scores = this.players.map(player =>
+                `${player} ${this.formatScoreWithStrokes(this.currentHole, player, scorecard.getScore(this.currentHole, player))}`);
+            status.textContent = `Hole ${this.currentHole}: ${scores.join(', ')}`;
+        } else if (entered > 0) {
+            status.textContent = `Hole ${this.currentHole}: ${entered} of ${this.players.length} scores entered`;
+        } else {
+            status.textContent = `No scores entered for hole ${this.currentHole}`;
+        }
+    }
+
+    formatScoreWithStrokes(hole, player, score) {
+        // A dot for each handicap stroke the player gets on the hole
+        const strokes = this.gameManager.scorecard.getHandicapStrokes(hole, player);
+        return `${score}${HANDICAP_CONFIG.STROKE_DOT.repeat(Math.max(strokes, 0))}`;
+    }
+    
+    describeHandicapStrokes(hole) {
+        const scorecard = this.gameManager.scorecard;
+        const strokePlayers = this.players.filter(player => scorecard.getHandicapStrokes(hole, player) > 0);
+        if (strokePlayers.length === 0) return '';
+        
+        const strokes = strokePlayers.map(player =>
+            `${player}${HANDICAP_CONFIG.STROKE_DOT.repeat(scorecard.getHandicapStrokes(hole, player))}`);
+        return ` (strokes: ${strokes.join(', ')})`;
     }
     
+    renderScoreInputs(containerId, idPrefix) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this.players.forEach((player, index) => {
+            const row = document.createElement('div');
+            row.className = 'score-input-row';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `${idPrefix}${index}`;
+            label.textContent = player;
+            
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `${idPrefix}${index}`;
+            input.min = '1';
+            input.max = '15';
+            input.inputMode = 'numeric';
+            
+            row.appendChild(label);
+            row.appendChild(input);
+            container.appendChild(row);
+        });
+    }
+
+    readScoreInputs(idPrefix) {
+        const scores = {};
+        this.players.forEach((player, index) => {
+            const input = document.getElementById(`${idPrefix}${index}`);
+            scores[player] = input ? parseInt(input.value) : NaN;
+        });
+        return scores;
+    }
+
     setupQuickActionHandlers() {
         // Quick Murph
         const quickMurphSave = document.getElementById('quickMurphSave');
@@ -3067,6 +11357,126 @@ class SavageGolf {
             quickWolfSave.addEventListener('click', () => this.handleQuickWolf());
         }
         
+        // Quick Nassau
+        const quickNassauSave = document.getElementById('quickNassauSave');
+        if (quickNassauSave) {
+            quickNassauSave.addEventListener('click', () => this.handleQuickNassau());
+        }
+        
+        // Quick Bingo Bango Bongo
+        const quickBingoSave = document.getElementById('quickBingoSave');
+        if (quickBingoSave) {
+            quickBingoSave.addEventListener('click', () => this.handleQuickBingo());
+        }
+        
+        // Quick Vegas
+        const quickVegasSave = document.getElementById('quickVegasSave');
+        if (quickVegasSave) {
+            quickVegasSave.addEventListener('click', () => this.handleQuickVegas());
+        }
+        
+        // Quick Sixes
+        const quickSixesSave = document.getElementById('quickSixesSave');
+        if (quickSixesSave) {
+            quickSixesSave.addEventListener('click', () => this.handleQuickSixes());
+        }
+        
+        // Quick Hammer
+        const quickHammerSave = document.getElementById('quickHammerSave');
+        if (quickHammerSave) {
+            quickHammerSave.addEventListener('click', () => this.handleQuickHammer());
+        }
+        
+        // Holes with hammers are logged in the full modal
+        const quickHammerLog = document.getElementById('quickHammerLog');
+        if (quickHammerLog) {
+            quickHammerLog.addEventListener('click', () => this.showHammerModal());
+        }
+        
+        // Quick Junk
+        const quickJunkSave = document.getElementById('quickJunkSave');
+        if (quickJunkSave) {
+            quickJunkSave.addEventListener('click', () => this.handleQuickJunk());
+        }
+        
+        // Quick Rabbit
+        const quickRabbitSave = document.getElementById('quickRabbitSave');
+        if (quickRabbitSave) {
+            quickRabbitSave.addEventListener('click', () => this.handleQuickRabbit());
+        }
+        
+        // Quick Stableford
+        const quickStablefordSave = document.getElementById('quickStablefordSave');
+        if (quickStablefordSave) {
+            quickStablefordSave.addEventListener('click', () => this.handleQuickStableford());
+        }
+        
+        // Quick Nine Point
+        const quickNinePointSave = document.getElementById('quickNinePointSave');
+        if (quickNinePointSave) {
+            quickNinePointSave.addEventListener('click', () => this.handleQuickNinePoint());
+        }
+        
+        // Quick Banker
+        const quickBankerSave = document.getElementById('quickBankerSave');
+        if (quickBankerSave) {
+            quickBankerSave.addEventListener('click', () => this.handleQuickBanker());
+        }
+        
+        // Quick Match Play
+        const quickMatchPlaySave = document.getElementById('quickMatchPlaySave');
+        if (quickMatchPlaySave) {
+            quickMatchPlaySave.addEventListener('click', () => this.handleQuickMatchPlay());
+        }
+        
+        // Quick Quota
+        const quickQuotaSave = document.getElementById('quickQuotaSave');
+        if (quickQuotaSave) {
+            quickQuotaSave.addEventListener('click', () => this.handleQuickQuota());
+        }
+        
+        // Quick Defender
+        const quickDefenderSave = document.getElementById('quickDefenderSave');
+        if (quickDefenderSave) {
+            quickDefenderSave.addEventListener('click', () => this.handleQuickDefender());
+        }
+        
+        // Quick Money Ball
+        const quickMoneyBallSave = document.getElementById('quickMoneyBallSave');
+        if (quickMoneyBallSave) {
+            quickMoneyBallSave.addEventListener('click', () => this.handleQuickMoneyBall());
+        }
+        
+        // Quick Scotch
+        const quickScotchSave = document.getElementById('quickScotchSave');
+        if (quickScotchSave) {
+            quickScotchSave.addEventListener('click', () => this.handleQuickScotch());
+        }
+        
+        // Quick Acey Deucey
+        const quickAceyDeuceySave = document.getElementById('quickAceyDeuceySave');
+        if (quickAceyDeuceySave) {
+            quickAceyDeuceySave.addEventListener('click', () => this.handleQuickAceyDeucey());
+        }
+        
+        // Quick Longest Drive
+        const quickLongestDriveSave = document.getElementById('quickLongestDriveSave');
+        if (quickLongestDriveSave) {
+            quickLongestDriveSave.addEventListener('click', () => this.handleQuickLongestDrive());
+        }
+        
+        // Quick Umbrella
+        const quickUmbrellaSave = document.getElementById('quickUmbrellaSave');
+        if (quickUmbrellaSave) {
+            quickUmbrellaSave.addEventListener('click', () => this.handleQuickUmbrella());
+        }
+        
+        // Quick Low Ball / Low Total
+        const quickLowBallSave = document.getElementById('quickLowBallSave');
+        if (quickLowBallSave) {
+            quickLowBallSave.addEventListener('click', () => this.handleQuickLowBall());
+        }
+        
         // Wolf partner selection logic
         const quickWolfChoice = document.getElementById('quickWolfChoice');
         const quickWolfPartner = document.getElementById('quickWolfPartner');
@@ -3098,7 +11508,9 @@ class SavageGolf {
             result: result === 'made' ? 'made' : 'failed'
         };
         
-        this.gameManager.addGameAction('murph', action);
+        if (!this.recordGameAction('murph', action)) {
+            return;
+        }
         
         // Track quick action analytics
         AnalyticsUtils.trackGameAction('murph', 'quick_action', this.currentHole, {
@@ -3132,7 +11544,9 @@ class SavageGolf {
             winner: winner
         };
         
-        this.gameManager.addGameAction('skins', action);
+        if (!this.recordGameAction('skins', action)) {
+            return;
+        }
         
         // Track quick action analytics
         AnalyticsUtils.trackGameAction('skins', 'quick_action', this.currentHole, {
@@ -3152,35 +11566,24 @@ class SavageGolf {
     }
     
     handleQuickKP() {
-        const player = document.getElementById('quickKPPlayer').value;
+        const winner = document.getElementById('quickKPPlayer').value;
+        const shot = document.getElementById('quickKPShot').value || KP_CONFIG.DEFAULT_SHOT;
+        const distance = parseFloat(document.getElementById('quickKPDistance').value);
+        const madePar = document.getElementById('quickKPMadePar').checked;
         
-        if (!player) {
-            alert('Please select a player');
+        const validation = this.validator.validateKPInput(winner, this.currentHole, distance);
+        if (!validation.success) {
+            alert(validation.message);
             return;
         }
         
-        const action = {
-            hole: this.currentHole,
-            player: player
-        };
-        
-        this.gameManager.addGameAction('kp', action);
-        
-        // Track quick action analytics
-        AnalyticsUtils.trackGameAction('kp', 'quick_action', this.currentHole, {
-            player: player
-        });
-        
-        // Update local gameActions reference
-        this.gameActions = this.gameManager.gameActions;
-        
-        this.updateGameDisplay();
-        this.updateQuickActionsStatus();
-        this.updateCombinedSummary();
-        this.updateGameBreakdowns();
-        
-        // Clear form
-        document.getElementById('quickKPPlayer').value = '';
+        if (this.recordKP(this.currentHole, winner, shot, distance, madePar, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickKPPlayer').value = '';
+            document.getElementById('quickKPShot').value = KP_CONFIG.DEFAULT_SHOT;
+            document.getElementById('quickKPDistance').value = '';
+            document.getElementById('quickKPMadePar').checked = true;
+        }
     }
     
     handleQuickSnake() {
@@ -3196,7 +11599,9 @@ class SavageGolf {
             player: player
         };
         
-        this.gameManager.addGameAction('snake', action);
+        if (!this.recordGameAction('snake', action)) {
+            return;
+        }
         
         // Track quick action analytics
         AnalyticsUtils.trackGameAction('snake', 'quick_action', this.currentHole, {
@@ -3239,7 +11644,9 @@ class SavageGolf {
             result: result
         };
         
-        this.gameManager.addGameAction('wolf', action);
+        if (!this.recordGameAction('wolf', action)) {
+            return;
+        }
         
         // Track quick action analytics
         AnalyticsUtils.trackGameAction('wolf', 'quick_action', this.currentHole, {
@@ -3265,6 +11672,311 @@ class SavageGolf {
         document.getElementById('quickWolfPartner').style.display = 'none';
     }
     
+    handleQuickNassau() {
+        const winner = document.getElementById('quickNassauWinner').value;
+        
+        if (!winner) {
+            alert('Please select the hole result');
+            return;
+        }
+        
+        if (this.recordNassauResult(this.currentHole, winner, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickNassauWinner').value = '';
+        }
+    }
+    
+    handleQuickBingo() {
+        const awards = {
+            bingo: document.getElementById('quickBingoPlayer').value,
+            bango: document.getElementById('quickBangoPlayer').value,
+            bongo: document.getElementById('quickBongoPlayer').value
+        };
+        
+        if (!awards.bingo && !awards.bango && !awards.bongo) {
+            alert('Please select a winner for at least one point');
+            return;
+        }
+        
+        if (this.recordBingoPoints(this.currentHole, awards, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickBingoPlayer').value = '';
+            document.getElementById('quickBangoPlayer').value = '';
+            document.getElementById('quickBongoPlayer').value = '';
+        }
+    }
+
+    handleQuickVegas() {
+        const par = parseInt(document.getElementById('quickVegasPar').value);
+        const scores = this.readScoreInputs('quickVegasScore');
+        
+        const validation = this.validator.validateVegasInput(scores, par, this.currentHole, this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordVegasHole(this.currentHole, par, scores, 'quick_action')) {
+            // Clear form
+            this.renderScoreInputs('quickVegasScores', 'quickVegasScore');
+            document.getElementById('quickVegasPar').value = this.getHolePar(this.currentHole, VEGAS_CONFIG.DEFAULT_PAR);
+        }
+    }
+
+    handleQuickSixes() {
+        const winner = document.getElementById('quickSixesWinner').value;
+        
+        if (!winner) {
+            alert('Please select the hole result');
+            return;
+        }
+        
+        if (this.recordSixesResult(this.currentHole, winner, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickSixesWinner').value = '';
+        }
+    }
+
+    handleQuickHammer() {
+        const winner = document.getElementById('quickHammerWinner').value;
+        
+        if (!winner) {
+            alert('Please select the hole result');
+            return;
+        }
+        
+        // Quick entry is for holes played without a hammer
+        if (this.recordHammerHole(this.currentHole, [], winner, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickHammerWinner').value = '';
+        }
+    }
+
+    handleQuickJunk() {
+        const player = document.getElementById('quickJunkPlayer').value;
+        const dot = document.getElementById('quickJunkDot').value;
+        
+        if (!player || !dot) {
+            alert('Please select a player and a dot');
+            return;
+        }
+        
+        if (this.recordJunkAwards(this.currentHole, [{ player, dot }], 'quick_action')) {
+            // Clear form
+            document.getElementById('quickJunkPlayer').value = '';
+            document.getElementById('quickJunkDot').value = '';
+        }
+    }
+
+    handleQuickRabbit() {
+        const winner = document.getElementById('quickRabbitWinner').value;
+        
+        if (!winner) {
+            alert('Please select who won the hole outright, or a tie');
+            return;
+        }
+        
+        if (this.recordRabbitResult(this.currentHole, winner, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickRabbitWinner').value = '';
+        }
+    }
+
+    handleQuickStableford() {
+        const par = parseInt(document.getElementById('quickStablefordPar').value);
+        const scores = this.readScoreInputs('quickStablefordScore');
+        
+        const validation = this.validator.validateStablefordInput(scores, par, this.currentHole, this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordStablefordHole(this.currentHole, par, scores, 'quick_action')) {
+            // Clear form
+            this.renderScoreInputs('quickStablefordScores', 'quickStablefordScore');
+            document.getElementById('quickStablefordPar').value = this.getHolePar(this.currentHole, STABLEFORD_CONFIG.DEFAULT_PAR);
+        }
+    }
+
+    handleQuickNinePoint() {
+        const scores = this.readScoreInputs('quickNinePointScore');
+        
+        const validation = this.validator.validateNinePointInput(scores, this.currentHole, this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordNinePointHole(this.currentHole, scores, 'quick_action')) {
+            // Clear form
+            this.renderScoreInputs('quickNinePointScores', 'quickNinePointScore');
+        }
+    }
+
+    handleQuickBanker() {
+        const bets = this.readBankerBets('quickBanker', this.currentHole);
+        const scores = this.readScoreInputs('quickBankerScore');
+        
+        const validation = this.validator.validateBankerInput(bets, scores, this.currentHole, this.gameInstances.banker.getMinStake(), this.gameInstances.banker.getMaxStake(), this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordBankerHole(this.currentHole, bets, scores, 'quick_action')) {
+            // Clear form
+            this.renderBankerBets('quickBankerBets', 'quickBanker', this.currentHole);
+        }
+    }
+
+    handleQuickMatchPlay() {
+        const winner = document.getElementById('quickMatchPlayWinner').value;
+        
+        if (!winner) {
+            alert('Please select the hole result');
+            return;
+        }
+        
+        if (this.recordMatchPlayHole(this.currentHole, winner, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickMatchPlayWinner').value = '';
+        }
+    }
+
+    handleQuickQuota() {
+        const par = parseInt(document.getElementById('quickQuotaPar').value);
+        const scores = this.readScoreInputs('quickQuotaScore');
+        
+        const validation = this.validator.validateQuotaInput(scores, par, this.currentHole, this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordQuotaHole(this.currentHole, par, scores, 'quick_action')) {
+            // Clear form
+            this.renderScoreInputs('quickQuotaScores', 'quickQuotaScore');
+            document.getElementById('quickQuotaPar').value = this.getHolePar(this.currentHole, QUOTA_CONFIG.DEFAULT_PAR);
+        }
+    }
+
+    handleQuickDefender() {
+        const result = document.getElementById('quickDefenderResult').value;
+        
+        const validation = this.validator.validateDefenderInput(result, this.currentHole);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordDefenderHole(this.currentHole, result, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickDefenderResult').selectedIndex = 0;
+        }
+    }
+
+    handleQuickMoneyBall() {
+        const scores = this.readScoreInputs('quickMoneyBallScore');
+        const lostTeams = this.readMoneyBallLost('quickMoneyBallLost');
+        
+        const validation = this.validator.validateMoneyBallInput(scores, this.currentHole, this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordMoneyBallHole(this.currentHole, scores, lostTeams, 'quick_action')) {
+            // Clear form
+            this.renderScoreInputs('quickMoneyBallScores', 'quickMoneyBallScore');
+            this.renderMoneyBallLost('quickMoneyBallLost', 'quickMoneyBall', this.currentHole);
+        }
+    }
+
+    handleQuickScotch() {
+        const pairing = parseInt(document.getElementById('quickScotchTeams').value);
+        const par = parseInt(document.getElementById('quickScotchPar').value);
+        const scores = this.readScoreInputs('quickScotchScore');
+        const prox = document.getElementById('quickScotchProx').value;
+        
+        const validation = this.validator.validateScotchInput(scores, par, this.currentHole, this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordScotchHole(this.currentHole, pairing, par, scores, prox, 'quick_action')) {
+            // Clear form
+            this.renderScoreInputs('quickScotchScores', 'quickScotchScore');
+            document.getElementById('quickScotchPar').value = this.getHolePar(this.currentHole, SCOTCH_CONFIG.DEFAULT_PAR);
+            document.getElementById('quickScotchProx').selectedIndex = 0;
+        }
+    }
+
+    handleQuickAceyDeucey() {
+        const ace = document.getElementById('quickAceyDeuceyAce').value;
+        const deuce = document.getElementById('quickAceyDeuceyDeuce').value;
+        
+        const validation = this.validator.validateAceyDeuceyInput(ace, deuce, this.currentHole);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordAceyDeuceyHole(this.currentHole, ace, deuce, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickAceyDeuceyAce').selectedIndex = 0;
+            document.getElementById('quickAceyDeuceyDeuce').selectedIndex = 0;
+        }
+    }
+
+    handleQuickLongestDrive() {
+        const winner = document.getElementById('quickLongestDriveWinner').value;
+        const distance = parseInt(document.getElementById('quickLongestDriveDistance').value);
+        
+        const validation = this.validator.validateLongestDriveInput(winner, distance, this.currentHole);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordLongestDrive(this.currentHole, winner, distance, 'quick_action')) {
+            // Clear form
+            document.getElementById('quickLongestDriveWinner').value = '';
+            document.getElementById('quickLongestDriveDistance').value = '';
+        }
+    }
+
+    handleQuickUmbrella() {
+        const winners = this.readUmbrellaPoints('quickUmbrellaPoint');
+        
+        const validation = this.validator.validateUmbrellaInput(winners, this.currentHole);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordUmbrellaHole(this.currentHole, winners, 'quick_action')) {
+            // Clear form
+            this.renderUmbrellaPoints('quickUmbrellaPoints', 'quickUmbrellaPoint');
+        }
+    }
+
+    handleQuickLowBall() {
+        const scores = this.readScoreInputs('quickLowBallScore');
+        
+        const validation = this.validator.validateLowBallInput(scores, this.currentHole, this.players);
+        if (!validation.success) {
+            alert(validation.message);
+            return;
+        }
+        
+        if (this.recordLowBallHole(this.currentHole, scores, 'quick_action')) {
+            // Clear form
+            this.renderScoreInputs('quickLowBallScores', 'quickLowBallScore');
+        }
+    }
+
     updateQuickActionsStatus() {
         // Update status displays for quick actions
         const quickStatuses = {
@@ -3272,7 +11984,26 @@ class SavageGolf {
             skins: 'quickSkinsStatus',
             kp: 'quickKPStatus',
             snake: 'quickSnakeStatus',
-            wolf: 'quickWolfStatus'
+            wolf: 'quickWolfStatus',
+            nassau: 'quickNassauStatus',
+            bingo: 'quickBingoStatus',
+            vegas: 'quickVegasStatus',
+            sixes: 'quickSixesStatus',
+            hammer: 'quickHammerStatus',
+            junk: 'quickJunkStatus',
+            rabbit: 'quickRabbitStatus',
+            stableford: 'quickStablefordStatus',
+            ninePoint: 'quickNinePointStatus',
+            banker: 'quickBankerStatus',
+            matchPlay: 'quickMatchPlayStatus',
+            quota: 'quickQuotaStatus',
+            defender: 'quickDefenderStatus',
+            moneyBall: 'quickMoneyBallStatus',
+            scotch: 'quickScotchStatus',
+            aceyDeucey: 'quickAceyDeuceyStatus',
+            longestDrive: 'quickLongestDriveStatus',
+            umbrella: 'quickUmbrellaStatus',
+            lowBall: 'quickLowBallStatus'
         };
         
         Object.entries(quickStatuses).forEach(([gameType, statusId]) => {
@@ -3284,13 +12015,58 @@ class SavageGolf {
                 if (gameType === 'murph') {
                     statusElement.textContent = `${count} calls`;
                 } else if (gameType === 'skins') {
-                    statusElement.textContent = `${count} skins`;
+                    statusElement.textContent = `${this.getSkinsResults().length} skins`;
                 } else if (gameType === 'kp') {
                     statusElement.textContent = `${count} KPs`;
                 } else if (gameType === 'snake') {
                     statusElement.textContent = `${count} snakes`;
                 } else if (gameType === 'wolf') {
                     statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'nassau') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'bingo') {
+                    const pointCount = this.gameInstances.bingo ? this.gameInstances.bingo.getStats().totalPoints : 0;
+                    statusElement.textContent = `${pointCount} points`;
+                } else if (gameType === 'vegas') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'sixes') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'hammer') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'junk') {
+                    const dotCount = this.gameInstances.junk ? this.gameInstances.junk.getStats().totalDots : 0;
+                    statusElement.textContent = `${dotCount} dots`;
+                } else if (gameType === 'rabbit') {
+                    // Show who is holding the rabbit
+                    statusElement.textContent = this.getRabbitHolderText();
+                } else if (gameType === 'stableford') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'ninePoint') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'banker') {
+                    // Show who is banking the current hole
+                    statusElement.textContent = this.getBankerText();
+                } else if (gameType === 'matchPlay') {
+                    // Show the running match status
+                    statusElement.textContent = this.getMatchPlayStatusText();
+                } else if (gameType === 'quota') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'defender') {
+                    // Show who is defending the current hole
+                    statusElement.textContent = this.getDefenderText();
+                } else if (gameType === 'moneyBall') {
+                    // Show who carries the money balls on the current hole
+                    statusElement.textContent = this.getMoneyBallText();
+                } else if (gameType === 'scotch') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'aceyDeucey') {
+                    statusElement.textContent = `${count} holes`;
+                } else if (gameType === 'longestDrive') {
+                    statusElement.textContent = `${count} drive${count !== 1 ? 's' : ''}`;
+                } else if (gameType === 'umbrella') {
+                    statusElement.textContent = this.getUmbrellaText();
+                } else if (gameType === 'lowBall') {
+                    statusElement.textContent = this.getLowBallText();
                 }
             }
         });
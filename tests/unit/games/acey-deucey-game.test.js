@@ -0,0 +1,84 @@
+import { AceyDeuceyGame } from '../../../games/acey-deucey-game.js';
+import { GAME_TYPES, ACEY_DEUCEY_CONFIG } from '../../../constants.js';
+
+describe('AceyDeuceyGame', () => {
+    let aceyDeuceyGame;
+    let players;
+
+    const TIE = ACEY_DEUCEY_CONFIG.TIE_VALUE;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Mike'];
+        aceyDeuceyGame = new AceyDeuceyGame(players, { betAmount: 1.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a 4 player Acey Deucey game', () => {
+            expect(aceyDeuceyGame.gameType).toBe(GAME_TYPES.ACEY_DEUCEY);
+            expect(aceyDeuceyGame.requiredPlayers).toBe(4);
+            expect(aceyDeuceyGame.players).toEqual(players);
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept players and ties for low and high', () => {
+            expect(aceyDeuceyGame.validateAction({ hole: 1, ace: 'Daniel', deuce: 'Mike' })).toBe(true);
+            expect(aceyDeuceyGame.validateAction({ hole: 2, ace: TIE, deuce: 'Mike' })).toBe(true);
+            expect(aceyDeuceyGame.validateAction({ hole: 3, ace: TIE, deuce: TIE })).toBe(true);
+        });
+
+        test('should reject the same player for low and high', () => {
+            expect(aceyDeuceyGame.validateAction({ hole: 1, ace: 'Bill', deuce: 'Bill' })).toBe(false);
+        });
+
+        test('should reject unknown players and bad holes', () => {
+            expect(aceyDeuceyGame.validateAction({ hole: 1, ace: 'Tiger', deuce: 'Mike' })).toBe(false);
+            expect(aceyDeuceyGame.validateAction({ hole: 1, ace: 'Daniel' })).toBe(false);
+            expect(aceyDeuceyGame.validateAction({ hole: 19, ace: 'Daniel', deuce: 'Mike' })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay the ace from everyone and make the deuce pay everyone', () => {
+            aceyDeuceyGame.addAction({ hole: 1, ace: 'Daniel', deuce: 'Mike' });
+
+            const summary = aceyDeuceyGame.calculateSummary();
+            expect(summary['Daniel']).toBe(4.00);
+            expect(summary['Bill']).toBe(0);
+            expect(summary['Josh']).toBe(0);
+            expect(summary['Mike']).toBe(-4.00);
+        });
+
+        test('should cancel the payout for a tie', () => {
+            aceyDeuceyGame.addAction({ hole: 1, ace: TIE, deuce: 'Josh' });
+
+            const summary = aceyDeuceyGame.calculateSummary();
+            expect(summary['Josh']).toBe(-3.00);
+            expect(summary['Daniel']).toBe(1.00);
+            expect(summary['Bill']).toBe(1.00);
+            expect(summary['Mike']).toBe(1.00);
+        });
+
+        test('should not pay anything when low and high are both tied', () => {
+            aceyDeuceyGame.addAction({ hole: 1, ace: TIE, deuce: TIE });
+            expect(aceyDeuceyGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0, 'Mike': 0 });
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count aces and deuces per player', () => {
+            aceyDeuceyGame.addAction({ hole: 1, ace: 'Daniel', deuce: 'Mike' });
+            aceyDeuceyGame.addAction({ hole: 2, ace: 'Daniel', deuce: TIE });
+            aceyDeuceyGame.addAction({ hole: 3, ace: TIE, deuce: 'Mike' });
+
+            const stats = aceyDeuceyGame.getStats();
+            expect(stats.holesPlayed).toBe(3);
+            expect(stats.playerAces).toEqual({ 'Daniel': 2, 'Bill': 0, 'Josh': 0, 'Mike': 0 });
+            expect(stats.playerDeuces).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0, 'Mike': 2 });
+            expect(stats.totalAces).toBe(2);
+            expect(stats.totalDeuces).toBe(2);
+            expect(aceyDeuceyGame.isHolePlayed(2)).toBe(true);
+            expect(aceyDeuceyGame.isHolePlayed(4)).toBe(false);
+        });
+    });
+});
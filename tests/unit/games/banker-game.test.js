@@ -0,0 +1,179 @@
+import { BankerGame } from '../../../games/banker-game.js';
+import { ScorecardManager } from '../../../managers/scorecard-manager.js';
+import { GAME_TYPES, BANKER_CONFIG } from '../../../constants.js';
+
+describe('BankerGame', () => {
+    let bankerGame;
+    let players;
+
+    const { PLAYER, BANKER, PUSH } = BANKER_CONFIG.RESULTS;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Matt'];
+        bankerGame = new BankerGame(players, { betAmount: 1.00, maxStake: 5.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Banker game with stake limits', () => {
+            expect(bankerGame.gameType).toBe(GAME_TYPES.BANKER);
+            expect(bankerGame.players).toEqual(players);
+            expect(bankerGame.getMinStake()).toBe(1.00);
+            expect(bankerGame.getMaxStake()).toBe(5.00);
+        });
+    });
+
+    describe('Banker Rotation', () => {
+        test('should rotate the banker every hole', () => {
+            expect(bankerGame.getBankerForHole(1)).toBe('Daniel');
+            expect(bankerGame.getBankerForHole(2)).toBe('Bill');
+            expect(bankerGame.getBankerForHole(4)).toBe('Matt');
+            expect(bankerGame.getBankerForHole(5)).toBe('Daniel');
+            expect(bankerGame.getBankerForHole(18)).toBe('Bill');
+        });
+
+        test('should rotate through a threesome', () => {
+            const threesome = new BankerGame(['Daniel', 'Bill', 'Josh'], { betAmount: 1.00 });
+            expect(threesome.getBankerForHole(3)).toBe('Josh');
+            expect(threesome.getBankerForHole(4)).toBe('Daniel');
+        });
+
+        test('should list the players betting against the banker', () => {
+            expect(bankerGame.getPlayersAgainstBanker(2)).toEqual(['Daniel', 'Josh', 'Matt']);
+        });
+    });
+
+    describe('Action Validation', () => {
+        const scores = { Daniel: 4, Bill: 5, Josh: 6, Matt: 5 };
+        const bets = (stake = 2) => [
+            { player: 'Daniel', stake },
+            { player: 'Josh', stake },
+            { player: 'Matt', stake }
+        ];
+
+        test('should accept a bet from every other player', () => {
+            expect(bankerGame.validateAction({ hole: 2, banker: 'Bill', scores, bets: bets() })).toBe(true);
+        });
+
+        test('should reject the wrong banker', () => {
+            expect(bankerGame.validateAction({ hole: 2, banker: 'Daniel', scores, bets: bets() })).toBe(false);
+        });
+
+        test('should reject stakes outside the limits', () => {
+            expect(bankerGame.validateAction({ hole: 2, banker: 'Bill', scores, bets: bets(0.5) })).toBe(false);
+            expect(bankerGame.validateAction({ hole: 2, banker: 'Bill', scores, bets: bets(6) })).toBe(false);
+        });
+
+        test('should reject missing bettors and bad scores', () => {
+            expect(bankerGame.validateAction({ hole: 2, banker: 'Bill', scores, bets: bets().slice(1) })).toBe(false);
+            expect(bankerGame.validateAction({ hole: 2, banker: 'Bill', bets: bets() })).toBe(false);
+            expect(bankerGame.validateAction({
+                hole: 2,
+                banker: 'Bill',
+                scores: { ...scores, Matt: 0 },
+                bets: bets()
+            })).toBe(false);
+            expect(bankerGame.validateAction({
+                hole: 2,
+                banker: 'Bill',
+                scores: { Daniel: 4, Bill: 5, Josh: 6 },
+                bets: bets()
+            })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should settle every stake head to head with the banker', () => {
+            const action = {
+                hole: 1,
+                banker: 'Daniel',
+                scores: { Daniel: 4, Bill: 3, Josh: 5, Matt: 4 },
+                bets: [
+                    { player: 'Bill', stake: 5 },
+                    { player: 'Josh', stake: 2 },
+                    { player: 'Matt', stake: 3 }
+                ]
+            };
+            bankerGame.addAction(action);
+
+            expect(action.bets.map(bet => bankerGame.getBetResult(action, bet))).toEqual([PLAYER, BANKER, PUSH]);
+            const summary = bankerGame.calculateSummary();
+            expect(summary['Daniel']).toBe(-3.00);
+            expect(summary['Bill']).toBe(5.00);
+            expect(summary['Josh']).toBe(-2.00);
+            expect(summary['Matt']).toBe(0);
+        });
+
+        test('should settle on net scores when the round has handicaps', () => {
+            // Matt gets a stroke on the hardest six holes; hole 3 is stroke index 1
+            const scorecard = new ScorecardManager(players);
+            scorecard.setHandicaps({ indexes: { Daniel: 0, Bill: 0, Josh: 0, Matt: 6 }, slope: 113, rating: 72, par: 72 });
+            bankerGame.setScorecard(scorecard);
+            const action = {
+                hole: 3,
+                banker: 'Josh',
+                scores: { Daniel: 5, Bill: 4, Josh: 4, Matt: 4 },
+                bets: [
+                    { player: 'Daniel', stake: 1 },
+                    { player: 'Bill', stake: 2 },
+                    { player: 'Matt', stake: 4 }
+                ]
+            };
+            bankerGame.addAction(action);
+
+            expect(action.bets.map(bet => bankerGame.getBetResult(action, bet))).toEqual([BANKER, PUSH, PLAYER]);
+            const summary = bankerGame.calculateSummary();
+            expect(summary['Josh']).toBe(-3.00);
+            expect(summary['Matt']).toBe(4.00);
+            expect(summary['Daniel']).toBe(-1.00);
+            expect(summary['Bill']).toBe(0);
+        });
+
+        test('should balance to zero', () => {
+            bankerGame.addAction({
+                hole: 1,
+                banker: 'Daniel',
+                scores: { Daniel: 4, Bill: 3, Josh: 5, Matt: 6 },
+                bets: [
+                    { player: 'Bill', stake: 5 },
+                    { player: 'Josh', stake: 2 },
+                    { player: 'Matt', stake: 3 }
+                ]
+            });
+            bankerGame.addAction({
+                hole: 2,
+                banker: 'Bill',
+                scores: { Daniel: 6, Bill: 5, Josh: 4, Matt: 5 },
+                bets: [
+                    { player: 'Daniel', stake: 1 },
+                    { player: 'Josh', stake: 4 },
+                    { player: 'Matt', stake: 2 }
+                ]
+            });
+
+            const summary = bankerGame.calculateSummary();
+            const total = Object.values(summary).reduce((sum, balance) => sum + balance, 0);
+            expect(total).toBe(0);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should total each banker and the biggest stake', () => {
+            bankerGame.addAction({
+                hole: 1,
+                banker: 'Daniel',
+                scores: { Daniel: 4, Bill: 3, Josh: 5, Matt: 6 },
+                bets: [
+                    { player: 'Bill', stake: 5 },
+                    { player: 'Josh', stake: 2 },
+                    { player: 'Matt', stake: 3 }
+                ]
+            });
+
+            const stats = bankerGame.getStats();
+            expect(stats.holesPlayed).toBe(1);
+            expect(stats.bankerNetByPlayer['Daniel']).toBe(0);
+            expect(stats.biggestStake).toBe(5);
+            expect(bankerGame.isHolePlayed(1)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { BingoGame } from '../../../games/bingo-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('BingoGame', () => {
+    let bingoGame;
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh'];
+        bingoGame = new BingoGame(players, { betAmount: 1.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Bingo Bango Bongo game with correct properties', () => {
+            expect(bingoGame.gameType).toBe(GAME_TYPES.BINGO);
+            expect(bingoGame.players).toEqual(players);
+            expect(bingoGame.actions).toEqual([]);
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a hole with all three points', () => {
+            expect(bingoGame.validateAction({ hole: 1, bingo: 'Daniel', bango: 'Bill', bongo: 'Josh' })).toBe(true);
+        });
+
+        test('should accept a hole with only some points awarded', () => {
+            expect(bingoGame.validateAction({ hole: 1, bingo: 'Daniel', bango: null, bongo: null })).toBe(true);
+        });
+
+        test('should reject a hole with no points awarded', () => {
+            expect(bingoGame.validateAction({ hole: 1, bingo: null, bango: null, bongo: null })).toBe(false);
+        });
+
+        test('should reject unknown players and invalid holes', () => {
+            expect(bingoGame.validateAction({ hole: 1, bingo: 'Steve' })).toBe(false);
+            expect(bingoGame.validateAction({ hole: 0, bingo: 'Daniel' })).toBe(false);
+            expect(bingoGame.validateAction({ hole: 19, bingo: 'Daniel' })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should return zero balances with no actions', () => {
+            expect(bingoGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0 });
+        });
+
+        test('should pay each point from every other player', () => {
+            bingoGame.addAction({ hole: 1, bingo: 'Daniel', bango: 'Daniel', bongo: 'Bill' });
+
+            const summary = bingoGame.calculateSummary();
+            expect(summary['Daniel']).toBe(3.00); // +2 +2 -1
+            expect(summary['Bill']).toBe(0.00); // -1 -1 +2
+            expect(summary['Josh']).toBe(-3.00);
+        });
+
+        test('should balance to zero', () => {
+            bingoGame.addAction({ hole: 1, bingo: 'Daniel', bango: 'Bill', bongo: 'Josh' });
+            bingoGame.addAction({ hole: 2, bingo: 'Josh', bango: null, bongo: 'Josh' });
+
+            const summary = bingoGame.calculateSummary();
+            const total = Object.values(summary).reduce((sum, balance) => sum + balance, 0);
+            expect(total).toBe(0);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count points by player', () => {
+            bingoGame.addAction({ hole: 1, bingo: 'Daniel', bango: 'Daniel', bongo: 'Bill' });
+            bingoGame.addAction({ hole: 2, bingo: 'Josh', bango: null, bongo: null });
+
+            const stats = bingoGame.getStats();
+            expect(stats.pointsByPlayer).toEqual({ 'Daniel': 2, 'Bill': 1, 'Josh': 1 });
+            expect(stats.totalPoints).toBe(4);
+            expect(stats.holesPlayed).toBe(2);
+        });
+
+        test('should know which holes have been played', () => {
+            bingoGame.addAction({ hole: 3, bingo: 'Daniel' });
+
+            expect(bingoGame.isHolePlayed(3)).toBe(true);
+            expect(bingoGame.isHolePlayed(4)).toBe(false);
+        });
+    });
+});
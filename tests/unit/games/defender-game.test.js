@@ -0,0 +1,106 @@
+import { DefenderGame } from '../../../games/defender-game.js';
+import { GAME_TYPES, DEFENDER_CONFIG } from '../../../constants.js';
+
+describe('DefenderGame', () => {
+    let defenderGame;
+    let players;
+
+    const { DEFENDER, OPPONENTS, PUSH } = DEFENDER_CONFIG.RESULTS;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh'];
+        defenderGame = new DefenderGame(players, { betAmount: 1.00, winPoints: 2, lossPoints: 1 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a 3 player Defender game', () => {
+            expect(defenderGame.gameType).toBe(GAME_TYPES.DEFENDER);
+            expect(defenderGame.requiredPlayers).toBe(3);
+            expect(defenderGame.config.winPoints).toBe(2);
+        });
+
+        test('should use the default points', () => {
+            const defaultGame = new DefenderGame(players, { betAmount: 1.00 });
+            expect(defaultGame.config.winPoints).toBe(DEFENDER_CONFIG.DEFAULT_WIN_POINTS);
+            expect(defaultGame.config.lossPoints).toBe(DEFENDER_CONFIG.DEFAULT_LOSS_POINTS);
+        });
+    });
+
+    describe('Defender Rotation', () => {
+        test('should rotate the defender every hole', () => {
+            expect(defenderGame.getDefenderForHole(1)).toBe('Daniel');
+            expect(defenderGame.getDefenderForHole(2)).toBe('Bill');
+            expect(defenderGame.getDefenderForHole(3)).toBe('Josh');
+            expect(defenderGame.getDefenderForHole(4)).toBe('Daniel');
+            expect(defenderGame.getDefenderForHole(18)).toBe('Josh');
+        });
+
+        test('should list the opponents for a hole', () => {
+            expect(defenderGame.getOpponents(2)).toEqual(['Daniel', 'Josh']);
+        });
+
+        test('should give every player six holes to defend', () => {
+            const schedule = defenderGame.getDefenderSchedule();
+            expect(schedule).toHaveLength(3);
+            expect(schedule[0]).toEqual({ player: 'Daniel', holes: [1, 4, 7, 10, 13, 16] });
+            expect(schedule[2].holes).toEqual([3, 6, 9, 12, 15, 18]);
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept the defender for the hole', () => {
+            expect(defenderGame.validateAction({ hole: 2, defender: 'Bill', result: DEFENDER })).toBe(true);
+            expect(defenderGame.validateAction({ hole: 3, defender: 'Josh', result: PUSH })).toBe(true);
+        });
+
+        test('should reject the wrong defender', () => {
+            expect(defenderGame.validateAction({ hole: 2, defender: 'Daniel', result: DEFENDER })).toBe(false);
+        });
+
+        test('should reject bad results and holes', () => {
+            expect(defenderGame.validateAction({ hole: 1, defender: 'Daniel', result: 'forfeit' })).toBe(false);
+            expect(defenderGame.validateAction({ hole: 19, defender: 'Daniel', result: DEFENDER })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay a winning defender the win points from each opponent', () => {
+            defenderGame.addAction({ hole: 1, defender: 'Daniel', result: DEFENDER });
+
+            const summary = defenderGame.calculateSummary();
+            expect(summary['Daniel']).toBe(4.00);
+            expect(summary['Bill']).toBe(-2.00);
+            expect(summary['Josh']).toBe(-2.00);
+        });
+
+        test('should make a losing defender pay the loss points to each opponent', () => {
+            defenderGame.addAction({ hole: 2, defender: 'Bill', result: OPPONENTS });
+
+            const summary = defenderGame.calculateSummary();
+            expect(summary['Bill']).toBe(-2.00);
+            expect(summary['Daniel']).toBe(1.00);
+            expect(summary['Josh']).toBe(1.00);
+        });
+
+        test('should not pay anything on a push', () => {
+            defenderGame.addAction({ hole: 3, defender: 'Josh', result: PUSH });
+            expect(defenderGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0 });
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should track each player as defender', () => {
+            defenderGame.addAction({ hole: 1, defender: 'Daniel', result: DEFENDER });
+            defenderGame.addAction({ hole: 2, defender: 'Bill', result: OPPONENTS });
+            defenderGame.addAction({ hole: 3, defender: 'Josh', result: PUSH });
+
+            const stats = defenderGame.getStats();
+            expect(stats.holesPlayed).toBe(3);
+            expect(stats.defenderWins).toBe(1);
+            expect(stats.opponentWins).toBe(1);
+            expect(stats.pushes).toBe(1);
+            expect(stats.defenderPerformance['Bill']).toEqual({ totalHoles: 1, wins: 0, losses: 1 });
+            expect(defenderGame.isHolePlayed(3)).toBe(true);
+        });
+    });
+});
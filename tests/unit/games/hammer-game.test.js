@@ -0,0 +1,129 @@
+import { HammerGame } from '../../../games/hammer-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('HammerGame', () => {
+    let hammerGame;
+    let players;
+
+    const accepted = by => ({ by, response: 'accepted' });
+    const declined = by => ({ by, response: 'declined' });
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Steve'];
+        hammerGame = new HammerGame(players, {
+            betAmount: 1.00,
+            teams: [['Daniel', 'Bill'], ['Josh', 'Steve']],
+            teamNames: { team1: 'Daniel & Bill', team2: 'Josh & Steve' }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Hammer game with correct properties', () => {
+            expect(hammerGame.gameType).toBe(GAME_TYPES.HAMMER);
+            expect(hammerGame.players).toEqual(players);
+            expect(hammerGame.getSides()).toEqual([['Daniel', 'Bill'], ['Josh', 'Steve']]);
+        });
+
+        test('should play head to head with 2 players', () => {
+            const headToHead = new HammerGame(['Daniel', 'Bill'], { betAmount: 1.00 });
+            expect(headToHead.getSides()).toEqual([['Daniel'], ['Bill']]);
+            expect(headToHead.getSideName('team2')).toBe('Bill');
+        });
+    });
+
+    describe('Hole Value', () => {
+        test('should double the hole for every accepted hammer', () => {
+            expect(hammerGame.calculateHoleValue([])).toBe(1.00);
+            expect(hammerGame.calculateHoleValue([accepted('team1')])).toBe(2.00);
+            expect(hammerGame.calculateHoleValue([accepted('team1'), accepted('team2'), accepted('team1')])).toBe(8.00);
+        });
+
+        test('should not double the hole for a laid-down hammer', () => {
+            expect(hammerGame.calculateHoleValue([accepted('team1'), declined('team2')])).toBe(2.00);
+        });
+
+        test('should give the hammer to the side that was hammered', () => {
+            expect(hammerGame.getNextHammerSide([])).toBeNull();
+            expect(hammerGame.getNextHammerSide([accepted('team1')])).toBe('team2');
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept holes with and without hammers', () => {
+            expect(hammerGame.validateAction({ hole: 1, hammers: [], winner: 'team1' })).toBe(true);
+            expect(hammerGame.validateAction({ hole: 1, hammers: [accepted('team2'), accepted('team1')], winner: 'halved' })).toBe(true);
+            expect(hammerGame.validateAction({ hole: 1, hammers: [accepted('team2'), declined('team1')], winner: 'team1' })).toBe(true);
+        });
+
+        test('should reject a side hammering twice in a row', () => {
+            expect(hammerGame.validateAction({ hole: 1, hammers: [accepted('team1'), accepted('team1')], winner: 'team1' })).toBe(false);
+        });
+
+        test('should only allow the last hammer to be laid down', () => {
+            expect(hammerGame.validateAction({ hole: 1, hammers: [declined('team1'), accepted('team2')], winner: 'team1' })).toBe(false);
+        });
+
+        test('should reject a laydown won by the side that laid down', () => {
+            expect(hammerGame.validateAction({ hole: 1, hammers: [declined('team1')], winner: 'team2' })).toBe(false);
+        });
+
+        test('should reject invalid holes and results', () => {
+            expect(hammerGame.validateAction({ hole: 19, hammers: [], winner: 'team1' })).toBe(false);
+            expect(hammerGame.validateAction({ hole: 1, hammers: [], winner: 'Daniel' })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay the hole value from each losing player', () => {
+            hammerGame.addAction({ hole: 1, hammers: [accepted('team1'), accepted('team2')], winner: 'team2' });
+
+            const summary = hammerGame.calculateSummary();
+            expect(summary['Daniel']).toBe(-4.00);
+            expect(summary['Bill']).toBe(-4.00);
+            expect(summary['Josh']).toBe(4.00);
+            expect(summary['Steve']).toBe(4.00);
+        });
+
+        test('should pay the hammering side the current value on a laydown', () => {
+            hammerGame.addAction({ hole: 1, hammers: [accepted('team1'), declined('team2')], winner: 'team2' });
+
+            const summary = hammerGame.calculateSummary();
+            expect(summary['Josh']).toBe(2.00);
+            expect(summary['Daniel']).toBe(-2.00);
+        });
+
+        test('should not pay halved holes', () => {
+            hammerGame.addAction({ hole: 1, hammers: [accepted('team1')], winner: 'halved' });
+
+            const summary = hammerGame.calculateSummary();
+            expect(Object.values(summary).every(balance => balance === 0)).toBe(true);
+        });
+    });
+
+    describe('Hammer History', () => {
+        test('should list each hammer with the hole value after it', () => {
+            hammerGame.addAction({ hole: 5, hammers: [accepted('team1'), accepted('team2'), declined('team1')], winner: 'team1' });
+
+            const history = hammerGame.getHammerHistory(5);
+            expect(history).toHaveLength(3);
+            expect(history[0]).toEqual({ by: 'team1', byName: 'Daniel & Bill', response: 'accepted', value: 2.00 });
+            expect(history[1].value).toBe(4.00);
+            expect(history[2]).toEqual({ by: 'team1', byName: 'Daniel & Bill', response: 'declined', value: 4.00 });
+            expect(hammerGame.getHammerHistory(6)).toEqual([]);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count hammers, laydowns and the biggest hole', () => {
+            hammerGame.addAction({ hole: 1, hammers: [accepted('team1'), declined('team2')], winner: 'team2' });
+            hammerGame.addAction({ hole: 2, hammers: [accepted('team2'), accepted('team1')], winner: 'team1' });
+            hammerGame.addAction({ hole: 3, hammers: [], winner: 'halved' });
+
+            const stats = hammerGame.getStats();
+            expect(stats.holesPlayed).toBe(3);
+            expect(stats.hammersThrown).toBe(4);
+            expect(stats.laydowns).toBe(1);
+            expect(stats.biggestHole).toBe(4.00);
+        });
+    });
+});
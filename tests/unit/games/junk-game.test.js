@@ -0,0 +1,96 @@
+import { JunkGame } from '../../../games/junk-game.js';
+import { GAME_TYPES, JUNK_CONFIG } from '../../../constants.js';
+
+describe('JunkGame', () => {
+    let junkGame;
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh'];
+        junkGame = new JunkGame(players, {
+            betAmount: 1.00,
+            items: { greenie: 2, sandie: 1, polie: 1 }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Junk game with correct properties', () => {
+            expect(junkGame.gameType).toBe(GAME_TYPES.JUNK);
+            expect(junkGame.players).toEqual(players);
+            expect(junkGame.actions).toEqual([]);
+        });
+
+        test('should play the whole catalog by default', () => {
+            const defaultGame = new JunkGame(players, { betAmount: 1.00 });
+            expect(defaultGame.getEnabledDots()).toHaveLength(JUNK_CONFIG.CATALOG.length);
+        });
+    });
+
+    describe('Dot Catalog', () => {
+        test('should only play the enabled dots, in catalog order', () => {
+            const dots = junkGame.getEnabledDots();
+            expect(dots.map(item => item.id)).toEqual(['greenie', 'sandie', 'polie']);
+            expect(dots[0].points).toBe(2);
+        });
+
+        test('should know the point value of each dot', () => {
+            expect(junkGame.getDotPoints('greenie')).toBe(2);
+            expect(junkGame.getDotPoints('barkie')).toBe(0);
+            expect(junkGame.getDotName('chipin')).toBe('Chip-in');
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept several dots for several players', () => {
+            expect(junkGame.validateAction({
+                hole: 3,
+                awards: [{ player: 'Daniel', dot: 'greenie' }, { player: 'Bill', dot: 'sandie' }, { player: 'Bill', dot: 'polie' }]
+            })).toBe(true);
+        });
+
+        test('should reject dots that are not in play', () => {
+            expect(junkGame.validateAction({ hole: 3, awards: [{ player: 'Daniel', dot: 'barkie' }] })).toBe(false);
+        });
+
+        test('should reject unknown players, empty awards and invalid holes', () => {
+            expect(junkGame.validateAction({ hole: 3, awards: [{ player: 'Steve', dot: 'greenie' }] })).toBe(false);
+            expect(junkGame.validateAction({ hole: 3, awards: [] })).toBe(false);
+            expect(junkGame.validateAction({ hole: 19, awards: [{ player: 'Daniel', dot: 'greenie' }] })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay each dot from every other player', () => {
+            junkGame.addAction({ hole: 1, awards: [{ player: 'Daniel', dot: 'greenie' }] });
+
+            const summary = junkGame.calculateSummary();
+            expect(summary['Daniel']).toBe(4.00); // 2 points from each of 2 players
+            expect(summary['Bill']).toBe(-2.00);
+            expect(summary['Josh']).toBe(-2.00);
+        });
+
+        test('should balance to zero', () => {
+            junkGame.addAction({ hole: 1, awards: [{ player: 'Daniel', dot: 'greenie' }, { player: 'Bill', dot: 'sandie' }] });
+            junkGame.addAction({ hole: 1, awards: [{ player: 'Josh', dot: 'polie' }] });
+
+            const summary = junkGame.calculateSummary();
+            const total = Object.values(summary).reduce((sum, balance) => sum + balance, 0);
+            expect(total).toBe(0);
+            expect(summary['Daniel']).toBe(2.00); // +4 -1 -1
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count dots by player and category', () => {
+            junkGame.addAction({ hole: 1, awards: [{ player: 'Daniel', dot: 'greenie' }, { player: 'Daniel', dot: 'polie' }] });
+            junkGame.addAction({ hole: 4, awards: [{ player: 'Daniel', dot: 'greenie' }, { player: 'Josh', dot: 'sandie' }] });
+
+            const stats = junkGame.getStats();
+            expect(stats.dotsByPlayer['Daniel']).toEqual({ greenie: 2, sandie: 0, polie: 1 });
+            expect(stats.dotsByPlayer['Josh']).toEqual({ greenie: 0, sandie: 1, polie: 0 });
+            expect(stats.pointsByPlayer).toEqual({ 'Daniel': 5, 'Bill': 0, 'Josh': 1 });
+            expect(stats.totalDots).toBe(4);
+            expect(stats.holesPlayed).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,203 @@
+import { KPGame } from '../../../games/kp-game.js';
+import { GAME_TYPES, KP_CONFIG } from '../../../constants.js';
+
+describe('KPGame', () => {
+    let kpGame;
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Mike'];
+        kpGame = new KPGame(players, { betAmount: 1.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a KP game with carryover and the par rule off', () => {
+            expect(kpGame.gameType).toBe(GAME_TYPES.KP);
+            expect(kpGame.players).toEqual(players);
+            expect(kpGame.config.carryover).toBe(false);
+            expect(kpGame.config.mustMakePar).toBe(false);
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a winner with or without a shot and distance', () => {
+            expect(kpGame.validateAction({ hole: 3, winner: 'Daniel' })).toBe(true);
+            expect(kpGame.validateAction({ hole: 3, player: 'Bill' })).toBe(true);
+            expect(kpGame.validateAction({ hole: 5, winner: 'Josh', shot: 'second', distance: 4.5 })).toBe(true);
+        });
+
+        test('should accept nobody on the green', () => {
+            expect(kpGame.validateAction({ hole: 3, winner: KP_CONFIG.NO_WINNER_VALUE })).toBe(true);
+        });
+
+        test('should reject unknown players, shots, holes and distances', () => {
+            expect(kpGame.validateAction({ hole: 3, winner: 'Tiger' })).toBe(false);
+            expect(kpGame.validateAction({ hole: 3, winner: 'Daniel', shot: 'putt' })).toBe(false);
+            expect(kpGame.validateAction({ hole: 3, winner: 'Daniel', shot: 'constructor' })).toBe(false);
+            expect(kpGame.validateAction({ hole: 3, winner: 'Daniel', shot: 'toString' })).toBe(false);
+            expect(kpGame.validateAction({ hole: 19, winner: 'Daniel' })).toBe(false);
+            expect(kpGame.validateAction({ hole: 3, winner: 'Daniel', distance: 0 })).toBe(false);
+            expect(kpGame.validateAction({ hole: 3, winner: 'Daniel', distance: KP_CONFIG.MAX_DISTANCE + 1 })).toBe(false);
+        });
+    });
+
+    describe('Multiple KPs per Hole', () => {
+        test('should track a KP for each shot on a hole', () => {
+            kpGame.addAction({ hole: 5, winner: 'Daniel', shot: 'tee' });
+            kpGame.addAction({ hole: 5, winner: 'Bill', shot: 'second' });
+
+            expect(kpGame.hasKPForHole(5)).toBe(true);
+            expect(kpGame.hasKPForHole(5, 'second')).toBe(true);
+            expect(kpGame.hasKPForHole(5, 'third')).toBe(false);
+            expect(kpGame.getKPWinnerForHole(5)).toBe('Daniel');
+            expect(kpGame.getKPWinnerForHole(5, 'second')).toBe('Bill');
+        });
+
+        test('should treat KPs without a shot as tee shots', () => {
+            kpGame.addAction({ hole: 3, player: 'Josh' });
+
+            expect(kpGame.hasKPForHole(3, 'tee')).toBe(true);
+            expect(kpGame.getKPWinnerForHole(3)).toBe('Josh');
+        });
+
+        test('should reject a second KP for the same shot on a hole', () => {
+            expect(kpGame.addAction({ id: 1, hole: 3, winner: 'Daniel' })).toBe(true);
+            expect(kpGame.addAction({ id: 2, hole: 3, winner: 'Bill', shot: 'tee' })).toBe(false);
+            expect(kpGame.addAction({ id: 3, hole: 3, winner: 'Bill', shot: 'second' })).toBe(true);
+
+            expect(kpGame.actions).toHaveLength(2);
+            expect(kpGame.calculateSummary().Daniel).toBe(2);
+        });
+
+        test('should pay every KP on the hole', () => {
+            kpGame.addAction({ hole: 5, winner: 'Daniel', shot: 'tee' });
+            kpGame.addAction({ hole: 5, winner: 'Daniel', shot: 'second' });
+
+            const summary = kpGame.calculateSummary();
+            expect(summary.Daniel).toBe(6);
+            expect(summary.Bill).toBe(-2);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay the winner from every other player', () => {
+            kpGame.addAction({ hole: 3, winner: 'Bill' });
+
+            const summary = kpGame.calculateSummary();
+            expect(summary).toEqual({ Daniel: -1, Bill: 3, Josh: -1, Mike: -1 });
+        });
+
+        test('should not pay anyone when nobody hit the green', () => {
+            kpGame.addAction({ hole: 3, winner: KP_CONFIG.NO_WINNER_VALUE });
+
+            expect(kpGame.calculateSummary()).toEqual({ Daniel: 0, Bill: 0, Josh: 0, Mike: 0 });
+        });
+
+        test('should ignore the made par flag unless par is required', () => {
+            kpGame.addAction({ hole: 3, winner: 'Bill', madePar: false });
+
+            expect(kpGame.calculateSummary().Bill).toBe(3);
+        });
+    });
+
+    describe('Carryover', () => {
+        beforeEach(() => {
+            kpGame = new KPGame(players, { betAmount: 1.00, carryover: true, mustMakePar: true });
+        });
+
+        test('should carry a KP nobody won into the next one', () => {
+            kpGame.addAction({ id: 1, hole: 3, winner: KP_CONFIG.NO_WINNER_VALUE });
+            kpGame.addAction({ id: 2, hole: 7, winner: 'Josh', madePar: true });
+
+            const summary = kpGame.calculateSummary();
+            expect(summary.Josh).toBe(6);
+            expect(summary.Daniel).toBe(-2);
+        });
+
+        test('should carry a KP when the winner misses par', () => {
+            kpGame.addAction({ id: 1, hole: 3, winner: 'Bill', madePar: false });
+            kpGame.addAction({ id: 2, hole: 7, winner: KP_CONFIG.NO_WINNER_VALUE });
+
+            expect(kpGame.getCarryover()).toBe(2);
+            expect(kpGame.calculateSummary().Bill).toBe(0);
+
+            kpGame.addAction({ id: 3, hole: 12, winner: 'Mike', madePar: true });
+            expect(kpGame.getCarryover()).toBe(0);
+            expect(kpGame.calculateSummary().Mike).toBe(9);
+        });
+
+        test('should follow play order rather than entry order', () => {
+            kpGame.addAction({ id: 1, hole: 7, winner: 'Josh', madePar: true });
+            kpGame.addAction({ id: 2, hole: 3, winner: KP_CONFIG.NO_WINNER_VALUE });
+
+            const results = kpGame.getKPResults();
+            expect(results.map(result => result.action.hole)).toEqual([3, 7]);
+            expect(results[1].value).toBe(2);
+        });
+
+        test('should rebuild the chain when a KP is removed', () => {
+            kpGame.addAction({ id: 1, hole: 3, winner: KP_CONFIG.NO_WINNER_VALUE });
+            kpGame.addAction({ id: 2, hole: 7, winner: 'Josh', madePar: true });
+            kpGame.removeAction(1);
+
+            expect(kpGame.calculateSummary().Josh).toBe(3);
+        });
+
+        test('should drop unclaimed KPs when carryover is off', () => {
+            const noCarryGame = new KPGame(players, { betAmount: 1.00, mustMakePar: true });
+            noCarryGame.addAction({ id: 1, hole: 3, winner: 'Bill', madePar: false });
+            noCarryGame.addAction({ id: 2, hole: 7, winner: 'Josh', madePar: true });
+
+            expect(noCarryGame.getCarryover()).toBe(0);
+            expect(noCarryGame.calculateSummary().Josh).toBe(3);
+            expect(noCarryGame.calculateSummary().Bill).toBe(-1);
+        });
+    });
+
+    describe('Course Par 3s', () => {
+        const pars = [4, 4, 5, 3, 4, 4, 3, 4, 5, 4, 4, 3, 4, 5, 4, 4, 3, 4];
+
+        test('should assume the usual par 3 holes without a course', () => {
+            kpGame.addAction({ hole: 3, winner: 'Daniel' });
+            kpGame.addAction({ hole: 4, winner: 'Bill' });
+
+            expect(kpGame.getPar3Holes()).toEqual(KP_CONFIG.DEFAULT_PAR_3_HOLES);
+            expect(kpGame.getPar3KPs().map(kp => kp.winner)).toEqual(['Daniel']);
+            expect(kpGame.isAwaitingKP(3)).toBe(false);
+            expect(kpGame.isAwaitingKP(7)).toBe(false);
+        });
+
+        test('should use the course pars for the par 3 holes', () => {
+            const courseGame = new KPGame(players, { betAmount: 1.00, pars });
+            courseGame.addAction({ hole: 3, winner: 'Daniel' });
+            courseGame.addAction({ hole: 4, winner: 'Bill' });
+
+            expect(courseGame.getPar3Holes()).toEqual([4, 7, 12, 17]);
+            expect(courseGame.getPar3KPs().map(kp => kp.winner)).toEqual(['Bill']);
+        });
+
+        test('should wait for a KP on a course par 3 until one is recorded', () => {
+            const courseGame = new KPGame(players, { betAmount: 1.00, pars });
+
+            expect(courseGame.isAwaitingKP(4)).toBe(true);
+            expect(courseGame.isAwaitingKP(5)).toBe(false);
+
+            courseGame.addAction({ hole: 4, winner: KP_CONFIG.NO_WINNER_VALUE });
+            expect(courseGame.isAwaitingKP(4)).toBe(false);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count paid KPs and the carryover', () => {
+            const carryGame = new KPGame(players, { betAmount: 1.00, carryover: true });
+            carryGame.addAction({ id: 1, hole: 3, winner: 'Daniel', distance: 6 });
+            carryGame.addAction({ id: 2, hole: 7, winner: KP_CONFIG.NO_WINNER_VALUE });
+
+            const stats = carryGame.getStats();
+            expect(stats.totalActions).toBe(2);
+            expect(stats.totalKPs).toBe(1);
+            expect(stats.carryover).toBe(1);
+            expect(stats.playerWins).toEqual({ Daniel: 1, Bill: 0, Josh: 0, Mike: 0 });
+        });
+    });
+});
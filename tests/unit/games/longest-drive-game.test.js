@@ -0,0 +1,96 @@
+import { LongestDriveGame } from '../../../games/longest-drive-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('LongestDriveGame', () => {
+    let longestDriveGame;
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Mike'];
+        longestDriveGame = new LongestDriveGame(players, { betAmount: 1.00, holes: [9, 2, 18] });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Longest Drive game with designated holes', () => {
+            expect(longestDriveGame.gameType).toBe(GAME_TYPES.LONGEST_DRIVE);
+            expect(longestDriveGame.players).toEqual(players);
+            expect(longestDriveGame.getDesignatedHoles()).toEqual([2, 9, 18]);
+        });
+    });
+
+    describe('Designated Holes', () => {
+        test('should know which holes are longest drive holes', () => {
+            expect(longestDriveGame.isDesignatedHole(9)).toBe(true);
+            expect(longestDriveGame.isDesignatedHole(10)).toBe(false);
+        });
+
+        test('should only allow par 4s and par 5s once the course par is known', () => {
+            const pars = [4, 3, 5, 4, 4, 3, 4, 5, 4, 4, 3, 4, 5, 4, 4, 3, 4, 5];
+            const parGame = new LongestDriveGame(players, { betAmount: 1.00, holes: [2, 3, 8], pars });
+
+            expect(parGame.isEligibleHole(2)).toBe(false);
+            expect(parGame.getDesignatedHoles()).toEqual([3, 8]);
+        });
+
+        test('should wait for a longest drive on designated holes only', () => {
+            expect(longestDriveGame.isAwaitingLongestDrive(2)).toBe(true);
+            expect(longestDriveGame.isAwaitingLongestDrive(3)).toBe(false);
+
+            longestDriveGame.addAction({ hole: 2, winner: 'Bill' });
+            expect(longestDriveGame.isAwaitingLongestDrive(2)).toBe(false);
+            expect(longestDriveGame.hasLongestDriveForHole(2)).toBe(true);
+            expect(longestDriveGame.getLongestDriveForHole(2).winner).toBe('Bill');
+            expect(longestDriveGame.getLongestDriveForHole(9)).toBeNull();
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a winner with or without a distance', () => {
+            expect(longestDriveGame.validateAction({ hole: 2, winner: 'Daniel' })).toBe(true);
+            expect(longestDriveGame.validateAction({ hole: 9, winner: 'Josh', distance: 295 })).toBe(true);
+            expect(longestDriveGame.validateAction({ hole: 9, winner: 'Josh', distance: null })).toBe(true);
+        });
+
+        test('should reject holes that are not designated', () => {
+            expect(longestDriveGame.validateAction({ hole: 3, winner: 'Daniel' })).toBe(false);
+        });
+
+        test('should reject unknown players and bad distances', () => {
+            expect(longestDriveGame.validateAction({ hole: 2, winner: 'Tiger' })).toBe(false);
+            expect(longestDriveGame.validateAction({ hole: 2, winner: 'Daniel', distance: 0 })).toBe(false);
+            expect(longestDriveGame.validateAction({ hole: 2, winner: 'Daniel', distance: 800 })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay the winner from every other player like KP', () => {
+            longestDriveGame.addAction({ hole: 2, winner: 'Daniel', distance: 280 });
+            longestDriveGame.addAction({ hole: 9, winner: 'Bill' });
+
+            const summary = longestDriveGame.calculateSummary();
+            expect(summary['Daniel']).toBe(2.00);
+            expect(summary['Bill']).toBe(2.00);
+            expect(summary['Josh']).toBe(-2.00);
+            expect(summary['Mike']).toBe(-2.00);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should track wins and the longest measured drive', () => {
+            longestDriveGame.addAction({ hole: 2, winner: 'Daniel', distance: 280 });
+            longestDriveGame.addAction({ hole: 9, winner: 'Mike', distance: 301 });
+            longestDriveGame.addAction({ hole: 18, winner: 'Daniel' });
+
+            const stats = longestDriveGame.getStats();
+            expect(stats.totalDrives).toBe(3);
+            expect(stats.playerWins).toEqual({ 'Daniel': 2, 'Bill': 0, 'Josh': 0, 'Mike': 1 });
+            expect(stats.designatedHoles).toEqual([2, 9, 18]);
+            expect(stats.longestDrive).toMatchObject({ hole: 9, winner: 'Mike', distance: 301 });
+        });
+
+        test('should have no longest drive until a distance is recorded', () => {
+            longestDriveGame.addAction({ hole: 2, winner: 'Daniel' });
+            expect(longestDriveGame.getStats().longestDrive).toBeNull();
+        });
+    });
+});
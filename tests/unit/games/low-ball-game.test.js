@@ -0,0 +1,102 @@
+import { LowBallGame } from '../../../games/low-ball-game.js';
+import { ScorecardManager } from '../../../managers/scorecard-manager.js';
+import { GAME_TYPES, LOW_BALL_CONFIG } from '../../../constants.js';
+
+describe('LowBallGame', () => {
+    let lowBallGame;
+    let players;
+
+    const { SIDE_1_VALUE: TEAM1, SIDE_2_VALUE: TEAM2, PUSH_VALUE: PUSH } = LOW_BALL_CONFIG;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Mike'];
+        lowBallGame = new LowBallGame(players, {
+            betAmount: 1.00,
+            teams: [['Daniel', 'Josh'], ['Bill', 'Mike']],
+            teamNames: { team1: 'Daniel & Josh', team2: 'Bill & Mike' }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Low Ball / Low Total game with the selected teams', () => {
+            expect(lowBallGame.gameType).toBe(GAME_TYPES.LOW_BALL);
+            expect(lowBallGame.getSides()).toEqual([['Daniel', 'Josh'], ['Bill', 'Mike']]);
+            expect(lowBallGame.getSideName(TEAM1)).toBe('Daniel & Josh');
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a score for every player', () => {
+            expect(lowBallGame.validateAction({ hole: 1, scores: { Daniel: 4, Bill: 5, Josh: 3, Mike: 6 } })).toBe(true);
+        });
+
+        test('should reject missing scores and bad holes', () => {
+            expect(lowBallGame.validateAction({ hole: 1, scores: { Daniel: 4, Bill: 5, Josh: 3 } })).toBe(false);
+            expect(lowBallGame.validateAction({ hole: 19, scores: { Daniel: 4, Bill: 5, Josh: 3, Mike: 6 } })).toBe(false);
+        });
+    });
+
+    describe('Hole Results', () => {
+        test('should award low ball and low total to the same team', () => {
+            const result = lowBallGame.calculateHoleResult({ hole: 1, scores: { Daniel: 3, Bill: 4, Josh: 4, Mike: 5 } });
+            expect(result).toMatchObject({ side1Low: 3, side2Low: 4, side1Total: 7, side2Total: 9, lowBall: TEAM1, lowTotal: TEAM1 });
+            expect(result.side1Points).toBe(2);
+            expect(result.side2Points).toBe(0);
+        });
+
+        test('should split the points between the teams', () => {
+            const result = lowBallGame.calculateHoleResult({ hole: 1, scores: { Daniel: 3, Bill: 4, Josh: 7, Mike: 4 } });
+            expect(result.lowBall).toBe(TEAM1);
+            expect(result.lowTotal).toBe(TEAM2);
+        });
+
+        test('should push tied points', () => {
+            const result = lowBallGame.calculateHoleResult({ hole: 1, scores: { Daniel: 4, Bill: 4, Josh: 5, Mike: 6 } });
+            expect(result.lowBall).toBe(PUSH);
+            expect(result.lowTotal).toBe(TEAM1);
+            expect(result.side1Points).toBe(1);
+        });
+
+        test('should play on net scores when the round has handicaps', () => {
+            const scorecard = new ScorecardManager(players);
+            scorecard.setHandicaps({ indexes: { Daniel: 0, Bill: 18, Josh: 0, Mike: 0 }, slope: 113, rating: 72, par: 72 });
+            lowBallGame.setScorecard(scorecard);
+
+            // Bill's 5 is a net 4 on every hole
+            const result = lowBallGame.calculateHoleResult({ hole: 1, scores: { Daniel: 4, Bill: 5, Josh: 5, Mike: 5 } });
+            expect(result).toMatchObject({ side1Low: 4, side2Low: 4, side1Total: 9, side2Total: 9, lowBall: PUSH, lowTotal: PUSH });
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay each point won from each opponent', () => {
+            lowBallGame.addAction({ hole: 1, scores: { Daniel: 3, Bill: 4, Josh: 4, Mike: 5 } });
+            lowBallGame.addAction({ hole: 2, scores: { Daniel: 5, Bill: 4, Josh: 4, Mike: 4 } });
+
+            const summary = lowBallGame.calculateSummary();
+            expect(summary['Daniel']).toBe(1.00);
+            expect(summary['Josh']).toBe(1.00);
+            expect(summary['Bill']).toBe(-1.00);
+            expect(summary['Mike']).toBe(-1.00);
+        });
+
+        test('should not pay anything when every point pushes', () => {
+            lowBallGame.addAction({ hole: 1, scores: { Daniel: 4, Bill: 4, Josh: 4, Mike: 4 } });
+            expect(lowBallGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0, 'Mike': 0 });
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should total the points and pushes', () => {
+            lowBallGame.addAction({ hole: 1, scores: { Daniel: 3, Bill: 4, Josh: 4, Mike: 5 } });
+            lowBallGame.addAction({ hole: 2, scores: { Daniel: 4, Bill: 4, Josh: 4, Mike: 4 } });
+
+            const stats = lowBallGame.getStats();
+            expect(stats.holesPlayed).toBe(2);
+            expect(stats.side1Points).toBe(2);
+            expect(stats.side2Points).toBe(0);
+            expect(stats.pushes).toBe(2);
+            expect(lowBallGame.isHolePlayed(2)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,218 @@
+import { MatchPlayGame } from '../../../games/match-play-game.js';
+import { GAME_TYPES, MATCH_PLAY_CONFIG } from '../../../constants.js';
+
+describe('MatchPlayGame', () => {
+    let matchPlayGame;
+    let players;
+
+    const { SIDE_1_VALUE, SIDE_2_VALUE, HALVED_VALUE } = MATCH_PLAY_CONFIG;
+
+    // Record results for holes 1, 2, 3... in order
+    const playHoles = (game, results) => {
+        results.forEach((winner, index) => {
+            game.addAction({ hole: index + 1, winner });
+        });
+    };
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill'];
+        matchPlayGame = new MatchPlayGame(players, { betAmount: 5.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a singles Match Play game', () => {
+            expect(matchPlayGame.gameType).toBe(GAME_TYPES.MATCH_PLAY);
+            expect(matchPlayGame.getSides()).toEqual([['Daniel'], ['Bill']]);
+            expect(matchPlayGame.getSideName(SIDE_2_VALUE)).toBe('Bill');
+        });
+
+        test('should play four-ball with the configured teams', () => {
+            const fourBall = new MatchPlayGame(['Daniel', 'Bill', 'Josh', 'Matt'], {
+                betAmount: 5.00,
+                teams: [['Daniel', 'Josh'], ['Bill', 'Matt']],
+                teamNames: { team1: 'Daniel & Josh', team2: 'Bill & Matt' }
+            });
+            expect(fourBall.getSides()).toEqual([['Daniel', 'Josh'], ['Bill', 'Matt']]);
+            expect(fourBall.getSideName(SIDE_1_VALUE)).toBe('Daniel & Josh');
+        });
+    });
+
+    describe('Match Status', () => {
+        test('should start all square', () => {
+            const match = matchPlayGame.getMatchStatus();
+            expect(match.status).toBe('AS');
+            expect(match.holesRemaining).toBe(18);
+            expect(match.finished).toBe(false);
+        });
+
+        test('should track holes up', () => {
+            playHoles(matchPlayGame, [SIDE_1_VALUE, HALVED_VALUE, SIDE_1_VALUE]);
+            expect(matchPlayGame.getMatchStatus().status).toBe('Daniel 2 UP');
+
+            matchPlayGame.addAction({ hole: 4, winner: SIDE_2_VALUE });
+            matchPlayGame.addAction({ hole: 5, winner: SIDE_2_VALUE });
+            expect(matchPlayGame.getMatchStatus().status).toBe('AS');
+        });
+
+        test('should show when a side is dormie', () => {
+            playHoles(matchPlayGame, [
+                SIDE_2_VALUE, SIDE_2_VALUE, SIDE_2_VALUE, ...Array(12).fill(HALVED_VALUE)
+            ]);
+
+            const match = matchPlayGame.getMatchStatus();
+            expect(match.holesRemaining).toBe(3);
+            expect(match.dormie).toBe(true);
+            expect(match.status).toBe('Bill 3 UP (dormie)');
+        });
+
+        test('should close the match out early', () => {
+            playHoles(matchPlayGame, [
+                ...Array(4).fill(SIDE_1_VALUE), ...Array(11).fill(HALVED_VALUE)
+            ]);
+
+            const match = matchPlayGame.getMatchStatus();
+            expect(match.finished).toBe(true);
+            expect(match.winner).toBe(SIDE_1_VALUE);
+            expect(match.closedOnHole).toBe(15);
+            expect(match.status).toBe('Daniel wins 4&3');
+        });
+
+        test('should count holes remaining from the last hole recorded when a hole is skipped', () => {
+            const nineHoles = new MatchPlayGame(players, { betAmount: 5.00, roundLength: 9 });
+            [1, 2, 3, 5].forEach(hole => nineHoles.addAction({ hole, winner: SIDE_1_VALUE }));
+
+            // Hole 4 was never entered
+            let match = nineHoles.getMatchStatus();
+            expect(match.holesPlayed).toBe(4);
+            expect(match.holesRemaining).toBe(4);
+            expect(match.status).toBe('Daniel 4 UP (dormie)');
+
+            nineHoles.addAction({ hole: 6, winner: HALVED_VALUE });
+            match = nineHoles.getMatchStatus();
+            expect(match.closedOnHole).toBe(6);
+            expect(match.status).toBe('Daniel wins 4&3');
+        });
+
+        test('should finish on the last hole even if a hole was skipped', () => {
+            const nineHoles = new MatchPlayGame(players, { betAmount: 5.00, roundLength: 9 });
+            [1, 2, 3, 5, 6, 7, 8, 9].forEach(hole => nineHoles.addAction({ hole, winner: HALVED_VALUE }));
+
+            expect(nineHoles.getMatchStatus().finished).toBe(true);
+            expect(nineHoles.needsPlayoff()).toBe(true);
+            // The skipped hole can still be filled in
+            expect(nineHoles.addAction({ hole: 4, winner: SIDE_2_VALUE })).toBe(true);
+            expect(nineHoles.getMatchStatus().status).toBe('Bill wins 1 UP');
+        });
+
+        test('should finish 1 UP or halved after 18 holes', () => {
+            playHoles(matchPlayGame, [SIDE_1_VALUE, ...Array(17).fill(HALVED_VALUE)]);
+            expect(matchPlayGame.getMatchStatus().status).toBe('Daniel wins 1 UP');
+
+            const halved = new MatchPlayGame(players, { betAmount: 5.00 });
+            playHoles(halved, Array(18).fill(HALVED_VALUE));
+            expect(halved.getMatchStatus().winner).toBe(HALVED_VALUE);
+            expect(halved.getMatchStatus().status).toBe('Match halved');
+        });
+    });
+
+    describe('Round Length and Playoffs', () => {
+        test('should play the match over the configured round length', () => {
+            const nineHoles = new MatchPlayGame(players, { betAmount: 5.00, roundLength: 9 });
+            playHoles(nineHoles, [SIDE_2_VALUE, SIDE_2_VALUE, ...Array(5).fill(HALVED_VALUE)]);
+
+            expect(nineHoles.getMatchStatus().status).toBe('Bill 2 UP (dormie)');
+            nineHoles.addAction({ hole: 8, winner: SIDE_2_VALUE });
+            expect(nineHoles.getMatchStatus().status).toBe('Bill wins 3&1');
+            expect(nineHoles.validateAction({ hole: 10, winner: SIDE_1_VALUE })).toBe(false);
+        });
+
+        test('should need a playoff hole when the match ends all square', () => {
+            playHoles(matchPlayGame, Array(18).fill(HALVED_VALUE));
+            expect(matchPlayGame.needsPlayoff()).toBe(true);
+            expect(matchPlayGame.validateAction({ hole: 19, winner: SIDE_1_VALUE })).toBe(false);
+
+            matchPlayGame.updateConfig({ playoffHoles: 1 });
+            expect(matchPlayGame.getMatchStatus().status).toBe('AS');
+            expect(matchPlayGame.needsPlayoff()).toBe(false);
+            expect(matchPlayGame.validateAction({ hole: 19, winner: SIDE_1_VALUE })).toBe(true);
+        });
+
+        test('should be won by the first playoff hole won', () => {
+            playHoles(matchPlayGame, Array(18).fill(HALVED_VALUE));
+            matchPlayGame.updateConfig({ playoffHoles: 1 });
+            matchPlayGame.addAction({ hole: 19, winner: HALVED_VALUE });
+            expect(matchPlayGame.needsPlayoff()).toBe(true);
+
+            matchPlayGame.updateConfig({ playoffHoles: 2 });
+            matchPlayGame.addAction({ hole: 20, winner: SIDE_2_VALUE });
+
+            const match = matchPlayGame.getMatchStatus();
+            expect(match.winner).toBe(SIDE_2_VALUE);
+            expect(match.status).toBe('Bill wins on playoff hole 20');
+            expect(matchPlayGame.needsPlayoff()).toBe(false);
+            expect(matchPlayGame.calculateSummary()).toEqual({ 'Daniel': -5.00, 'Bill': 5.00 });
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept side wins and halves', () => {
+            expect(matchPlayGame.validateAction({ hole: 1, winner: SIDE_1_VALUE })).toBe(true);
+            expect(matchPlayGame.validateAction({ hole: 1, winner: HALVED_VALUE })).toBe(true);
+        });
+
+        test('should reject bad results and holes', () => {
+            expect(matchPlayGame.validateAction({ hole: 1, winner: 'Daniel' })).toBe(false);
+            expect(matchPlayGame.validateAction({ hole: 19, winner: SIDE_1_VALUE })).toBe(false);
+        });
+
+        test('should reject holes after the match is closed out', () => {
+            playHoles(matchPlayGame, Array(10).fill(SIDE_1_VALUE));
+            expect(matchPlayGame.getMatchStatus().status).toBe('Daniel wins 10&8');
+            expect(matchPlayGame.validateAction({ hole: 11, winner: SIDE_2_VALUE })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should not pay out until the match is decided', () => {
+            playHoles(matchPlayGame, [SIDE_1_VALUE, SIDE_1_VALUE]);
+            expect(matchPlayGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0 });
+        });
+
+        test('should pay the bet to the match winner', () => {
+            playHoles(matchPlayGame, [
+                ...Array(4).fill(SIDE_2_VALUE), ...Array(11).fill(HALVED_VALUE)
+            ]);
+
+            const summary = matchPlayGame.calculateSummary();
+            expect(summary['Bill']).toBe(5.00);
+            expect(summary['Daniel']).toBe(-5.00);
+        });
+
+        test('should pay every player on the winning team', () => {
+            const fourBall = new MatchPlayGame(['Daniel', 'Bill', 'Josh', 'Matt'], {
+                betAmount: 5.00,
+                teams: [['Daniel', 'Josh'], ['Bill', 'Matt']]
+            });
+            playHoles(fourBall, Array(10).fill(SIDE_1_VALUE));
+
+            const summary = fourBall.calculateSummary();
+            expect(summary['Daniel']).toBe(5.00);
+            expect(summary['Josh']).toBe(5.00);
+            expect(summary['Bill']).toBe(-5.00);
+            expect(summary['Matt']).toBe(-5.00);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count holes won by each side', () => {
+            playHoles(matchPlayGame, [SIDE_1_VALUE, HALVED_VALUE, SIDE_2_VALUE, SIDE_1_VALUE]);
+
+            const stats = matchPlayGame.getStats();
+            expect(stats.holesPlayed).toBe(4);
+            expect(stats.side1Holes).toBe(2);
+            expect(stats.side2Holes).toBe(1);
+            expect(stats.halvedHoles).toBe(1);
+            expect(stats.match.status).toBe('Daniel 1 UP');
+        });
+    });
+});
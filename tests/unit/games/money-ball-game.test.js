@@ -0,0 +1,168 @@
+import { MoneyBallGame } from '../../../games/money-ball-game.js';
+import { GAME_TYPES, MONEY_BALL_CONFIG } from '../../../constants.js';
+
+describe('MoneyBallGame', () => {
+    let moneyBallGame;
+    let players;
+
+    const { SIDE_1_VALUE, SIDE_2_VALUE, HALVED_VALUE, ACTIONS } = MONEY_BALL_CONFIG;
+
+    // Record the same score for every player on each hole from the first hole given
+    const scoreHoles = (game, fromHole, toHole) => {
+        for (let hole = fromHole; hole <= toHole; hole++) {
+            game.addAction({ hole, type: ACTIONS.SCORE, scores: { 'Daniel': 4, 'Bill': 4, 'Josh': 4, 'Matt': 4 } });
+        }
+    };
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Matt'];
+        moneyBallGame = new MoneyBallGame(players, {
+            betAmount: 1.00,
+            bonusAmount: 5.00,
+            teams: [['Daniel', 'Josh'], ['Bill', 'Matt']],
+            teamNames: { team1: 'Daniel & Josh', team2: 'Bill & Matt' }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Money Ball game with the configured teams', () => {
+            expect(moneyBallGame.gameType).toBe(GAME_TYPES.MONEY_BALL);
+            expect(moneyBallGame.getSides()).toEqual([['Daniel', 'Josh'], ['Bill', 'Matt']]);
+            expect(moneyBallGame.getSideName(SIDE_2_VALUE)).toBe('Bill & Matt');
+        });
+    });
+
+    describe('Money Ball Rotation', () => {
+        test('should rotate the money ball through each team in player order', () => {
+            expect(moneyBallGame.getMoneyBallPlayer(SIDE_1_VALUE, 1)).toBe('Daniel');
+            expect(moneyBallGame.getMoneyBallPlayer(SIDE_1_VALUE, 2)).toBe('Josh');
+            expect(moneyBallGame.getMoneyBallPlayer(SIDE_1_VALUE, 3)).toBe('Daniel');
+            expect(moneyBallGame.getMoneyBallPlayer(SIDE_2_VALUE, 1)).toBe('Bill');
+            expect(moneyBallGame.getMoneyBallPlayer(SIDE_2_VALUE, 18)).toBe('Matt');
+        });
+
+        test('should follow the player order rather than the team selection order', () => {
+            const swapped = new MoneyBallGame(players, {
+                betAmount: 1.00,
+                teams: [['Josh', 'Daniel'], ['Matt', 'Bill']]
+            });
+            expect(swapped.getMoneyBallPlayer(SIDE_1_VALUE, 1)).toBe('Daniel');
+            expect(swapped.getMoneyBallPlayer(SIDE_2_VALUE, 1)).toBe('Bill');
+        });
+    });
+
+    describe('Hole Scoring', () => {
+        test('should add the money ball score to the best other score', () => {
+            const action = { hole: 1, type: ACTIONS.SCORE, scores: { 'Daniel': 6, 'Bill': 4, 'Josh': 3, 'Matt': 5 } };
+
+            // Daniel carries team 1's money ball (6 + 3), Bill carries team 2's (4 + 5)
+            expect(moneyBallGame.calculateHoleResult(action)).toEqual({
+                side1Score: 9,
+                side2Score: 9,
+                winner: HALVED_VALUE
+            });
+        });
+
+        test('should pay the team with the lower score', () => {
+            moneyBallGame.addAction({ hole: 2, type: ACTIONS.SCORE, scores: { 'Daniel': 5, 'Bill': 4, 'Josh': 4, 'Matt': 6 } });
+
+            const summary = moneyBallGame.calculateSummary();
+            expect(summary['Daniel']).toBe(1.00);
+            expect(summary['Josh']).toBe(1.00);
+            expect(summary['Bill']).toBe(-1.00);
+            expect(summary['Matt']).toBe(-1.00);
+        });
+    });
+
+    describe('Lost Money Ball', () => {
+        test('should only let the player carrying the money ball lose it', () => {
+            expect(moneyBallGame.validateAction({ hole: 2, type: ACTIONS.LOST, team: SIDE_1_VALUE, player: 'Josh' })).toBe(true);
+            expect(moneyBallGame.validateAction({ hole: 2, type: ACTIONS.LOST, team: SIDE_1_VALUE, player: 'Daniel' })).toBe(false);
+        });
+
+        test('should end the money ball for the rest of the round', () => {
+            moneyBallGame.addAction({ hole: 3, type: ACTIONS.LOST, team: SIDE_2_VALUE, player: 'Bill' });
+
+            expect(moneyBallGame.hasMoneyBall(SIDE_2_VALUE)).toBe(false);
+            expect(moneyBallGame.hasMoneyBall(SIDE_1_VALUE)).toBe(true);
+            expect(moneyBallGame.validateAction({ hole: 4, type: ACTIONS.LOST, team: SIDE_2_VALUE, player: 'Matt' })).toBe(false);
+        });
+
+        test('should pay the bonus once the round is complete', () => {
+            moneyBallGame.addAction({ hole: 3, type: ACTIONS.LOST, team: SIDE_2_VALUE, player: 'Bill' });
+            scoreHoles(moneyBallGame, 1, 17);
+            expect(moneyBallGame.getBonusWinner()).toBeNull();
+
+            scoreHoles(moneyBallGame, 18, 18);
+            expect(moneyBallGame.getBonusWinner()).toBe(SIDE_1_VALUE);
+
+            const summary = moneyBallGame.calculateSummary();
+            expect(summary['Daniel']).toBe(5.00);
+            expect(summary['Matt']).toBe(-5.00);
+        });
+
+        test('should pay the bonus when a hole was skipped', () => {
+            moneyBallGame.addAction({ hole: 3, type: ACTIONS.LOST, team: SIDE_2_VALUE, player: 'Bill' });
+            scoreHoles(moneyBallGame, 1, 8);
+            scoreHoles(moneyBallGame, 10, 17);
+            expect(moneyBallGame.getBonusWinner()).toBeNull();
+
+            scoreHoles(moneyBallGame, 18, 18);
+            expect(moneyBallGame.isHolePlayed(9)).toBe(false);
+            expect(moneyBallGame.getBonusWinner()).toBe(SIDE_1_VALUE);
+            expect(moneyBallGame.calculateSummary()['Josh']).toBe(5.00);
+        });
+
+        test('should wait for the last hole in play order', () => {
+            const backNineStart = new MoneyBallGame(players, {
+                betAmount: 1.00,
+                bonusAmount: 5.00,
+                teams: [['Daniel', 'Josh'], ['Bill', 'Matt']],
+                startingHole: 10
+            });
+            backNineStart.addAction({ hole: 11, type: ACTIONS.LOST, team: SIDE_1_VALUE, player: 'Josh' });
+            scoreHoles(backNineStart, 10, 18);
+            expect(backNineStart.getBonusWinner()).toBeNull();
+
+            scoreHoles(backNineStart, 9, 9);
+            expect(backNineStart.getBonusWinner()).toBe(SIDE_2_VALUE);
+        });
+
+        test('should not pay the bonus when both teams lose their money ball', () => {
+            moneyBallGame.addAction({ hole: 3, type: ACTIONS.LOST, team: SIDE_2_VALUE, player: 'Bill' });
+            moneyBallGame.addAction({ hole: 4, type: ACTIONS.LOST, team: SIDE_1_VALUE, player: 'Josh' });
+            scoreHoles(moneyBallGame, 1, 18);
+
+            expect(moneyBallGame.getBonusWinner()).toBeNull();
+            expect(moneyBallGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0, 'Matt': 0 });
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should require a score for every player', () => {
+            expect(moneyBallGame.validateAction({ hole: 1, type: ACTIONS.SCORE, scores: { 'Daniel': 4, 'Bill': 4, 'Josh': 4 } })).toBe(false);
+            expect(moneyBallGame.validateAction({ hole: 19, type: ACTIONS.SCORE, scores: { 'Daniel': 4, 'Bill': 4, 'Josh': 4, 'Matt': 4 } })).toBe(false);
+        });
+
+        test('should reject unknown action types', () => {
+            expect(moneyBallGame.validateAction({ hole: 1, type: 'mulligan' })).toBe(false);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count holes won and when each money ball was lost', () => {
+            moneyBallGame.addAction({ hole: 1, type: ACTIONS.SCORE, scores: { 'Daniel': 3, 'Bill': 4, 'Josh': 4, 'Matt': 4 } });
+            moneyBallGame.addAction({ hole: 1, type: ACTIONS.LOST, team: SIDE_2_VALUE, player: 'Bill' });
+            scoreHoles(moneyBallGame, 2, 2);
+
+            const stats = moneyBallGame.getStats();
+            expect(stats.holesPlayed).toBe(2);
+            expect(stats.side1Holes).toBe(1);
+            expect(stats.halvedHoles).toBe(1);
+            expect(stats.side1LostOnHole).toBeNull();
+            expect(stats.side2LostOnHole).toBe(1);
+            expect(moneyBallGame.isHolePlayed(2)).toBe(true);
+            expect(moneyBallGame.isHolePlayed(3)).toBe(false);
+        });
+    });
+});
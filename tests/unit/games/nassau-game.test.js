@@ -0,0 +1,232 @@
+import { NassauGame } from '../../../games/nassau-game.js';
+import { GAME_TYPES, NASSAU_CONFIG } from '../../../constants.js';
+
+describe('NassauGame', () => {
+    let nassauGame;
+    let players;
+
+    const recordHoles = (game, results) => {
+        results.forEach((winner, index) => {
+            game.addAction({ id: index + 1, hole: index + 1, winner });
+        });
+    };
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Steve'];
+        nassauGame = new NassauGame(players, {
+            betAmount: 5.00,
+            teams: [['Daniel', 'Bill'], ['Josh', 'Steve']],
+            teamNames: { team1: 'Daniel & Bill', team2: 'Josh & Steve' }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Nassau game with correct properties', () => {
+            expect(nassauGame.gameType).toBe(GAME_TYPES.NASSAU);
+            expect(nassauGame.players).toEqual(players);
+            expect(nassauGame.requiredPlayers).toBe(4);
+            expect(nassauGame.config.autoPress).toBe(true);
+            expect(nassauGame.config.pressTrigger).toBe(NASSAU_CONFIG.PRESS_TRIGGER);
+        });
+    });
+
+    describe('Sides', () => {
+        test('should use configured teams for 4 players', () => {
+            expect(nassauGame.getSides()).toEqual([['Daniel', 'Bill'], ['Josh', 'Steve']]);
+            expect(nassauGame.getSideName('team1')).toBe('Daniel & Bill');
+        });
+
+        test('should play head to head with 2 players', () => {
+            const headToHead = new NassauGame(['Daniel', 'Bill'], { betAmount: 5.00 });
+            expect(headToHead.getSides()).toEqual([['Daniel'], ['Bill']]);
+            expect(headToHead.getSideName('team2')).toBe('Bill');
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept side wins and halved holes', () => {
+            expect(nassauGame.validateAction({ hole: 1, winner: 'team1' })).toBe(true);
+            expect(nassauGame.validateAction({ hole: 18, winner: 'team2' })).toBe(true);
+            expect(nassauGame.validateAction({ hole: 5, winner: 'halved' })).toBe(true);
+        });
+
+        test('should reject invalid holes and results', () => {
+            expect(nassauGame.validateAction({ hole: 0, winner: 'team1' })).toBe(false);
+            expect(nassauGame.validateAction({ hole: 19, winner: 'team1' })).toBe(false);
+            expect(nassauGame.validateAction({ hole: 1, winner: 'Daniel' })).toBe(false);
+            expect(nassauGame.validateAction({ hole: 1 })).toBe(false);
+        });
+    });
+
+    describe('Match Status', () => {
+        test('should be all square with no holes played', () => {
+            const status = nassauGame.getMatchStatus();
+            expect(status.front.bets[0].status).toBe('All Square');
+            expect(status.back.bets[0].status).toBe('All Square');
+            expect(status.overall.bets[0].status).toBe('All Square');
+        });
+
+        test('should track front nine and overall separately from back nine', () => {
+            recordHoles(nassauGame, ['team1', 'halved', 'team2', 'team1']);
+
+            const status = nassauGame.getMatchStatus();
+            expect(status.front.bets[0].standing).toBe(1);
+            expect(status.front.bets[0].status).toBe('Daniel & Bill 1 UP');
+            expect(status.overall.bets[0].standing).toBe(1);
+            expect(status.back.bets[0].holesPlayed).toBe(0);
+        });
+
+        test('should use the latest result if a hole is recorded twice', () => {
+            nassauGame.addAction({ id: 1, hole: 1, winner: 'team1' });
+            nassauGame.addAction({ id: 2, hole: 1, winner: 'team2' });
+
+            expect(nassauGame.getMatchStatus().front.bets[0].standing).toBe(-1);
+        });
+    });
+
+    describe('Round Length and Playoffs', () => {
+        test('should split other round lengths into halves', () => {
+            const nineHoles = new NassauGame(['Daniel', 'Bill'], { betAmount: 5.00, roundLength: 9, autoPress: false });
+            recordHoles(nineHoles, ['team1', 'halved', 'halved', 'halved', 'team2', 'team2']);
+
+            const status = nineHoles.getMatchStatus();
+            expect(status.front.name).toBe('Holes 1-4');
+            expect(status.back.name).toBe('Holes 5-9');
+            expect(status.front.bets[0].standing).toBe(1);
+            expect(status.back.bets[0].standing).toBe(-2);
+            expect(status.overall.bets[0].standing).toBe(-1);
+            expect(nineHoles.validateAction({ hole: 10, winner: 'team1' })).toBe(false);
+        });
+
+        test('should play the nines in play order when the round starts on the 10th', () => {
+            const backNineStart = new NassauGame(['Daniel', 'Bill'], { betAmount: 5.00, startingHole: 10 });
+            backNineStart.addAction({ id: 1, hole: 18, winner: 'team2' });
+            backNineStart.addAction({ id: 2, hole: 17, winner: 'team2' });
+            backNineStart.addAction({ id: 3, hole: 1, winner: 'team1' });
+
+            const status = backNineStart.getMatchStatus();
+            expect(status.front.name).toBe('Holes 10-18');
+            expect(status.back.name).toBe('Holes 1-9');
+            expect(status.front.bets[0].standing).toBe(-2);
+            expect(status.back.bets[0].standing).toBe(1);
+            // The overall press starts on hole 1, the hole after the 18th
+            expect(status.overall.bets[1]).toMatchObject({ isPress: true, startHole: 1, endHole: 9, standing: 1 });
+        });
+
+        test('should play off an overall match that ends all square', () => {
+            recordHoles(nassauGame, Array(18).fill('halved'));
+            expect(nassauGame.needsPlayoff()).toBe(true);
+
+            nassauGame.updateConfig({ playoffHoles: 1 });
+            expect(nassauGame.needsPlayoff()).toBe(false);
+            nassauGame.addAction({ id: 19, hole: 19, winner: 'team2' });
+
+            const status = nassauGame.getMatchStatus();
+            expect(status.overall.bets[0].status).toBe('Josh & Steve 1 UP');
+            expect(status.back.bets[0].standing).toBe(0);
+            expect(nassauGame.needsPlayoff()).toBe(false);
+            expect(nassauGame.calculateSummary()['Josh']).toBe(5.00);
+        });
+
+        test('should not take playoff holes once the overall match is decided', () => {
+            recordHoles(nassauGame, ['team1', ...Array(17).fill('halved')]);
+            nassauGame.updateConfig({ playoffHoles: 1 });
+
+            expect(nassauGame.needsPlayoff()).toBe(false);
+            expect(nassauGame.validateAction({ hole: 19, winner: 'team2' })).toBe(false);
+        });
+    });
+
+    describe('Presses', () => {
+        test('should start a press on the next hole when a side goes 2 down', () => {
+            recordHoles(nassauGame, ['team2', 'team2', 'team1']);
+
+            const front = nassauGame.getMatchStatus().front;
+            expect(front.bets).toHaveLength(2);
+            expect(front.bets[0].standing).toBe(-1);
+            expect(front.bets[1].isPress).toBe(true);
+            expect(front.bets[1].startHole).toBe(3);
+            expect(front.bets[1].standing).toBe(1);
+        });
+
+        test('should only press each bet once', () => {
+            recordHoles(nassauGame, ['team2', 'team2', 'team2', 'team2']);
+
+            const front = nassauGame.getMatchStatus().front;
+            // Original presses at 2 down, the first press presses again at 2 down
+            expect(front.bets).toHaveLength(3);
+            expect(front.bets[2].startHole).toBe(5);
+        });
+
+        test('should not press on the last hole of a match', () => {
+            const results = Array(9).fill('halved');
+            results[7] = 'team1';
+            results[8] = 'team1';
+            recordHoles(nassauGame, results);
+
+            expect(nassauGame.getMatchStatus().front.bets).toHaveLength(1);
+        });
+
+        test('should not press when auto press is off', () => {
+            const noPress = new NassauGame(players, {
+                betAmount: 5.00,
+                autoPress: false,
+                teams: [['Daniel', 'Bill'], ['Josh', 'Steve']]
+            });
+            recordHoles(noPress, ['team2', 'team2', 'team2']);
+
+            expect(noPress.getMatchStatus().front.bets).toHaveLength(1);
+            expect(noPress.getStats().totalPresses).toBe(0);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should return zero balances with no actions', () => {
+            expect(nassauGame.calculateSummary()).toEqual({
+                'Daniel': 0, 'Bill': 0, 'Josh': 0, 'Steve': 0
+            });
+        });
+
+        test('should pay each bet a side is up in', () => {
+            recordHoles(nassauGame, ['team1']);
+
+            // Front and overall are 1 up, back nine has not started
+            const summary = nassauGame.calculateSummary();
+            expect(summary['Daniel']).toBe(10.00);
+            expect(summary['Bill']).toBe(10.00);
+            expect(summary['Josh']).toBe(-10.00);
+            expect(summary['Steve']).toBe(-10.00);
+        });
+
+        test('should include presses in the summary', () => {
+            recordHoles(nassauGame, ['team2', 'team2', 'team1']);
+
+            // Front: Josh & Steve 1 up, front press: Daniel & Bill 1 up
+            // Overall: Josh & Steve 1 up, overall press: Daniel & Bill 1 up
+            const summary = nassauGame.calculateSummary();
+            expect(summary['Daniel']).toBe(0);
+            expect(summary['Josh']).toBe(0);
+        });
+
+        test('should balance to zero in a head to head match', () => {
+            const headToHead = new NassauGame(['Daniel', 'Bill'], { betAmount: 2.00 });
+            recordHoles(headToHead, ['team1', 'team1', 'halved', 'team2']);
+
+            const summary = headToHead.calculateSummary();
+            expect(summary['Daniel'] + summary['Bill']).toBe(0);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count holes by result and presses', () => {
+            recordHoles(nassauGame, ['team1', 'team1', 'halved', 'team2']);
+
+            const stats = nassauGame.getStats();
+            expect(stats.holesPlayed).toBe(4);
+            expect(stats.side1Holes).toBe(2);
+            expect(stats.side2Holes).toBe(1);
+            expect(stats.halvedHoles).toBe(1);
+            expect(stats.totalPresses).toBe(2); // Front and overall pressed after hole 2
+        });
+    });
+});
@@ -0,0 +1,97 @@
+import { NinePointGame } from '../../../games/nine-point-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('NinePointGame', () => {
+    let ninePointGame;
+    let players;
+
+    const scores = (daniel, bill, josh) => ({ 'Daniel': daniel, 'Bill': bill, 'Josh': josh });
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh'];
+        ninePointGame = new NinePointGame(players, { betAmount: 1.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Nine Point game', () => {
+            expect(ninePointGame.gameType).toBe(GAME_TYPES.NINE_POINT);
+            expect(ninePointGame.players).toEqual(players);
+        });
+    });
+
+    describe('Hole Points', () => {
+        test('should award 5/3/1 by finish', () => {
+            expect(ninePointGame.getHolePoints({ hole: 1, scores: scores(5, 3, 4) }))
+                .toEqual({ 'Daniel': 1, 'Bill': 5, 'Josh': 3 });
+        });
+
+        test('should split the points for tied places', () => {
+            expect(ninePointGame.getHolePoints({ hole: 1, scores: scores(4, 4, 5) }))
+                .toEqual({ 'Daniel': 4, 'Bill': 4, 'Josh': 1 });
+            expect(ninePointGame.getHolePoints({ hole: 1, scores: scores(3, 4, 4) }))
+                .toEqual({ 'Daniel': 5, 'Bill': 2, 'Josh': 2 });
+            expect(ninePointGame.getHolePoints({ hole: 1, scores: scores(4, 4, 4) }))
+                .toEqual({ 'Daniel': 3, 'Bill': 3, 'Josh': 3 });
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a hole with scores for every player', () => {
+            expect(ninePointGame.validateAction({ hole: 1, scores: scores(4, 5, 3) })).toBe(true);
+        });
+
+        test('should reject missing scores and bad holes', () => {
+            expect(ninePointGame.validateAction({ hole: 1, scores: { 'Daniel': 4 } })).toBe(false);
+            expect(ninePointGame.validateAction({ hole: 1, scores: scores(4, 0, 3) })).toBe(false);
+            expect(ninePointGame.validateAction({ hole: 19, scores: scores(4, 5, 3) })).toBe(false);
+        });
+
+        test('should only be played by three players', () => {
+            const foursome = new NinePointGame(['Daniel', 'Bill', 'Josh', 'Matt'], { betAmount: 1.00 });
+            expect(foursome.validateAction({ hole: 1, scores: { ...scores(4, 5, 3), 'Matt': 4 } })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should settle points against the even share', () => {
+            ninePointGame.addAction({ hole: 1, scores: scores(3, 4, 5) }); // 5, 3, 1
+            ninePointGame.addAction({ hole: 2, scores: scores(4, 4, 5) }); // 4, 4, 1
+
+            const summary = ninePointGame.calculateSummary();
+            expect(summary['Daniel']).toBe(3.00); // 9 points against a share of 6
+            expect(summary['Bill']).toBe(1.00);
+            expect(summary['Josh']).toBe(-4.00);
+        });
+
+        test('should settle a full round against 54 points', () => {
+            for (let hole = 1; hole <= 18; hole++) {
+                ninePointGame.addAction({ hole, scores: scores(4, 4, 4) });
+            }
+
+            expect(ninePointGame.getEvenShare()).toBe(54);
+            expect(ninePointGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0 });
+        });
+
+        test('should balance to zero', () => {
+            ninePointGame.addAction({ hole: 1, scores: scores(3, 4, 5) });
+            ninePointGame.addAction({ hole: 2, scores: scores(6, 4, 4) });
+
+            const summary = ninePointGame.calculateSummary();
+            const total = Object.values(summary).reduce((sum, balance) => sum + balance, 0);
+            expect(total).toBe(0);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should total points and the even share', () => {
+            ninePointGame.addAction({ hole: 1, scores: scores(3, 4, 5) });
+            ninePointGame.addAction({ hole: 2, scores: scores(6, 4, 4) });
+
+            const stats = ninePointGame.getStats();
+            expect(stats.holesPlayed).toBe(2);
+            expect(stats.pointsByPlayer).toEqual({ 'Daniel': 6, 'Bill': 7, 'Josh': 5 });
+            expect(stats.evenShare).toBe(6);
+            expect(ninePointGame.isHolePlayed(2)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+import { QuotaGame } from '../../../games/quota-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('QuotaGame', () => {
+    let quotaGame;
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh'];
+        quotaGame = new QuotaGame(players, {
+            betAmount: 1.00,
+            handicaps: { 'Daniel': 0, 'Bill': 10, 'Josh': 18 }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Quota game with player quotas', () => {
+            expect(quotaGame.gameType).toBe(GAME_TYPES.QUOTA);
+            expect(quotaGame.getQuota('Daniel')).toBe(36);
+            expect(quotaGame.getQuota('Bill')).toBe(26);
+            expect(quotaGame.getQuota('Josh')).toBe(18);
+        });
+    });
+
+    describe('Points', () => {
+        test('should score points against par', () => {
+            expect(quotaGame.getPoints(5, 4)).toBe(1);
+            expect(quotaGame.getPoints(4, 4)).toBe(2);
+            expect(quotaGame.getPoints(3, 4)).toBe(4);
+            expect(quotaGame.getPoints(3, 5)).toBe(8);
+        });
+
+        test('should cap eagles or better and give nothing for double bogey or worse', () => {
+            expect(quotaGame.getPoints(1, 4)).toBe(8);
+            expect(quotaGame.getPoints(6, 4)).toBe(0);
+            expect(quotaGame.getPoints(9, 4)).toBe(0);
+        });
+
+        test('should use the course par when no par is entered', () => {
+            const courseGame = new QuotaGame(players, { betAmount: 1.00, pars: [3, 5] });
+            expect(courseGame.getHolePoints({ hole: 2, scores: { 'Daniel': 4, 'Bill': 5, 'Josh': 6 } }))
+                .toEqual({ 'Daniel': 4, 'Bill': 2, 'Josh': 1 });
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a score for every player', () => {
+            expect(quotaGame.validateAction({ hole: 1, par: 4, scores: { 'Daniel': 4, 'Bill': 5, 'Josh': 6 } })).toBe(true);
+        });
+
+        test('should reject missing scores and par', () => {
+            expect(quotaGame.validateAction({ hole: 1, par: 4, scores: { 'Daniel': 4, 'Bill': 5 } })).toBe(false);
+            expect(quotaGame.validateAction({ hole: 1, scores: { 'Daniel': 4, 'Bill': 5, 'Josh': 6 } })).toBe(false);
+            expect(quotaGame.validateAction({ hole: 19, par: 4, scores: { 'Daniel': 4, 'Bill': 5, 'Josh': 6 } })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay per point above or below quota', () => {
+            // Points: Daniel 2, Bill 1, Josh 4
+            quotaGame.addAction({ hole: 1, par: 4, scores: { 'Daniel': 4, 'Bill': 5, 'Josh': 3 } });
+
+            // Over quota: Daniel -34, Bill -25, Josh -14
+            const summary = quotaGame.calculateSummary();
+            expect(summary['Josh']).toBe(31.00);
+            expect(summary['Bill']).toBe(-2.00);
+            expect(summary['Daniel']).toBe(-29.00);
+        });
+
+        test('should balance to zero', () => {
+            quotaGame.addAction({ hole: 1, par: 4, scores: { 'Daniel': 3, 'Bill': 5, 'Josh': 7 } });
+            quotaGame.addAction({ hole: 2, par: 5, scores: { 'Daniel': 5, 'Bill': 3, 'Josh': 6 } });
+
+            const summary = quotaGame.calculateSummary();
+            const total = Object.values(summary).reduce((sum, balance) => sum + balance, 0);
+            expect(total).toBe(0);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should track points, quotas and the leader', () => {
+            quotaGame.addAction({ hole: 1, par: 4, scores: { 'Daniel': 3, 'Bill': 4, 'Josh': 5 } });
+
+            const stats = quotaGame.getStats();
+            expect(stats.holesPlayed).toBe(1);
+            expect(stats.pointsByPlayer).toEqual({ 'Daniel': 4, 'Bill': 2, 'Josh': 1 });
+            expect(stats.overQuota).toEqual({ 'Daniel': -32, 'Bill': -24, 'Josh': -17 });
+            expect(stats.leaders).toEqual(['Josh']);
+            expect(quotaGame.isHolePlayed(1)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+import { RabbitGame } from '../../../games/rabbit-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('RabbitGame', () => {
+    let rabbitGame;
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Steve'];
+        rabbitGame = new RabbitGame(players, { betAmount: 5.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Rabbit game with correct properties', () => {
+            expect(rabbitGame.gameType).toBe(GAME_TYPES.RABBIT);
+            expect(rabbitGame.players).toEqual(players);
+            expect(rabbitGame.getCurrentHolder()).toBeNull();
+        });
+
+        test('should settle the rabbit after each nine', () => {
+            expect(rabbitGame.getNines()).toEqual([
+                { name: 'Front Nine', startHole: 1, endHole: 9 },
+                { name: 'Back Nine', startHole: 10, endHole: 18 }
+            ]);
+        });
+
+        test('should settle after every nine of the configured round length', () => {
+            const longRound = new RabbitGame(players, { betAmount: 5.00, roundLength: 27 });
+            expect(longRound.getNines()[2]).toEqual({ name: 'Holes 19-27', startHole: 19, endHole: 27 });
+            expect(new RabbitGame(players, { betAmount: 5.00, roundLength: 9 }).getNines()).toHaveLength(1);
+        });
+
+        test('should settle each nine in play order when the round starts on the 10th', () => {
+            const backNineStart = new RabbitGame(players, { betAmount: 5.00, startingHole: 10 });
+            expect(backNineStart.getNines()).toEqual([
+                { name: 'Holes 10-18', startHole: 10, endHole: 18 },
+                { name: 'Holes 1-9', startHole: 1, endHole: 9 }
+            ]);
+
+            backNineStart.addAction({ id: 1, hole: 18, winner: 'Bill' });
+            backNineStart.addAction({ id: 2, hole: 1, winner: 'Josh' });
+            expect(backNineStart.getNineResults()[0]).toMatchObject({ holder: 'Bill', settled: true });
+            expect(backNineStart.getCurrentHolder()).toBe('Josh');
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept an outright winner or a tie', () => {
+            expect(rabbitGame.validateAction({ hole: 1, winner: 'Daniel' })).toBe(true);
+            expect(rabbitGame.validateAction({ hole: 1, winner: 'tie' })).toBe(true);
+        });
+
+        test('should reject unknown players and invalid holes', () => {
+            expect(rabbitGame.validateAction({ hole: 1, winner: 'Tiger' })).toBe(false);
+            expect(rabbitGame.validateAction({ hole: 19, winner: 'Daniel' })).toBe(false);
+            expect(rabbitGame.validateAction({ hole: 1 })).toBe(false);
+        });
+    });
+
+    describe('Catching the Rabbit', () => {
+        test('should be caught by an outright winner', () => {
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+            expect(rabbitGame.getCurrentHolder()).toBe('Daniel');
+            expect(rabbitGame.getHoleEvent(1).event).toBe('caught');
+        });
+
+        test('should stay with the holder on a tie', () => {
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+            rabbitGame.addAction({ hole: 2, winner: 'tie' });
+            expect(rabbitGame.getCurrentHolder()).toBe('Daniel');
+        });
+
+        test('should be set free when another player wins outright', () => {
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+            rabbitGame.addAction({ hole: 2, winner: 'Bill' });
+            expect(rabbitGame.getCurrentHolder()).toBeNull();
+            expect(rabbitGame.getHoleEvent(2).event).toBe('freed');
+
+            rabbitGame.addAction({ hole: 3, winner: 'Bill' });
+            expect(rabbitGame.getCurrentHolder()).toBe('Bill');
+        });
+
+        test('should play holes in order whatever order they were recorded', () => {
+            rabbitGame.addAction({ hole: 3, winner: 'Josh' });
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+            expect(rabbitGame.getCurrentHolder()).toBeNull(); // Daniel caught it, Josh set it free
+        });
+
+        test('should start the back nine free', () => {
+            rabbitGame.addAction({ hole: 9, winner: 'Daniel' });
+            rabbitGame.addAction({ hole: 10, winner: 'Josh' });
+            expect(rabbitGame.getHoleEvent(10).event).toBe('caught');
+            expect(rabbitGame.getCurrentHolder()).toBe('Josh');
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should not pay until the nine is finished', () => {
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+
+            const summary = rabbitGame.calculateSummary();
+            expect(Object.values(summary).every(balance => balance === 0)).toBe(true);
+        });
+
+        test('should pay the holder at the end of each nine', () => {
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+            rabbitGame.addAction({ hole: 9, winner: 'tie' });
+            rabbitGame.addAction({ hole: 12, winner: 'Josh' });
+            rabbitGame.addAction({ hole: 18, winner: 'Josh' });
+
+            const summary = rabbitGame.calculateSummary();
+            expect(summary['Daniel']).toBe(10.00); // +15 -5
+            expect(summary['Josh']).toBe(10.00);
+            expect(summary['Bill']).toBe(-10.00);
+            expect(summary['Steve']).toBe(-10.00);
+        });
+
+        test('should not pay a nine that ends with the rabbit free', () => {
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+            rabbitGame.addAction({ hole: 9, winner: 'Bill' });
+
+            const results = rabbitGame.getNineResults();
+            expect(results[0].settled).toBe(true);
+            expect(results[0].holder).toBeNull();
+            expect(Object.values(rabbitGame.calculateSummary()).every(balance => balance === 0)).toBe(true);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count catches and the current holder', () => {
+            rabbitGame.addAction({ hole: 1, winner: 'Daniel' });
+            rabbitGame.addAction({ hole: 2, winner: 'Bill' });
+            rabbitGame.addAction({ hole: 3, winner: 'Daniel' });
+
+            const stats = rabbitGame.getStats();
+            expect(stats.holesPlayed).toBe(3);
+            expect(stats.catchesByPlayer['Daniel']).toBe(2);
+            expect(stats.catchesByPlayer['Bill']).toBe(0);
+            expect(stats.currentHolder).toBe('Daniel');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+import { ScotchGame } from '../../../games/scotch-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('ScotchGame', () => {
+    let scotchGame;
+    let players;
+
+    const teams = [['Daniel', 'Bill'], ['Josh', 'Matt']];
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Matt'];
+        scotchGame = new ScotchGame(players, { betAmount: 1.00, teams });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Scotch game for two teams of two', () => {
+            expect(scotchGame.gameType).toBe(GAME_TYPES.SCOTCH);
+            expect(scotchGame.requiredPlayers).toBe(4);
+            expect(scotchGame.config.umbrella).toBe(true);
+        });
+    });
+
+    describe('Teams', () => {
+        test('should find the pairing for a pair of teams in either order', () => {
+            expect(scotchGame.getPairingIndex(teams)).toBe(0);
+            expect(scotchGame.getPairingIndex([['Matt', 'Bill'], ['Josh', 'Daniel']])).toBe(1);
+            expect(scotchGame.getPairingIndex([['Daniel', 'Bill', 'Josh'], ['Matt']])).toBe(-1);
+        });
+
+        test('should default to the setup teams, then the previous hole\'s teams', () => {
+            expect(scotchGame.getDefaultTeams(1)).toEqual(teams);
+
+            scotchGame.addAction({
+                hole: 1,
+                par: 4,
+                teams: [['Daniel', 'Josh'], ['Bill', 'Matt']],
+                scores: { 'Daniel': 4, 'Bill': 4, 'Josh': 4, 'Matt': 4 }
+            });
+            expect(scotchGame.getDefaultTeams(2)).toEqual([['Daniel', 'Josh'], ['Bill', 'Matt']]);
+            expect(scotchGame.getDefaultTeams(1)).toEqual(teams);
+        });
+    });
+
+    describe('Hole Points', () => {
+        test('should award low ball, low total, prox and birdie', () => {
+            const result = scotchGame.getHolePoints({
+                hole: 1,
+                par: 4,
+                teams,
+                scores: { 'Daniel': 3, 'Bill': 6, 'Josh': 4, 'Matt': 4 },
+                prox: 'Matt'
+            });
+
+            expect(result.categories).toEqual({ lowBall: 'team1', lowTotal: 'team2', prox: 'team2', birdie: 'team1' });
+            expect(result.side1Points).toBe(3);
+            expect(result.side2Points).toBe(3);
+            expect(result.umbrella).toBe(false);
+        });
+
+        test('should award nothing for tied categories', () => {
+            const result = scotchGame.getHolePoints({
+                hole: 1,
+                par: 4,
+                teams,
+                scores: { 'Daniel': 4, 'Bill': 5, 'Josh': 4, 'Matt': 5 },
+                prox: ''
+            });
+            expect(result.side1Points).toBe(0);
+            expect(result.side2Points).toBe(0);
+        });
+
+        test('should double a sweep with the umbrella', () => {
+            const sweep = {
+                hole: 1,
+                par: 4,
+                teams,
+                scores: { 'Daniel': 3, 'Bill': 4, 'Josh': 4, 'Matt': 5 },
+                prox: 'Bill'
+            };
+            expect(scotchGame.getHolePoints(sweep)).toMatchObject({ side1Points: 12, side2Points: 0, umbrella: true });
+
+            const noUmbrella = new ScotchGame(players, { betAmount: 1.00, teams, umbrella: false });
+            expect(noUmbrella.getHolePoints(sweep)).toMatchObject({ side1Points: 6, umbrella: false });
+        });
+    });
+
+    describe('Action Validation', () => {
+        const scores = { 'Daniel': 4, 'Bill': 4, 'Josh': 4, 'Matt': 4 };
+
+        test('should accept a valid hole', () => {
+            expect(scotchGame.validateAction({ hole: 1, par: 4, teams, scores, prox: 'Josh' })).toBe(true);
+        });
+
+        test('should reject bad teams, prox and missing scores', () => {
+            expect(scotchGame.validateAction({ hole: 1, par: 4, teams: [['Daniel', 'Daniel'], ['Josh', 'Matt']], scores })).toBe(false);
+            expect(scotchGame.validateAction({ hole: 1, par: 4, teams, scores, prox: 'Tiger' })).toBe(false);
+            expect(scotchGame.validateAction({ hole: 1, par: 4, teams, scores: { 'Daniel': 4 } })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should settle the point difference between the hole\'s teams', () => {
+            // Daniel & Josh win low ball and low total, Bill & Matt win prox
+            scotchGame.addAction({
+                hole: 1,
+                par: 4,
+                teams: [['Daniel', 'Josh'], ['Bill', 'Matt']],
+                scores: { 'Daniel': 4, 'Bill': 5, 'Josh': 5, 'Matt': 5 },
+                prox: 'Bill'
+            });
+
+            const summary = scotchGame.calculateSummary();
+            expect(summary['Daniel']).toBe(3.00);
+            expect(summary['Josh']).toBe(3.00);
+            expect(summary['Bill']).toBe(-3.00);
+            expect(summary['Matt']).toBe(-3.00);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should total points by player and count umbrellas', () => {
+            scotchGame.addAction({
+                hole: 1,
+                par: 4,
+                teams,
+                scores: { 'Daniel': 3, 'Bill': 4, 'Josh': 4, 'Matt': 5 },
+                prox: 'Daniel'
+            });
+
+            const stats = scotchGame.getStats();
+            expect(stats.holesPlayed).toBe(1);
+            expect(stats.umbrellas).toBe(1);
+            expect(stats.pointsByPlayer).toEqual({ 'Daniel': 12, 'Bill': 12, 'Josh': 0, 'Matt': 0 });
+            expect(scotchGame.isHolePlayed(1)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import { SixesGame } from '../../../games/sixes-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('SixesGame', () => {
+    let sixesGame;
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Steve'];
+        sixesGame = new SixesGame(players, { betAmount: 1.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Sixes game with correct properties', () => {
+            expect(sixesGame.gameType).toBe(GAME_TYPES.SIXES);
+            expect(sixesGame.players).toEqual(players);
+            expect(sixesGame.config.holesPerSegment).toBe(6);
+        });
+    });
+
+    describe('Rotation Schedule', () => {
+        test('should rotate through all three pairings', () => {
+            const schedule = sixesGame.getSixesSchedule();
+
+            expect(schedule).toHaveLength(3);
+            expect(schedule[0]).toEqual({ holes: '1-6', startHole: 1, endHole: 6, team1: ['Daniel', 'Bill'], team2: ['Josh', 'Steve'] });
+            expect(schedule[1]).toEqual({ holes: '7-12', startHole: 7, endHole: 12, team1: ['Daniel', 'Josh'], team2: ['Bill', 'Steve'] });
+            expect(schedule[2]).toEqual({ holes: '13-18', startHole: 13, endHole: 18, team1: ['Daniel', 'Steve'], team2: ['Bill', 'Josh'] });
+        });
+
+        test('should return the teams for a hole', () => {
+            expect(sixesGame.getTeamsForHole(6)).toEqual([['Daniel', 'Bill'], ['Josh', 'Steve']]);
+            expect(sixesGame.getTeamsForHole(7)).toEqual([['Daniel', 'Josh'], ['Bill', 'Steve']]);
+            expect(sixesGame.getSideName(18, 'team2')).toBe('Bill & Josh');
+        });
+
+        test('should split other round lengths into thirds', () => {
+            const nineHoles = new SixesGame(players, { betAmount: 5.00, roundLength: 9 });
+            expect(nineHoles.getSixesSchedule().map(segment => segment.holes)).toEqual(['1-3', '4-6', '7-9']);
+            expect(nineHoles.getTeamsForHole(4)).toEqual([['Daniel', 'Josh'], ['Bill', 'Steve']]);
+            expect(nineHoles.validateAction({ hole: 10, winner: 'team1' })).toBe(false);
+        });
+
+        test('should play the segments in play order from a shotgun start', () => {
+            const shotgun = new SixesGame(players, { betAmount: 1.00, startingHole: 16 });
+            expect(shotgun.getSixesSchedule().map(segment => segment.holes)).toEqual(['16-3', '4-9', '10-15']);
+            expect(shotgun.getTeamsForHole(2)).toEqual([['Daniel', 'Bill'], ['Josh', 'Steve']]);
+
+            shotgun.addAction({ id: 1, hole: 17, winner: 'team1' });
+            shotgun.addAction({ id: 2, hole: 1, winner: 'team1' });
+            expect(shotgun.getSegmentResults()[0].standing).toBe(2);
+            expect(shotgun.getSegmentResults()[1].holesPlayed).toBe(0);
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept team wins and halved holes', () => {
+            expect(sixesGame.validateAction({ hole: 1, winner: 'team1' })).toBe(true);
+            expect(sixesGame.validateAction({ hole: 18, winner: 'halved' })).toBe(true);
+        });
+
+        test('should reject unknown results and invalid holes', () => {
+            expect(sixesGame.validateAction({ hole: 1, winner: 'Daniel' })).toBe(false);
+            expect(sixesGame.validateAction({ hole: 19, winner: 'team1' })).toBe(false);
+            expect(sixesGame.validateAction({ hole: 1 })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay the bet to the team that is up in a segment', () => {
+            sixesGame.addAction({ hole: 1, winner: 'team1' });
+            sixesGame.addAction({ hole: 2, winner: 'team1' });
+            sixesGame.addAction({ hole: 3, winner: 'team2' });
+
+            const summary = sixesGame.calculateSummary();
+            expect(summary['Daniel']).toBe(1.00);
+            expect(summary['Bill']).toBe(1.00);
+            expect(summary['Josh']).toBe(-1.00);
+            expect(summary['Steve']).toBe(-1.00);
+        });
+
+        test('should not pay a segment that is all square', () => {
+            sixesGame.addAction({ hole: 7, winner: 'team1' });
+            sixesGame.addAction({ hole: 8, winner: 'team2' });
+            sixesGame.addAction({ hole: 9, winner: 'halved' });
+
+            const summary = sixesGame.calculateSummary();
+            expect(Object.values(summary).every(balance => balance === 0)).toBe(true);
+        });
+
+        test('should settle each segment with that segment\'s partners', () => {
+            sixesGame.addAction({ hole: 1, winner: 'team1' }); // Daniel & Bill
+            sixesGame.addAction({ hole: 7, winner: 'team2' }); // Bill & Steve
+            sixesGame.addAction({ hole: 13, winner: 'team1' }); // Daniel & Steve
+
+            const summary = sixesGame.calculateSummary();
+            expect(summary['Daniel']).toBe(1.00);
+            expect(summary['Bill']).toBe(1.00);
+            expect(summary['Josh']).toBe(-3.00);
+            expect(summary['Steve']).toBe(1.00);
+        });
+    });
+
+    describe('Segment Results', () => {
+        test('should show the match status for each segment', () => {
+            sixesGame.addAction({ hole: 1, winner: 'team2' });
+            sixesGame.addAction({ hole: 2, winner: 'team2' });
+
+            const segments = sixesGame.getSegmentResults();
+            expect(segments[0].standing).toBe(-2);
+            expect(segments[0].holesPlayed).toBe(2);
+            expect(segments[0].status).toBe('Josh & Steve 2 UP');
+            expect(segments[1].status).toBe('All Square');
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should count holes, segments won and halved holes', () => {
+            sixesGame.addAction({ hole: 1, winner: 'team1' });
+            sixesGame.addAction({ hole: 2, winner: 'halved' });
+            sixesGame.addAction({ hole: 7, winner: 'halved' });
+
+            const stats = sixesGame.getStats();
+            expect(stats.holesPlayed).toBe(3);
+            expect(stats.segmentsWon).toBe(1);
+            expect(stats.halvedHoles).toBe(2);
+            expect(sixesGame.isHolePlayed(7)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+import { SkinsGame } from '../../../games/skins-game.js';
+import { ScorecardManager } from '../../../managers/scorecard-manager.js';
+import { GAME_TYPES, SKINS_CONFIG } from '../../../constants.js';
+
+describe('SkinsGame', () => {
+    let players;
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh'];
+    });
+
+    describe('Constructor', () => {
+        test('should create a Skins game with manual entry by default', () => {
+            const skinsGame = new SkinsGame(players, { betAmount: 1.00, requiredPlayers: 3 });
+
+            expect(skinsGame.gameType).toBe(GAME_TYPES.SKINS);
+            expect(skinsGame.config.fromScorecard).toBe(false);
+            expect(skinsGame.getCarryoverCount()).toBe(1);
+        });
+    });
+
+    describe('Manual Entry', () => {
+        let skinsGame;
+
+        beforeEach(() => {
+            skinsGame = new SkinsGame(players, { betAmount: 1.00, requiredPlayers: 3 });
+        });
+
+        test('should pay carried skins to the next winner', () => {
+            skinsGame.addAction({ id: 1, hole: 1, winner: SKINS_CONFIG.CARRYOVER_VALUE });
+            skinsGame.addAction({ id: 2, hole: 2, winner: 'Bill' });
+
+            const summary = skinsGame.calculateSummary();
+            expect(summary).toEqual({ Daniel: -2, Bill: 4, Josh: -2 });
+            expect(skinsGame.getCarryoverCount()).toBe(1);
+        });
+
+        test('should reject unknown winners', () => {
+            expect(skinsGame.validateAction({ hole: 1, winner: 'Tiger' })).toBe(false);
+        });
+    });
+
+    describe('Skins from the Scorecard', () => {
+        let skinsGame;
+        let scorecard;
+
+        beforeEach(() => {
+            scorecard = new ScorecardManager(players);
+            skinsGame = new SkinsGame(players, { betAmount: 1.00, requiredPlayers: 3, fromScorecard: true });
+            skinsGame.setScorecard(scorecard);
+        });
+
+        test('should give the skin to the outright low score', () => {
+            scorecard.setHoleScores(1, { Daniel: 4, Bill: 3, Josh: 5 });
+
+            const results = skinsGame.getResults();
+            expect(results).toEqual([{ hole: 1, winner: 'Bill', score: 3, carryoverCount: 1, skinsWon: 1 }]);
+            expect(skinsGame.calculateSummary()).toEqual({ Daniel: -1, Bill: 2, Josh: -1 });
+        });
+
+        test('should carry the skin over on a tie for low', () => {
+            scorecard.setHoleScores(1, { Daniel: 4, Bill: 4, Josh: 5 });
+            expect(skinsGame.getCarryoverCount()).toBe(2);
+
+            scorecard.setHoleScores(2, { Daniel: 3, Bill: 4, Josh: 5 });
+            const results = skinsGame.getResults();
+            expect(results[0].winner).toBe(SKINS_CONFIG.CARRYOVER_VALUE);
+            expect(results[1].skinsWon).toBe(2);
+            expect(skinsGame.calculateSummary().Daniel).toBe(4);
+        });
+
+        test('should rebuild the carryover chain when a score is corrected', () => {
+            scorecard.setHoleScores(1, { Daniel: 4, Bill: 4, Josh: 5 });
+            scorecard.setHoleScores(2, { Daniel: 3, Bill: 4, Josh: 5 });
+
+            // Bill actually made a 3 on the first hole
+            scorecard.setScore(1, 'Bill', 3);
+
+            const results = skinsGame.getResults();
+            expect(results.map(result => result.winner)).toEqual(['Bill', 'Daniel']);
+            expect(results[1].skinsWon).toBe(1);
+            expect(skinsGame.calculateSummary()).toEqual({ Daniel: 1, Bill: 1, Josh: -2 });
+        });
+
+        test('should carry over in play order when the round starts on the 10th', () => {
+            skinsGame.updateConfig({ startingHole: 10 });
+
+            // Holes 18 and 1 are played back to back
+            scorecard.setHoleScores(1, { Daniel: 4, Bill: 3, Josh: 5 });
+            scorecard.setHoleScores(18, { Daniel: 4, Bill: 4, Josh: 5 });
+            scorecard.setHoleScores(10, { Daniel: 3, Bill: 4, Josh: 5 });
+
+            const results = skinsGame.getResults();
+            expect(results.map(result => result.hole)).toEqual([10, 18, 1]);
+            expect(results[2]).toMatchObject({ winner: 'Bill', skinsWon: 2 });
+            expect(skinsGame.isCarriedInto(1)).toBe(true);
+            expect(skinsGame.isCarriedInto(10)).toBe(false);
+        });
+
+        test('should wait until everyone has a score on the hole', () => {
+            scorecard.setScore(1, 'Daniel', 3);
+            scorecard.setScore(1, 'Bill', 4);
+
+            expect(skinsGame.getResults()).toEqual([]);
+        });
+
+        test('should not accept skins picked by hand', () => {
+            expect(skinsGame.addAction({ hole: 1, winner: 'Bill' })).toBe(false);
+        });
+
+        test('should count wins and carryovers in the statistics', () => {
+            scorecard.setHoleScores(1, { Daniel: 4, Bill: 4, Josh: 5 });
+            scorecard.setHoleScores(2, { Daniel: 3, Bill: 4, Josh: 5 });
+
+            const stats = skinsGame.getStats();
+            expect(stats.carryovers).toBe(1);
+            expect(stats.actualWins).toBe(1);
+            expect(stats.currentCarryover).toBe(1);
+        });
+
+        test('should play the skin on net scores when the round has handicaps', () => {
+            // Josh gets a stroke on the hardest six holes; hole 3 is stroke index 1
+            scorecard.setHandicaps({ indexes: { Daniel: 0, Bill: 0, Josh: 6 }, slope: 113, rating: 72, par: 72 });
+            scorecard.setHoleScores(3, { Daniel: 4, Bill: 5, Josh: 4 });
+            scorecard.setHoleScores(4, { Daniel: 4, Bill: 5, Josh: 4 });
+
+            const results = skinsGame.getResults();
+            expect(results[0]).toMatchObject({ hole: 3, winner: 'Josh', score: 3 });
+            expect(results[1]).toMatchObject({ hole: 4, winner: SKINS_CONFIG.CARRYOVER_VALUE, score: 4 });
+        });
+    });
+
+    describe('Playoff Holes', () => {
+        test('should play off skins still carried over after the last hole', () => {
+            const skinsGame = new SkinsGame(players, { betAmount: 1.00, requiredPlayers: 3, roundLength: 9 });
+            skinsGame.addAction({ id: 1, hole: 9, winner: SKINS_CONFIG.CARRYOVER_VALUE });
+            expect(skinsGame.needsPlayoff()).toBe(true);
+            expect(skinsGame.validateAction({ hole: 10, winner: 'Bill' })).toBe(false);
+
+            skinsGame.updateConfig({ playoffHoles: 1 });
+            expect(skinsGame.needsPlayoff()).toBe(false);
+            expect(skinsGame.addAction({ id: 2, hole: 10, winner: 'Bill' })).toBe(true);
+            expect(skinsGame.calculateSummary()).toEqual({ Daniel: -2, Bill: 4, Josh: -2 });
+        });
+
+        test('should not play off when the last skin was won', () => {
+            const skinsGame = new SkinsGame(players, { betAmount: 1.00, requiredPlayers: 3, roundLength: 9, playoffHoles: 1 });
+            skinsGame.addAction({ id: 1, hole: 9, winner: 'Josh' });
+
+            expect(skinsGame.needsPlayoff()).toBe(false);
+            expect(skinsGame.validateAction({ hole: 10, winner: 'Bill' })).toBe(false);
+        });
+
+        test('should only count playoff scores while the skins are carried over', () => {
+            const scorecard = new ScorecardManager(players);
+            const skinsGame = new SkinsGame(players, {
+                betAmount: 1.00, requiredPlayers: 3, fromScorecard: true, roundLength: 9, playoffHoles: 2
+            });
+            skinsGame.setScorecard(scorecard);
+
+            scorecard.setHoleScores(9, { Daniel: 4, Bill: 4, Josh: 5 });
+            scorecard.setHoleScores(10, { Daniel: 3, Bill: 4, Josh: 5 });
+            scorecard.setHoleScores(11, { Daniel: 5, Bill: 3, Josh: 5 });
+
+            const results = skinsGame.getResults();
+            expect(results.map(result => result.hole)).toEqual([9, 10]);
+            expect(results[1]).toMatchObject({ winner: 'Daniel', skinsWon: 2 });
+        });
+    });
+
+    describe('Team Skins from the Scorecard', () => {
+        test('should compare each team best ball', () => {
+            const teamPlayers = ['Daniel', 'Bill', 'Josh', 'Mike'];
+            const scorecard = new ScorecardManager(teamPlayers);
+            const skinsGame = new SkinsGame(teamPlayers, {
+                betAmount: 1.00,
+                requiredPlayers: 4,
+                fromScorecard: true,
+                teams: [['Daniel', 'Bill'], ['Josh', 'Mike']]
+            });
+            skinsGame.setScorecard(scorecard);
+
+            scorecard.setHoleScores(1, { Daniel: 4, Bill: 6, Josh: 4, Mike: 5 });
+            scorecard.setHoleScores(2, { Daniel: 5, Bill: 6, Josh: 4, Mike: 7 });
+
+            const results = skinsGame.getResults();
+            expect(results.map(result => result.winner)).toEqual([SKINS_CONFIG.CARRYOVER_VALUE, SKINS_CONFIG.TEAM_2_VALUE]);
+            expect(skinsGame.calculateSummary()).toEqual({ Daniel: -2, Bill: -2, Josh: 2, Mike: 2 });
+        });
+    });
+});
@@ -0,0 +1,113 @@
+import { StablefordGame } from '../../../games/stableford-game.js';
+import { ScorecardManager } from '../../../managers/scorecard-manager.js';
+import { GAME_TYPES, STABLEFORD_CONFIG } from '../../../constants.js';
+
+describe('StablefordGame', () => {
+    let stablefordGame;
+    let players;
+
+    const scores = (daniel, bill, josh) => ({ 'Daniel': daniel, 'Bill': bill, 'Josh': josh });
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh'];
+        stablefordGame = new StablefordGame(players, { betAmount: 1.00 });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Stableford game with the standard table', () => {
+            expect(stablefordGame.gameType).toBe(GAME_TYPES.STABLEFORD);
+            expect(stablefordGame.players).toEqual(players);
+            expect(stablefordGame.config.points).toEqual(STABLEFORD_CONFIG.TABLES.standard.points);
+        });
+    });
+
+    describe('Points Table', () => {
+        test('should score the standard table', () => {
+            expect(stablefordGame.getPoints(2, 5)).toBe(5); // Albatross
+            expect(stablefordGame.getPoints(3, 5)).toBe(4); // Eagle
+            expect(stablefordGame.getPoints(3, 4)).toBe(3); // Birdie
+            expect(stablefordGame.getPoints(4, 4)).toBe(2); // Par
+            expect(stablefordGame.getPoints(5, 4)).toBe(1); // Bogey
+            expect(stablefordGame.getPoints(6, 4)).toBe(0); // Double bogey
+        });
+
+        test('should use the best and worst entries beyond the table', () => {
+            expect(stablefordGame.getPoints(1, 5)).toBe(5);
+            expect(stablefordGame.getPoints(9, 4)).toBe(0);
+        });
+
+        test('should score a modified table', () => {
+            const modified = new StablefordGame(players, {
+                betAmount: 1.00,
+                points: STABLEFORD_CONFIG.TABLES.modified.points
+            });
+            expect(modified.getPoints(3, 5)).toBe(5);
+            expect(modified.getPoints(3, 4)).toBe(2);
+            expect(modified.getPoints(4, 4)).toBe(0);
+            expect(modified.getPoints(5, 4)).toBe(-1);
+            expect(modified.getPoints(8, 4)).toBe(-3);
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a hole with par and scores for every player', () => {
+            expect(stablefordGame.validateAction({ hole: 1, par: 4, scores: scores(4, 5, 3) })).toBe(true);
+        });
+
+        test('should reject missing scores, bad par and bad holes', () => {
+            expect(stablefordGame.validateAction({ hole: 1, par: 4, scores: { 'Daniel': 4 } })).toBe(false);
+            expect(stablefordGame.validateAction({ hole: 1, par: 6, scores: scores(4, 5, 3) })).toBe(false);
+            expect(stablefordGame.validateAction({ hole: 19, par: 4, scores: scores(4, 5, 3) })).toBe(false);
+        });
+
+        test('should use the course par when par is not entered', () => {
+            expect(stablefordGame.validateAction({ hole: 1, scores: scores(4, 5, 3) })).toBe(false);
+
+            const withCourse = new StablefordGame(players, { betAmount: 1.00, pars: [5, 3] });
+            expect(withCourse.validateAction({ hole: 2, scores: scores(3, 4, 2) })).toBe(true);
+            expect(withCourse.getHolePoints({ hole: 1, scores: scores(4, 5, 6) })).toEqual({ 'Daniel': 3, 'Bill': 2, 'Josh': 1 });
+        });
+
+        test('should score net points when the round has handicaps', () => {
+            const scorecard = new ScorecardManager(players);
+            scorecard.setHandicaps({ indexes: { Daniel: 0, Bill: 10, Josh: 20 }, slope: 113, rating: 72, par: 72 });
+            stablefordGame.setScorecard(scorecard);
+
+            // Hole 3 is stroke index 1: Bill gets one stroke and Josh two
+            expect(stablefordGame.getHolePoints({ hole: 3, par: 4, scores: scores(4, 5, 6) })).toEqual({ 'Daniel': 2, 'Bill': 2, 'Josh': 2 });
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay the points difference between every pair', () => {
+            stablefordGame.addAction({ hole: 1, par: 4, scores: scores(3, 4, 6) }); // 3, 2, 0
+
+            const summary = stablefordGame.calculateSummary();
+            expect(summary['Daniel']).toBe(4.00); // +1 from Bill, +3 from Josh
+            expect(summary['Bill']).toBe(1.00); // -1 to Daniel, +2 from Josh
+            expect(summary['Josh']).toBe(-5.00);
+        });
+
+        test('should balance to zero', () => {
+            stablefordGame.addAction({ hole: 1, par: 4, scores: scores(3, 4, 6) });
+            stablefordGame.addAction({ hole: 2, par: 5, scores: scores(7, 3, 5) });
+
+            const summary = stablefordGame.calculateSummary();
+            const total = Object.values(summary).reduce((sum, balance) => sum + balance, 0);
+            expect(total).toBe(0);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should total points and find the leader', () => {
+            stablefordGame.addAction({ hole: 1, par: 4, scores: scores(3, 4, 6) });
+            stablefordGame.addAction({ hole: 2, par: 3, scores: scores(4, 2, 3) });
+
+            const stats = stablefordGame.getStats();
+            expect(stats.holesPlayed).toBe(2);
+            expect(stats.pointsByPlayer).toEqual({ 'Daniel': 4, 'Bill': 5, 'Josh': 2 });
+            expect(stats.leaders).toEqual(['Bill']);
+            expect(stablefordGame.isHolePlayed(2)).toBe(true);
+        });
+    });
+});
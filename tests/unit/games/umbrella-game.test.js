@@ -0,0 +1,107 @@
+import { UmbrellaGame } from '../../../games/umbrella-game.js';
+import { GAME_TYPES, UMBRELLA_CONFIG } from '../../../constants.js';
+
+describe('UmbrellaGame', () => {
+    let umbrellaGame;
+    let players;
+
+    const { SIDE_1_VALUE: TEAM1, SIDE_2_VALUE: TEAM2, NO_WINNER_VALUE: NONE } = UMBRELLA_CONFIG;
+    const sweep = team => ({ lowBall: team, lowTotal: team, kp: team, birdie: team });
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Mike'];
+        umbrellaGame = new UmbrellaGame(players, {
+            betAmount: 1.00,
+            teams: [['Daniel', 'Josh'], ['Bill', 'Mike']],
+            teamNames: { team1: 'Daniel & Josh', team2: 'Bill & Mike' }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create an Umbrella game with the selected teams', () => {
+            expect(umbrellaGame.gameType).toBe(GAME_TYPES.UMBRELLA);
+            expect(umbrellaGame.getSides()).toEqual([['Daniel', 'Josh'], ['Bill', 'Mike']]);
+            expect(umbrellaGame.getSideName(TEAM2)).toBe('Bill & Mike');
+        });
+
+        test('should fall back to the first two players as a team', () => {
+            const defaultGame = new UmbrellaGame(players, { betAmount: 1.00 });
+            expect(defaultGame.getSides()).toEqual([['Daniel', 'Bill'], ['Josh', 'Mike']]);
+            expect(defaultGame.getSideName(TEAM1)).toBe('Daniel & Bill');
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a winner or nobody for every category', () => {
+            expect(umbrellaGame.validateAction({ hole: 1, winners: sweep(TEAM1) })).toBe(true);
+            expect(umbrellaGame.validateAction({ hole: 2, winners: { lowBall: TEAM2, lowTotal: NONE, kp: TEAM1, birdie: NONE } })).toBe(true);
+        });
+
+        test('should reject missing categories and bad holes', () => {
+            expect(umbrellaGame.validateAction({ hole: 1, winners: { lowBall: TEAM1 } })).toBe(false);
+            expect(umbrellaGame.validateAction({ hole: 1, winners: { ...sweep(TEAM1), kp: 'Daniel' } })).toBe(false);
+            expect(umbrellaGame.validateAction({ hole: 19, winners: sweep(TEAM1) })).toBe(false);
+        });
+    });
+
+    describe('Hole Points', () => {
+        test('should award a point per category', () => {
+            const result = umbrellaGame.getHolePoints({ hole: 1, winners: { lowBall: TEAM1, lowTotal: TEAM2, kp: TEAM1, birdie: NONE } });
+            expect(result).toEqual({ side1Points: 2, side2Points: 1, umbrella: false });
+        });
+
+        test('should double the points when one team wins every category', () => {
+            const result = umbrellaGame.getHolePoints({ hole: 1, winners: sweep(TEAM2) });
+            expect(result).toEqual({ side1Points: 0, side2Points: 8, umbrella: true });
+        });
+
+        test('should not open the umbrella when nobody wins any category', () => {
+            expect(umbrellaGame.getHolePoints({ hole: 1, winners: sweep(NONE) }).umbrella).toBe(false);
+        });
+
+        test('should tally every hole in hole order', () => {
+            umbrellaGame.addAction({ hole: 2, winners: { lowBall: TEAM1, lowTotal: TEAM1, kp: TEAM2, birdie: NONE } });
+            umbrellaGame.addAction({ hole: 1, winners: sweep(TEAM1) });
+
+            expect(umbrellaGame.getHoleTally()).toEqual([
+                { hole: 1, side1Points: 8, side2Points: 0, umbrella: true },
+                { hole: 2, side1Points: 2, side2Points: 1, umbrella: false }
+            ]);
+            expect(umbrellaGame.getTeamTotals()).toEqual({ side1Points: 10, side2Points: 1 });
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should settle the difference in team totals', () => {
+            umbrellaGame.addAction({ hole: 1, winners: sweep(TEAM1) });
+            umbrellaGame.addAction({ hole: 2, winners: { lowBall: TEAM2, lowTotal: TEAM2, kp: TEAM2, birdie: NONE } });
+
+            const summary = umbrellaGame.calculateSummary();
+            expect(summary['Daniel']).toBe(5.00);
+            expect(summary['Josh']).toBe(5.00);
+            expect(summary['Bill']).toBe(-5.00);
+            expect(summary['Mike']).toBe(-5.00);
+        });
+
+        test('should not pay anything when the totals are level', () => {
+            umbrellaGame.addAction({ hole: 1, winners: { lowBall: TEAM1, lowTotal: TEAM2, kp: NONE, birdie: NONE } });
+            expect(umbrellaGame.calculateSummary()).toEqual({ 'Daniel': 0, 'Bill': 0, 'Josh': 0, 'Mike': 0 });
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should track points and umbrellas for each team', () => {
+            umbrellaGame.addAction({ hole: 1, winners: sweep(TEAM1) });
+            umbrellaGame.addAction({ hole: 2, winners: sweep(TEAM2) });
+            umbrellaGame.addAction({ hole: 3, winners: sweep(TEAM2) });
+
+            const stats = umbrellaGame.getStats();
+            expect(stats.holesPlayed).toBe(3);
+            expect(stats.side1Points).toBe(8);
+            expect(stats.side2Points).toBe(16);
+            expect(stats.side1Umbrellas).toBe(1);
+            expect(stats.side2Umbrellas).toBe(2);
+            expect(umbrellaGame.isHolePlayed(3)).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import { VegasGame } from '../../../games/vegas-game.js';
+import { GAME_TYPES } from '../../../constants.js';
+
+describe('VegasGame', () => {
+    let vegasGame;
+    let players;
+
+    const scores = (daniel, bill, josh, steve) => ({ 'Daniel': daniel, 'Bill': bill, 'Josh': josh, 'Steve': steve });
+
+    beforeEach(() => {
+        players = ['Daniel', 'Bill', 'Josh', 'Steve'];
+        vegasGame = new VegasGame(players, {
+            betAmount: 1.00,
+            teams: [['Daniel', 'Bill'], ['Josh', 'Steve']],
+            teamNames: { team1: 'Daniel & Bill', team2: 'Josh & Steve' }
+        });
+    });
+
+    describe('Constructor', () => {
+        test('should create a Vegas game with correct properties', () => {
+            expect(vegasGame.gameType).toBe(GAME_TYPES.VEGAS);
+            expect(vegasGame.players).toEqual(players);
+            expect(vegasGame.config.flipTheBird).toBe(true);
+        });
+    });
+
+    describe('Team Numbers', () => {
+        test('should put the low score first', () => {
+            expect(vegasGame.getTeamNumber([5, 4])).toBe(45);
+            expect(vegasGame.getTeamNumber([4, 4])).toBe(44);
+        });
+
+        test('should put the high score first when flipped', () => {
+            expect(vegasGame.getTeamNumber([4, 5], true)).toBe(54);
+        });
+
+        test('should put a double-digit score first', () => {
+            expect(vegasGame.getTeamNumber([4, 10])).toBe(104);
+            expect(vegasGame.getTeamNumber([10, 4], true)).toBe(104);
+        });
+    });
+
+    describe('Hole Results', () => {
+        test('should award the difference to the lower team number', () => {
+            const result = vegasGame.calculateHoleResult({ hole: 1, par: 4, scores: scores(4, 5, 5, 6) });
+            expect(result.team1Number).toBe(45);
+            expect(result.team2Number).toBe(56);
+            expect(result.winner).toBe('team1');
+            expect(result.points).toBe(11);
+            expect(result.flipped).toBeNull();
+        });
+
+        test('should flip the other team when one team makes birdie', () => {
+            const result = vegasGame.calculateHoleResult({ hole: 1, par: 4, scores: scores(3, 6, 4, 5) });
+            expect(result.flipped).toBe('team2');
+            expect(result.team1Number).toBe(36);
+            expect(result.team2Number).toBe(54);
+            expect(result.points).toBe(18);
+        });
+
+        test('should not flip when both teams make birdie', () => {
+            const result = vegasGame.calculateHoleResult({ hole: 1, par: 4, scores: scores(3, 5, 3, 6) });
+            expect(result.flipped).toBeNull();
+            expect(result.team1Number).toBe(35);
+            expect(result.team2Number).toBe(36);
+        });
+
+        test('should not flip when flip the bird is off', () => {
+            const noFlip = new VegasGame(players, {
+                betAmount: 1.00,
+                flipTheBird: false,
+                teams: [['Daniel', 'Bill'], ['Josh', 'Steve']]
+            });
+            const result = noFlip.calculateHoleResult({ hole: 1, par: 4, scores: scores(3, 6, 4, 5) });
+            expect(result.flipped).toBeNull();
+            expect(result.team2Number).toBe(45);
+            expect(result.winner).toBe('team1');
+        });
+
+        test('should push when team numbers are equal', () => {
+            const result = vegasGame.calculateHoleResult({ hole: 1, par: 4, scores: scores(4, 5, 5, 4) });
+            expect(result.winner).toBeNull();
+            expect(result.points).toBe(0);
+        });
+    });
+
+    describe('Action Validation', () => {
+        test('should accept a hole with scores for every player', () => {
+            expect(vegasGame.validateAction({ hole: 1, par: 4, scores: scores(4, 5, 5, 6) })).toBe(true);
+        });
+
+        test('should reject missing scores, bad par and bad holes', () => {
+            expect(vegasGame.validateAction({ hole: 1, par: 4, scores: { 'Daniel': 4 } })).toBe(false);
+            expect(vegasGame.validateAction({ hole: 1, par: 7, scores: scores(4, 5, 5, 6) })).toBe(false);
+            expect(vegasGame.validateAction({ hole: 19, par: 4, scores: scores(4, 5, 5, 6) })).toBe(false);
+        });
+
+        test('should reject holes when no teams are configured', () => {
+            const noTeams = new VegasGame(players, { betAmount: 1.00 });
+            expect(noTeams.validateAction({ hole: 1, par: 4, scores: scores(4, 5, 5, 6) })).toBe(false);
+        });
+    });
+
+    describe('Summary Calculation', () => {
+        test('should pay the point difference times the bet', () => {
+            vegasGame.addAction({ hole: 1, par: 4, scores: scores(4, 5, 5, 6) });
+
+            const summary = vegasGame.calculateSummary();
+            expect(summary['Daniel']).toBe(11.00);
+            expect(summary['Bill']).toBe(11.00);
+            expect(summary['Josh']).toBe(-11.00);
+            expect(summary['Steve']).toBe(-11.00);
+        });
+
+        test('should net holes won by each team', () => {
+            vegasGame.addAction({ hole: 1, par: 4, scores: scores(4, 5, 5, 6) }); // Team 1 +11
+            vegasGame.addAction({ hole: 2, par: 4, scores: scores(5, 6, 4, 5) }); // Team 2 +11
+
+            const summary = vegasGame.calculateSummary();
+            expect(summary['Daniel']).toBe(0);
+            expect(summary['Steve']).toBe(0);
+        });
+
+        test('should settle a hole with a double-digit score', () => {
+            vegasGame.addAction({ hole: 1, par: 4, scores: scores(4, 10, 5, 5) });
+
+            // 104 against 55 costs Daniel & Bill 49 points
+            const summary = vegasGame.calculateSummary();
+            expect(summary['Daniel']).toBe(-49.00);
+            expect(summary['Josh']).toBe(49.00);
+        });
+    });
+
+    describe('Statistics', () => {
+        test('should track team points and birdie flips', () => {
+            vegasGame.addAction({ hole: 1, par: 4, scores: scores(4, 5, 5, 6) });
+            vegasGame.addAction({ hole: 2, par: 4, scores: scores(3, 6, 4, 5) });
+
+            const stats = vegasGame.getStats();
+            expect(stats.holesPlayed).toBe(2);
+            expect(stats.teamPoints.team1).toBe(29);
+            expect(stats.teamPoints.team2).toBe(0);
+            expect(stats.birdieFlips).toBe(1);
+        });
+    });
+});
@@ -44,6 +44,17 @@ describe('WolfGame', () => {
             expect(wolfInfo.startHole).toBe(1);
             expect(wolfInfo.endHole).toBe(4);
         });
+
+        test('should rotate in play order when the round starts on the 10th', () => {
+            const backNineStart = new WolfGame(players, { betAmount: 2.00, startingHole: 10 });
+
+            expect(backNineStart.getWolfForHole(10)).toBe('Daniel');
+            expect(backNineStart.getWolfForHole(14)).toBe('Bill');
+            expect(backNineStart.getWolfForHole(1)).toBe('Josh');
+            expect(backNineStart.getWolfForHole(8)).toBeUndefined();
+            expect(backNineStart.getCurrentWolf(18)).toMatchObject({ player: 'Josh', startHole: 18, endHole: 3 });
+            expect(backNineStart.getNextWolfHole('Steve')).toBe(4);
+        });
     });
 
     describe('Partner Selection', () => {
@@ -307,6 +318,25 @@ describe('WolfGame', () => {
             expect(schedule[1].holes).toBe('5-8');
         });
 
+        test('should fit the schedule to a 9-hole round', () => {
+            const nineHoles = new WolfGame(players, { betAmount: 2.00, roundLength: 9 });
+            expect(nineHoles.getWolfSchedule().map(turn => `${turn.holes} ${turn.player}`))
+                .toEqual(['1-4 Daniel', '5-8 Bill', '9 Josh']);
+            expect(nineHoles.getNextWolfHole('Steve')).toBeNull();
+        });
+
+        test('should keep rotating through a 36-hole round', () => {
+            const longRound = new WolfGame(players, { betAmount: 2.00, roundLength: 36 });
+            expect(longRound.getWolfSchedule()).toHaveLength(8); // Two whole rotations
+            expect(longRound.getWolfForHole(17)).toBe('Daniel');
+            expect(longRound.getWolfForHole(24)).toBe('Bill');
+            expect(longRound.getWolfForHole(32)).toBe('Steve');
+            expect(longRound.getWolfForHole(33)).toBeUndefined(); // Like holes 17-18 of an 18-hole round
+            expect(longRound.validateAction({
+                hole: 30, wolf: 'Steve', wolfChoice: 'lone_wolf', result: 'wolf_wins'
+            })).toBe(true);
+        });
+
         test('should get next wolf hole', () => {
             expect(wolfGame.getNextWolfHole('Daniel')).toBe(1); // Daniel is wolf on holes 1-4
             expect(wolfGame.getNextWolfHole('Bill')).toBe(5);   // Bill is wolf on holes 5-8
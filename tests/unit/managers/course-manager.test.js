@@ -0,0 +1,185 @@
+import { CourseManager } from '../../../managers/course-manager.js';
+import { HANDICAP_CONFIG } from '../../../constants.js';
+
+const PARS = [4, 4, 3, 5, 4, 4, 3, 4, 5, 4, 4, 3, 4, 5, 4, 3, 4, 5];
+
+const buildTee = (name, slope = 128, rating = 71.4) => ({
+  name,
+  slope,
+  rating,
+  holes: PARS.map((par, index) => ({
+    par,
+    strokeIndex: HANDICAP_CONFIG.DEFAULT_STROKE_INDEXES[index],
+    yardage: par * 100
+  }))
+});
+
+const buildCSV = (course, tee) => [
+  'Course,Tee,Slope,Rating,Hole,Par,SI,Yards',
+  ...PARS.map((par, index) =>
+    `"${course}",${tee},128,71.4,${index + 1},${par},${HANDICAP_CONFIG.DEFAULT_STROKE_INDEXES[index]},${par * 100}`)
+].join('\n');
+
+describe('CourseManager', () => {
+  let storage;
+  let courseManager;
+
+  beforeEach(() => {
+    storage = {
+      saved: [],
+      loadCourses: jest.fn(() => storage.saved),
+      saveCourses: jest.fn(courses => {
+        storage.saved = courses;
+        return true;
+      })
+    };
+    courseManager = new CourseManager(storage);
+  });
+
+  describe('Course Library', () => {
+    test('should save courses and keep them sorted by name', () => {
+      expect(courseManager.saveCourse({ name: 'Pine Valley', tees: [buildTee('Blue')] }).success).toBe(true);
+      expect(courseManager.saveCourse({ name: ' Home Links ', tees: [buildTee('White')] }).success).toBe(true);
+
+      expect(courseManager.getCourses().map(course => course.name)).toEqual(['Home Links', 'Pine Valley']);
+      expect(storage.saveCourses).toHaveBeenCalledTimes(2);
+    });
+
+    test('should replace a course saved with the same name', () => {
+      courseManager.saveCourse({ name: 'Home Links', tees: [buildTee('Blue')] });
+      courseManager.saveCourse({ name: 'home links', tees: [buildTee('Red')] });
+
+      expect(courseManager.getCourses()).toHaveLength(1);
+      expect(courseManager.getCourse('HOME LINKS').tees[0].name).toBe('Red');
+    });
+
+    test('should load the saved library', () => {
+      courseManager.saveCourse({ name: 'Home Links', tees: [buildTee('Blue')] });
+
+      const reloaded = new CourseManager(storage);
+      expect(reloaded.getCourse('Home Links').tees[0].holes).toHaveLength(18);
+    });
+
+    test('should delete courses', () => {
+      courseManager.saveCourse({ name: 'Home Links', tees: [buildTee('Blue')] });
+
+      expect(courseManager.deleteCourse('Home Links')).toBe(true);
+      expect(courseManager.deleteCourse('Home Links')).toBe(false);
+      expect(courseManager.getCourses()).toEqual([]);
+    });
+
+    test('should hand out copies of saved courses', () => {
+      courseManager.saveCourse({ name: 'Home Links', tees: [buildTee('Blue')] });
+      courseManager.getCourse('Home Links').tees[0].slope = 155;
+
+      expect(courseManager.getCourse('Home Links').tees[0].slope).toBe(128);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should accept a complete course with optional yardage', () => {
+      const tee = buildTee('Blue');
+      tee.holes[0].yardage = null;
+
+      expect(courseManager.validateCourse({ name: 'Home Links', tees: [tee] }).success).toBe(true);
+    });
+
+    test('should need a name and at least one set of tees', () => {
+      const result = courseManager.validateCourse({ name: ' ', tees: [] });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+
+    test('should reject repeated tee names and bad slope or rating', () => {
+      expect(courseManager.validateCourse({ name: 'Home Links', tees: [buildTee('Blue'), buildTee('blue')] }).errors)
+        .toEqual(['Home Links (blue): tee names must be different.']);
+      expect(courseManager.validateCourse({ name: 'Home Links', tees: [buildTee('Blue', 160)] }).success).toBe(false);
+      expect(courseManager.validateCourse({ name: 'Home Links', tees: [buildTee('Blue', 128, 90)] }).success).toBe(false);
+    });
+
+    test('should need every hole with a par and stroke index', () => {
+      const missingHole = buildTee('Blue');
+      missingHole.holes.pop();
+      const badPar = buildTee('Blue');
+      badPar.holes[4].par = 7;
+      const badStrokeIndex = buildTee('Blue');
+      badStrokeIndex.holes[0].strokeIndex = badStrokeIndex.holes[1].strokeIndex;
+
+      expect(courseManager.validateCourse({ name: 'Home Links', tees: [missingHole] }).success).toBe(false);
+      expect(courseManager.validateCourse({ name: 'Home Links', tees: [badPar] }).success).toBe(false);
+      expect(courseManager.validateCourse({ name: 'Home Links', tees: [badStrokeIndex] }).success).toBe(false);
+    });
+
+    test('should not save an invalid course', () => {
+      const result = courseManager.saveCourse({ name: 'Home Links', tees: [buildTee('Blue', 20)] });
+
+      expect(result.success).toBe(false);
+      expect(storage.saveCourses).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Import', () => {
+    test('should import a JSON course, a list or a courses object', () => {
+      const course = { name: 'Home Links', tees: [buildTee('Blue')] };
+
+      expect(courseManager.importCourses(JSON.stringify(course)).courses).toEqual(['Home Links']);
+      expect(courseManager.importCourses(JSON.stringify([{ ...course, name: 'Pine Valley' }])).success).toBe(true);
+      expect(courseManager.importCourses(JSON.stringify({ courses: [{ ...course, name: 'Augusta' }] })).success).toBe(true);
+      expect(courseManager.getCourses()).toHaveLength(3);
+    });
+
+    test('should import a CSV with a row per hole for each set of tees', () => {
+      const csv = `${buildCSV('Home Links, North', 'Blue')}\n${buildCSV('Home Links, North', 'White').split('\n').slice(1).join('\n')}`;
+
+      const result = courseManager.importCourses(csv);
+
+      expect(result).toEqual({ success: true, errors: [], courses: ['Home Links, North'] });
+      const course = courseManager.getCourse('Home Links, North');
+      expect(course.tees.map(tee => tee.name)).toEqual(['Blue', 'White']);
+      expect(course.tees[0].holes[2]).toEqual({ par: 3, strokeIndex: 1, yardage: 300 });
+    });
+
+    test('should report CSV problems', () => {
+      expect(courseManager.importCourses('Course,Tee,Hole,Par\nHome,Blue,1,4').errors[0])
+        .toBe('The CSV is missing the slope, rating, strokeIndex columns.');
+      expect(courseManager.importCourses(buildCSV('Home Links', 'Blue').replace(',1,4,', ',19,4,')).errors[0])
+        .toBe('Row 2 has a bad hole number.');
+      expect(courseManager.importCourses(buildCSV('Home Links', 'Blue').replace(',2,4,', ',1,4,')).errors[0])
+        .toBe('Row 3 repeats hole 1 for the Blue tees.');
+    });
+
+    test('should save nothing unless every course is valid', () => {
+      const result = courseManager.importCourses(JSON.stringify([
+        { name: 'Home Links', tees: [buildTee('Blue')] },
+        { name: 'Pine Valley', tees: [buildTee('Blue', 40)] }
+      ]));
+
+      expect(result.success).toBe(false);
+      expect(courseManager.getCourses()).toEqual([]);
+    });
+
+    test('should reject bad JSON and empty files', () => {
+      expect(courseManager.importCourses('{ "name": ').errors).toEqual(['The course file is not valid JSON.']);
+      expect(courseManager.importCourses('[]').errors).toEqual(['No courses found to import.']);
+    });
+  });
+
+  describe('Round Course', () => {
+    test('should give the tee details and hole data for the round', () => {
+      courseManager.saveCourse({ name: 'Home Links', tees: [buildTee('Blue'), buildTee('Red', 118, 69.8)] });
+
+      const roundCourse = courseManager.getRoundCourse('Home Links', 'Red');
+
+      expect(roundCourse).toMatchObject({ name: 'Home Links', tee: 'Red', slope: 118, rating: 69.8, par: 72 });
+      expect(roundCourse.holes[0]).toEqual({ hole: 1, par: 4, strokeIndex: 7, yardage: 400 });
+    });
+
+    test('should return null for courses or tees that are not saved', () => {
+      courseManager.saveCourse({ name: 'Home Links', tees: [buildTee('Blue')] });
+
+      expect(courseManager.getRoundCourse('Home Links', 'Gold')).toBeNull();
+      expect(courseManager.getRoundCourse('Pine Valley', 'Blue')).toBeNull();
+    });
+  });
+});
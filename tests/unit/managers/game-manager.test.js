@@ -0,0 +1,127 @@
+import { GameManager } from '../../../managers/game-manager.js';
+import { DEFAULTS } from '../../../constants.js';
+
+describe('GameManager', () => {
+  let gameManager;
+
+  beforeEach(() => {
+    gameManager = new GameManager({});
+  });
+
+  describe('Round Length and Playoffs', () => {
+    test('should play 18 holes unless another length is picked', () => {
+      gameManager.initializeGames({ skins: { enabled: true, betAmount: 1 } }, ['Daniel', 'Bill'], 2);
+
+      expect(gameManager.getRoundLength()).toBe(DEFAULTS.ROUND_LENGTH);
+      expect(gameManager.getLastHole()).toBe(18);
+    });
+
+    test('should pass the round length to every game', () => {
+      gameManager.initializeGames({
+        skins: { enabled: true, betAmount: 1 },
+        matchPlay: { enabled: true, betAmount: 1 }
+      }, ['Daniel', 'Bill'], 2, 9);
+
+      expect(gameManager.getLastHole()).toBe(9);
+      expect(gameManager.gameInstances.skins.getRoundLength()).toBe(9);
+      expect(gameManager.gameInstances.matchPlay.getMatchStatus().holesRemaining).toBe(9);
+    });
+
+    test('should only add a playoff hole for games that ended tied', () => {
+      gameManager.initializeGames({
+        matchPlay: { enabled: true, betAmount: 1 },
+        murph: { enabled: true, betAmount: 1 }
+      }, ['Daniel', 'Bill'], 2, 9);
+      expect(gameManager.addPlayoffHole()).toBe(false);
+
+      for (let hole = 1; hole <= 9; hole++) {
+        gameManager.addGameAction('matchPlay', { hole, winner: 'halved' });
+      }
+      expect(gameManager.getPlayoffGames()).toEqual(['matchPlay']);
+
+      expect(gameManager.addPlayoffHole()).toBe(true);
+      expect(gameManager.getLastHole()).toBe(10);
+      expect(gameManager.gameInstances.murph.getLastHole()).toBe(9);
+      expect(gameManager.gameInstances.matchPlay.getLastHole()).toBe(10);
+      expect(gameManager.getPlayoffGames()).toEqual([]);
+    });
+
+    test('should not keep a playoff hole result for a game that does not play off', () => {
+      gameManager.initializeGames({
+        matchPlay: { enabled: true, betAmount: 1 },
+        murph: { enabled: true, betAmount: 1 }
+      }, ['Daniel', 'Bill'], 2, 9);
+      for (let hole = 1; hole <= 9; hole++) {
+        gameManager.addGameAction('matchPlay', { hole, winner: 'halved' });
+      }
+      gameManager.addPlayoffHole();
+
+      expect(gameManager.addGameAction('murph', { id: 1, hole: 10, player: 'Daniel', result: 'failed' })).toBe(false);
+      expect(gameManager.gameActions.murph).toEqual([]);
+
+      const restored = new GameManager({});
+      restored.restoreGameState({ ...gameManager.getGameState(), gameActions: gameManager.gameActions });
+      expect(restored.gameInstances.murph.actions).toEqual([]);
+      expect(restored.calculateGameSummary('murph')).toEqual({ Daniel: 0, Bill: 0 });
+    });
+
+    test('should save and restore the round length and playoff holes', () => {
+      gameManager.initializeGames({ matchPlay: { enabled: true, betAmount: 1 } }, ['Daniel', 'Bill'], 2, 9);
+      for (let hole = 1; hole <= 9; hole++) {
+        gameManager.addGameAction('matchPlay', { hole, winner: 'halved' });
+      }
+      gameManager.addPlayoffHole();
+      gameManager.addGameAction('matchPlay', { hole: 10, winner: 'team1' });
+
+      const restored = new GameManager({});
+      restored.restoreGameState({ ...gameManager.getGameState(), gameActions: gameManager.gameActions });
+
+      expect(restored.getRoundLength()).toBe(9);
+      expect(restored.getLastHole()).toBe(10);
+      expect(restored.gameInstances.matchPlay.getMatchStatus().status).toBe('Daniel wins on playoff hole 10');
+
+      restored.resetGames();
+      expect(restored.getLastHole()).toBe(DEFAULTS.ROUND_LENGTH);
+    });
+  });
+
+  describe('Starting Hole', () => {
+    test('should start on the 1st unless another hole is picked', () => {
+      gameManager.initializeGames({ skins: { enabled: true, betAmount: 1 } }, ['Daniel', 'Bill'], 2);
+
+      expect(gameManager.getStartingHole()).toBe(DEFAULTS.STARTING_HOLE);
+      expect(gameManager.getPlaySequence(18)).toBe(18);
+    });
+
+    test('should wrap round to hole 1 after the last hole', () => {
+      gameManager.initializeGames({ skins: { enabled: true, betAmount: 1 } }, ['Daniel', 'Bill'], 2, 9, 7);
+
+      expect(gameManager.getPlaySequence(7)).toBe(1);
+      expect(gameManager.getHoleAtSequence(3)).toBe(9);
+      expect(gameManager.getHoleAtSequence(4)).toBe(1);
+      expect(gameManager.getHoleAtSequence(gameManager.getLastHole())).toBe(6);
+      expect(gameManager.gameInstances.skins.getPlaySequence(1)).toBe(4);
+    });
+
+    test('should make the snake the last one given in play order', () => {
+      gameManager.initializeGames({ snake: { enabled: true, betAmount: 1 } }, ['Daniel', 'Bill', 'Josh'], 3, 18, 10);
+      gameManager.addGameAction('snake', { hole: 2, player: 'Bill' });
+      gameManager.addGameAction('snake', { hole: 15, player: 'Josh' });
+
+      expect(gameManager.gameInstances.snake.getLastSnakePlayer()).toBe('Bill');
+      expect(gameManager.sortByPlayOrder(gameManager.gameActions.snake).map(action => action.hole)).toEqual([15, 2]);
+    });
+
+    test('should save and restore the starting hole', () => {
+      gameManager.initializeGames({ matchPlay: { enabled: true, betAmount: 1 } }, ['Daniel', 'Bill'], 2, 18, 10);
+
+      const restored = new GameManager({});
+      restored.restoreGameState({ ...gameManager.getGameState(), gameActions: gameManager.gameActions });
+      expect(restored.getStartingHole()).toBe(10);
+      expect(restored.gameInstances.matchPlay.getPlaySequence(9)).toBe(18);
+
+      restored.resetGames();
+      expect(restored.getStartingHole()).toBe(DEFAULTS.STARTING_HOLE);
+    });
+  });
+});
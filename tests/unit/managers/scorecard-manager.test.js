@@ -0,0 +1,210 @@
+import { ScorecardManager } from '../../../managers/scorecard-manager.js';
+import { GameManager } from '../../../managers/game-manager.js';
+
+describe('ScorecardManager', () => {
+  let scorecard;
+  const players = ['Daniel', 'Bill', 'Josh'];
+
+  beforeEach(() => {
+    scorecard = new ScorecardManager(players);
+  });
+
+  describe('Score Entry', () => {
+    test('should record strokes and optional putts', () => {
+      expect(scorecard.setScore(1, 'Daniel', 4, 2)).toBe(true);
+      expect(scorecard.setScore(1, 'Bill', 5)).toBe(true);
+
+      expect(scorecard.getScore(1, 'Daniel')).toBe(4);
+      expect(scorecard.getPutts(1, 'Daniel')).toBe(2);
+      expect(scorecard.getPutts(1, 'Bill')).toBeNull();
+      expect(scorecard.getScore(2, 'Daniel')).toBeNull();
+    });
+
+    test('should reject bad holes, players, strokes and putts', () => {
+      expect(scorecard.setScore(0, 'Daniel', 4)).toBe(false);
+      expect(scorecard.setScore(1, 'Tiger', 4)).toBe(false);
+      expect(scorecard.setScore(1, 'Daniel', 0)).toBe(false);
+      expect(scorecard.setScore(1, 'Daniel', 16)).toBe(false);
+      expect(scorecard.setScore(1, 'Daniel', 3, 4)).toBe(false);
+      expect(scorecard.getHoleScores(1)).toEqual({});
+    });
+
+    test('should correct a score and clear its putts', () => {
+      scorecard.setScore(1, 'Daniel', 5, 3);
+      scorecard.setScore(1, 'Daniel', 4);
+
+      expect(scorecard.getScore(1, 'Daniel')).toBe(4);
+      expect(scorecard.getPutts(1, 'Daniel')).toBeNull();
+    });
+
+    test('should record a whole hole only when every entry is valid', () => {
+      expect(scorecard.setHoleScores(2, { Daniel: 4, Bill: 20, Josh: 5 })).toBe(false);
+      expect(scorecard.getHoleScores(2)).toEqual({});
+
+      expect(scorecard.setHoleScores(2, { Daniel: 4, Bill: 3, Josh: 5 }, { Daniel: 2 })).toBe(true);
+      expect(scorecard.isHoleComplete(2)).toBe(true);
+      expect(scorecard.getPutts(2, 'Daniel')).toBe(2);
+    });
+
+    test('should clear a score', () => {
+      scorecard.setScore(1, 'Daniel', 4, 2);
+      scorecard.clearScore(1, 'Daniel');
+
+      expect(scorecard.getScore(1, 'Daniel')).toBeNull();
+      expect(scorecard.getScoredHoles()).toEqual([]);
+    });
+  });
+
+  describe('Totals', () => {
+    test('should total strokes, putts and holes played', () => {
+      scorecard.setHoleScores(1, { Daniel: 4, Bill: 5, Josh: 6 }, { Daniel: 2, Bill: 2 });
+      scorecard.setHoleScores(2, { Daniel: 3, Bill: 4 }, { Daniel: 1 });
+
+      expect(scorecard.isHoleComplete(2)).toBe(false);
+      expect(scorecard.getScoredHoles()).toEqual([1, 2]);
+      expect(scorecard.getTotals()).toEqual({
+        Daniel: { strokes: 7, putts: 3, holes: 2 },
+        Bill: { strokes: 9, putts: 2, holes: 2 },
+        Josh: { strokes: 6, putts: 0, holes: 1 }
+      });
+    });
+  });
+
+  describe('State Management', () => {
+    test('should round-trip through saved data', () => {
+      scorecard.setHoleScores(1, { Daniel: 4, Bill: 5, Josh: 6 }, { Josh: 3 });
+      const saved = JSON.parse(JSON.stringify(scorecard.toJSON()));
+
+      const restored = new ScorecardManager();
+      restored.restore(saved, players);
+
+      expect(restored.getHoleScores(1)).toEqual({ Daniel: 4, Bill: 5, Josh: 6 });
+      expect(restored.getPutts(1, 'Josh')).toBe(3);
+    });
+
+    test('should start empty when there is no saved scorecard', () => {
+      scorecard.setScore(1, 'Daniel', 4);
+      scorecard.restore(undefined, players);
+
+      expect(scorecard.getScoredHoles()).toEqual([]);
+      expect(scorecard.players).toEqual(players);
+    });
+  });
+
+  describe('Handicaps', () => {
+    const handicapSettings = { indexes: { Daniel: 2, Bill: 20 }, slope: 113, rating: 72, par: 72, allowance: 100 };
+
+    test('should play gross until handicaps are set', () => {
+      scorecard.setHoleScores(3, { Daniel: 4, Bill: 5 });
+
+      expect(scorecard.hasHandicaps()).toBe(false);
+      expect(scorecard.getHandicapStrokes(3, 'Bill')).toBe(0);
+      expect(scorecard.getNetScores(3)).toEqual({ Daniel: 4, Bill: 5 });
+    });
+
+    test('should take strokes off by stroke index', () => {
+      scorecard.setHandicaps(handicapSettings);
+      scorecard.setHoleScores(3, { Daniel: 4, Bill: 5 });
+      scorecard.setHoleScores(15, { Daniel: 4, Bill: 5 });
+
+      // Hole 3 is stroke index 1, hole 15 is stroke index 18
+      expect(scorecard.getNetScores(3)).toEqual({ Daniel: 3, Bill: 3 });
+      expect(scorecard.getNetScores(15)).toEqual({ Daniel: 4, Bill: 4 });
+      expect(scorecard.getNetScores(15, { Daniel: 3, Bill: 3 })).toEqual({ Daniel: 3, Bill: 2 });
+    });
+
+    test('should use the stroke indexes given in the settings', () => {
+      const strokeIndexes = Array.from({ length: 18 }, (_, hole) => hole + 1);
+      scorecard.setHandicaps({ ...handicapSettings, strokeIndexes });
+
+      expect(scorecard.getPlayingHandicap('Daniel')).toBe(2);
+      expect(scorecard.getHandicapStrokes(2, 'Daniel')).toBe(1);
+      expect(scorecard.getHandicapStrokes(3, 'Daniel')).toBe(0);
+      expect(scorecard.getHandicapStrokes(1, 'Bill')).toBe(2);
+      expect(scorecard.getHandicapStrokes(18, 'Bill')).toBe(1);
+    });
+
+    test('should hand out half the strokes over a nine-hole round', () => {
+      scorecard.setHandicaps(handicapSettings, 9);
+
+      expect(scorecard.getPlayingHandicap('Daniel')).toBe(1);
+      expect(scorecard.getPlayingHandicap('Bill')).toBe(10);
+
+      // Hole 3 is the hardest of the front nine, hole 6 (stroke index 17) the easiest
+      expect(scorecard.getHandicapStrokes(3, 'Daniel')).toBe(1);
+      expect(scorecard.getHandicapStrokes(5, 'Daniel')).toBe(0);
+      expect(scorecard.getHandicapStrokes(3, 'Bill')).toBe(2);
+      expect(scorecard.getHandicapStrokes(6, 'Bill')).toBe(1);
+
+      const holes = Array.from({ length: 9 }, (_, hole) => hole + 1);
+      expect(holes.reduce((total, hole) => total + scorecard.getHandicapStrokes(hole, 'Bill'), 0)).toBe(10);
+    });
+
+    test('should clear handicaps on reset', () => {
+      scorecard.setHandicaps(handicapSettings);
+      scorecard.reset(players);
+
+      expect(scorecard.hasHandicaps()).toBe(false);
+    });
+  });
+
+  describe('GameManager Integration', () => {
+    test('should share the scorecard with every game instance', () => {
+      const gameManager = new GameManager({});
+      gameManager.initializeGames({
+        kp: { enabled: true, betAmount: 1 },
+        vegas: { enabled: true, betAmount: 1 }
+      }, ['Daniel', 'Bill', 'Josh', 'Mike'], 4);
+
+      gameManager.setHoleScores(1, { Daniel: 4, Bill: 5, Josh: 3, Mike: 4 });
+
+      expect(gameManager.gameInstances.kp.getHoleScores(1)).toEqual({ Daniel: 4, Bill: 5, Josh: 3, Mike: 4 });
+      expect(gameManager.gameInstances.vegas.scorecard).toBe(gameManager.scorecard);
+    });
+
+    test('should restore the scorecard with the round', () => {
+      const gameManager = new GameManager({});
+      gameManager.restoreGameState({
+        gameConfigs: { kp: { enabled: true, betAmount: 1 } },
+        players: ['Daniel', 'Bill'],
+        requiredPlayers: 2,
+        gameStarted: true,
+        gameActions: { kp: [] },
+        scorecard: { scores: { 3: { Daniel: 2, Bill: 3 } }, putts: {} }
+      });
+
+      expect(gameManager.getHoleScores(3)).toEqual({ Daniel: 2, Bill: 3 });
+      expect(gameManager.gameInstances.kp.getHoleScores(3)).toEqual({ Daniel: 2, Bill: 3 });
+
+      gameManager.resetGames();
+      expect(gameManager.getHoleScores(3)).toEqual({});
+    });
+
+    test('should restore handicap strokes with the round', () => {
+      const gameManager = new GameManager({});
+      const savedState = {
+        gameConfigs: { skins: { enabled: true, betAmount: 1, fromScorecard: true } },
+        players: ['Daniel', 'Bill'],
+        requiredPlayers: 2,
+        gameStarted: true,
+        gameActions: { skins: [] },
+        scorecard: { scores: { 3: { Daniel: 4, Bill: 5 } }, putts: {} },
+        handicapSettings: { enabled: true, indexes: { Daniel: 2, Bill: 20 }, slope: 113, rating: 72, par: 72, allowance: 100 }
+      };
+
+      gameManager.restoreGameState(savedState);
+      expect(gameManager.scorecard.getNetScores(3)).toEqual({ Daniel: 3, Bill: 3 });
+
+      gameManager.restoreGameState({ ...savedState, handicapSettings: { ...savedState.handicapSettings, enabled: false } });
+      expect(gameManager.scorecard.hasHandicaps()).toBe(false);
+    });
+
+    test('should halve handicaps for a nine-hole round', () => {
+      const gameManager = new GameManager({});
+      gameManager.initializeGames({ skins: { enabled: true, betAmount: 1, fromScorecard: true } }, ['Daniel', 'Bill'], 2, 9);
+      gameManager.setHandicaps({ enabled: true, indexes: { Daniel: 2, Bill: 20 }, slope: 113, rating: 72, par: 72, allowance: 100 });
+
+      expect(gameManager.scorecard.getPlayingHandicap('Bill')).toBe(10);
+    });
+  });
+});
@@ -156,6 +156,93 @@ describe('StorageManager', () => {
       expect(result).toBe(false);
     });
 
+    test('should accept game state with or without a scorecard', () => {
+      const gameState = {
+        gameConfigs: { murph: { enabled: true, betAmount: 5 } },
+        players: ['John', 'Mike'],
+        currentHole: 3,
+        gameActions: { murph: [], skins: [], kp: [], snake: [], wolf: [] }
+      };
+
+      expect(storageManager.validateGameState(gameState)).toBe(true);
+      expect(storageManager.validateGameState({
+        ...gameState,
+        scorecard: { scores: { 1: { John: 4, Mike: 5 } }, putts: {} }
+      })).toBe(true);
+      expect(storageManager.validateGameState({ ...gameState, scorecard: null })).toBe(false);
+    });
+
+    test('should accept game state with or without handicap settings', () => {
+      const gameState = {
+        gameConfigs: { murph: { enabled: true, betAmount: 5 } },
+        players: ['John', 'Mike'],
+        currentHole: 3,
+        gameActions: { murph: [], skins: [], kp: [], snake: [], wolf: [] }
+      };
+
+      expect(storageManager.validateGameState({
+        ...gameState,
+        handicapSettings: { enabled: true, indexes: { John: 5.4, Mike: 12 }, slope: 125, rating: 71.2, par: 72 }
+      })).toBe(true);
+      expect(storageManager.validateGameState({ ...gameState, handicapSettings: 'net' })).toBe(false);
+    });
+
+    test('should accept a resaved older round with null handicap settings', () => {
+      const gameState = {
+        gameConfigs: { murph: { enabled: true, betAmount: 5 } },
+        players: ['John', 'Mike'],
+        currentHole: 3,
+        gameActions: { murph: [], skins: [], kp: [], snake: [], wolf: [] },
+        handicapSettings: null
+      };
+
+      expect(storageManager.validateGameState(gameState)).toBe(true);
+    });
+
+    test('should accept game state with or without a course', () => {
+      const gameState = {
+        gameConfigs: { murph: { enabled: true, betAmount: 5 } },
+        players: ['John', 'Mike'],
+        currentHole: 3,
+        gameActions: { murph: [], skins: [], kp: [], snake: [], wolf: [] }
+      };
+
+      expect(storageManager.validateGameState({ ...gameState, course: null })).toBe(true);
+      expect(storageManager.validateGameState({
+        ...gameState,
+        course: { name: 'Home Links', tee: 'Blue', slope: 128, rating: 71.4, par: 72, holes: [] }
+      })).toBe(true);
+      expect(storageManager.validateGameState({ ...gameState, course: 'Home Links' })).toBe(false);
+    });
+
+    test('should check the round length and playoff holes when saved', () => {
+      const gameState = {
+        gameConfigs: { murph: { enabled: true, betAmount: 5 } },
+        players: ['John', 'Mike'],
+        currentHole: 3,
+        gameActions: { murph: [], skins: [], kp: [], snake: [], wolf: [] }
+      };
+
+      expect(storageManager.validateGameState(gameState)).toBe(true);
+      expect(storageManager.validateGameState({ ...gameState, roundLength: 27, playoffHoles: 2 })).toBe(true);
+      expect(storageManager.validateGameState({ ...gameState, roundLength: 12 })).toBe(false);
+      expect(storageManager.validateGameState({ ...gameState, roundLength: 9, playoffHoles: -1 })).toBe(false);
+    });
+
+    test('should check the starting hole fits the round when saved', () => {
+      const gameState = {
+        gameConfigs: { murph: { enabled: true, betAmount: 5 } },
+        players: ['John', 'Mike'],
+        currentHole: 10,
+        gameActions: { murph: [], skins: [], kp: [], snake: [], wolf: [] }
+      };
+
+      expect(storageManager.validateGameState({ ...gameState, startingHole: 10 })).toBe(true);
+      expect(storageManager.validateGameState({ ...gameState, roundLength: 9, startingHole: 10 })).toBe(false);
+      expect(storageManager.validateGameState({ ...gameState, startingHole: 0 })).toBe(false);
+      expect(storageManager.validateGameState({ ...gameState, startingHole: '10' })).toBe(false);
+    });
+
     test('should reject non-object game state', () => {
       const invalidGameState = 'not an object';
 
@@ -179,6 +266,31 @@ describe('StorageManager', () => {
     });
   });
 
+  describe('Course Library', () => {
+    test('should save courses under their own key', () => {
+      localStorage.setItem.mockImplementation(() => {});
+      const courses = [{ name: 'Home Links', tees: [] }];
+
+      expect(storageManager.saveCourses(courses)).toBe(true);
+      expect(localStorage.setItem).toHaveBeenCalledWith('savageGolfCourses', JSON.stringify(courses));
+    });
+
+    test('should load saved courses', () => {
+      localStorage.getItem.mockReturnValue(JSON.stringify([{ name: 'Home Links', tees: [] }]));
+
+      expect(storageManager.loadCourses()).toEqual([{ name: 'Home Links', tees: [] }]);
+      expect(localStorage.getItem).toHaveBeenCalledWith('savageGolfCourses');
+    });
+
+    test('should load an empty library when nothing usable is saved', () => {
+      localStorage.getItem.mockReturnValue(null);
+      expect(storageManager.loadCourses()).toEqual([]);
+
+      localStorage.getItem.mockReturnValue('{ not json');
+      expect(storageManager.loadCourses()).toEqual([]);
+    });
+  });
+
   describe('Game State Clearing', () => {
     test('should clear saved game state successfully', () => {
       storageManager.clearGameState();
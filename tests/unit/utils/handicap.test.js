@@ -0,0 +1,104 @@
+/**
+ * Handicap Utilities Test Suite
+ * Tests course handicaps, playing handicaps and stroke allocation by stroke index
+ */
+
+import { HandicapUtils } from '../../../utils/handicap.js';
+import { HANDICAP_CONFIG } from '../../../constants.js';
+
+describe('HandicapUtils', () => {
+    describe('calculateCourseHandicap', () => {
+        test('should match the index on a standard course', () => {
+            expect(HandicapUtils.calculateCourseHandicap(12.4)).toBe(12);
+            expect(HandicapUtils.calculateCourseHandicap(12.5)).toBe(13);
+        });
+
+        test('should adjust for slope and rating', () => {
+            // 10.0 x 130 / 113 + (71.5 - 72) = 11.0
+            expect(HandicapUtils.calculateCourseHandicap(10, 130, 71.5, 72)).toBe(11);
+            // 20.0 x 140 / 113 + (74.2 - 72) = 26.98
+            expect(HandicapUtils.calculateCourseHandicap(20, 140, 74.2, 72)).toBe(27);
+        });
+
+        test('should keep plus handicaps negative', () => {
+            expect(HandicapUtils.calculateCourseHandicap(-2.5)).toBe(-3);
+            expect(HandicapUtils.calculateCourseHandicap(-0.2)).toBe(0);
+        });
+
+        test('should give a nine-hole round half the strokes', () => {
+            expect(HandicapUtils.calculateCourseHandicap(18, 113, 72, 72, 9)).toBe(9);
+            // (20.0 x 140 / 113 + (74.2 - 72)) / 2 = 13.49
+            expect(HandicapUtils.calculateCourseHandicap(20, 140, 74.2, 72, 9)).toBe(13);
+            expect(HandicapUtils.calculateCourseHandicaps({ Daniel: 10 }, { holes: 9 })).toEqual({ Daniel: 5 });
+        });
+    });
+
+    describe('calculatePlayingHandicaps', () => {
+        const indexes = { Daniel: 5, Bill: 12, Josh: 20 };
+
+        test('should give full course handicaps by default', () => {
+            expect(HandicapUtils.calculatePlayingHandicaps(indexes)).toEqual({ Daniel: 5, Bill: 12, Josh: 20 });
+        });
+
+        test('should apply the allowance', () => {
+            expect(HandicapUtils.calculatePlayingHandicaps(indexes, { allowance: 85 }))
+                .toEqual({ Daniel: 4, Bill: 10, Josh: 17 });
+        });
+
+        test('should play off the low man after the allowance', () => {
+            expect(HandicapUtils.calculatePlayingHandicaps(indexes, { allowance: 90, offLowMan: true }))
+                .toEqual({ Daniel: 0, Bill: 6, Josh: 13 });
+        });
+
+        test('should give strokes to everyone when the low man is a plus handicap', () => {
+            expect(HandicapUtils.calculatePlayingHandicaps({ Daniel: -2, Bill: 4 }, { offLowMan: true }))
+                .toEqual({ Daniel: 0, Bill: 6 });
+        });
+    });
+
+    describe('getStrokesOnHole', () => {
+        test('should give strokes on the hardest holes first', () => {
+            expect(HandicapUtils.getStrokesOnHole(5, 5)).toBe(1);
+            expect(HandicapUtils.getStrokesOnHole(5, 6)).toBe(0);
+            expect(HandicapUtils.getStrokesOnHole(0, 1)).toBe(0);
+        });
+
+        test('should wrap round for handicaps over the hole count', () => {
+            expect(HandicapUtils.getStrokesOnHole(20, 2)).toBe(2);
+            expect(HandicapUtils.getStrokesOnHole(20, 3)).toBe(1);
+            expect(HandicapUtils.getStrokesOnHole(36, 18)).toBe(2);
+        });
+
+        test('should take strokes back on the easiest holes for plus handicaps', () => {
+            expect(HandicapUtils.getStrokesOnHole(-2, 18)).toBe(-1);
+            expect(HandicapUtils.getStrokesOnHole(-2, 17)).toBe(-1);
+            expect(HandicapUtils.getStrokesOnHole(-2, 16)).toBe(0);
+        });
+
+        test('should hand out exactly the playing handicap over the round', () => {
+            const total = HANDICAP_CONFIG.DEFAULT_STROKE_INDEXES
+                .reduce((sum, strokeIndex) => sum + HandicapUtils.getStrokesOnHole(23, strokeIndex), 0);
+            expect(total).toBe(23);
+        });
+    });
+
+    describe('rankStrokeIndexes', () => {
+        test('should rank the front nine of the default card from 1 to 9', () => {
+            const frontNine = HANDICAP_CONFIG.DEFAULT_STROKE_INDEXES.slice(0, 9);
+            expect(HandicapUtils.rankStrokeIndexes(frontNine)).toEqual([4, 8, 1, 6, 2, 9, 5, 7, 3]);
+        });
+    });
+
+    describe('isValidStrokeIndexes', () => {
+        test('should accept every hole ranked once', () => {
+            expect(HandicapUtils.isValidStrokeIndexes(HANDICAP_CONFIG.DEFAULT_STROKE_INDEXES)).toBe(true);
+        });
+
+        test('should reject repeated, missing or empty rankings', () => {
+            expect(HandicapUtils.isValidStrokeIndexes([1, 2, 2])).toBe(false);
+            expect(HandicapUtils.isValidStrokeIndexes([1, 3])).toBe(false);
+            expect(HandicapUtils.isValidStrokeIndexes([])).toBe(false);
+            expect(HandicapUtils.isValidStrokeIndexes(null)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Play Order Utilities Test Suite
+ * Tests the order holes are played in for rounds that don't start on the 1st
+ */
+
+import { PlayOrderUtils } from '../../../utils/play-order.js';
+
+describe('PlayOrderUtils', () => {
+    describe('getSequence', () => {
+        test('should match the hole number when the round starts on the 1st', () => {
+            expect(PlayOrderUtils.getSequence(1)).toBe(1);
+            expect(PlayOrderUtils.getSequence(18)).toBe(18);
+        });
+
+        test('should wrap round to hole 1 after the last hole', () => {
+            expect(PlayOrderUtils.getSequence(10, 10, 18)).toBe(1);
+            expect(PlayOrderUtils.getSequence(18, 10, 18)).toBe(9);
+            expect(PlayOrderUtils.getSequence(1, 10, 18)).toBe(10);
+            expect(PlayOrderUtils.getSequence(9, 10, 18)).toBe(18);
+        });
+
+        test('should put playoff holes after the round', () => {
+            expect(PlayOrderUtils.getSequence(19, 7, 18)).toBe(19);
+            expect(PlayOrderUtils.getSequence(10, 4, 9)).toBe(10);
+        });
+    });
+
+    describe('getHole', () => {
+        test('should be the reverse of getSequence', () => {
+            for (let hole = 1; hole <= 27; hole++) {
+                expect(PlayOrderUtils.getHole(PlayOrderUtils.getSequence(hole, 7, 27), 7, 27)).toBe(hole);
+            }
+        });
+
+        test('should give the hole before the start as the last hole played', () => {
+            expect(PlayOrderUtils.getHole(18, 7, 18)).toBe(6);
+            expect(PlayOrderUtils.getHole(20, 7, 18)).toBe(20);
+        });
+    });
+
+    describe('getPlayOrder', () => {
+        test('should list the holes from the starting hole round to the one before it', () => {
+            expect(PlayOrderUtils.getPlayOrder(7, 9)).toEqual([7, 8, 9, 1, 2, 3, 4, 5, 6]);
+            expect(PlayOrderUtils.getPlayOrder(1, 9)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        });
+    });
+});
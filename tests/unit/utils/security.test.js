@@ -253,6 +253,12 @@ describe('SecurityUtils', () => {
                 expect(SecurityUtils.validateHoleNumber(hole)).toBe(false);
             });
         });
+
+        test('should accept holes up to the last hole given', () => {
+            expect(SecurityUtils.validateHoleNumber(36, 36)).toBe(true);
+            expect(SecurityUtils.validateHoleNumber(19, 19)).toBe(true);
+            expect(SecurityUtils.validateHoleNumber(10, 9)).toBe(false);
+        });
     });
 
     describe('createSafeElement', () => {
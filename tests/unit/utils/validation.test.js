@@ -188,6 +188,14 @@ describe('ValidationManager', () => {
       expect(validator.validateHole(null).success).toBe(false);
       expect(validator.validateHole(undefined).success).toBe(false);
     });
+
+    test('should accept holes up to the last hole of the round', () => {
+      validator.setLastHole(10);
+
+      expect(validator.validateHole(10).success).toBe(true);
+      expect(validator.validateHole(11).success).toBe(false);
+      expect(validator.validateMatchPlayInput('team1', 11).errors).toEqual(['Please enter a valid hole number (1-10).']);
+    });
   });
 
   describe('Team Selection Validation', () => {
@@ -210,6 +218,213 @@ describe('ValidationManager', () => {
     });
   });
 
+  describe('Junk Dot Validation', () => {
+    test('should accept dots with whole point values', () => {
+      expect(validator.validateJunkItems({ greenie: 1, sandie: 2 }).success).toBe(true);
+    });
+
+    test('should reject an empty catalog', () => {
+      expect(validator.validateJunkItems({}).success).toBe(false);
+    });
+
+    test('should reject invalid point values', () => {
+      const result = validator.validateJunkItems({ greenie: 0, polie: NaN });
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(2);
+      expect(result.errors[0]).toContain('Greenie');
+    });
+  });
+
+  describe('Stableford Points Validation', () => {
+    test('should accept whole point values, including negatives', () => {
+      expect(validator.validateStablefordPoints({ '-1': 2, '0': 0, '1': -1 }).success).toBe(true);
+    });
+
+    test('should reject missing or out of range points', () => {
+      const result = validator.validateStablefordPoints({ '-2': NaN, '0': 25 });
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(2);
+      expect(result.errors.join(' ')).toContain('Eagle');
+    });
+  });
+
+  describe('Banker Stake Validation', () => {
+    const players = ['Daniel', 'Bill', 'Josh'];
+
+    test('should accept stakes within the limits', () => {
+      const bets = [{ player: 'Bill', stake: 1 }, { player: 'Josh', stake: 5 }];
+      const scores = { Daniel: 4, Bill: 5, Josh: 4 };
+      expect(validator.validateBankerInput(bets, scores, 2, 1, 5, players).success).toBe(true);
+    });
+
+    test('should reject stakes outside the limits and missing scores', () => {
+      const bets = [{ player: 'Bill', stake: 10 }, { player: 'Josh', stake: 2 }];
+      const scores = { Daniel: 4, Bill: 5, Josh: NaN };
+      const result = validator.validateBankerInput(bets, scores, 2, 1, 5, players);
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(2);
+      expect(result.errors[0]).toContain('Josh');
+      expect(result.errors[1]).toContain('Bill');
+    });
+
+    test('should require the maximum stake to cover the minimum', () => {
+      expect(validator.validateBankerStakeLimits(1, 5).success).toBe(true);
+      expect(validator.validateBankerStakeLimits(5, 1).success).toBe(false);
+    });
+  });
+
+  describe('Handicap Validation', () => {
+    test('should accept a handicap for every player', () => {
+      expect(validator.validateHandicaps({ Daniel: 0, Bill: 18 }, ['Daniel', 'Bill']).success).toBe(true);
+    });
+
+    test('should reject missing and out of range handicaps', () => {
+      const result = validator.validateHandicaps({ Daniel: NaN, Bill: 60 }, ['Daniel', 'Bill']);
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(2);
+      expect(result.errors[0]).toBe('Please enter a handicap (0-54) for Daniel.');
+    });
+  });
+
+  describe('Handicap Settings Validation', () => {
+    const settings = { indexes: { Daniel: 5.4, Bill: -1.2 }, slope: 128, rating: 71.4, par: 72, allowance: 90, strokeIndexes: null };
+
+    test('should accept indexes, plus handicaps and course details', () => {
+      expect(validator.validateHandicapSettings(settings, ['Daniel', 'Bill']).success).toBe(true);
+    });
+
+    test('should reject missing indexes and bad course details', () => {
+      const result = validator.validateHandicapSettings({ ...settings, indexes: { Daniel: NaN, Bill: 3 }, slope: 200 }, ['Daniel', 'Bill']);
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toBe('Please enter a handicap index (-10 to 54) for Daniel.');
+      expect(result.errors[1]).toContain('Slope');
+    });
+
+    test('should need stroke indexes to rank every hole once', () => {
+      const strokeIndexes = Array.from({ length: 18 }, (_, hole) => hole + 1);
+      expect(validator.validateHandicapSettings({ ...settings, strokeIndexes }, ['Daniel']).success).toBe(true);
+      expect(validator.validateHandicapSettings({ ...settings, strokeIndexes: [...strokeIndexes.slice(1), 2] }, ['Daniel']).success).toBe(false);
+      expect(validator.validateHandicapSettings({ ...settings, strokeIndexes: [1, 2, 3] }, ['Daniel']).success).toBe(false);
+    });
+  });
+
+  describe('Defender Points Validation', () => {
+    test('should accept points within the range', () => {
+      expect(validator.validateDefenderPoints(2, 1).success).toBe(true);
+    });
+
+    test('should reject missing and out of range points', () => {
+      const result = validator.validateDefenderPoints(0, NaN);
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        'Please enter Defender win points (1-10).',
+        'Please enter Defender loss points (1-10).'
+      ]);
+    });
+  });
+
+  describe('Money Ball Bonus Validation', () => {
+    test('should accept a bonus of zero or more', () => {
+      expect(validator.validateMoneyBallBonus(0).success).toBe(true);
+      expect(validator.validateMoneyBallBonus(5).success).toBe(true);
+    });
+
+    test('should reject missing and negative bonuses', () => {
+      expect(validator.validateMoneyBallBonus(NaN).success).toBe(false);
+      expect(validator.validateMoneyBallBonus(-1).errors[0]).toContain('Money Ball bonus');
+    });
+  });
+
+  describe('Acey Deucey Input Validation', () => {
+    test('should accept players and ties', () => {
+      expect(validator.validateAceyDeuceyInput('Daniel', 'Bill', 1).success).toBe(true);
+      expect(validator.validateAceyDeuceyInput('tie', 'tie', 18).success).toBe(true);
+    });
+
+    test('should reject missing results and the same player for low and high', () => {
+      expect(validator.validateAceyDeuceyInput('', 'Bill', 1).errors[0]).toContain('low score');
+      expect(validator.validateAceyDeuceyInput('Bill', 'Bill', 1).errors).toEqual([
+        'The same player cannot have the low and the high score.'
+      ]);
+    });
+  });
+
+  describe('Longest Drive Validation', () => {
+    test('should accept designated holes', () => {
+      expect(validator.validateLongestDriveHoles([4, 13]).success).toBe(true);
+    });
+
+    test('should require at least one hole and reject par 3s once pars are known', () => {
+      const pars = [4, 3, 5, 4, 4, 3, 4, 5, 4, 4, 3, 4, 5, 4, 4, 3, 4, 5];
+      expect(validator.validateLongestDriveHoles([]).errors).toEqual(['Please choose at least one Longest Drive hole.']);
+      expect(validator.validateLongestDriveHoles([1, 2], pars).errors[0]).toContain('Hole 2 is a par 3');
+    });
+
+    test('should only offer holes in the round', () => {
+      expect(validator.validateLongestDriveHoles([4, 13], [], 9).errors).toEqual(['Hole 13 is not a valid Longest Drive hole (1-9).']);
+      expect(validator.validateLongestDriveHoles([31], [], 36).success).toBe(true);
+    });
+
+    test('should make the distance optional', () => {
+      expect(validator.validateLongestDriveInput('Bill', NaN, 4).success).toBe(true);
+      expect(validator.validateLongestDriveInput('Bill', 290, 4).success).toBe(true);
+      expect(validator.validateLongestDriveInput('Bill', 0, 4).success).toBe(false);
+      expect(validator.validateLongestDriveInput('', NaN, 4).errors[0]).toContain('longest drive winner');
+    });
+  });
+
+  describe('Umbrella Input Validation', () => {
+    test('should accept a winner for every category', () => {
+      const winners = { lowBall: 'team1', lowTotal: 'team2', kp: 'none', birdie: 'none' };
+      expect(validator.validateUmbrellaInput(winners, 3).success).toBe(true);
+    });
+
+    test('should require a winner for every category', () => {
+      const result = validator.validateUmbrellaInput({ lowBall: 'team1', lowTotal: 'team1', kp: '', birdie: 'none' }, 3);
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual(['Please select a winner for KP.']);
+    });
+  });
+
+  describe('Low Ball / Low Total Input Validation', () => {
+    test('should accept a score for every player', () => {
+      expect(validator.validateLowBallInput({ Daniel: 4, Bill: 5 }, 1, ['Daniel', 'Bill']).success).toBe(true);
+    });
+
+    test('should reject missing scores and bad holes', () => {
+      const result = validator.validateLowBallInput({ Daniel: 4, Bill: NaN }, 0, ['Daniel', 'Bill']);
+      expect(result.success).toBe(false);
+      expect(result.errors).toHaveLength(2);
+    });
+  });
+
+  describe('KP Input Validation', () => {
+    test('should make the distance optional', () => {
+      expect(validator.validateKPInput('Bill', 3).success).toBe(true);
+      expect(validator.validateKPInput('Bill', 3, 8.5).success).toBe(true);
+      expect(validator.validateKPInput('none', 3, NaN).success).toBe(true);
+      expect(validator.validateKPInput('Bill', 3, 0).success).toBe(false);
+      expect(validator.validateKPInput('', 3).errors[0]).toContain('KP winner');
+    });
+  });
+
+  describe('Scorecard Input Validation', () => {
+    const players = ['Daniel', 'Bill'];
+
+    test('should accept strokes with or without putts', () => {
+      expect(validator.validateScorecardInput({ Daniel: 4, Bill: 5 }, {}, 1, players).success).toBe(true);
+      expect(validator.validateScorecardInput({ Daniel: 4, Bill: 5 }, { Daniel: 2 }, 1, players).success).toBe(true);
+    });
+
+    test('should reject missing strokes and impossible putts', () => {
+      expect(validator.validateScorecardInput({ Daniel: 4, Bill: NaN }, {}, 1, players).success).toBe(false);
+
+      const result = validator.validateScorecardInput({ Daniel: 3, Bill: 5 }, { Daniel: 4 }, 1, players);
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual(['Please check the putts for Daniel.']);
+    });
+  });
+
   describe('Game Display Names', () => {
     test('should return correct display names for all games', () => {
       expect(validator.getGameDisplayName('murph')).toBe('Murph');
@@ -40,6 +40,25 @@ export class UIManager {
             ELEMENT_IDS.KP_PAGE, 
             ELEMENT_IDS.SNAKE_PAGE, 
             ELEMENT_IDS.WOLF_PAGE, 
+            ELEMENT_IDS.NASSAU_PAGE, 
+            ELEMENT_IDS.BINGO_PAGE, 
+            ELEMENT_IDS.VEGAS_PAGE, 
+            ELEMENT_IDS.SIXES_PAGE, 
+            ELEMENT_IDS.HAMMER_PAGE, 
+            ELEMENT_IDS.JUNK_PAGE, 
+            ELEMENT_IDS.RABBIT_PAGE, 
+            ELEMENT_IDS.STABLEFORD_PAGE, 
+            ELEMENT_IDS.NINE_POINT_PAGE, 
+            ELEMENT_IDS.BANKER_PAGE, 
+            ELEMENT_IDS.MATCH_PLAY_PAGE, 
+            ELEMENT_IDS.QUOTA_PAGE, 
+            ELEMENT_IDS.DEFENDER_PAGE, 
+            ELEMENT_IDS.MONEY_BALL_PAGE, 
+            ELEMENT_IDS.SCOTCH_PAGE, 
+            ELEMENT_IDS.ACEY_DEUCEY_PAGE, 
+            ELEMENT_IDS.LONGEST_DRIVE_PAGE, 
+            ELEMENT_IDS.UMBRELLA_PAGE, 
+            ELEMENT_IDS.LOW_BALL_PAGE, 
             ELEMENT_IDS.COMBINED_PAGE, 
             ELEMENT_IDS.FINAL_RESULTS
         ];
@@ -103,6 +122,158 @@ export class UIManager {
                     return;
                 }
                 break;
+            case PAGE_NAMES.NASSAU:
+                if (gameConfigs.nassau?.enabled) {
+                    this.showElement(ELEMENT_IDS.NASSAU_PAGE);
+                } else {
+                    this.showNotification('Nassau game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.BINGO:
+                if (gameConfigs.bingo?.enabled) {
+                    this.showElement(ELEMENT_IDS.BINGO_PAGE);
+                } else {
+                    this.showNotification('Bingo Bango Bongo game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.VEGAS:
+                if (gameConfigs.vegas?.enabled) {
+                    this.showElement(ELEMENT_IDS.VEGAS_PAGE);
+                } else {
+                    this.showNotification('Vegas game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.SIXES:
+                if (gameConfigs.sixes?.enabled) {
+                    this.showElement(ELEMENT_IDS.SIXES_PAGE);
+                } else {
+                    this.showNotification('Sixes game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.HAMMER:
+                if (gameConfigs.hammer?.enabled) {
+                    this.showElement(ELEMENT_IDS.HAMMER_PAGE);
+                } else {
+                    this.showNotification('Hammer game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.JUNK:
+                if (gameConfigs.junk?.enabled) {
+                    this.showElement(ELEMENT_IDS.JUNK_PAGE);
+                } else {
+                    this.showNotification('Junk game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.RABBIT:
+                if (gameConfigs.rabbit?.enabled) {
+                    this.showElement(ELEMENT_IDS.RABBIT_PAGE);
+                } else {
+                    this.showNotification('Rabbit game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.STABLEFORD:
+                if (gameConfigs.stableford?.enabled) {
+                    this.showElement(ELEMENT_IDS.STABLEFORD_PAGE);
+                } else {
+                    this.showNotification('Stableford game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.NINE_POINT:
+                if (gameConfigs.ninePoint?.enabled) {
+                    this.showElement(ELEMENT_IDS.NINE_POINT_PAGE);
+                } else {
+                    this.showNotification('Nine Point game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.BANKER:
+                if (gameConfigs.banker?.enabled) {
+                    this.showElement(ELEMENT_IDS.BANKER_PAGE);
+                } else {
+                    this.showNotification('Banker game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.MATCH_PLAY:
+                if (gameConfigs.matchPlay?.enabled) {
+                    this.showElement(ELEMENT_IDS.MATCH_PLAY_PAGE);
+                } else {
+                    this.showNotification('Match Play game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.QUOTA:
+                if (gameConfigs.quota?.enabled) {
+                    this.showElement(ELEMENT_IDS.QUOTA_PAGE);
+                } else {
+                    this.showNotification('Quota game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.DEFENDER:
+                if (gameConfigs.defender?.enabled) {
+                    this.showElement(ELEMENT_IDS.DEFENDER_PAGE);
+                } else {
+                    this.showNotification('Defender game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.MONEY_BALL:
+                if (gameConfigs.moneyBall?.enabled) {
+                    this.showElement(ELEMENT_IDS.MONEY_BALL_PAGE);
+                } else {
+                    this.showNotification('Money Ball game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.SCOTCH:
+                if (gameConfigs.scotch?.enabled) {
+                    this.showElement(ELEMENT_IDS.SCOTCH_PAGE);
+                } else {
+                    this.showNotification('Scotch game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.ACEY_DEUCEY:
+                if (gameConfigs.aceyDeucey?.enabled) {
+                    this.showElement(ELEMENT_IDS.ACEY_DEUCEY_PAGE);
+                } else {
+                    this.showNotification('Acey Deucey game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.LONGEST_DRIVE:
+                if (gameConfigs.longestDrive?.enabled) {
+                    this.showElement(ELEMENT_IDS.LONGEST_DRIVE_PAGE);
+                } else {
+                    this.showNotification('Longest Drive game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.UMBRELLA:
+                if (gameConfigs.umbrella?.enabled) {
+                    this.showElement(ELEMENT_IDS.UMBRELLA_PAGE);
+                } else {
+                    this.showNotification('Umbrella game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
+            case PAGE_NAMES.LOW_BALL:
+                if (gameConfigs.lowBall?.enabled) {
+                    this.showElement(ELEMENT_IDS.LOW_BALL_PAGE);
+                } else {
+                    this.showNotification('Low Ball / Low Total game is not enabled for this round.', NOTIFICATION_CONFIG.TYPES.ERROR);
+                    return;
+                }
+                break;
             case PAGE_NAMES.COMBINED:
                 this.showElement(ELEMENT_IDS.COMBINED_PAGE);
                 break;
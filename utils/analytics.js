@@ -6,6 +6,8 @@
  * @version 1.0.0
  */
 
+import { DEFAULTS } from '../constants.js';
+
 export class AnalyticsUtils {
     /**
      * Check if Google Analytics is available
@@ -95,15 +97,16 @@ export class AnalyticsUtils {
      * @param {string} gameType - Type of game completed
      * @param {number} holesPlayed - Number of holes played
      * @param {Object} finalSummary - Final game summary
+     * @param {number} roundLength - Holes in the round
      */
-    static trackGameComplete(gameType, holesPlayed, finalSummary = {}) {
+    static trackGameComplete(gameType, holesPlayed, finalSummary = {}, roundLength = DEFAULTS.ROUND_LENGTH) {
         if (!this.isAvailable()) return;
 
         gtag('event', 'game_complete', {
             event_category: 'game_flow',
             game_type: gameType,
             holes_played: holesPlayed,
-            completion_rate: (holesPlayed / 18) * 100
+            completion_rate: Math.min(holesPlayed / roundLength, 1) * 100
         });
 
         // Track financial data (anonymized)
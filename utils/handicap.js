@@ -0,0 +1,120 @@
+/**
+ * Handicap Utilities Class
+ * Turns handicap indexes into course and playing handicaps, and hands out strokes by hole stroke index
+ */
+
+import { HANDICAP_CONFIG } from '../constants.js';
+
+export class HandicapUtils {
+    /**
+     * Work out a course handicap from a handicap index
+     * Course handicap = index x slope / 113 + (course rating - par), rounded
+     * A round of fewer than 18 holes gets its share of that (half for nine holes)
+     * @param {number} index - Handicap index (negative for a plus handicap)
+     * @param {number} slope - Slope rating of the tees
+     * @param {number} rating - Course rating of the tees
+     * @param {number} par - Par for the course
+     * @param {number} holes - Holes the handicap is for
+     * @returns {number} Course handicap
+     */
+    static calculateCourseHandicap(index, slope = HANDICAP_CONFIG.STANDARD_SLOPE,
+        rating = HANDICAP_CONFIG.DEFAULT_RATING, par = HANDICAP_CONFIG.DEFAULT_PAR, holes = HANDICAP_CONFIG.HANDICAP_HOLES) {
+        const courseHandicap = index * slope / HANDICAP_CONFIG.STANDARD_SLOPE + (rating - par);
+        return this.round(courseHandicap * holes / HANDICAP_CONFIG.HANDICAP_HOLES);
+    }
+
+    /**
+     * Work out everyone's course handicap
+     * @param {Object} indexes - Handicap indexes by player { playerName: index }
+     * @param {Object} course - Course settings { slope, rating, par, holes }
+     * @returns {Object} Course handicaps by player { playerName: courseHandicap }
+     */
+    static calculateCourseHandicaps(indexes, { slope, rating, par, holes } = {}) {
+        const courseHandicaps = {};
+        Object.entries(indexes).forEach(([player, index]) => {
+            courseHandicaps[player] = this.calculateCourseHandicap(index, slope, rating, par, holes);
+        });
+        return courseHandicaps;
+    }
+
+    /**
+     * Work out the strokes each player gets for the round
+     * The allowance is applied to each course handicap first; playing off the low man then
+     * takes the lowest playing handicap off everyone, so the best player plays at scratch
+     * @param {Object} indexes - Handicap indexes by player { playerName: index }
+     * @param {Object} settings - Handicap settings { slope, rating, par, holes, allowance, offLowMan }
+     * @returns {Object} Playing handicaps by player { playerName: strokes }
+     */
+    static calculatePlayingHandicaps(indexes, settings = {}) {
+        const allowance = settings.allowance ?? HANDICAP_CONFIG.DEFAULT_ALLOWANCE;
+        const courseHandicaps = this.calculateCourseHandicaps(indexes, settings);
+        const playingHandicaps = {};
+
+        Object.entries(courseHandicaps).forEach(([player, courseHandicap]) => {
+            playingHandicaps[player] = this.round(courseHandicap * allowance / 100);
+        });
+
+        if (settings.offLowMan) {
+            const lowest = Math.min(...Object.values(playingHandicaps));
+            Object.keys(playingHandicaps).forEach(player => {
+                playingHandicaps[player] -= lowest;
+            });
+        }
+
+        return playingHandicaps;
+    }
+
+    /**
+     * Get the strokes a playing handicap gets on a hole
+     * Strokes go to the hardest holes first and wrap round for handicaps over the hole count.
+     * A plus handicap gives strokes back on the easiest holes, so the result is negative.
+     * @param {number} playingHandicap - Strokes for the round
+     * @param {number} strokeIndex - Stroke index of the hole (1 is the hardest)
+     * @param {number} holeCount - Holes the strokes are spread over
+     * @returns {number} Strokes on the hole
+     */
+    static getStrokesOnHole(playingHandicap, strokeIndex, holeCount = HANDICAP_CONFIG.DEFAULT_STROKE_INDEXES.length) {
+        const strokes = Math.abs(playingHandicap);
+        const fullRounds = Math.floor(strokes / holeCount);
+        const extra = strokes % holeCount;
+
+        if (playingHandicap >= 0) {
+            return fullRounds + (strokeIndex <= extra ? 1 : 0);
+        }
+        return -(fullRounds + (strokeIndex > holeCount - extra ? 1 : 0)) || 0;
+    }
+
+    /**
+     * Rank a set of holes by their stroke indexes, so strokes can be handed out over just those holes
+     * e.g. the front nine's odd stroke indexes 1, 3 ... 17 become 1, 2 ... 9
+     * @param {Array} strokeIndexes - Stroke index of each hole, in hole order
+     * @returns {Array} Rank of each hole (1 is the hardest), in hole order
+     */
+    static rankStrokeIndexes(strokeIndexes) {
+        const sorted = [...strokeIndexes].sort((a, b) => a - b);
+        return strokeIndexes.map(strokeIndex => sorted.indexOf(strokeIndex) + 1);
+    }
+
+    /**
+     * Check that stroke indexes rank every hole once, from 1 up to the number of holes
+     * @param {Array} strokeIndexes - Stroke index of each hole, in hole order
+     * @returns {boolean} True if valid
+     */
+    static isValidStrokeIndexes(strokeIndexes) {
+        if (!Array.isArray(strokeIndexes) || strokeIndexes.length === 0) {
+            return false;
+        }
+
+        const sorted = [...strokeIndexes].sort((a, b) => a - b);
+        return sorted.every((strokeIndex, position) => strokeIndex === position + 1);
+    }
+
+    /**
+     * Round half away from zero, so plus handicaps round the same way as the rest
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    static round(value) {
+        return Math.sign(value) * Math.round(Math.abs(value)) || 0;
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * Play Order Utilities Class
+ * Works out the order holes are played in when a round starts on a hole other than the 1st
+ * (starting on the 10th, or a shotgun start). Play goes on to the last hole of the round,
+ * wraps round to hole 1 and finishes on the hole before the starting hole.
+ * Sudden-death playoff holes come after the round, so they are numbered in play order already.
+ */
+
+import { DEFAULTS } from '../constants.js';
+
+export class PlayOrderUtils {
+    /**
+     * Get where a hole comes in the order of play
+     * @param {number} hole - The hole number
+     * @param {number} startingHole - Hole the round starts on
+     * @param {number} roundLength - Holes in the round
+     * @returns {number} Play sequence (1 for the starting hole)
+     */
+    static getSequence(hole, startingHole = DEFAULTS.STARTING_HOLE, roundLength = DEFAULTS.ROUND_LENGTH) {
+        if (hole > roundLength) {
+            return hole;
+        }
+        return (hole - startingHole + roundLength) % roundLength + 1;
+    }
+
+    /**
+     * Get the hole played at a point in the order of play
+     * @param {number} sequence - Play sequence (1 for the starting hole)
+     * @param {number} startingHole - Hole the round starts on
+     * @param {number} roundLength - Holes in the round
+     * @returns {number} The hole number
+     */
+    static getHole(sequence, startingHole = DEFAULTS.STARTING_HOLE, roundLength = DEFAULTS.ROUND_LENGTH) {
+        if (sequence > roundLength) {
+            return sequence;
+        }
+        return (startingHole + sequence - 2) % roundLength + 1;
+    }
+
+    /**
+     * Get every hole of the round in the order it is played
+     * @param {number} startingHole - Hole the round starts on
+     * @param {number} roundLength - Holes in the round
+     * @returns {Array} Hole numbers in play order
+     */
+    static getPlayOrder(startingHole = DEFAULTS.STARTING_HOLE, roundLength = DEFAULTS.ROUND_LENGTH) {
+        return Array.from({ length: roundLength }, (_, index) => this.getHole(index + 1, startingHole, roundLength));
+    }
+}
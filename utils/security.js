@@ -4,6 +4,8 @@
  * Prevents XSS attacks and ensures secure data handling
  */
 
+import { DEFAULTS } from '../constants.js';
+
 export class SecurityUtils {
     /**
      * Safely set text content (prevents XSS)
@@ -76,13 +78,14 @@ export class SecurityUtils {
     /**
      * Validate hole number for security
      * @param {number|string} hole - Hole number to validate
+     * @param {number} lastHole - Last hole of the round
      * @returns {boolean} True if valid
      */
-    static validateHoleNumber(hole) {
+    static validateHoleNumber(hole, lastHole = DEFAULTS.ROUND_LENGTH) {
         // Convert to number first to check for decimals
         const holeNum = Number(hole);
         // Reject decimals and ensure it's a whole number
-        return !isNaN(holeNum) && holeNum >= 1 && holeNum <= 18 && Number.isInteger(holeNum);
+        return !isNaN(holeNum) && holeNum >= 1 && holeNum <= lastHole && Number.isInteger(holeNum);
     }
 
     /**
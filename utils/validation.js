@@ -8,13 +8,35 @@ import {
     GAME_TYPES,
     VALIDATION_RULES,
     MESSAGES,
-    DEFAULTS
+    DEFAULTS,
+    TEAM_CONFIG,
+    GAME_PLAYER_COUNTS,
+    HAMMER_CONFIG,
+    JUNK_CONFIG,
+    STABLEFORD_CONFIG,
+    DEFENDER_CONFIG,
+    ACEY_DEUCEY_CONFIG,
+    LONGEST_DRIVE_CONFIG,
+    UMBRELLA_CONFIG,
+    KP_CONFIG,
+    SCORECARD_CONFIG,
+    HANDICAP_CONFIG
 } from '../constants.js';
 import { SecurityUtils } from './security.js';
+import { HandicapUtils } from './handicap.js';
 
 export class ValidationManager {
     constructor(uiManager) {
         this.ui = uiManager;
+        this.lastHole = DEFAULTS.ROUND_LENGTH; // Last hole that can be recorded, playoff holes included
+    }
+
+    /**
+     * Set the last hole that can be recorded
+     * @param {number} lastHole - Last hole of the round, including any playoff holes
+     */
+    setLastHole(lastHole) {
+        this.lastHole = lastHole;
     }
 
     // =========================================================================
@@ -34,7 +56,8 @@ export class ValidationManager {
             gameSelection: false,
             playerValidation: false,
             betAmounts: false,
-            teamValidation: false
+            teamValidation: false,
+            playerCounts: false
         };
 
         // 1. Validate game selection
@@ -60,7 +83,8 @@ export class ValidationManager {
 
         // 4. Validate team selection if needed
         const selectedGames = this.getSelectedGames();
-        if (selectedGames.skins && requiredPlayers === 4) {
+        const teamGameSelected = TEAM_CONFIG.TEAM_GAME_TYPES.some(gameType => selectedGames[gameType]);
+        if (teamGameSelected && requiredPlayers === 4) {
             const teamValidation = playerManager.validateTeamSelection();
             results.teamValidation = teamValidation;
             if (!teamValidation) {
@@ -70,11 +94,19 @@ export class ValidationManager {
             results.teamValidation = true; // Not needed for 2-3 players
         }
 
+        // 5. Validate selected games support this many players
+        const playerCountResult = this.validateGamePlayerCounts(selectedGames, requiredPlayers);
+        results.playerCounts = playerCountResult.success;
+        if (!playerCountResult.success) {
+            results.errors.push(...playerCountResult.errors);
+        }
+
         // Overall success
         results.success = results.gameSelection && 
                          results.playerValidation && 
                          results.betAmounts && 
-                         results.teamValidation;
+                         results.teamValidation &&
+                         results.playerCounts;
 
         return results;
     }
@@ -94,6 +126,27 @@ export class ValidationManager {
         };
     }
 
+    /**
+     * Validate that every selected game supports the number of players
+     * @param {Object} selectedGames - Game selection status by game type
+     * @param {number} requiredPlayers - Number of required players
+     * @returns {Object} Validation result with detailed errors
+     */
+    validateGamePlayerCounts(selectedGames, requiredPlayers) {
+        const errors = [];
+
+        Object.entries(GAME_PLAYER_COUNTS).forEach(([gameType, playerCounts]) => {
+            if (selectedGames[gameType] && !playerCounts.includes(requiredPlayers)) {
+                errors.push(`${this.getGameDisplayName(gameType)} requires ${playerCounts.join(' or ')} players.`);
+            }
+        });
+
+        return {
+            success: errors.length === 0,
+            errors
+        };
+    }
+
     /**
      * Get which games are currently selected
      * @returns {Object} Object with game selection status
@@ -104,7 +157,26 @@ export class ValidationManager {
             skins: document.getElementById('gameSkins')?.checked || false,
             kp: document.getElementById('gameKP')?.checked || false,
             snake: document.getElementById('gameSnake')?.checked || false,
-            wolf: document.getElementById('gameWolf')?.checked || false
+            wolf: document.getElementById('gameWolf')?.checked || false,
+            nassau: document.getElementById('gameNassau')?.checked || false,
+            bingo: document.getElementById('gameBingo')?.checked || false,
+            vegas: document.getElementById('gameVegas')?.checked || false,
+            sixes: document.getElementById('gameSixes')?.checked || false,
+            hammer: document.getElementById('gameHammer')?.checked || false,
+            junk: document.getElementById('gameJunk')?.checked || false,
+            rabbit: document.getElementById('gameRabbit')?.checked || false,
+            stableford: document.getElementById('gameStableford')?.checked || false,
+            ninePoint: document.getElementById('gameNinePoint')?.checked || false,
+            banker: document.getElementById('gameBanker')?.checked || false,
+            matchPlay: document.getElementById('gameMatchPlay')?.checked || false,
+            quota: document.getElementById('gameQuota')?.checked || false,
+            defender: document.getElementById('gameDefender')?.checked || false,
+            moneyBall: document.getElementById('gameMoneyBall')?.checked || false,
+            scotch: document.getElementById('gameScotch')?.checked || false,
+            aceyDeucey: document.getElementById('gameAceyDeucey')?.checked || false,
+            longestDrive: document.getElementById('gameLongestDrive')?.checked || false,
+            umbrella: document.getElementById('gameUmbrella')?.checked || false,
+            lowBall: document.getElementById('gameLowBall')?.checked || false
         };
     }
 
@@ -139,7 +211,7 @@ export class ValidationManager {
 
     /**
      * Validate bet amount for a specific game
-     * @param {string} gameType - Type of game (murph, skins, kp, snake)
+     * @param {string} gameType - Type of game (murph, skins, kp, snake, wolf, nassau, bingo, vegas, sixes, hammer, junk, rabbit, stableford, ninePoint, banker, matchPlay, quota, defender, moneyBall, scotch, aceyDeucey, longestDrive, umbrella, lowBall)
      * @returns {Object} Validation result
      */
     validateGameBetAmount(gameType) {
@@ -197,7 +269,26 @@ export class ValidationManager {
             skins: 'Skins',
             kp: 'KP',
             snake: 'Snake',
-            wolf: 'Wolf'
+            wolf: 'Wolf',
+            nassau: 'Nassau',
+            bingo: 'Bingo Bango Bongo',
+            vegas: 'Vegas',
+            sixes: 'Sixes',
+            hammer: 'Hammer',
+            junk: 'Junk',
+            rabbit: 'Rabbit',
+            stableford: 'Stableford',
+            ninePoint: 'Nine Point',
+            banker: 'Banker',
+            matchPlay: 'Match Play',
+            quota: 'Quota',
+            defender: 'Defender',
+            moneyBall: 'Money Ball',
+            scotch: 'Scotch',
+            aceyDeucey: 'Acey Deucey',
+            longestDrive: 'Longest Drive',
+            umbrella: 'Umbrella',
+            lowBall: 'Low Ball / Low Total'
         };
         return displayNames[gameType] || gameType;
     }
@@ -220,8 +311,8 @@ export class ValidationManager {
             errors.push('Please select a player.');
         }
 
-        if (!hole || isNaN(hole) || hole < 1 || hole > 18) {
-            errors.push('Please enter a valid hole number (1-18).');
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
         }
 
         if (!result || !['success', 'fail'].includes(result)) {
@@ -248,8 +339,8 @@ export class ValidationManager {
             errors.push('Please select a winner or carryover.');
         }
 
-        if (!hole || isNaN(hole) || hole < 1 || hole > 18) {
-            errors.push('Please enter a valid hole number (1-18).');
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
         }
 
         return {
@@ -261,19 +352,24 @@ export class ValidationManager {
 
     /**
      * Validate KP modal inputs
-     * @param {string} winner - KP winner
+     * @param {string} winner - KP winner (or nobody on the green)
      * @param {number} hole - Hole number
+     * @param {number} distance - Distance from the pin in feet (optional)
      * @returns {Object} Validation result
      */
-    validateKPInput(winner, hole) {
+    validateKPInput(winner, hole, distance = NaN) {
         const errors = [];
 
         if (!winner || winner.trim().length === 0) {
             errors.push('Please select a KP winner.');
         }
 
-        if (!hole || isNaN(hole) || hole < 1 || hole > 18) {
-            errors.push('Please enter a valid hole number (1-18).');
+        if (!isNaN(distance) && (distance <= 0 || distance > KP_CONFIG.MAX_DISTANCE)) {
+            errors.push(`Please enter a distance between 0 and ${KP_CONFIG.MAX_DISTANCE} feet, or leave it blank.`);
+        }
+
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
         }
 
         return {
@@ -296,8 +392,8 @@ export class ValidationManager {
             errors.push('Please select a player.');
         }
 
-        if (!hole || isNaN(hole) || hole < 1 || hole > 18) {
-            errors.push('Please enter a valid hole number (1-18).');
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
         }
 
         return {
@@ -307,6 +403,754 @@ export class ValidationManager {
         };
     }
 
+    /**
+     * Validate Nassau modal inputs
+     * @param {string} winner - Hole result (team1, team2 or halved)
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateNassauInput(winner, hole) {
+        const errors = [];
+
+        if (!winner || winner.trim().length === 0) {
+            errors.push('Please select who won the hole or halved.');
+        }
+
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Nassau input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Bingo Bango Bongo modal inputs
+     * @param {Object} awards - Point winners { bingo, bango, bongo }
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateBingoInput(awards, hole) {
+        const errors = [];
+        
+        if (!awards || !Object.values(awards).some(player => player && player.trim().length > 0)) {
+            errors.push('Please select a winner for at least one point.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Bingo Bango Bongo input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Vegas modal inputs
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} par - Par for the hole
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateVegasInput(scores, par, hole, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        if (!par || isNaN(par)) {
+            errors.push('Please select the par for the hole.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Vegas input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate a score for every player on a hole
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {Array} players - Players who need a score
+     * @returns {Array} Error messages (empty if valid)
+     */
+    validateHoleScores(scores, players) {
+        const missing = players.filter(player => {
+            const score = scores ? scores[player] : undefined;
+            return !Number.isInteger(score) || score < 1 || score > 15;
+        });
+        
+        if (missing.length > 0) {
+            return [`Please enter a valid score (1-15) for ${missing.join(', ')}.`];
+        }
+        return [];
+    }
+
+    /**
+     * Validate scorecard entry inputs
+     * @param {Object} strokes - Gross strokes by player { playerName: strokes }
+     * @param {Object} putts - Putts by player { playerName: putts } (blank putts are left out)
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateScorecardInput(strokes, putts, hole, players) {
+        const errors = [...this.validateHoleScores(strokes, players)];
+        
+        // Putts are optional, but can't be more than the strokes taken
+        const badPutts = Object.entries(putts || {}).filter(([player, count]) =>
+            !Number.isInteger(count) || count < 0 || count > SCORECARD_CONFIG.MAX_PUTTS ||
+            (Number.isInteger(strokes[player]) && count > strokes[player]));
+        if (badPutts.length > 0) {
+            errors.push(`Please check the putts for ${badPutts.map(([player]) => player).join(', ')}.`);
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Scorecard input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Sixes modal inputs
+     * @param {string} winner - Hole result (team1, team2 or halved)
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateSixesInput(winner, hole) {
+        const errors = [];
+        
+        if (!winner || winner.trim().length === 0) {
+            errors.push('Please select which team won the hole or halved.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Sixes input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Hammer modal inputs
+     * @param {Array} hammers - Hammers in the order thrown [{ by, response }]
+     * @param {string} winner - Hole result (team1, team2 or halved)
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateHammerInput(hammers, winner, hole) {
+        const errors = [];
+        const lastIndex = hammers.length - 1;
+        
+        if (hammers.some((hammer, index) => index > 0 && hammer.by === hammers[index - 1].by)) {
+            errors.push('Hammers must alternate - the side that was hammered holds the hammer.');
+        }
+        
+        if (hammers.some((hammer, index) => index < lastIndex && hammer.response === HAMMER_CONFIG.RESPONSES.DECLINED)) {
+            errors.push('Only the last hammer can be laid down.');
+        }
+        
+        // A laid-down hole is won by the hammering side, otherwise the result is needed
+        const laidDown = lastIndex >= 0 && hammers[lastIndex].response === HAMMER_CONFIG.RESPONSES.DECLINED;
+        if (!laidDown && (!winner || winner.trim().length === 0)) {
+            errors.push('Please select who won the hole or halved.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Hammer input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Junk modal inputs
+     * @param {Array} awards - Dots awarded [{ player, dot }]
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateJunkInput(awards, hole) {
+        const errors = [];
+        
+        if (!Array.isArray(awards) || awards.length === 0) {
+            errors.push('Please select at least one dot to award.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Junk input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the Junk catalog chosen in the game setup
+     * @param {Object} items - Point values by dot { dotId: points }
+     * @returns {Object} Validation result
+     */
+    validateJunkItems(items) {
+        const errors = [];
+        const entries = Object.entries(items || {});
+        
+        if (entries.length === 0) {
+            errors.push('Please choose at least one Junk dot to play.');
+        }
+        
+        entries.forEach(([dot, points]) => {
+            if (!Number.isInteger(points) || points < 1 || points > JUNK_CONFIG.MAX_POINTS) {
+                const item = JUNK_CONFIG.CATALOG.find(item => item.id === dot);
+                errors.push(`Please enter a point value (1-${JUNK_CONFIG.MAX_POINTS}) for ${item ? item.name : dot}.`);
+            }
+        });
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Junk dots are valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Rabbit modal inputs
+     * @param {string} winner - Outright hole winner or tie
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateRabbitInput(winner, hole) {
+        const errors = [];
+        
+        if (!winner || winner.trim().length === 0) {
+            errors.push('Please select who won the hole outright, or a tie.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Rabbit input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Stableford modal inputs
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} par - Par for the hole
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateStablefordInput(scores, par, hole, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        if (!par || isNaN(par)) {
+            errors.push('Please select the par for the hole.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Stableford input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the Stableford point table chosen in the game setup
+     * @param {Object} points - Points by score relative to par { diff: points }
+     * @returns {Object} Validation result
+     */
+    validateStablefordPoints(points) {
+        const errors = [];
+        
+        Object.entries(points || {}).forEach(([diff, value]) => {
+            if (!Number.isInteger(value) || value < STABLEFORD_CONFIG.MIN_POINTS || value > STABLEFORD_CONFIG.MAX_POINTS) {
+                errors.push(`Please enter Stableford points (${STABLEFORD_CONFIG.MIN_POINTS} to ${STABLEFORD_CONFIG.MAX_POINTS}) for ${STABLEFORD_CONFIG.SCORE_NAMES[diff] || diff}.`);
+            }
+        });
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Stableford points are valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Nine Point modal inputs
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateNinePointInput(scores, hole, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Nine Point input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the Banker stake limits from the game setup
+     * @param {number} minStake - Smallest stake (the bet amount)
+     * @param {number} maxStake - Largest stake
+     * @returns {Object} Validation result
+     */
+    validateBankerStakeLimits(minStake, maxStake) {
+        const errors = [];
+        
+        if (isNaN(maxStake) || maxStake < minStake) {
+            errors.push('Banker maximum stake must be at least the minimum stake.');
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Banker stakes are valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Banker modal inputs
+     * @param {Array} bets - Bets against the banker [{ player, stake }]
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} hole - Hole number
+     * @param {number} minStake - Smallest stake allowed
+     * @param {number} maxStake - Largest stake allowed
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateBankerInput(bets, scores, hole, minStake, maxStake, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        (bets || []).forEach(({ player, stake }) => {
+            if (isNaN(stake) || stake < minStake || stake > maxStake) {
+                errors.push(`Please enter a stake between $${minStake.toFixed(2)} and $${maxStake.toFixed(2)} for ${player}.`);
+            }
+        });
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Banker input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Match Play modal inputs
+     * @param {string} winner - Hole result (team1, team2 or halved)
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateMatchPlayInput(winner, hole) {
+        const errors = [];
+        
+        if (!winner || winner.trim().length === 0) {
+            errors.push('Please select who won the hole or halved.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Match Play input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Quota modal inputs
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} par - Par for the hole
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateQuotaInput(scores, par, hole, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        if (!par || isNaN(par)) {
+            errors.push('Please select the par for the hole.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Quota input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the handicaps entered for each player in the setup
+     * @param {Object} handicaps - Handicaps by player { playerName: handicap }
+     * @param {Array} players - Players who need a handicap
+     * @returns {Object} Validation result
+     */
+    validateHandicaps(handicaps, players) {
+        const errors = [];
+        
+        players.forEach(player => {
+            const handicap = handicaps ? handicaps[player] : undefined;
+            if (!Number.isInteger(handicap) || handicap < VALIDATION_RULES.MIN_HANDICAP || handicap > VALIDATION_RULES.MAX_HANDICAP) {
+                errors.push(`Please enter a handicap (${VALIDATION_RULES.MIN_HANDICAP}-${VALIDATION_RULES.MAX_HANDICAP}) for ${player}.`);
+            }
+        });
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Handicaps are valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the handicap indexes and course details used to work out handicap strokes
+     * @param {Object} settings - Handicap settings { indexes, slope, rating, par, allowance, strokeIndexes }
+     * @param {Array} players - Players who need a handicap index
+     * @returns {Object} Validation result
+     */
+    validateHandicapSettings(settings, players) {
+        const errors = [];
+        const { indexes = {}, slope, rating, par, allowance, strokeIndexes } = settings || {};
+        const inRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+        
+        players.forEach(player => {
+            if (!inRange(indexes[player], HANDICAP_CONFIG.MIN_INDEX, HANDICAP_CONFIG.MAX_INDEX)) {
+                errors.push(`Please enter a handicap index (${HANDICAP_CONFIG.MIN_INDEX} to ${HANDICAP_CONFIG.MAX_INDEX}) for ${player}.`);
+            }
+        });
+        
+        if (!Number.isInteger(slope) || !inRange(slope, HANDICAP_CONFIG.MIN_SLOPE, HANDICAP_CONFIG.MAX_SLOPE)) {
+            errors.push(`Slope must be a whole number from ${HANDICAP_CONFIG.MIN_SLOPE} to ${HANDICAP_CONFIG.MAX_SLOPE}.`);
+        }
+        
+        if (!inRange(rating, HANDICAP_CONFIG.MIN_RATING, HANDICAP_CONFIG.MAX_RATING)) {
+            errors.push(`Course rating must be between ${HANDICAP_CONFIG.MIN_RATING} and ${HANDICAP_CONFIG.MAX_RATING}.`);
+        }
+        
+        if (!Number.isInteger(par) || !inRange(par, HANDICAP_CONFIG.MIN_PAR, HANDICAP_CONFIG.MAX_PAR)) {
+            errors.push(`Course par must be a whole number from ${HANDICAP_CONFIG.MIN_PAR} to ${HANDICAP_CONFIG.MAX_PAR}.`);
+        }
+        
+        if (allowance !== undefined && !HANDICAP_CONFIG.ALLOWANCES.includes(allowance)) {
+            errors.push('Please select a handicap allowance.');
+        }
+        
+        // Stroke indexes are optional; when given they must rank every hole once
+        if (strokeIndexes !== undefined && strokeIndexes !== null &&
+            (strokeIndexes.length !== DEFAULTS.COURSE_HOLES || !HandicapUtils.isValidStrokeIndexes(strokeIndexes))) {
+            errors.push(`Stroke indexes must list 1 to ${DEFAULTS.COURSE_HOLES}, once each, in hole order.`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Handicap settings are valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Defender modal inputs
+     * @param {string} result - Hole result
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateDefenderInput(result, hole) {
+        const errors = [];
+        
+        if (!result || result.trim().length === 0) {
+            errors.push('Please select the result against the defender.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Defender input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the Defender points chosen in the game setup
+     * @param {number} winPoints - Points the defender wins from each opponent
+     * @param {number} lossPoints - Points the defender pays each opponent
+     * @returns {Object} Validation result
+     */
+    validateDefenderPoints(winPoints, lossPoints) {
+        const errors = [];
+        const range = `${DEFENDER_CONFIG.MIN_POINTS}-${DEFENDER_CONFIG.MAX_POINTS}`;
+        
+        if (!Number.isInteger(winPoints) || winPoints < DEFENDER_CONFIG.MIN_POINTS || winPoints > DEFENDER_CONFIG.MAX_POINTS) {
+            errors.push(`Please enter Defender win points (${range}).`);
+        }
+        
+        if (!Number.isInteger(lossPoints) || lossPoints < DEFENDER_CONFIG.MIN_POINTS || lossPoints > DEFENDER_CONFIG.MAX_POINTS) {
+            errors.push(`Please enter Defender loss points (${range}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Defender points are valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Money Ball modal inputs
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateMoneyBallInput(scores, hole, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Money Ball input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the Money Ball bonus set in the game setup
+     * @param {number} bonusAmount - Bonus paid for keeping the money ball in play all round
+     * @returns {Object} Validation result
+     */
+    validateMoneyBallBonus(bonusAmount) {
+        const errors = [];
+        
+        if (isNaN(bonusAmount) || bonusAmount < 0 || bonusAmount > VALIDATION_RULES.MAX_BET_AMOUNT) {
+            errors.push(`Money Ball bonus must be between $0.00 and $${VALIDATION_RULES.MAX_BET_AMOUNT.toFixed(2)}.`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Money Ball bonus is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Scotch modal inputs
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} par - Par for the hole
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateScotchInput(scores, par, hole, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        if (!par || isNaN(par)) {
+            errors.push('Please select the par for the hole.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Scotch input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Acey Deucey modal inputs
+     * @param {string} ace - Player with the outright low score, or tie
+     * @param {string} deuce - Player with the outright high score, or tie
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateAceyDeuceyInput(ace, deuce, hole) {
+        const errors = [];
+        
+        if (!ace || ace.trim().length === 0) {
+            errors.push('Please select the low score (or a tie).');
+        }
+        
+        if (!deuce || deuce.trim().length === 0) {
+            errors.push('Please select the high score (or a tie).');
+        }
+        
+        if (ace && ace !== ACEY_DEUCEY_CONFIG.TIE_VALUE && ace === deuce) {
+            errors.push('The same player cannot have the low and the high score.');
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Acey Deucey input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate the designated Longest Drive holes chosen in the game setup
+     * @param {Array} holes - Designated hole numbers
+     * @param {Array} pars - Par for each hole, when known
+     * @param {number} roundLength - Holes in the round
+     * @returns {Object} Validation result
+     */
+    validateLongestDriveHoles(holes, pars = [], roundLength = DEFAULTS.ROUND_LENGTH) {
+        const errors = [];
+        
+        if (!Array.isArray(holes) || holes.length === 0) {
+            errors.push('Please choose at least one Longest Drive hole.');
+        } else {
+            holes.forEach(hole => {
+                const par = pars[hole - 1];
+                if (!Number.isInteger(hole) || hole < 1 || hole > roundLength) {
+                    errors.push(`Hole ${hole} is not a valid Longest Drive hole (1-${roundLength}).`);
+                } else if (par && !LONGEST_DRIVE_CONFIG.ELIGIBLE_PARS.includes(par)) {
+                    errors.push(`Hole ${hole} is a par ${par} - Longest Drive holes must be par 4 or par 5.`);
+                }
+            });
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Longest Drive holes are valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Longest Drive modal inputs
+     * @param {string} winner - Player with the longest drive
+     * @param {number} distance - Drive distance in yards (optional)
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateLongestDriveInput(winner, distance, hole) {
+        const errors = [];
+        
+        if (!winner || winner.trim().length === 0) {
+            errors.push('Please select the longest drive winner.');
+        }
+        
+        if (!isNaN(distance) && (distance <= 0 || distance > LONGEST_DRIVE_CONFIG.MAX_DISTANCE)) {
+            errors.push(`Please enter a distance between 1 and ${LONGEST_DRIVE_CONFIG.MAX_DISTANCE} yards, or leave it blank.`);
+        }
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Longest Drive input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Umbrella modal inputs
+     * @param {Object} winners - Winning team (or nobody) by category
+     * @param {number} hole - Hole number
+     * @returns {Object} Validation result
+     */
+    validateUmbrellaInput(winners, hole) {
+        const errors = [];
+        
+        Object.entries(UMBRELLA_CONFIG.CATEGORIES).forEach(([category, { name }]) => {
+            if (!winners || !winners[category]) {
+                errors.push(`Please select a winner for ${name}.`);
+            }
+        });
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Umbrella input is valid' : errors.join(' ')
+        };
+    }
+
+    /**
+     * Validate Low Ball / Low Total modal inputs
+     * @param {Object} scores - Scores by player { playerName: strokes }
+     * @param {number} hole - Hole number
+     * @param {Array} players - Players who need a score
+     * @returns {Object} Validation result
+     */
+    validateLowBallInput(scores, hole, players) {
+        const errors = [...this.validateHoleScores(scores, players)];
+        
+        if (!hole || isNaN(hole) || hole < 1 || hole > this.lastHole) {
+            errors.push(`Please enter a valid hole number (1-${this.lastHole}).`);
+        }
+        
+        return {
+            success: errors.length === 0,
+            errors,
+            message: errors.length === 0 ? 'Low Ball / Low Total input is valid' : errors.join(' ')
+        };
+    }
+
     // =========================================================================
     // GENERAL INPUT VALIDATION
     // =========================================================================
@@ -391,7 +1235,7 @@ export class ValidationManager {
      * @returns {Object} Validation result
      */
     validateHole(hole) {
-        return this.validateNumericRange(hole, 1, 18, 'Hole number');
+        return this.validateNumericRange(hole, 1, this.lastHole, 'Hole number');
     }
 
     /**